@@ -5,6 +5,7 @@ module.exports = {
         'src/**/*.js',
         '!src/utils/seedData.js',
         '!src/utils/generateSimulationData.js',
+        '!src/utils/migrateGeoJson.js',
     ],
     testMatch: ['**/tests/**/*.test.js'],
     setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
@@ -14,6 +14,8 @@ require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
 const logger = require('./src/config/logger');
+const attachLocationSocket = require('./src/services/locationSocket');
+const timetableService = require('./src/services/timetableService');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -25,6 +27,8 @@ process.on('uncaughtException', (err) => {
 const PORT = process.env.PORT || 3000;
 
 let server;
+let locationSocket;
+let timetableScheduler;
 
 /**
  * Start the server
@@ -41,6 +45,14 @@ const startServer = async () => {
             logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
             logger.info(`API Documentation: http://localhost:${PORT}/api-docs`);
         });
+
+        // Live location push channel shares the HTTP server
+        locationSocket = attachLocationSocket(server);
+
+        // Keep timetable trips generated for the rolling horizon
+        if (process.env.TIMETABLE_AUTO_GENERATE !== 'false') {
+            timetableScheduler = timetableService.startScheduler();
+        }
     } catch (error) {
         logger.error('Failed to start server:', error);
         process.exit(1);
@@ -66,6 +78,13 @@ process.on('unhandledRejection', (err) => {
 // Handle SIGTERM signal 
 process.on('SIGTERM', () => {
     logger.info(' SIGTERM RECEIVED. Shutting down gracefully');
+    if (timetableScheduler) {
+        clearInterval(timetableScheduler);
+    }
+    if (locationSocket) {
+        locationSocket.clients.forEach((socket) => socket.close(1001, 'Server shutting down'));
+        locationSocket.close();
+    }
     if (server) {
         server.close(() => {
             logger.info(' Process terminated!');
@@ -24,6 +24,15 @@ const busRoutes = require('./routes/busRoutes');
 const tripRoutes = require('./routes/tripRoutes');
 const locationRoutes = require('./routes/locationRoutes');
 const operatorRoutes = require('./routes/operatorRoutes');
+const timetableRoutes = require('./routes/timetableRoutes');
+const crewRoutes = require('./routes/crewRoutes');
+const journeyRoutes = require('./routes/journeyRoutes');
+const stopRoutes = require('./routes/stopRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const importRoutes = require('./routes/importRoutes');
+const bookingRoutes = require('./routes/bookingRoutes');
+const ticketRoutes = require('./routes/ticketRoutes');
+const fareRoutes = require('./routes/fareRoutes');
 
 const app = express();
 
@@ -99,7 +108,18 @@ app.get('/', (req, res) => {
             buses: '/api/buses',
             trips: '/api/trips',
             locations: '/api/locations',
+            locationStream: '/api/locations/stream',
+            locationSocket: '/api/locations/ws',
             operators: '/api/operators',
+            timetables: '/api/timetables',
+            crew: '/api/crew',
+            journeys: '/api/journeys',
+            stops: '/api/stops',
+            exports: '/api/exports',
+            imports: '/api/imports',
+            bookings: '/api/bookings',
+            tickets: '/api/tickets',
+            fares: '/api/fares',
         },
     });
 });
@@ -113,6 +133,15 @@ app.use('/api/buses', busRoutes);
 app.use('/api/trips', tripRoutes);
 app.use('/api/locations', locationRoutes);
 app.use('/api/operators', operatorRoutes);
+app.use('/api/timetables', timetableRoutes);
+app.use('/api/crew', crewRoutes);
+app.use('/api/journeys', journeyRoutes);
+app.use('/api/stops', stopRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/tickets', ticketRoutes);
+app.use('/api/fares', fareRoutes);
 
 // 404 Handler - Handle undefined routes
 app.use(notFound);
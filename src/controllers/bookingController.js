@@ -0,0 +1,192 @@
+/**
+ * Booking Controller
+ * 
+ * Handles seat reservations on trips: holding seats, confirming, releasing
+ * and cancelling bookings. Commuters see their own bookings; admins see all.
+ * 
+ * @module controllers/bookingController
+ */
+
+const Booking = require('../models/Booking');
+const bookingService = require('../services/bookingService');
+const ticketService = require('../services/ticketService');
+const { ApiError } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../middleware/auth');
+const APIFeatures = require('../utils/apiFeatures');
+const logger = require('../config/logger');
+
+/**
+ * Find a booking by reference that the user may act on
+ * Other users' bookings are reported as not found.
+ * 
+ * @async
+ * @param {string} reference - Booking reference
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} Booking document
+ * @throws {ApiError} 404 if not found
+ */
+const findBooking = async (reference, user) => {
+    const booking = await Booking.findOne({ reference: reference.toUpperCase() });
+
+    if (!booking || (user.role !== 'admin' && !booking.userId.equals(user._id))) {
+        throw new ApiError('Booking not found', 404);
+    }
+
+    return booking;
+};
+
+/**
+ * Get bookings, newest first
+ * 
+ * @route GET /api/bookings
+ * @access Private (own bookings; Admin: all)
+ * 
+ * @query {string} tripId - Filter by trip
+ * @query {string} status - Filter by status
+ * @query {number} page - Page number
+ * @query {number} limit - Items per page
+ */
+exports.getAllBookings = asyncHandler(async (req, res) => {
+    const scope = req.user.role === 'admin' ? {} : { userId: req.user._id };
+    const totalBookings = await Booking.countDocuments(scope);
+
+    const features = new APIFeatures(Booking.find(scope), req.query)
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const bookings = await features.query;
+
+    const pagination = features.getPaginationMeta(totalBookings);
+
+    res.status(200).json({
+        status: 'success',
+        results: bookings.length,
+        pagination,
+        data: {
+            bookings,
+        },
+    });
+});
+
+/**
+ * Get a booking by reference
+ * 
+ * @route GET /api/bookings/:reference
+ * @access Private (owner or Admin)
+ */
+exports.getBooking = asyncHandler(async (req, res) => {
+    const booking = await findBooking(req.params.reference, req.user);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            booking,
+        },
+    });
+});
+
+/**
+ * Get the signed e-tickets of a confirmed booking, one per seat
+ * 
+ * @route GET /api/bookings/:reference/tickets
+ * @access Private (owner or Admin)
+ */
+exports.getBookingTickets = asyncHandler(async (req, res) => {
+    const booking = await findBooking(req.params.reference, req.user);
+    const tickets = await ticketService.issueTickets(booking);
+
+    res.status(200).json({
+        status: 'success',
+        results: tickets.length,
+        data: {
+            reference: booking.reference,
+            tickets,
+        },
+    });
+});
+
+/**
+ * Hold seats on a trip
+ * The booking must be confirmed before the hold expires.
+ * 
+ * @route POST /api/bookings
+ * @access Private
+ */
+exports.createBooking = asyncHandler(async (req, res) => {
+    const booking = await bookingService.holdSeats(req.body, req.user);
+
+    res.status(201).json({
+        status: 'success',
+        message: `Seats held for ${bookingService.HOLD_MINUTES} minutes`,
+        data: {
+            booking,
+        },
+    });
+});
+
+/**
+ * Confirm a held booking
+ * 
+ * @route POST /api/bookings/:reference/confirm
+ * @access Private (owner or Admin)
+ */
+exports.confirmBooking = asyncHandler(async (req, res) => {
+    const current = await findBooking(req.params.reference, req.user);
+    const booking = await bookingService.confirmBooking(current);
+
+    logger.info(`Booking confirmed: ${booking.reference} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Booking confirmed successfully',
+        data: {
+            booking,
+        },
+    });
+});
+
+/**
+ * Release the seats of a held booking
+ * 
+ * @route POST /api/bookings/:reference/release
+ * @access Private (owner or Admin)
+ */
+exports.releaseBooking = asyncHandler(async (req, res) => {
+    const current = await findBooking(req.params.reference, req.user);
+    const booking = await bookingService.releaseBooking(current);
+
+    logger.info(`Booking released: ${booking.reference} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Booking released successfully',
+        data: {
+            booking,
+        },
+    });
+});
+
+/**
+ * Cancel a booking before the trip departs
+ * 
+ * @route POST /api/bookings/:reference/cancel
+ * @access Private (owner or Admin)
+ */
+exports.cancelBooking = asyncHandler(async (req, res) => {
+    const current = await findBooking(req.params.reference, req.user);
+    const booking = await bookingService.cancelBooking(current, req.body.reason);
+
+    logger.info(`Booking cancelled: ${booking.reference} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Booking cancelled successfully',
+        data: {
+            booking,
+        },
+    });
+});
+
+module.exports = exports;
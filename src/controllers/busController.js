@@ -11,6 +11,7 @@ const Bus = require('../models/Bus');
 const { ApiError } = require('../middleware/errorHandler');
 const { asyncHandler } = require('../middleware/auth');
 const APIFeatures = require('../utils/apiFeatures');
+const vehicleStateService = require('../services/vehicleStateService');
 const logger = require('../config/logger');
 
 /**
@@ -208,6 +209,7 @@ exports.getBusStats = asyncHandler(async (req, res) => {
 
     const totalBuses = await Bus.countDocuments();
     const activeBuses = await Bus.countDocuments({ status: 'active' });
+    const tracking = await vehicleStateService.getFleetStats();
 
     res.status(200).json({
         status: 'success',
@@ -215,6 +217,7 @@ exports.getBusStats = asyncHandler(async (req, res) => {
             totalBuses,
             activeBuses,
             stats,
+            tracking,
         },
     });
 });
@@ -0,0 +1,226 @@
+/**
+ * Crew Controller
+ * 
+ * Handles driver and conductor management and crew schedules.
+ * 
+ * @module controllers/crewController
+ */
+
+const Crew = require('../models/Crew');
+const Operator = require('../models/Operator');
+const Trip = require('../models/Trip');
+const crewDutyService = require('../services/crewDutyService');
+const { ApiError } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../middleware/auth');
+const APIFeatures = require('../utils/apiFeatures');
+const logger = require('../config/logger');
+
+/**
+ * Get all crew members with filtering, sorting, and pagination
+ * 
+ * @route GET /api/crew
+ * @access Private (Admin, Operator)
+ * 
+ * @query {string} operatorId - Filter by operator
+ * @query {string} role - Filter by role (driver, conductor)
+ * @query {string} status - Filter by status
+ * @query {string} sort - Sort fields
+ * @query {number} page - Page number
+ * @query {number} limit - Items per page
+ */
+exports.getAllCrew = asyncHandler(async (req, res) => {
+    const totalCrew = await Crew.countDocuments();
+
+    const features = new APIFeatures(Crew.find(), req.query)
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const crew = await features.query;
+
+    const pagination = features.getPaginationMeta(totalCrew);
+
+    res.status(200).json({
+        status: 'success',
+        results: crew.length,
+        pagination,
+        data: {
+            crew,
+        },
+    });
+});
+
+/**
+ * Get single crew member by ID
+ * 
+ * @route GET /api/crew/:id
+ * @access Private (Admin, Operator)
+ */
+exports.getCrewMember = asyncHandler(async (req, res) => {
+    const member = await Crew.findById(req.params.id);
+
+    if (!member) {
+        throw new ApiError('Crew member not found', 404);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            member,
+        },
+    });
+});
+
+/**
+ * Get a crew member's trips and duties
+ * 
+ * @route GET /api/crew/:id/schedule
+ * @access Private (Admin, Operator)
+ * @query {date} from - Window start (default: now)
+ * @query {date} to - Window end (default: 7 days after from)
+ */
+exports.getCrewSchedule = asyncHandler(async (req, res) => {
+    const member = await Crew.findById(req.params.id);
+
+    if (!member) {
+        throw new ApiError('Crew member not found', 404);
+    }
+
+    const from = req.query.from || new Date();
+    const to = req.query.to || new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    const schedule = await crewDutyService.getSchedule(member, from, to);
+
+    res.status(200).json({
+        status: 'success',
+        results: schedule.trips.length,
+        data: {
+            member,
+            from,
+            to,
+            ...schedule,
+        },
+    });
+});
+
+/**
+ * Get drivers whose licenses expire within a number of days (or already have)
+ * 
+ * @route GET /api/crew/licenses/expiring
+ * @access Private (Admin, Operator)
+ * @query {number} days - Days ahead to check (default: 30)
+ */
+exports.getExpiringLicenses = asyncHandler(async (req, res) => {
+    const days = parseInt(req.query.days, 10) || 30;
+    const futureDate = new Date();
+    futureDate.setDate(futureDate.getDate() + days);
+
+    const crew = await Crew.find({
+        role: 'driver',
+        'license.expiry': { $lte: futureDate },
+    }).sort('license.expiry');
+
+    res.status(200).json({
+        status: 'success',
+        results: crew.length,
+        message: `Drivers with licenses expired or expiring in the next ${days} days`,
+        data: {
+            crew,
+        },
+    });
+});
+
+/**
+ * Create new crew member
+ * 
+ * @route POST /api/crew
+ * @access Private (Admin only)
+ */
+exports.createCrewMember = asyncHandler(async (req, res) => {
+    const operator = await Operator.findById(req.body.operatorId);
+    if (!operator) {
+        throw new ApiError('Operator not found', 404);
+    }
+
+    const member = await Crew.create(req.body);
+
+    logger.info(`New crew member created: ${member.employeeNumber} by user ${req.user.email}`);
+
+    res.status(201).json({
+        status: 'success',
+        message: 'Crew member created successfully',
+        data: {
+            member,
+        },
+    });
+});
+
+/**
+ * Update crew member
+ * Changes apply to future assignment checks; existing trips are not revalidated.
+ * 
+ * @route PUT /api/crew/:id
+ * @access Private (Admin only)
+ */
+exports.updateCrewMember = asyncHandler(async (req, res) => {
+    const member = await Crew.findById(req.params.id);
+
+    if (!member) {
+        throw new ApiError('Crew member not found', 404);
+    }
+
+    if (req.body.operatorId) {
+        const operator = await Operator.findById(req.body.operatorId);
+        if (!operator) {
+            throw new ApiError('Operator not found', 404);
+        }
+    }
+
+    member.set(req.body);
+    await member.save();
+
+    logger.info(`Crew member updated: ${member.employeeNumber} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Crew member updated successfully',
+        data: {
+            member,
+        },
+    });
+});
+
+/**
+ * Delete crew member
+ * Refused while the member is assigned to upcoming trips.
+ * 
+ * @route DELETE /api/crew/:id
+ * @access Private (Admin only)
+ */
+exports.deleteCrewMember = asyncHandler(async (req, res) => {
+    const member = await Crew.findById(req.params.id);
+
+    if (!member) {
+        throw new ApiError('Crew member not found', 404);
+    }
+
+    const upcoming = await Trip.countDocuments({
+        $or: [{ 'crew.driverId': member._id }, { 'crew.conductorId': member._id }],
+        status: { $nin: ['completed', 'cancelled'] },
+        scheduledArrivalTime: { $gte: new Date() },
+    });
+    if (upcoming > 0) {
+        throw new ApiError(`Crew member is assigned to ${upcoming} upcoming trips. Reassign them or set the member inactive.`, 409);
+    }
+
+    await member.deleteOne();
+
+    logger.info(`Crew member deleted: ${member.employeeNumber} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Crew member deleted successfully',
+        data: null,
+    });
+});
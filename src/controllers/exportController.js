@@ -0,0 +1,67 @@
+/**
+ * Export Controller
+ * 
+ * Handles data feed exports for third-party consumers.
+ * 
+ * @module controllers/exportController
+ */
+
+const gtfsExportService = require('../services/gtfsExportService');
+const gtfsRealtimeService = require('../services/gtfsRealtimeService');
+const { ApiError } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../middleware/auth');
+
+/**
+ * Download the GTFS static feed
+ * 
+ * @route GET /api/exports/gtfs
+ * @access Public
+ * @query {date} from - First service day (default: today)
+ * @query {number} days - Number of service days (default: GTFS_EXPORT_DAYS)
+ */
+exports.getGtfsFeed = asyncHandler(async (req, res) => {
+    const feed = await gtfsExportService.buildFeed({
+        from: req.query.from || new Date(),
+        days: req.query.days,
+    });
+
+    if (!feed.startDate) {
+        throw new ApiError('No scheduled trips to export in this period', 404);
+    }
+
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="gtfs-${feed.startDate}-${feed.endDate}.zip"`,
+        'Content-Length': feed.buffer.length,
+    });
+    res.status(200).send(feed.buffer);
+});
+
+/**
+ * Get a GTFS-Realtime feed
+ * 
+ * @route GET /api/exports/gtfs-rt/:feed
+ * @access Public
+ * @param {string} feed - vehicle-positions, trip-updates or alerts
+ * @query {string} format - protobuf (default) or json (debug rendering)
+ */
+exports.getGtfsRealtimeFeed = asyncHandler(async (req, res) => {
+    const message = await gtfsRealtimeService.getFeed(req.params.feed);
+
+    if (req.query.format === 'json') {
+        return res.status(200).json({
+            status: 'success',
+            results: message.entity.length,
+            data: {
+                feed: message,
+            },
+        });
+    }
+
+    const buffer = gtfsRealtimeService.encodeFeed(message);
+    res.set({
+        'Content-Type': 'application/x-protobuf',
+        'Content-Length': buffer.length,
+    });
+    res.status(200).send(buffer);
+});
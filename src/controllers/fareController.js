@@ -0,0 +1,152 @@
+/**
+ * Fare Controller
+ * 
+ * Handles fare rules (concessions and surcharges) and itemized fare quotes.
+ * 
+ * @module controllers/fareController
+ */
+
+const FareRule = require('../models/FareRule');
+const fareRuleService = require('../services/fareRuleService');
+const { ApiError } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+/**
+ * Get an itemized fare quote
+ * 
+ * @route GET /api/fares/quote
+ * @access Public
+ * 
+ * @query {string} tripId - Trip to travel on (or routeId)
+ * @query {string} routeId - Route to travel on
+ * @query {string} from - Boarding stop ID or name (default: first stop)
+ * @query {string} to - Alighting stop ID or name (default: last stop)
+ * @query {Date} date - Travel date for a route quote (default: now)
+ * @query {string} busId - Bus for a route quote
+ * @query {string} passengerType - adult, student, senior, military or child (default: adult)
+ */
+exports.getFareQuote = asyncHandler(async (req, res) => {
+    const quote = await fareRuleService.getQuote(req.query);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            quote,
+        },
+    });
+});
+
+/**
+ * Get all fare rules in the order they are applied
+ * 
+ * @route GET /api/fares/rules
+ * @access Public
+ * 
+ * @query {string} status - Filter by status
+ */
+exports.getAllFareRules = asyncHandler(async (req, res) => {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const rules = await FareRule.find(filter).sort('priority createdAt');
+
+    res.status(200).json({
+        status: 'success',
+        results: rules.length,
+        data: {
+            rules,
+        },
+    });
+});
+
+/**
+ * Get single fare rule by ID
+ * 
+ * @route GET /api/fares/rules/:id
+ * @access Public
+ */
+exports.getFareRule = asyncHandler(async (req, res) => {
+    const rule = await FareRule.findById(req.params.id);
+
+    if (!rule) {
+        throw new ApiError('Fare rule not found', 404);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            rule,
+        },
+    });
+});
+
+/**
+ * Create new fare rule
+ * 
+ * @route POST /api/fares/rules
+ * @access Private (Admin only)
+ */
+exports.createFareRule = asyncHandler(async (req, res) => {
+    const rule = await FareRule.create({ ...req.body, createdBy: req.user._id });
+
+    logger.info(`New fare rule created: ${rule.name} by user ${req.user.email}`);
+
+    res.status(201).json({
+        status: 'success',
+        message: 'Fare rule created successfully',
+        data: {
+            rule,
+        },
+    });
+});
+
+/**
+ * Update fare rule
+ * 
+ * @route PUT /api/fares/rules/:id
+ * @access Private (Admin only)
+ */
+exports.updateFareRule = asyncHandler(async (req, res) => {
+    const rule = await FareRule.findById(req.params.id);
+
+    if (!rule) {
+        throw new ApiError('Fare rule not found', 404);
+    }
+
+    // Saved rather than updated in place so the action and value are checked together
+    rule.set(req.body);
+    await rule.save();
+
+    logger.info(`Fare rule updated: ${rule.name} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Fare rule updated successfully',
+        data: {
+            rule,
+        },
+    });
+});
+
+/**
+ * Delete fare rule
+ * 
+ * @route DELETE /api/fares/rules/:id
+ * @access Private (Admin only)
+ */
+exports.deleteFareRule = asyncHandler(async (req, res) => {
+    const rule = await FareRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+        throw new ApiError('Fare rule not found', 404);
+    }
+
+    logger.info(`Fare rule deleted: ${rule.name} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Fare rule deleted successfully',
+        data: null,
+    });
+});
+
+module.exports = exports;
@@ -0,0 +1,42 @@
+/**
+ * Import Controller
+ * 
+ * Handles bulk data imports from feeds.
+ * 
+ * @module controllers/importController
+ */
+
+const gtfsImportService = require('../services/gtfsImportService');
+const { ApiError } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../middleware/auth');
+
+/**
+ * Import operators, routes and trips from a GTFS static feed
+ * 
+ * @route POST /api/imports/gtfs
+ * @access Private (Admin only)
+ * @body GTFS zip (Content-Type: application/zip)
+ * @query {boolean} dryRun - Report the changes without writing them (default: false)
+ * @query {date} from - First service day (default: now)
+ * @query {number} days - Number of service days (default: GTFS_IMPORT_DAYS)
+ */
+exports.importGtfsFeed = asyncHandler(async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new ApiError('Upload the GTFS zip as the request body with Content-Type application/zip', 400);
+    }
+
+    const report = await gtfsImportService.importFeed(req.body, {
+        dryRun: req.query.dryRun,
+        from: req.query.from || new Date(),
+        days: req.query.days,
+        user: req.user,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        message: report.dryRun ? 'Dry run: nothing was written' : 'GTFS feed imported',
+        data: {
+            report,
+        },
+    });
+});
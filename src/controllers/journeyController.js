@@ -0,0 +1,49 @@
+/**
+ * Journey Controller
+ * 
+ * Handles multi-leg journey planning across routes.
+ * 
+ * @module controllers/journeyController
+ */
+
+const journeyPlannerService = require('../services/journeyPlannerService');
+const { ApiError } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../middleware/auth');
+
+/**
+ * Plan journeys between two places, with transfers between routes
+ * 
+ * @route GET /api/journeys
+ * @access Public
+ * @query {string} from - Origin place or stop name (required)
+ * @query {string} to - Destination place or stop name (required)
+ * @query {date} departAfter - Earliest departure (default: now)
+ * @query {number} maxTransfers - Maximum transfers (default: 2)
+ * @query {number} minConnection - Minimum connection time in minutes (default: JOURNEY_MIN_CONNECTION_MINUTES)
+ * @query {number} limit - Maximum itineraries (default: 5)
+ */
+exports.planJourney = asyncHandler(async (req, res) => {
+    const journey = await journeyPlannerService.planJourneys({
+        from: req.query.from,
+        to: req.query.to,
+        departAfter: req.query.departAfter || new Date(),
+        maxTransfers: req.query.maxTransfers,
+        minConnectionMinutes: req.query.minConnection,
+        limit: req.query.limit,
+    });
+
+    if (journey.from.length === 0) {
+        throw new ApiError(`No stops match "${req.query.from}"`, 404);
+    }
+    if (journey.to.length === 0) {
+        throw new ApiError(`No stops match "${req.query.to}"`, 404);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        results: journey.itineraries.length,
+        data: {
+            journey,
+        },
+    });
+});
@@ -10,6 +10,22 @@
 const mongoose = require('mongoose');
 const LocationUpdate = require('../models/LocationUpdate');
 const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const locationStream = require('../services/locationStream');
+const locationIngestService = require('../services/locationIngestService');
+const locationAnomalyService = require('../services/locationAnomalyService');
+const trackReplayService = require('../services/trackReplayService');
+const vehicleStateService = require('../services/vehicleStateService');
+const routeShapeService = require('../services/routeShapeService');
+const QuarantinedLocation = require('../models/QuarantinedLocation');
+const { buildStopPath } = require('../services/etaService');
+const {
+    toGeoJsonPolygon,
+    boundingBox,
+    boxToPolygon,
+    cumulativeDistances,
+    locateOnPath,
+} = require('../utils/geo');
 const { ApiError } = require('../middleware/errorHandler');
 const { asyncHandler } = require('../middleware/auth');
 const logger = require('../config/logger');
@@ -21,7 +37,7 @@ const logger = require('../config/logger');
  * @access Private (Operator only)
  */
 exports.createLocationUpdate = asyncHandler(async (req, res) => {
-    const { busId, tripId, coordinates, speed, heading, accuracy } = req.body;
+    const { busId } = req.body;
 
     // Verify bus exists
     const bus = await Bus.findById(busId);
@@ -29,28 +45,211 @@ exports.createLocationUpdate = asyncHandler(async (req, res) => {
         throw new ApiError('Bus not found', 404);
     }
 
-    // Create location update
-    const locationUpdate = await LocationUpdate.create({
-        busId,
-        tripId,
-        coordinates,
-        speed,
-        heading,
-        accuracy,
-        timestamp: new Date(),
-    });
+    // Store, then broadcast and derive stop events / trip status if it is the newest point
+    const { locationUpdate, live, quarantined } = await locationIngestService.ingestLocation(bus, req.body);
+
+    // Suspicious points are held for review; the device should not retry them
+    if (quarantined) {
+        res.status(202).json({
+            status: 'success',
+            message: 'Location quarantined for review',
+            data: {
+                quarantined: {
+                    id: quarantined._id,
+                    timestamp: quarantined.timestamp,
+                    reasons: quarantined.reasons,
+                },
+            },
+        });
+        return;
+    }
 
     logger.info(`Location updated for bus: ${bus.registrationNumber}`);
 
     res.status(201).json({
         status: 'success',
-        message: 'Location updated successfully',
+        message: live ? 'Location updated successfully' : 'Location stored (older than latest position)',
+        data: {
+            locationUpdate,
+        },
+    });
+});
+
+/**
+ * Upload a batch of buffered GPS points
+ * Device timestamps are kept and corrected for clock skew using `sentAt`
+ * (the device clock at upload time). Replayed points are reported as
+ * duplicates; points older than the bus's latest position are stored as
+ * history without moving the latest location backwards.
+ * 
+ * @route POST /api/locations/batch
+ * @access Private (Operator only)
+ */
+exports.createLocationBatch = asyncHandler(async (req, res) => {
+    const { busId } = req.body;
+
+    const bus = await Bus.findById(busId);
+    if (!bus) {
+        throw new ApiError('Bus not found', 404);
+    }
+
+    const { summary, results } = await locationIngestService.ingestBatch(bus, req.body);
+
+    res.status(summary.accepted > 0 ? 201 : 200).json({
+        status: 'success',
+        message: `${summary.accepted} of ${summary.received} points accepted`,
+        data: {
+            summary,
+            results,
+        },
+    });
+});
+
+/**
+ * Get quarantined (flagged) GPS points for a bus
+ * 
+ * @route GET /api/locations/quarantine/bus/:id
+ * @access Private (Admin only)
+ * @query {string} status - pending (default), approved, rejected or all
+ * @query {number} limit - Maximum entries (default: 100)
+ */
+exports.getQuarantinedLocations = asyncHandler(async (req, res) => {
+    const bus = await Bus.findById(req.params.id);
+    if (!bus) {
+        throw new ApiError('Bus not found', 404);
+    }
+
+    const status = req.query.status || 'pending';
+    const locations = await locationAnomalyService.getQuarantinedLocations(
+        bus._id,
+        status === 'all' ? undefined : status,
+        req.query.limit,
+    );
+
+    res.status(200).json({
+        status: 'success',
+        results: locations.length,
+        data: {
+            bus: {
+                id: bus._id,
+                registrationNumber: bus.registrationNumber,
+            },
+            locations,
+        },
+    });
+});
+
+/**
+ * Approve or reject a quarantined GPS point
+ * Approved points are released into the location history (and published if
+ * still the newest position); rejected points stay quarantined.
+ * 
+ * @route PATCH /api/locations/quarantine/:id
+ * @access Private (Admin only)
+ */
+exports.reviewQuarantinedLocation = asyncHandler(async (req, res) => {
+    const { decision, note } = req.body;
+    const reviewStatus = decision === 'approve' ? 'approved' : 'rejected';
+
+    const entry = await locationAnomalyService.markReviewed(req.params.id, reviewStatus, req.user, note);
+    if (!entry) {
+        const exists = await QuarantinedLocation.exists({ _id: req.params.id });
+        throw exists
+            ? new ApiError('Location has already been reviewed', 409)
+            : new ApiError('Quarantined location not found', 404);
+    }
+
+    let locationUpdate = null;
+    if (reviewStatus === 'approved') {
+        const bus = await Bus.findById(entry.busId);
+        if (!bus) {
+            throw new ApiError('Bus not found', 404);
+        }
+        ({ locationUpdate } = await locationIngestService.releaseQuarantined(entry, bus));
+    }
+
+    logger.info(`Quarantined location ${entry._id} ${reviewStatus} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Location ${reviewStatus}`,
         data: {
+            quarantined: entry,
             locationUpdate,
         },
     });
 });
 
+/**
+ * Stream live location updates (Server-Sent Events)
+ * Scope with busId, routeId, tripId or bbox; the unscoped fleet-wide stream
+ * requires an admin/operator token. Reconnecting clients resume from the
+ * Last-Event-ID header (sent automatically by EventSource) or `since`.
+ * 
+ * @route GET /api/locations/stream
+ * @access Public (fleet-wide: Admin/Operator)
+ * @query {string} busId - Only updates for this bus
+ * @query {string} routeId - Only updates for buses on this route
+ * @query {string} tripId - Only updates for this trip
+ * @query {string} bbox - Bounding box "minLng,minLat,maxLng,maxLat"
+ * @query {date} since - Replay updates after this timestamp
+ * @query {string} access_token - JWT for clients that cannot set headers
+ */
+exports.streamLocations = asyncHandler(async (req, res) => {
+    const subscription = locationStream.parseSubscription(req.query);
+    locationStream.authorizeSubscription(subscription, req.user);
+
+    const lastEventId = req.headers['last-event-id'];
+    let since = req.query.since || null;
+    if (lastEventId && !Number.isNaN(Date.parse(lastEventId))) {
+        since = new Date(lastEventId);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+
+    const write = (chunk) => {
+        res.write(chunk);
+        // Compression middleware buffers output unless flushed
+        if (res.flush) res.flush();
+    };
+
+    write('retry: 5000\n\n');
+
+    let close = () => {};
+    let heartbeat;
+    let disconnected = false;
+
+    req.on('close', () => {
+        disconnected = true;
+        clearInterval(heartbeat);
+        close();
+    });
+
+    try {
+        close = await locationStream.openChannel(subscription, since, (event) => {
+            write(`id: ${event.timestamp}\nevent: location\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+    } catch (error) {
+        // Headers are already sent, so report the failure in-stream
+        logger.error(`Location stream replay failed: ${error.message}`);
+        write(`event: error\ndata: ${JSON.stringify({ message: 'Could not resume stream' })}\n\n`);
+        return res.end();
+    }
+
+    if (disconnected) {
+        close();
+        return;
+    }
+
+    // Keep intermediaries from closing an idle connection
+    heartbeat = setInterval(() => write(': heartbeat\n\n'), 25 * 1000);
+});
+
 /**
  * Get latest location for a specific bus
  * 
@@ -72,8 +271,21 @@ exports.getLatestLocation = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Time window from startTime/endTime query parameters
+ * 
+ * @param {Object} query - Request query
+ * @returns {Object} startTime (default: 24 hours ago) and endTime (default: now)
+ */
+const historyWindow = (query) => ({
+    startTime: query.startTime ? new Date(query.startTime) : new Date(Date.now() - 24 * 60 * 60 * 1000),
+    endTime: query.endTime ? new Date(query.endTime) : new Date(),
+});
+
 /**
  * Get location history for a bus
+ * Returns the oldest `limit` points in the window; when more remain,
+ * nextStartTime is the startTime for the next page.
  * 
  * @route GET /api/locations/bus/:busId/history
  * @access Public
@@ -84,26 +296,52 @@ exports.getLatestLocation = asyncHandler(async (req, res) => {
 exports.getLocationHistory = asyncHandler(async (req, res) => {
     const { busId } = req.params;
     const limit = parseInt(req.query.limit, 10) || 100;
+    const { startTime, endTime } = historyWindow(req.query);
 
-    // Default to last 24 hours
-    const endTime = req.query.endTime ? new Date(req.query.endTime) : new Date();
-    const startTime = req.query.startTime
-        ? new Date(req.query.startTime)
-        : new Date(Date.now() - 24 * 60 * 60 * 1000);
-
-    const locations = await LocationUpdate.getLocationHistory(busId, startTime, endTime);
-
-    // Limit results
-    const limitedLocations = locations.slice(0, limit);
+    // Fetch one extra point to know whether another page exists
+    const locations = await LocationUpdate.getLocationHistory(busId, startTime, endTime, limit + 1);
+    const page = locations.slice(0, limit);
+    const nextStartTime = locations.length > limit ? locations[limit].timestamp : null;
 
     res.status(200).json({
         status: 'success',
-        results: limitedLocations.length,
+        results: page.length,
         data: {
             busId,
             startTime,
             endTime,
-            locations: limitedLocations,
+            nextStartTime,
+            locations: page,
+        },
+    });
+});
+
+/**
+ * Replay a bus's recorded track over a time window
+ * 
+ * @route GET /api/locations/bus/:busId/replay
+ * @access Public
+ * @query {date} startTime - Start time (default: 24 hours ago)
+ * @query {date} endTime - End time (default: now)
+ * @query {number} tolerance - Simplification tolerance in meters (default: 10, 0 = raw track)
+ * @query {number} interval - Resample at this interval in seconds (optional)
+ */
+exports.getBusReplay = asyncHandler(async (req, res) => {
+    const bus = await Bus.findById(req.params.busId);
+    if (!bus) {
+        throw new ApiError('Bus not found', 404);
+    }
+
+    const { startTime, endTime } = historyWindow(req.query);
+    const replay = await trackReplayService.replayBus(bus._id, startTime, endTime, {
+        toleranceM: req.query.tolerance,
+        intervalSeconds: req.query.interval,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            replay,
         },
     });
 });
@@ -128,33 +366,45 @@ exports.getLocationsByTrip = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Fleet filters from query parameters
+ * 
+ * @param {Object} query - Request query (routeId, operatorId, minutes)
+ * @param {number} [defaultMinutes] - Age limit when minutes is not given (none if omitted)
+ * @returns {Object} Filters for vehicleStateService
+ */
+const fleetFilters = (query, defaultMinutes) => {
+    const minutes = parseInt(query.minutes, 10) || defaultMinutes;
+    return {
+        routeId: query.routeId,
+        operatorId: query.operatorId,
+        since: minutes ? new Date(Date.now() - minutes * 60 * 1000) : undefined,
+    };
+};
+
 /**
  * Get all buses' latest locations
  * 
  * @route GET /api/locations/all-buses
  * @access Public
+ * @query {string} routeId - Only buses on this route
+ * @query {string} operatorId - Only buses of this operator
+ * @query {number} minutes - Only positions from the last N minutes
  */
 exports.getAllBusesLatestLocation = asyncHandler(async (req, res) => {
-    const buses = await Bus.find({ status: 'active' }).select('_id registrationNumber routeId');
-
-    const locationsPromises = buses.map(async (bus) => {
-        const location = await LocationUpdate.findOne({ busId: bus._id })
-            .sort({ timestamp: -1 })
-            .select('coordinates speed timestamp status')
-            .limit(1);
-
-        return {
-            busId: bus._id,
-            registrationNumber: bus.registrationNumber,
-            routeId: bus.routeId,
-            lastLocation: location,
-        };
-    });
-
-    const busesWithLocations = await Promise.all(locationsPromises);
-
-    // Filter out buses without location data
-    const activeBuses = busesWithLocations.filter((bus) => bus.lastLocation !== null);
+    const positions = await vehicleStateService.listPositions(fleetFilters(req.query));
+
+    const activeBuses = positions.map((position) => ({
+        busId: position.bus._id,
+        registrationNumber: position.bus.registrationNumber,
+        routeId: position.bus.routeId,
+        operatorId: position.bus.operatorId,
+        tripId: position.tripId,
+        lastLocation: position.location,
+        occupancy: position.occupancy,
+        ageSeconds: position.ageSeconds,
+        stale: position.stale,
+    }));
 
     res.status(200).json({
         status: 'success',
@@ -166,69 +416,168 @@ exports.getAllBusesLatestLocation = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get buses near a specific location
+ * Get buses near a specific location, nearest first
  * 
  * @route GET /api/locations/nearby
  * @access Public
  * @query {number} lat - Latitude
  * @query {number} lng - Longitude
  * @query {number} radius - Radius in kilometers (default: 5)
+ * @query {number} minutes - Only positions from the last N minutes (default: 10)
+ * @query {string} routeId - Only buses on this route
+ * @query {string} operatorId - Only buses of this operator
  */
 exports.getNearbyBuses = asyncHandler(async (req, res) => {
     const { lat, lng } = req.query;
-    const radius = parseFloat(req.query.radius) || 5;
+    const radius = req.query.radius || 5;
 
-    if (!lat || !lng) {
-        throw new ApiError('Please provide latitude and longitude', 400);
-    }
+    const results = await vehicleStateService.findNearby(lat, lng, radius, fleetFilters(req.query, 10));
 
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
+    const nearbyBuses = results.map(({ distanceKm, ...position }) => ({
+        ...position,
+        distance: distanceKm.toFixed(2),
+    }));
 
-    // Get recent locations (last 10 minutes)
-    const recentTime = new Date(Date.now() - 10 * 60 * 1000);
+    res.status(200).json({
+        status: 'success',
+        results: nearbyBuses.length,
+        data: {
+            searchLocation: { lat, lng },
+            radius,
+            buses: nearbyBuses,
+        },
+    });
+});
 
-    const locations = await LocationUpdate.find({
-        timestamp: { $gte: recentTime },
-    }).populate({
-        path: 'busId',
-        select: 'registrationNumber routeId status',
+/**
+ * Get buses inside a polygon
+ * 
+ * @route GET /api/locations/within
+ * @access Public
+ * @query {string} polygon - Vertices as "lng,lat;lng,lat;lng,lat[;...]"
+ * @query {number} minutes - Only positions from the last N minutes (default: 10)
+ * @query {string} routeId - Only buses on this route
+ * @query {string} operatorId - Only buses of this operator
+ */
+exports.getBusesWithinPolygon = asyncHandler(async (req, res) => {
+    const vertices = req.query.polygon.split(';').map((pair) => {
+        const [lng, lat] = pair.split(',').map(Number);
+        return { lat, lng };
+    });
+
+    const polygon = toGeoJsonPolygon(vertices);
+    const buses = await vehicleStateService.findWithin(polygon, fleetFilters(req.query, 10));
+
+    res.status(200).json({
+        status: 'success',
+        results: buses.length,
+        data: {
+            polygon,
+            buses,
+        },
     });
+});
 
-    // Calculate distances and filter by radius
-    const nearbyBuses = locations
-        .map((loc) => {
-            const distance = LocationUpdate.calculateDistance(
-                latitude,
-                longitude,
-                loc.coordinates.lat,
-                loc.coordinates.lng,
-            );
+/**
+ * Get buses travelling along a route corridor
+ * A bus is in the corridor when its current position is within `width` km of
+ * the route's shape (or the line through its stops when it has no shape).
+ * Progress is the distance along the route.
+ * 
+ * @route GET /api/locations/corridor/:id
+ * @access Public
+ * @query {number} width - Corridor half-width in kilometers (default: 1)
+ * @query {number} minutes - Only positions from the last N minutes (default: 10)
+ */
+exports.getBusesAlongRoute = asyncHandler(async (req, res) => {
+    const route = await Route.findById(req.params.id);
 
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+    if (!route.stops || route.stops.length < 2) {
+        throw new ApiError('Route has no stops to build a corridor from', 400);
+    }
+
+    const width = parseFloat(req.query.width) || 1;
+    const shape = await routeShapeService.getShapePath(route);
+    let path;
+    let cumulative;
+    let scale = 1;
+    if (shape) {
+        ({ path, cumulative } = shape);
+    } else {
+        const stopPath = buildStopPath(route);
+        path = stopPath.points;
+        cumulative = cumulativeDistances(path);
+        ({ scale } = stopPath);
+    }
+
+    // Coarse pre-filter on the padded bounding box, then exact corridor test
+    const envelope = boxToPolygon(boundingBox(path, width));
+    const candidates = await vehicleStateService.findWithin(envelope, fleetFilters(req.query, 10));
+
+    const buses = candidates
+        .map((candidate) => {
+            const position = locateOnPath(candidate.location.coordinates, path, cumulative);
             return {
-                bus: loc.busId,
-                location: {
-                    coordinates: loc.coordinates,
-                    speed: loc.speed,
-                    timestamp: loc.timestamp,
-                },
-                distance: distance.toFixed(2),
+                ...candidate,
+                offRouteKm: Math.round(position.crossTrackKm * 100) / 100,
+                progressKm: Math.round(position.offsetKm * scale * 10) / 10,
             };
         })
-        .filter((item) => parseFloat(item.distance) <= radius)
-        .sort((a, b) => parseFloat(a.distance) - parseFloat(b.distance));
+        .filter((bus) => bus.offRouteKm <= width)
+        .sort((a, b) => a.progressKm - b.progressKm);
 
     res.status(200).json({
         status: 'success',
-        results: nearbyBuses.length,
+        results: buses.length,
         data: {
-            searchLocation: { lat: latitude, lng: longitude },
-            radius,
-            buses: nearbyBuses,
+            routeId: route._id,
+            width,
+            path: shape ? 'shape' : 'stops',
+            buses,
+        },
+    });
+});
+
+/**
+ * Get live fleet tracking statistics
+ * 
+ * @route GET /api/locations/stats
+ * @access Public
+ * @query {string} routeId - Only buses on this route
+ * @query {string} operatorId - Only buses of this operator
+ */
+exports.getFleetLocationStats = asyncHandler(async (req, res) => {
+    const stats = await vehicleStateService.getFleetStats(fleetFilters(req.query));
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            stats,
         },
     });
 });
 
+/**
+ * Rebuild the current vehicle state from stored location updates
+ * 
+ * @route POST /api/locations/vehicle-state/rebuild
+ * @access Private (Admin only)
+ */
+exports.rebuildVehicleState = asyncHandler(async (req, res) => {
+    const result = await vehicleStateService.rebuild();
+
+    logger.info(`Vehicle state rebuilt by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: `Vehicle state rebuilt for ${result.rebuilt} buses`,
+        data: result,
+    });
+});
+
 /**
  * Get location statistics for a bus
  * 
@@ -240,7 +589,7 @@ exports.getBusLocationStats = asyncHandler(async (req, res) => {
 
     const stats = await LocationUpdate.aggregate([
         {
-            $match: { busId: mongoose.Types.ObjectId(busId) },
+            $match: { busId: new mongoose.Types.ObjectId(busId) },
         },
         {
             $group: {
@@ -253,14 +602,16 @@ exports.getBusLocationStats = asyncHandler(async (req, res) => {
         },
     ]);
 
-    const latestLocation = await LocationUpdate.getLatestLocation(busId);
+    const currentPosition = await vehicleStateService.getPosition(busId);
 
     res.status(200).json({
         status: 'success',
         data: {
             busId,
             stats: stats[0] || null,
-            latestLocation,
+            latestLocation: currentPosition && currentPosition.location,
+            ageSeconds: currentPosition ? currentPosition.ageSeconds : null,
+            stale: currentPosition ? currentPosition.stale : null,
         },
     });
 });
@@ -8,6 +8,10 @@
  */
 
 const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const FareTable = require('../models/FareTable');
+const routeShapeService = require('../services/routeShapeService');
+const fareService = require('../services/fareService');
 const { ApiError } = require('../middleware/errorHandler');
 const { asyncHandler } = require('../middleware/auth');
 const APIFeatures = require('../utils/apiFeatures');
@@ -149,6 +153,242 @@ exports.deleteRoute = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Get route shape (encoded polyline of the road path)
+ * 
+ * @route GET /api/routes/:id/shape
+ * @access Public
+ */
+exports.getRouteShape = asyncHandler(async (req, res) => {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+
+    const shape = await routeShapeService.getShape(route._id);
+
+    if (!shape) {
+        throw new ApiError('Route has no shape', 404);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            shape,
+        },
+    });
+});
+
+/**
+ * Upload route shape as an encoded polyline or a list of points
+ * 
+ * @route PUT /api/routes/:id/shape
+ * @access Private (Admin only)
+ */
+exports.updateRouteShape = asyncHandler(async (req, res) => {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+
+    const shape = await routeShapeService.uploadShape(route, req.body);
+
+    logger.info(`Route shape uploaded: ${route.routeNumber} (${shape.pointCount} points) by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Route shape updated successfully',
+        data: {
+            shape,
+        },
+    });
+});
+
+/**
+ * Derive route shape from the GPS track of a completed trip
+ * 
+ * @route POST /api/routes/:id/shape/derive
+ * @access Private (Admin only)
+ */
+exports.deriveRouteShape = asyncHandler(async (req, res) => {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+
+    const trip = await Trip.findById(req.body.tripId).setOptions({ skipPopulate: true });
+
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    const shape = await routeShapeService.deriveShapeFromTrip(route, trip);
+
+    logger.info(`Route shape derived: ${route.routeNumber} from trip ${trip.tripNumber} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Route shape derived successfully',
+        data: {
+            shape,
+        },
+    });
+});
+
+/**
+ * Remove route shape (disables off-route detection for the route)
+ * 
+ * @route DELETE /api/routes/:id/shape
+ * @access Private (Admin only)
+ */
+exports.deleteRouteShape = asyncHandler(async (req, res) => {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+
+    await routeShapeService.removeShape(route);
+
+    logger.info(`Route shape removed: ${route.routeNumber} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Route shape removed successfully',
+        data: null,
+    });
+});
+
+/**
+ * Get the fare between two stops of a route
+ * 
+ * @route GET /api/routes/:id/fare
+ * @access Public
+ * @query {string} from - Boarding stop (ID or name)
+ * @query {string} to - Alighting stop (ID or name)
+ * @query {date} date - Travel date (default: now)
+ */
+exports.getRouteFare = asyncHandler(async (req, res) => {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+
+    const fare = await fareService.getFare(route, req.query);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            fare,
+        },
+    });
+});
+
+/**
+ * Get the fare table versions of a route, newest first
+ * 
+ * @route GET /api/routes/:id/fares
+ * @access Public
+ */
+exports.getRouteFareTables = asyncHandler(async (req, res) => {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+
+    const fareTables = await FareTable.find({ routeId: route._id }).sort('-effectiveFrom');
+    const now = new Date();
+    const current = fareTables.find((table) => table.effectiveFrom <= now);
+
+    res.status(200).json({
+        status: 'success',
+        results: fareTables.length,
+        data: {
+            stages: fareService.getStages(route),
+            currentFareTableId: current ? current._id : null,
+            fareTables,
+        },
+    });
+});
+
+/**
+ * Add a fare table version to a route
+ * The table must price every pair of the route's fare stages.
+ * 
+ * @route POST /api/routes/:id/fares
+ * @access Private (Admin only)
+ */
+exports.createRouteFareTable = asyncHandler(async (req, res) => {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+
+    const { missing, unknown } = fareService.checkCoverage(route, req.body.fares);
+
+    if (unknown.length > 0) {
+        throw new ApiError(`Route ${route.routeNumber} has no fare stage ${unknown.join(', ')}`, 400, { unknown });
+    }
+
+    if (missing.length > 0) {
+        throw new ApiError(`Fare table is missing ${missing.length} stage pair(s)`, 400, { missing });
+    }
+
+    if (await FareTable.exists({ routeId: route._id, effectiveFrom: req.body.effectiveFrom })) {
+        throw new ApiError('A fare table already starts on this date', 409);
+    }
+
+    const fareTable = await FareTable.create({
+        ...req.body,
+        routeId: route._id,
+        createdBy: req.user._id,
+    });
+
+    logger.info(`Fare table added: ${route.routeNumber} from ${fareTable.effectiveFrom.toISOString()} by user ${req.user.email}`);
+
+    res.status(201).json({
+        status: 'success',
+        message: 'Fare table created successfully',
+        data: {
+            fareTable,
+        },
+    });
+});
+
+/**
+ * Delete a fare table version that has not yet taken effect
+ * 
+ * @route DELETE /api/routes/:id/fares/:fareTableId
+ * @access Private (Admin only)
+ */
+exports.deleteRouteFareTable = asyncHandler(async (req, res) => {
+    const fareTable = await FareTable.findOne({ _id: req.params.fareTableId, routeId: req.params.id });
+
+    if (!fareTable) {
+        throw new ApiError('Fare table not found', 404);
+    }
+
+    if (fareTable.effectiveFrom <= new Date()) {
+        throw new ApiError('Fare table is already in effect; add a new version instead', 409);
+    }
+
+    await fareTable.deleteOne();
+
+    logger.info(`Fare table deleted: ${fareTable._id} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Fare table deleted successfully',
+        data: null,
+    });
+});
+
 /**
  * Get routes by origin and destination
  * 
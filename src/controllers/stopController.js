@@ -0,0 +1,40 @@
+/**
+ * Stop Controller
+ * 
+ * Handles stop-centric queries such as departure boards.
+ * 
+ * @module controllers/stopController
+ */
+
+const stopDepartureService = require('../services/stopDepartureService');
+const { ApiError } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../middleware/auth');
+
+/**
+ * Get the next departures from a stop
+ * 
+ * @route GET /api/stops/:stop/departures
+ * @access Public
+ * @param {string} stop - Stop ID, or stop name (partial, case-insensitive)
+ * @query {date} from - Window start (default: now)
+ * @query {number} minutes - Window length in minutes (default: 60)
+ * @query {number} limit - Maximum departures (default: 50)
+ */
+exports.getStopDepartures = asyncHandler(async (req, res) => {
+    const board = await stopDepartureService.getDepartures({
+        stop: req.params.stop,
+        from: req.query.from || new Date(),
+        minutes: req.query.minutes,
+        limit: req.query.limit,
+    });
+
+    if (board.stops.length === 0) {
+        throw new ApiError(`No stop with departures matches "${req.params.stop}"`, 404);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        results: board.departures.length,
+        data: board,
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Ticket Controller
+ * 
+ * Handles e-ticket verification: the public key handhelds verify tickets
+ * with, online checks, and the upload of scans made offline.
+ * 
+ * @module controllers/ticketController
+ */
+
+const ticketService = require('../services/ticketService');
+const { asyncHandler } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+/**
+ * Get the public key tickets are signed with
+ * 
+ * @route GET /api/tickets/public-key
+ * @access Public
+ */
+exports.getPublicKey = asyncHandler(async (req, res) => {
+    res.status(200).json({
+        status: 'success',
+        data: {
+            key: ticketService.getPublicKey(),
+        },
+    });
+});
+
+/**
+ * Check a ticket online
+ * 
+ * @route POST /api/tickets/verify
+ * @access Private (Admin, Operator)
+ * 
+ * @body {string} payload - Signed ticket from the QR code
+ * @body {string} tripId - Trip the ticket is presented on
+ */
+exports.verifyTicket = asyncHandler(async (req, res) => {
+    const result = await ticketService.checkTicket(req.body.payload, req.body.tripId);
+
+    res.status(200).json({
+        status: 'success',
+        data: result,
+    });
+});
+
+/**
+ * Upload ticket scans from a handheld
+ * Reports tickets that have also been scanned on another bus.
+ * 
+ * @route POST /api/tickets/scans
+ * @access Private (Admin, Operator)
+ * 
+ * @body {string} deviceId - Handheld ID
+ * @body {string} busId - Bus the scans were made on
+ * @body {string} tripId - Trip the scans were made on
+ * @body {Array} scans - payload, scannedAt, result
+ */
+exports.syncTicketScans = asyncHandler(async (req, res) => {
+    const { summary, results } = await ticketService.syncScans(req.body, req.user);
+
+    logger.info(`Ticket scans synced from ${req.body.deviceId} by user ${req.user.email}: ${summary.stored} stored, ${summary.flagged} flagged`);
+
+    res.status(200).json({
+        status: 'success',
+        message: `${summary.stored} scan(s) stored`,
+        data: {
+            summary,
+            results,
+        },
+    });
+});
+
+/**
+ * Get tickets scanned on more than one bus
+ * 
+ * @route GET /api/tickets/scans/conflicts
+ * @access Private (Admin only)
+ * 
+ * @query {Date} from - Start of the scan window (default: 7 days ago)
+ * @query {Date} to - End of the scan window (default: now)
+ */
+exports.getScanConflicts = asyncHandler(async (req, res) => {
+    const to = req.query.to || new Date();
+    const from = req.query.from || new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    const tickets = await ticketService.findMultiBusTickets({ from, to });
+
+    res.status(200).json({
+        status: 'success',
+        results: tickets.length,
+        data: {
+            from,
+            to,
+            tickets,
+        },
+    });
+});
+
+module.exports = exports;
@@ -0,0 +1,263 @@
+/**
+ * Timetable Controller
+ * 
+ * Handles recurring timetable templates and generating trips from them.
+ * 
+ * @module controllers/timetableController
+ */
+
+const Timetable = require('../models/Timetable');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const timetableService = require('../services/timetableService');
+const { ApiError } = require('../middleware/errorHandler');
+const { asyncHandler } = require('../middleware/auth');
+const APIFeatures = require('../utils/apiFeatures');
+const logger = require('../config/logger');
+
+// Fields that change which trips a timetable plans
+const PLAN_FIELDS = ['routeId', 'departureTimes', 'daysOfWeek', 'effectiveFrom', 'effectiveTo', 'defaultBusId', 'fare', 'durationMinutes', 'status'];
+
+/**
+ * Check that the referenced route and bus exist
+ * 
+ * @async
+ * @param {Object} fields - routeId and/or defaultBusId
+ * @returns {Promise<Object>} route (when routeId was given)
+ * @throws {ApiError} If a reference is missing
+ */
+const checkReferences = async ({ routeId, defaultBusId }) => {
+    let route;
+    if (routeId) {
+        route = await Route.findById(routeId);
+        if (!route) {
+            throw new ApiError('Route not found', 404);
+        }
+    }
+    if (defaultBusId) {
+        const bus = await Bus.findById(defaultBusId);
+        if (!bus) {
+            throw new ApiError('Bus not found', 404);
+        }
+    }
+    return { route };
+};
+
+/**
+ * Get all timetables with filtering, sorting, and pagination
+ * 
+ * @route GET /api/timetables
+ * @access Public
+ * 
+ * @query {string} routeId - Filter by route
+ * @query {string} status - Filter by status
+ * @query {string} sort - Sort fields
+ * @query {number} page - Page number
+ * @query {number} limit - Items per page
+ */
+exports.getAllTimetables = asyncHandler(async (req, res) => {
+    const totalTimetables = await Timetable.countDocuments();
+
+    const features = new APIFeatures(Timetable.find(), req.query)
+        .filter()
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const timetables = await features.query;
+
+    const pagination = features.getPaginationMeta(totalTimetables);
+
+    res.status(200).json({
+        status: 'success',
+        results: timetables.length,
+        pagination,
+        data: {
+            timetables,
+        },
+    });
+});
+
+/**
+ * Get single timetable by ID
+ * 
+ * @route GET /api/timetables/:id
+ * @access Public
+ */
+exports.getTimetable = asyncHandler(async (req, res) => {
+    const timetable = await Timetable.findById(req.params.id);
+
+    if (!timetable) {
+        throw new ApiError('Timetable not found', 404);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            timetable,
+        },
+    });
+});
+
+/**
+ * Create new timetable and generate its trips for the horizon
+ * Without a fare, its trips inherit the route's fares.
+ * 
+ * @route POST /api/timetables
+ * @access Private (Admin only)
+ */
+exports.createTimetable = asyncHandler(async (req, res) => {
+    await checkReferences(req.body);
+
+    const timetable = await Timetable.create({
+        ...req.body,
+        createdBy: req.user._id,
+    });
+
+    const generation = await timetableService.generateTrips(timetable);
+
+    logger.info(`New timetable created: ${timetable.code} by user ${req.user.email}`);
+
+    res.status(201).json({
+        status: 'success',
+        message: 'Timetable created successfully',
+        data: {
+            timetable,
+            generation,
+        },
+    });
+});
+
+/**
+ * Update timetable
+ * Future unstarted trips are only changed with ?regenerate=true; otherwise
+ * the response reports how many trips a regeneration would affect, and no
+ * trips are generated from a schedule change until it is regenerated.
+ * 
+ * @route PUT /api/timetables/:id
+ * @access Private (Admin only)
+ * @query {boolean} regenerate - Apply the change to future unstarted trips
+ */
+exports.updateTimetable = asyncHandler(async (req, res) => {
+    const timetable = await Timetable.findById(req.params.id);
+
+    if (!timetable) {
+        throw new ApiError('Timetable not found', 404);
+    }
+
+    await checkReferences(req.body);
+
+    timetable.set(req.body);
+    if (!req.query.regenerate && timetable.isModified(PLAN_FIELDS)) {
+        timetable.regenerationPending = true;
+    }
+    await timetable.save();
+
+    let regeneration;
+    if (req.query.regenerate) {
+        regeneration = {
+            applied: true,
+            ...(await timetableService.regenerateFutureTrips(timetable)),
+        };
+    } else {
+        regeneration = {
+            applied: false,
+            pending: timetable.regenerationPending,
+            futureTrips: await timetableService.countRegenerable(timetable),
+        };
+    }
+
+    logger.info(`Timetable updated: ${timetable.code} by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: 'Timetable updated successfully',
+        data: {
+            timetable,
+            regeneration,
+        },
+    });
+});
+
+/**
+ * Delete timetable and its future unstarted trips
+ * Trips that have started or finished, or have active bookings, are kept.
+ * 
+ * @route DELETE /api/timetables/:id
+ * @access Private (Admin only)
+ */
+exports.deleteTimetable = asyncHandler(async (req, res) => {
+    const timetable = await Timetable.findById(req.params.id);
+
+    if (!timetable) {
+        throw new ApiError('Timetable not found', 404);
+    }
+
+    // An inactive plan is empty, so regeneration removes every unstarted trip
+    timetable.status = 'inactive';
+    const { removed, skipped } = await timetableService.regenerateFutureTrips(timetable);
+    await timetable.deleteOne();
+
+    logger.info(`Timetable deleted: ${timetable.code} (${removed} future trips removed, ${skipped.length} kept) by user ${req.user.email}`);
+
+    res.status(200).json({
+        status: 'success',
+        message: skipped.length > 0
+            ? `Timetable deleted; ${skipped.length} future trips with bookings were kept`
+            : 'Timetable deleted successfully',
+        data: skipped.length > 0 ? { keptTrips: skipped } : null,
+    });
+});
+
+/**
+ * Generate trips for one timetable up to the horizon
+ * 
+ * @route POST /api/timetables/:id/generate
+ * @access Private (Admin only)
+ * @query {number} days - Horizon in days (default: TIMETABLE_HORIZON_DAYS)
+ */
+exports.generateTimetableTrips = asyncHandler(async (req, res) => {
+    const timetable = await Timetable.findById(req.params.id);
+
+    if (!timetable) {
+        throw new ApiError('Timetable not found', 404);
+    }
+    if (timetable.status !== 'active') {
+        throw new ApiError('Timetable is inactive', 400);
+    }
+    if (timetable.regenerationPending) {
+        throw new ApiError('Timetable was edited; regenerate its trips first (PUT with ?regenerate=true)', 409);
+    }
+
+    const generation = await timetableService.generateTrips(timetable, {
+        horizonDays: req.query.days || timetableService.HORIZON_DAYS,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        message: `${generation.created} trips created`,
+        data: {
+            generation,
+        },
+    });
+});
+
+/**
+ * Generate trips for all active timetables up to the horizon
+ * 
+ * @route POST /api/timetables/generate
+ * @access Private (Admin only)
+ */
+exports.generateAllTrips = asyncHandler(async (req, res) => {
+    const generations = await timetableService.generateAll();
+    const created = generations.reduce((sum, g) => sum + (g.created || 0), 0);
+
+    res.status(200).json({
+        status: 'success',
+        message: `${created} trips created`,
+        results: generations.length,
+        data: {
+            generations,
+        },
+    });
+});
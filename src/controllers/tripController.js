@@ -11,6 +11,17 @@ const Trip = require('../models/Trip');
 const { ApiError } = require('../middleware/errorHandler');
 const { asyncHandler } = require('../middleware/auth');
 const APIFeatures = require('../utils/apiFeatures');
+const etaService = require('../services/etaService');
+const stopEventService = require('../services/stopEventService');
+const routeDeviationService = require('../services/routeDeviationService');
+const trackReplayService = require('../services/trackReplayService');
+const tripConflictService = require('../services/tripConflictService');
+const crewDutyService = require('../services/crewDutyService');
+const tripStatusService = require('../services/tripStatusService');
+const delayPropagationService = require('../services/delayPropagationService');
+const fareService = require('../services/fareService');
+const bookingService = require('../services/bookingService');
+const passengerLoadService = require('../services/passengerLoadService');
 const logger = require('../config/logger');
 
 /**
@@ -53,6 +64,8 @@ exports.getAllTrips = asyncHandler(async (req, res) => {
 
 /**
  * Get single trip by ID
+ * The fare is the full-trip fare the trip inherits from its route, unless
+ * the trip overrides it.
  * 
  * @route GET /api/trips/:id
  * @access Public
@@ -64,10 +77,201 @@ exports.getTrip = asyncHandler(async (req, res) => {
         throw new ApiError('Trip not found', 404);
     }
 
+    const fare = await fareService.getTripFare(trip);
+
     res.status(200).json({
         status: 'success',
         data: {
             trip,
+            fare,
+        },
+    });
+});
+
+/**
+ * Get the seat map of a trip (seats derived from the bus capacity)
+ * 
+ * @route GET /api/trips/:id/seats
+ * @access Public
+ */
+exports.getTripSeats = asyncHandler(async (req, res) => {
+    const seatMap = await bookingService.getSeatMap(req.params.id);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            seatMap,
+        },
+    });
+});
+
+/**
+ * Get the trip's live occupancy and the conductor's per-stop counts
+ * 
+ * @route GET /api/trips/:id/passenger-counts
+ * @access Public
+ */
+exports.getTripPassengerCounts = asyncHandler(async (req, res) => {
+    const trip = await Trip.findById(req.params.id).setOptions({ skipPopulate: true });
+
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    const load = await passengerLoadService.getLoad(trip);
+
+    res.status(200).json({
+        status: 'success',
+        results: load.stops.length,
+        data: {
+            load,
+        },
+    });
+});
+
+/**
+ * Report boarding and alighting counts at a stop
+ * Reporting a stop again replaces its counts.
+ * 
+ * @route POST /api/trips/:id/passenger-counts
+ * @access Private (Admin/Operator)
+ */
+exports.createTripPassengerCount = asyncHandler(async (req, res) => {
+    const trip = await Trip.findById(req.params.id).setOptions({ skipPopulate: true });
+
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    const { count, occupancy } = await passengerLoadService.recordCount(trip, req.body, req.user);
+
+    res.status(201).json({
+        status: 'success',
+        message: 'Passenger count recorded',
+        data: {
+            count,
+            occupancy,
+        },
+    });
+});
+
+/**
+ * Get predicted arrival times for the trip's remaining stops
+ * 
+ * @route GET /api/trips/:id/eta
+ * @access Public
+ */
+exports.getTripEta = asyncHandler(async (req, res) => {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    const eta = await etaService.predictTripEta(trip);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            eta,
+        },
+    });
+});
+
+/**
+ * Get stop arrival/departure events recorded for a trip
+ * 
+ * @route GET /api/trips/:id/stop-events
+ * @access Public
+ */
+exports.getTripStopEvents = asyncHandler(async (req, res) => {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    const stopEvents = await stopEventService.getTripStopEvents(trip._id);
+
+    res.status(200).json({
+        status: 'success',
+        results: stopEvents.length,
+        data: {
+            stopEvents,
+        },
+    });
+});
+
+/**
+ * Replay the recorded GPS track of a trip
+ * 
+ * @route GET /api/trips/:id/replay
+ * @access Public
+ * @query {number} tolerance - Simplification tolerance in meters (default: 10, 0 = raw track)
+ * @query {number} interval - Resample at this interval in seconds (optional)
+ */
+exports.getTripReplay = asyncHandler(async (req, res) => {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    const replay = await trackReplayService.replayTrip(trip, {
+        toleranceM: req.query.tolerance,
+        intervalSeconds: req.query.interval,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            replay,
+        },
+    });
+});
+
+/**
+ * Get off-route deviation incidents raised for a trip
+ * 
+ * @route GET /api/trips/:id/deviations
+ * @access Private (Admin, Operator)
+ */
+exports.getTripDeviations = asyncHandler(async (req, res) => {
+    const trip = await Trip.findById(req.params.id);
+
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    const deviations = await routeDeviationService.getTripDeviations(trip._id);
+
+    res.status(200).json({
+        status: 'success',
+        results: deviations.length,
+        data: {
+            deviations,
+        },
+    });
+});
+
+/**
+ * Get the status history of a trip, oldest first, with the acting users
+ * 
+ * @route GET /api/trips/:id/history
+ * @access Private (Admin, Operator)
+ */
+exports.getTripHistory = asyncHandler(async (req, res) => {
+    const history = await tripStatusService.getHistory(req.params.id);
+
+    if (!history) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        results: history.length,
+        data: {
+            history,
         },
     });
 });
@@ -79,7 +283,19 @@ exports.getTrip = asyncHandler(async (req, res) => {
  * @access Private (Admin only)
  */
 exports.createTrip = asyncHandler(async (req, res) => {
-    const trip = await Trip.create(req.body);
+    await tripConflictService.assertNoBusConflicts(req.body);
+    await crewDutyService.assertCrewAssignable(req.body);
+
+    const trip = await Trip.create({
+        ...req.body,
+        statusHistory: [{
+            from: null,
+            to: 'scheduled',
+            source: 'manual',
+            reason: 'Trip created',
+            by: req.user._id,
+        }],
+    });
 
     logger.info(`New trip created: ${trip.tripNumber} by user ${req.user.email}`);
 
@@ -93,15 +309,30 @@ exports.createTrip = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update trip
+ * Apply field updates to a trip, routing status changes through the state machine
+ * The write is conditional on the status the change was validated against.
+ * Knock-on delays of the bus's later trips are recomputed afterwards.
  * 
- * @route PUT /api/trips/:id
- * @access Private (Admin/Operator)
+ * @async
+ * @param {Object} current - Trip document before the update
+ * @param {Object} updates - Fields to update
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>} Updated trip
+ * @throws {ApiError} 409 if the status changed concurrently
  */
-exports.updateTrip = asyncHandler(async (req, res) => {
-    const trip = await Trip.findByIdAndUpdate(
-        req.params.id,
-        req.body,
+const applyTripUpdates = async (current, updates, user) => {
+    const update = { $set: { ...updates } };
+
+    if (updates.status && updates.status !== current.status) {
+        const { set, entry } = tripStatusService.buildManualTransition(current, updates, user);
+        // A status changed by hand takes precedence over GPS-driven transitions
+        Object.assign(update.$set, set, { statusSource: 'manual' });
+        update.$push = { statusHistory: entry };
+    }
+
+    const trip = await Trip.findOneAndUpdate(
+        { _id: current._id, status: current.status },
+        update,
         {
             new: true,
             runValidators: true,
@@ -109,9 +340,76 @@ exports.updateTrip = asyncHandler(async (req, res) => {
     );
 
     if (!trip) {
+        throw new ApiError('Trip status changed during the update. Reload the trip and try again.', 409);
+    }
+
+    // The bus's later trips depend on when this one ends
+    if (trip.status !== current.status || updates.busId || updates.scheduledArrivalTime || updates.actualDepartureTime) {
+        await delayPropagationService.propagateFromTrip(trip).catch((error) => {
+            logger.error(`Delay propagation failed for trip ${trip.tripNumber}: ${error.message}`);
+        });
+    }
+
+    return trip;
+};
+
+/**
+ * Update trip
+ * Reassigning the bus or crew, or moving the schedule, is checked for bus
+ * conflicts and crew duty rules. A crew role set to null is unassigned.
+ * Status changes must follow the trip status transition table.
+ * 
+ * @route PUT /api/trips/:id
+ * @access Private (Admin/Operator)
+ */
+exports.updateTrip = asyncHandler(async (req, res) => {
+    const updates = { ...req.body };
+
+    const current = await Trip.findById(req.params.id).setOptions({ skipPopulate: true });
+
+    if (!current) {
         throw new ApiError('Trip not found', 404);
     }
 
+    if (updates.busId || updates.scheduledDepartureTime || updates.scheduledArrivalTime || updates.crew) {
+        const rescheduled = Boolean(updates.busId || updates.scheduledDepartureTime || updates.scheduledArrivalTime);
+        const proposed = {
+            _id: current._id,
+            tripNumber: current.tripNumber,
+            busId: updates.busId || current.busId,
+            scheduledDepartureTime: updates.scheduledDepartureTime || current.scheduledDepartureTime,
+            scheduledArrivalTime: updates.scheduledArrivalTime || current.scheduledArrivalTime,
+            crew: { ...current.toObject().crew, ...updates.crew },
+        };
+
+        if (proposed.scheduledArrivalTime <= proposed.scheduledDepartureTime) {
+            throw new ApiError('Arrival time must be after departure time', 400);
+        }
+        if ((updates.status || current.status) !== 'cancelled') {
+            if (rescheduled) {
+                await tripConflictService.assertNoBusConflicts(proposed);
+            }
+            // A smaller bus must still seat every booking
+            if (updates.busId && !current.busId.equals(updates.busId)) {
+                await bookingService.assertSeatsFit(current._id, updates.busId);
+            }
+            // Unchanged crew only needs rechecking when the trip moved
+            await crewDutyService.assertCrewAssignable({
+                ...proposed,
+                crew: rescheduled ? proposed.crew : updates.crew,
+            });
+        }
+
+        if (updates.crew) updates.crew = proposed.crew;
+    }
+
+    const trip = await applyTripUpdates(current, updates, req.user);
+
+    // The crowding band is relative to the new bus's seats
+    if (updates.busId && trip.occupancy && trip.occupancy.computedAt) {
+        trip.occupancy = await passengerLoadService.refreshOccupancy(trip);
+    }
+
     logger.info(`Trip updated: ${trip.tripNumber} by user ${req.user.email}`);
 
     res.status(200).json({
@@ -125,12 +423,20 @@ exports.updateTrip = asyncHandler(async (req, res) => {
 
 /**
  * Partially update trip (PATCH)
+ * Status changes must follow the trip status transition table.
  * 
  * @route PATCH /api/trips/:id
  * @access Private (Operator)
  */
 exports.patchTrip = asyncHandler(async (req, res) => {
-    const allowedUpdates = ['status', 'actualDepartureTime', 'actualArrivalTime', 'delayReason', 'estimatedPassengers'];
+    const allowedUpdates = [
+        'status',
+        'actualDepartureTime',
+        'actualArrivalTime',
+        'delayReason',
+        'cancellationReason',
+        'estimatedPassengers',
+    ];
     const updates = {};
 
     allowedUpdates.forEach((field) => {
@@ -143,20 +449,15 @@ exports.patchTrip = asyncHandler(async (req, res) => {
         throw new ApiError('No valid fields to update', 400);
     }
 
-    const trip = await Trip.findByIdAndUpdate(
-        req.params.id,
-        updates,
-        {
-            new: true,
-            runValidators: true,
-        },
-    );
+    const current = await Trip.findById(req.params.id).setOptions({ skipPopulate: true });
 
-    if (!trip) {
+    if (!current) {
         throw new ApiError('Trip not found', 404);
     }
 
-    logger.info(`Trip status updated: ${trip.tripNumber} - ${trip.status}`);
+    const trip = await applyTripUpdates(current, updates, req.user);
+
+    logger.info(`Trip status updated: ${trip.tripNumber} - ${trip.status} by user ${req.user.email}`);
 
     res.status(200).json({
         status: 'success',
@@ -169,11 +470,18 @@ exports.patchTrip = asyncHandler(async (req, res) => {
 
 /**
  * Delete trip
+ * Trips with held or confirmed bookings cannot be deleted; cancel them instead.
  * 
  * @route DELETE /api/trips/:id
  * @access Private (Admin only)
  */
 exports.deleteTrip = asyncHandler(async (req, res) => {
+    const bookings = await bookingService.countActiveBookings(req.params.id);
+
+    if (bookings > 0) {
+        throw new ApiError(`Trip has ${bookings} active booking(s); cancel the trip instead`, 409);
+    }
+
     const trip = await Trip.findByIdAndDelete(req.params.id);
 
     if (!trip) {
@@ -239,6 +547,37 @@ exports.getUpcomingTrips = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Report bus double-booking and short turnarounds in existing schedules
+ * 
+ * @route GET /api/trips/conflicts
+ * @access Private (Admin, Operator)
+ * @query {date} from - Departures from (default: now)
+ * @query {date} to - Departures until (default: 7 days after from)
+ * @query {string} busId - Limit the scan to one bus
+ */
+exports.getTripConflicts = asyncHandler(async (req, res) => {
+    const from = req.query.from || new Date();
+    const to = req.query.to || new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    const conflicts = await tripConflictService.findScheduleConflicts({
+        from,
+        to,
+        busId: req.query.busId,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        results: conflicts.length,
+        data: {
+            from,
+            to,
+            minTurnaroundMinutes: tripConflictService.MIN_TURNAROUND_MINUTES,
+            conflicts,
+        },
+    });
+});
+
 /**
  * Get trips by route
  * 
@@ -288,11 +627,24 @@ exports.getTripsByBus = asyncHandler(async (req, res) => {
  */
 exports.getTripStats = asyncHandler(async (req, res) => {
     const stats = await Trip.aggregate([
+        // Trips without an override inherit the route's full fare
+        {
+            $lookup: {
+                from: 'routes',
+                localField: 'routeId',
+                foreignField: '_id',
+                pipeline: [{ $project: { fare: 1 } }],
+                as: 'route',
+            },
+        },
+        {
+            $unwind: { path: '$route', preserveNullAndEmptyArrays: true },
+        },
         {
             $group: {
                 _id: '$status',
                 count: { $sum: 1 },
-                avgFare: { $avg: '$fare' },
+                avgFare: { $avg: { $ifNull: ['$fare', '$route.fare'] } },
                 totalPassengers: { $sum: '$estimatedPassengers' },
             },
         },
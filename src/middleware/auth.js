@@ -20,6 +20,53 @@ const asyncHandler = (fn) => (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+/**
+ * Extract the bearer token from the Authorization header
+ * 
+ * @param {Object} req - Express request object (or raw HTTP upgrade request)
+ * @returns {string|undefined} Token, if present
+ */
+const extractToken = (req) => {
+    if (
+        req.headers.authorization
+        && req.headers.authorization.startsWith('Bearer')
+    ) {
+        return req.headers.authorization.split(' ')[1];
+    }
+    return undefined;
+};
+
+/**
+ * Verify a JWT and load the active user it belongs to
+ * 
+ * @async
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} User document (without password)
+ * @throws {ApiError} 401 if the token is invalid or the user cannot log in
+ */
+const resolveUser = async (token) => {
+    let decoded;
+    try {
+        // Verify token
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new ApiError('Invalid token. Please log in again!', 401);
+    }
+
+    // Check if user still exists
+    const currentUser = await User.findById(decoded.id).select('-password');
+    if (!currentUser) {
+        throw new ApiError('The user belonging to this token no longer exists.', 401);
+    }
+
+    // Check if user is active
+    if (currentUser.status !== 'active') {
+        throw new ApiError('Your account is not active. Please contact support.', 401);
+    }
+
+    return currentUser;
+};
+
 /**
  * Protect routes - Verify JWT token
  * 
@@ -29,15 +76,7 @@ const asyncHandler = (fn) => (req, res, next) => {
  * @param {Function} next - Express next middleware function
  */
 exports.protect = asyncHandler(async (req, res, next) => {
-    let token;
-
-    // Check if token exists in headers
-    if (
-        req.headers.authorization
-        && req.headers.authorization.startsWith('Bearer')
-    ) {
-        token = req.headers.authorization.split(' ')[1];
-    }
+    const token = extractToken(req);
 
     // Check if token exists
     if (!token) {
@@ -46,31 +85,9 @@ exports.protect = asyncHandler(async (req, res, next) => {
         );
     }
 
-    try {
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Check if user still exists
-        const currentUser = await User.findById(decoded.id).select('-password');
-        if (!currentUser) {
-            return next(
-                new ApiError('The user belonging to this token no longer exists.', 401),
-            );
-        }
-
-        // Check if user is active
-        if (currentUser.status !== 'active') {
-            return next(
-                new ApiError('Your account is not active. Please contact support.', 401),
-            );
-        }
-
-        // Grant access to protected route
-        req.user = currentUser;
-        next();
-    } catch (error) {
-        return next(new ApiError('Invalid token. Please log in again!', 401));
-    }
+    // Grant access to protected route
+    req.user = await resolveUser(token);
+    next();
 });
 
 /**
@@ -99,26 +116,14 @@ exports.restrictTo = (...roles) => (req, res, next) => {
  * @param {Function} next - Express next middleware function
  */
 exports.optionalAuth = asyncHandler(async (req, res, next) => {
-    let token;
-
-    if (
-        req.headers.authorization
-        && req.headers.authorization.startsWith('Bearer')
-    ) {
-        token = req.headers.authorization.split(' ')[1];
-    }
+    const token = extractToken(req);
 
     if (!token) {
         return next();
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const currentUser = await User.findById(decoded.id).select('-password');
-
-        if (currentUser && currentUser.status === 'active') {
-            req.user = currentUser;
-        }
+        req.user = await resolveUser(token);
     } catch (error) {
         // Token is invalid, but we don't throw error since auth is optional
     }
@@ -126,4 +131,23 @@ exports.optionalAuth = asyncHandler(async (req, res, next) => {
     next();
 });
 
+/**
+ * Accept the JWT as an `access_token` query parameter
+ * Browser EventSource clients cannot set an Authorization header, so streaming
+ * endpoints copy the query token into the header before optionalAuth/protect run.
+ * 
+ * @middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.queryToken = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
 module.exports.asyncHandler = asyncHandler;
+module.exports.extractToken = extractToken;
+module.exports.resolveUser = resolveUser;
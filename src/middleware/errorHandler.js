@@ -9,12 +9,14 @@ const logger = require('../config/logger');
 
 /**
  * Custom API Error class
+ * Optional details (e.g. the conflicting records) are sent with the message.
  */
 class ApiError extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode, details) {
         super(message);
         this.statusCode = statusCode;
         this.isOperational = true;
+        if (details) this.details = details;
         Error.captureStackTrace(this, this.constructor);
     }
 }
@@ -79,6 +81,7 @@ const sendErrorDev = (err, res) => {
         status: err.status || 'error',
         error: err,
         message: err.message,
+        details: err.details,
         stack: err.stack,
     });
 };
@@ -95,6 +98,7 @@ const sendErrorProd = (err, res) => {
         res.status(err.statusCode).json({
             status: err.status,
             message: err.message,
+            details: err.details,
         });
     } else {
         // Programming or other unknown error: don't leak error details
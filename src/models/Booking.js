@@ -0,0 +1,120 @@
+/**
+ * Booking Model
+ * 
+ * Reserved seats on a trip. A booking starts as a short hold, and is then
+ * confirmed, released or left to expire; confirmed bookings can be
+ * cancelled. Seats are numbered 1 to the bus capacity. A booking is for
+ * the whole route unless boarding and alighting stops are given.
+ * 
+ * A seat belongs to at most one held or confirmed booking per trip. The
+ * unique index enforces this, so concurrent requests for the same seat
+ * cannot both succeed.
+ * 
+ * @module models/Booking
+ */
+
+const mongoose = require('mongoose');
+
+const bookingSchema = new mongoose.Schema(
+    {
+        reference: {
+            type: String,
+            required: true,
+            unique: true,
+            uppercase: true,
+        },
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Please provide trip ID'],
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        seats: {
+            type: [
+                {
+                    type: Number,
+                    min: [1, 'Seat numbers start at 1'],
+                },
+            ],
+            validate: {
+                validator: (seats) => seats.length > 0 && new Set(seats).size === seats.length,
+                message: 'Provide at least one seat, without duplicates',
+            },
+        },
+        passenger: {
+            name: {
+                type: String,
+                required: [true, 'Please provide the passenger name'],
+                trim: true,
+                maxlength: [100, 'Passenger name cannot exceed 100 characters'],
+            },
+            phone: {
+                type: String,
+                required: [true, 'Please provide the passenger phone number'],
+                match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number'],
+            },
+        },
+        // Fare rules for this passenger type apply to the fare
+        passengerType: {
+            type: String,
+            enum: ['adult', 'student', 'senior', 'military', 'child'],
+            default: 'adult',
+        },
+        // Boarding and alighting stops; the fare and tickets cover this part of the route
+        from: {
+            stopId: mongoose.Schema.Types.ObjectId,
+            name: String,
+            fareStage: Number,
+        },
+        to: {
+            stopId: mongoose.Schema.Types.ObjectId,
+            name: String,
+            fareStage: Number,
+        },
+        status: {
+            type: String,
+            enum: ['held', 'confirmed', 'released', 'expired', 'cancelled'],
+            default: 'held',
+        },
+        // End of the hold; a held booking is void after it
+        expiresAt: {
+            type: Date,
+        },
+        farePerSeat: {
+            type: Number,
+            min: [0, 'Fare cannot be negative'],
+        },
+        totalFare: {
+            type: Number,
+            min: [0, 'Fare cannot be negative'],
+        },
+        confirmedAt: Date,
+        releasedAt: Date,
+        cancelledAt: Date,
+        cancellationReason: {
+            type: String,
+            trim: true,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    },
+);
+
+// One held or confirmed booking per seat and trip
+bookingSchema.index(
+    { tripId: 1, seats: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['held', 'confirmed'] } } },
+);
+bookingSchema.index({ tripId: 1, status: 1 });
+bookingSchema.index({ userId: 1, createdAt: -1 });
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
@@ -65,6 +65,15 @@ const busSchema = new mongoose.Schema(
                 enum: ['AC', 'WiFi', 'USB Charging', 'Reclining Seats', 'Rest Room'],
             },
         ],
+        // Service class, priced by fare rules (see FareRule)
+        serviceClass: {
+            type: String,
+            enum: {
+                values: ['normal', 'semi-luxury', 'luxury', 'super-luxury'],
+                message: 'Service class must be normal, semi-luxury, luxury, or super-luxury',
+            },
+            default: 'normal',
+        },
         lastMaintenance: {
             type: Date,
         },
@@ -0,0 +1,107 @@
+/**
+ * Crew Model
+ * 
+ * Represents drivers and conductors employed by an operator.
+ * Drivers carry a license whose class and expiry are checked when they are
+ * assigned to trips.
+ * 
+ * @module models/Crew
+ */
+
+const mongoose = require('mongoose');
+
+// Sri Lankan driving license classes for heavy vehicles
+const LICENSE_CLASSES = ['C1', 'C', 'CE', 'D1', 'D', 'DE'];
+
+const crewSchema = new mongoose.Schema(
+    {
+        employeeNumber: {
+            type: String,
+            required: [true, 'Please provide an employee number'],
+            unique: true,
+            trim: true,
+            uppercase: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Please provide crew member name'],
+            trim: true,
+        },
+        role: {
+            type: String,
+            enum: {
+                values: ['driver', 'conductor'],
+                message: 'Role must be driver or conductor',
+            },
+            required: [true, 'Please provide crew role'],
+        },
+        operatorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Operator',
+            required: [true, 'Please assign an operator to this crew member'],
+        },
+        phone: {
+            type: String,
+            match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number'],
+        },
+        license: {
+            number: {
+                type: String,
+                trim: true,
+                uppercase: true,
+            },
+            class: {
+                type: String,
+                enum: {
+                    values: LICENSE_CLASSES,
+                    message: `License class must be one of ${LICENSE_CLASSES.join(', ')}`,
+                },
+            },
+            expiry: {
+                type: Date,
+            },
+        },
+        status: {
+            type: String,
+            enum: ['active', 'inactive', 'suspended'],
+            default: 'active',
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    },
+);
+
+crewSchema.index({ operatorId: 1, role: 1 });
+crewSchema.index({ 'license.expiry': 1 });
+
+/**
+ * Check if the license is expired at a given time
+ * 
+ * @param {Date} [at] - Reference time (default: now)
+ * @returns {boolean} True if there is no license expiry or it has passed
+ */
+crewSchema.methods.isLicenseExpired = function (at = new Date()) {
+    return !this.license || !this.license.expiry || this.license.expiry < at;
+};
+
+/**
+ * Pre-validate middleware to require license details for drivers
+ */
+crewSchema.pre('validate', function (next) {
+    if (this.role === 'driver') {
+        ['number', 'class', 'expiry'].forEach((field) => {
+            if (!this.license || !this.license[field]) {
+                this.invalidate(`license.${field}`, `Please provide the driver's license ${field}`);
+            }
+        });
+    }
+    next();
+});
+
+const Crew = mongoose.model('Crew', crewSchema);
+
+module.exports = Crew;
+module.exports.LICENSE_CLASSES = LICENSE_CLASSES;
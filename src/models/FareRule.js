@@ -0,0 +1,125 @@
+/**
+ * FareRule Model
+ * 
+ * An adjustment to the base fare (fare table or route fare) for a passenger
+ * type or a kind of service: concessions such as half fare for students,
+ * surcharges for AC buses, multiples for luxury classes. Active rules are
+ * applied in ascending priority; a rule applies when every condition it
+ * sets matches, and an empty condition matches anything.
+ * 
+ * Actions:
+ * 
+ * - multiply: fare × value (e.g. 2 for luxury)
+ * - percent: fare changed by value percent (e.g. -50 for half fare, 20 for AC)
+ * - amount: value added to the fare (negative to deduct)
+ * - fixed: fare set to value (e.g. a flat child fare)
+ * 
+ * @module models/FareRule
+ */
+
+const mongoose = require('mongoose');
+
+const fareRuleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Please provide rule name'],
+            unique: true,
+            trim: true,
+            maxlength: [100, 'Rule name cannot exceed 100 characters'],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Description cannot exceed 500 characters'],
+        },
+        // Lower numbers are applied first
+        priority: {
+            type: Number,
+            required: [true, 'Please provide rule priority'],
+            min: [0, 'Priority cannot be negative'],
+        },
+        passengerTypes: [
+            {
+                type: String,
+                enum: ['adult', 'student', 'senior', 'military', 'child'],
+            },
+        ],
+        // The bus must have all of these features
+        busFeatures: [
+            {
+                type: String,
+                enum: ['AC', 'WiFi', 'USB Charging', 'Reclining Seats', 'Rest Room'],
+            },
+        ],
+        serviceClasses: [
+            {
+                type: String,
+                enum: ['normal', 'semi-luxury', 'luxury', 'super-luxury'],
+            },
+        ],
+        routeIds: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Route',
+            },
+        ],
+        action: {
+            type: String,
+            required: [true, 'Please provide rule action'],
+            enum: {
+                values: ['multiply', 'percent', 'amount', 'fixed'],
+                message: 'Action must be multiply, percent, amount, or fixed',
+            },
+        },
+        value: {
+            type: Number,
+            required: [true, 'Please provide rule value'],
+        },
+        // No later rule applies once this one has
+        stopProcessing: {
+            type: Boolean,
+            default: false,
+        },
+        effectiveFrom: {
+            type: Date,
+        },
+        effectiveUntil: {
+            type: Date,
+        },
+        status: {
+            type: String,
+            enum: ['active', 'inactive'],
+            default: 'active',
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+fareRuleSchema.index({ status: 1, priority: 1 });
+
+/**
+ * Pre-validate middleware to check the value suits the action and the dates are in order
+ */
+fareRuleSchema.pre('validate', function (next) {
+    if (['multiply', 'fixed'].includes(this.action) && this.value < 0) {
+        this.invalidate('value', `A ${this.action} rule cannot have a negative value`);
+    }
+    if (this.action === 'percent' && this.value < -100) {
+        this.invalidate('value', 'A percent rule cannot take off more than 100%');
+    }
+    if (this.effectiveFrom && this.effectiveUntil && this.effectiveUntil <= this.effectiveFrom) {
+        this.invalidate('effectiveUntil', 'Rule must end after it starts');
+    }
+    next();
+});
+
+const FareRule = mongoose.model('FareRule', fareRuleSchema);
+
+module.exports = FareRule;
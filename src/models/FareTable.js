@@ -0,0 +1,97 @@
+/**
+ * FareTable Model
+ * 
+ * Stage-to-stage fares of a route from an effective date. A new version is
+ * added for every fare revision; the version in effect on a travel date is
+ * the latest one starting on or before it.
+ * 
+ * Stages are the fare stages of the route's stops (see Route.stops.fareStage).
+ * Travel within one stage costs the minimum fare.
+ * 
+ * @module models/FareTable
+ */
+
+const mongoose = require('mongoose');
+
+const fareTableSchema = new mongoose.Schema(
+    {
+        routeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Route',
+            required: [true, 'Please assign a route to this fare table'],
+        },
+        effectiveFrom: {
+            type: Date,
+            required: [true, 'Please provide the effective date'],
+        },
+        minimumFare: {
+            type: Number,
+            required: [true, 'Please provide the minimum fare'],
+            min: [0, 'Fare cannot be negative'],
+        },
+        // One entry per pair of stages, in travel direction
+        fares: {
+            type: [
+                {
+                    _id: false,
+                    fromStage: {
+                        type: Number,
+                        required: true,
+                        min: 1,
+                    },
+                    toStage: {
+                        type: Number,
+                        required: true,
+                        min: 1,
+                    },
+                    amount: {
+                        type: Number,
+                        required: true,
+                        min: [0, 'Fare cannot be negative'],
+                    },
+                },
+            ],
+            validate: {
+                validator: (fares) => fares.length > 0,
+                message: 'Provide at least one stage fare',
+            },
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Notes cannot exceed 500 characters'],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+fareTableSchema.index({ routeId: 1, effectiveFrom: -1 }, { unique: true });
+
+/**
+ * Pre-validate middleware to check stage pairs run forward and are listed once
+ */
+fareTableSchema.pre('validate', function (next) {
+    const seen = new Set();
+
+    this.fares.forEach((fare) => {
+        const key = `${fare.fromStage}-${fare.toStage}`;
+        if (fare.toStage <= fare.fromStage) {
+            this.invalidate('fares', `Stage ${fare.toStage} must come after stage ${fare.fromStage}`);
+        } else if (seen.has(key)) {
+            this.invalidate('fares', `Fare from stage ${fare.fromStage} to ${fare.toStage} is listed twice`);
+        }
+        seen.add(key);
+    });
+
+    next();
+});
+
+const FareTable = mongoose.model('FareTable', fareTableSchema);
+
+module.exports = FareTable;
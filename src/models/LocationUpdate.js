@@ -8,6 +8,8 @@
  */
 
 const mongoose = require('mongoose');
+const pointSchema = require('./schemas/pointSchema');
+const { haversineDistance } = require('../utils/geo');
 
 const locationUpdateSchema = new mongoose.Schema(
     {
@@ -23,18 +25,8 @@ const locationUpdateSchema = new mongoose.Schema(
             index: true,
         },
         coordinates: {
-            lat: {
-                type: Number,
-                required: [true, 'Please provide latitude'],
-                min: [-90, 'Latitude must be between -90 and 90'],
-                max: [90, 'Latitude must be between -90 and 90'],
-            },
-            lng: {
-                type: Number,
-                required: [true, 'Please provide longitude'],
-                min: [-180, 'Longitude must be between -180 and 180'],
-                max: [180, 'Longitude must be between -180 and 180'],
-            },
+            type: pointSchema, // GeoJSON Point; accepts and exposes { lat, lng }
+            required: [true, 'Please provide coordinates'],
         },
         speed: {
             type: Number, // in km/h
@@ -72,7 +64,9 @@ const locationUpdateSchema = new mongoose.Schema(
 locationUpdateSchema.index({ busId: 1, timestamp: -1 });
 locationUpdateSchema.index({ tripId: 1, timestamp: -1 });
 locationUpdateSchema.index({ timestamp: -1 });
-locationUpdateSchema.index({ 'coordinates.lat': 1, 'coordinates.lng': 1 });
+locationUpdateSchema.index({ coordinates: '2dsphere', timestamp: -1 });
+// One point per bus and instant: replayed uploads are rejected by the database
+locationUpdateSchema.index({ busId: 1, timestamp: 1 }, { unique: true });
 
 // TTL index to auto-delete old location data after 30 days
 locationUpdateSchema.index(
@@ -90,20 +84,7 @@ locationUpdateSchema.index(
  * @returns {number} Distance in kilometers
  */
 locationUpdateSchema.statics.calculateDistance = function (lat1, lng1, lat2, lng2) {
-    const R = 6371; // Radius of the Earth in km
-    const dLat = (lat2 - lat1) * (Math.PI / 180);
-    const dLng = (lng2 - lng1) * (Math.PI / 180);
-
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2)
-        + Math.cos(lat1 * (Math.PI / 180))
-        * Math.cos(lat2 * (Math.PI / 180))
-        * Math.sin(dLng / 2)
-        * Math.sin(dLng / 2);
-
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c;
-
-    return distance;
+    return haversineDistance(lat1, lng1, lat2, lng2);
 };
 
 /**
@@ -116,7 +97,7 @@ locationUpdateSchema.statics.getLatestLocation = async function (busId) {
     return this.findOne({ busId })
         .sort({ timestamp: -1 })
         .populate('busId', 'registrationNumber routeId')
-        .populate('tripId', 'tripNumber status');
+        .populate('tripId', 'tripNumber status occupancy');
 };
 
 /**
@@ -125,32 +106,43 @@ locationUpdateSchema.statics.getLatestLocation = async function (busId) {
  * @param {ObjectId} busId - Bus ID
  * @param {Date} startTime - Start time
  * @param {Date} endTime - End time
+ * @param {number} [limit] - Maximum number of updates (oldest first)
  * @returns {Promise<Array>} Array of location updates
  */
 locationUpdateSchema.statics.getLocationHistory = async function (
     busId,
     startTime,
     endTime,
+    limit,
 ) {
-    return this.find({
+    const query = this.find({
         busId,
         timestamp: { $gte: startTime, $lte: endTime },
     })
         .sort({ timestamp: 1 })
         .select('coordinates speed timestamp status');
+
+    return limit ? query.limit(limit) : query;
+};
+
+/**
+ * Derive movement status from speed
+ * Also used for bulk inserts, which bypass save middleware.
+ * 
+ * @param {number} speed - Speed in km/h
+ * @returns {string} moving, idle or stopped
+ */
+locationUpdateSchema.statics.statusForSpeed = function (speed) {
+    if (speed === 0) return 'stopped';
+    if (speed > 0 && speed < 5) return 'idle';
+    return 'moving';
 };
 
 /**
  * Pre-save middleware to auto-determine status based on speed
  */
 locationUpdateSchema.pre('save', function (next) {
-    if (this.speed === 0) {
-        this.status = 'stopped';
-    } else if (this.speed > 0 && this.speed < 5) {
-        this.status = 'idle';
-    } else {
-        this.status = 'moving';
-    }
+    this.status = this.constructor.statusForSpeed(this.speed);
     next();
 });
 
@@ -0,0 +1,66 @@
+/**
+ * PassengerCount Model
+ * 
+ * Boarding and alighting counts reported by the conductor at a stop during
+ * a trip. One report per trip and stop; a later report for the same stop
+ * replaces the earlier one.
+ * 
+ * @module models/PassengerCount
+ */
+
+const mongoose = require('mongoose');
+
+const passengerCountSchema = new mongoose.Schema(
+    {
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Please provide trip ID'],
+        },
+        busId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bus',
+            required: [true, 'Please provide bus ID'],
+        },
+        stopId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Please provide stop ID'],
+        },
+        stopName: {
+            type: String,
+            trim: true,
+        },
+        stopOrder: {
+            type: Number,
+            required: true,
+        },
+        boarded: {
+            type: Number,
+            min: [0, 'Boarded count cannot be negative'],
+            default: 0,
+        },
+        alighted: {
+            type: Number,
+            min: [0, 'Alighted count cannot be negative'],
+            default: 0,
+        },
+        reportedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reportedAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+passengerCountSchema.index({ tripId: 1, stopId: 1 }, { unique: true });
+passengerCountSchema.index({ tripId: 1, stopOrder: 1 });
+
+const PassengerCount = mongoose.model('PassengerCount', passengerCountSchema);
+
+module.exports = PassengerCount;
@@ -0,0 +1,103 @@
+/**
+ * QuarantinedLocation Model
+ * 
+ * GPS points held back by anomaly detection (teleports, out-of-country or
+ * 0,0 fixes, poor accuracy). They are never published as a bus's position
+ * unless an admin approves them, which releases them into LocationUpdate.
+ * 
+ * @module models/QuarantinedLocation
+ */
+
+const mongoose = require('mongoose');
+const pointSchema = require('./schemas/pointSchema');
+
+const quarantinedLocationSchema = new mongoose.Schema(
+    {
+        busId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bus',
+            required: [true, 'Please provide bus ID'],
+        },
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+        },
+        coordinates: {
+            type: pointSchema,
+            required: [true, 'Please provide coordinates'],
+        },
+        speed: {
+            type: Number,
+            min: 0,
+        },
+        heading: {
+            type: Number,
+            min: 0,
+            max: 360,
+        },
+        accuracy: {
+            type: Number,
+            min: 0,
+        },
+        timestamp: {
+            type: Date,
+            required: true,
+        },
+        reasons: [
+            {
+                _id: false,
+                code: {
+                    type: String,
+                    enum: ['null-island', 'out-of-bounds', 'low-accuracy', 'implied-speed', 'heading-mismatch'],
+                    required: true,
+                },
+                message: {
+                    type: String,
+                    required: true,
+                },
+            },
+        ],
+        // Last accepted point the checks compared against
+        previousLocationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LocationUpdate',
+        },
+        reviewStatus: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected'],
+            default: 'pending',
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reviewedAt: {
+            type: Date,
+        },
+        reviewNote: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Review note cannot exceed 500 characters'],
+        },
+        // Set when an approved point is released into the location history
+        locationUpdateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LocationUpdate',
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+quarantinedLocationSchema.index({ busId: 1, reviewStatus: 1, timestamp: -1 });
+
+// Same retention as LocationUpdate
+quarantinedLocationSchema.index(
+    { timestamp: 1 },
+    { expireAfterSeconds: 30 * 24 * 60 * 60 },
+);
+
+const QuarantinedLocation = mongoose.model('QuarantinedLocation', quarantinedLocationSchema);
+
+module.exports = QuarantinedLocation;
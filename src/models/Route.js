@@ -8,6 +8,7 @@
  */
 
 const mongoose = require('mongoose');
+const pointSchema = require('./schemas/pointSchema');
 
 const routeSchema = new mongoose.Schema(
     {
@@ -43,38 +44,73 @@ const routeSchema = new mongoose.Schema(
             required: [true, 'Please provide estimated duration in minutes'],
             min: [0, 'Duration cannot be negative'],
         },
-        stops: [
-            {
-                name: {
-                    type: String,
-                    required: true,
-                    trim: true,
-                },
-                order: {
-                    type: Number,
-                    required: true,
-                },
-                coordinates: {
-                    lat: {
-                        type: Number,
+        stops: {
+            type: [
+                {
+                    name: {
+                        type: String,
                         required: true,
-                        min: [-90, 'Latitude must be between -90 and 90'],
-                        max: [90, 'Latitude must be between -90 and 90'],
+                        trim: true,
                     },
-                    lng: {
+                    order: {
                         type: Number,
                         required: true,
-                        min: [-180, 'Longitude must be between -180 and 180'],
-                        max: [180, 'Longitude must be between -180 and 180'],
                     },
+                    coordinates: {
+                        type: pointSchema, // GeoJSON Point; accepts and exposes { lat, lng }
+                        required: true,
+                    },
+                    // Fare stage the stop belongs to; without stages every stop is its own stage
+                    fareStage: {
+                        type: Number,
+                        min: [1, 'Fare stages are numbered from 1'],
+                    },
+                },
+            ],
+            validate: {
+                validator: (stops) => {
+                    const staged = stops.filter((stop) => stop.fareStage !== undefined && stop.fareStage !== null);
+                    if (staged.length === 0) return true;
+                    if (staged.length !== stops.length) return false;
+
+                    const stages = [...stops].sort((a, b) => a.order - b.order).map((stop) => stop.fareStage);
+                    return stages.every((stage, index) => index === 0 || stage >= stages[index - 1]);
                 },
+                message: 'Set a fare stage on every stop or on none, not decreasing along the route',
+            },
+        },
+        // Road path between the stops, used for off-route detection
+        shape: {
+            polyline: {
+                type: String, // Google encoded polyline (precision 5)
+                select: false,
             },
-        ],
+            source: {
+                type: String,
+                enum: ['uploaded', 'recorded'],
+            },
+            sourceTripId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Trip',
+            },
+            pointCount: {
+                type: Number,
+                min: 0,
+            },
+            lengthKm: {
+                type: Number,
+                min: 0,
+            },
+            updatedAt: {
+                type: Date,
+            },
+        },
         status: {
             type: String,
             enum: ['active', 'inactive', 'suspended'],
             default: 'active',
         },
+        // Full-route fare, used (pro-rated by distance) when no fare table is in effect
         fare: {
             type: Number,
             required: [true, 'Please provide base fare'],
@@ -92,6 +128,7 @@ const routeSchema = new mongoose.Schema(
 routeSchema.index({ routeNumber: 1 });
 routeSchema.index({ origin: 1, destination: 1 });
 routeSchema.index({ status: 1 });
+routeSchema.index({ 'stops.coordinates': '2dsphere' });
 
 // Virtual for buses on this route
 routeSchema.virtual('buses', {
@@ -107,6 +144,13 @@ routeSchema.virtual('trips', {
     foreignField: 'routeId',
 });
 
+// Virtual for fare table versions of this route
+routeSchema.virtual('fareTables', {
+    ref: 'FareTable',
+    localField: '_id',
+    foreignField: 'routeId',
+});
+
 /**
  * Pre-save middleware to validate stops order
  */
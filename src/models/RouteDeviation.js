@@ -0,0 +1,100 @@
+/**
+ * RouteDeviation Model
+ * 
+ * An off-route incident for a trip: the bus left its route's shape corridor.
+ * An incident is pending while the bus is outside the corridor but within the
+ * time tolerance, open once raised, and closed when the bus rejoins the route.
+ * 
+ * @module models/RouteDeviation
+ */
+
+const mongoose = require('mongoose');
+const pointSchema = require('./schemas/pointSchema');
+
+const routeDeviationSchema = new mongoose.Schema(
+    {
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Please provide trip ID'],
+        },
+        busId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bus',
+            required: [true, 'Please provide bus ID'],
+        },
+        routeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Route',
+            required: [true, 'Please provide route ID'],
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'open', 'closed'],
+            default: 'pending',
+        },
+        startedAt: {
+            type: Date,
+            required: [true, 'Please provide deviation start time'],
+        },
+        raisedAt: {
+            type: Date,
+        },
+        endedAt: {
+            type: Date,
+        },
+        lastSeenAt: {
+            type: Date,
+        },
+        startLocation: {
+            type: pointSchema,
+        },
+        farthestLocation: {
+            type: pointSchema,
+        },
+        maxDistanceM: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        pointCount: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        firstLocationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LocationUpdate',
+        },
+        lastLocationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LocationUpdate',
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    },
+);
+
+routeDeviationSchema.index({ tripId: 1, startedAt: 1 });
+routeDeviationSchema.index({ routeId: 1, status: 1 });
+// At most one unfinished incident per trip
+routeDeviationSchema.index(
+    { tripId: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['pending', 'open'] } } },
+);
+
+/**
+ * Virtual for time spent off route so far, in seconds
+ */
+routeDeviationSchema.virtual('durationSeconds').get(function () {
+    const end = this.endedAt || this.lastSeenAt;
+    if (!end || !this.startedAt) return 0;
+    return Math.max(0, Math.round((end - this.startedAt) / 1000));
+});
+
+const RouteDeviation = mongoose.model('RouteDeviation', routeDeviationSchema);
+
+module.exports = RouteDeviation;
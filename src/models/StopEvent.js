@@ -0,0 +1,96 @@
+/**
+ * StopEvent Model
+ * 
+ * Records when a bus arrived at and departed from a route stop during a trip.
+ * Created by the geofence detector from incoming location updates.
+ * 
+ * @module models/StopEvent
+ */
+
+const mongoose = require('mongoose');
+
+const stopEventSchema = new mongoose.Schema(
+    {
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Please provide trip ID'],
+        },
+        busId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bus',
+            required: [true, 'Please provide bus ID'],
+        },
+        routeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Route',
+            required: [true, 'Please provide route ID'],
+        },
+        stopId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Please provide stop ID'],
+        },
+        stopName: {
+            type: String,
+            trim: true,
+        },
+        stopOrder: {
+            type: Number,
+            required: true,
+        },
+        arrivedAt: {
+            type: Date,
+            required: [true, 'Please provide arrival time'],
+        },
+        departedAt: {
+            type: Date,
+        },
+        dwellSeconds: {
+            type: Number,
+            min: [0, 'Dwell time cannot be negative'],
+        },
+        arrivalLocationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LocationUpdate',
+        },
+        departureLocationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LocationUpdate',
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    },
+);
+
+// One event per stop per trip; re-entries within the grace period reopen it
+stopEventSchema.index({ tripId: 1, stopId: 1 }, { unique: true });
+stopEventSchema.index({ tripId: 1, stopOrder: 1 });
+stopEventSchema.index({ routeId: 1, arrivedAt: -1 });
+
+/**
+ * Check if the bus is still at the stop
+ * 
+ * @returns {boolean} True if no departure has been recorded
+ */
+stopEventSchema.methods.isOpen = function () {
+    return !this.departedAt;
+};
+
+/**
+ * Record departure and compute dwell time
+ * 
+ * @param {Date} departedAt - Departure time
+ * @param {ObjectId} [locationId] - Location update that triggered the departure
+ */
+stopEventSchema.methods.markDeparted = function (departedAt, locationId) {
+    this.departedAt = departedAt;
+    this.departureLocationId = locationId;
+    this.dwellSeconds = Math.max(0, Math.round((departedAt - this.arrivedAt) / 1000));
+};
+
+const StopEvent = mongoose.model('StopEvent', stopEventSchema);
+
+module.exports = StopEvent;
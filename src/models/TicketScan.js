@@ -0,0 +1,80 @@
+/**
+ * TicketScan Model
+ * 
+ * A ticket validation made by a conductor's handheld, uploaded when the
+ * device syncs. Scans are kept as reported, with the server's own check of
+ * the ticket, so a ticket presented on more than one bus can be found.
+ * 
+ * @module models/TicketScan
+ */
+
+const mongoose = require('mongoose');
+
+const ticketScanSchema = new mongoose.Schema(
+    {
+        ticketId: {
+            type: String,
+            required: [true, 'Please provide ticket ID'],
+            uppercase: true,
+        },
+        bookingReference: {
+            type: String,
+            uppercase: true,
+        },
+        // Trip and seat the ticket was issued for
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+        },
+        seat: {
+            type: Number,
+        },
+        // Trip and bus the ticket was presented on
+        scannedTripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+        },
+        busId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bus',
+            required: [true, 'Please provide bus ID'],
+        },
+        deviceId: {
+            type: String,
+            required: [true, 'Please provide device ID'],
+            trim: true,
+        },
+        scannedAt: {
+            type: Date,
+            required: [true, 'Please provide scan time'],
+        },
+        // What the handheld decided offline
+        deviceResult: {
+            type: String,
+            enum: ['accepted', 'rejected'],
+        },
+        // Problems found when the server checked the ticket
+        issues: [
+            {
+                type: String,
+                enum: ['bad-signature', 'expired', 'wrong-trip', 'revoked'],
+            },
+        ],
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// A re-uploaded scan is recognised and stored once
+ticketScanSchema.index({ deviceId: 1, ticketId: 1, scannedAt: 1 }, { unique: true });
+ticketScanSchema.index({ ticketId: 1, scannedAt: 1 });
+ticketScanSchema.index({ scannedAt: -1 });
+
+const TicketScan = mongoose.model('TicketScan', ticketScanSchema);
+
+module.exports = TicketScan;
@@ -0,0 +1,132 @@
+/**
+ * Timetable Model
+ * 
+ * Recurring schedule template for a route: departure times on given days of
+ * the week within an effective date range. The trip generator materializes
+ * Trip documents from it for a rolling horizon.
+ * 
+ * @module models/Timetable
+ */
+
+const mongoose = require('mongoose');
+
+const timetableSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, 'Please provide a timetable code'],
+            unique: true,
+            trim: true,
+            uppercase: true,
+            match: [/^[A-Z0-9-]{2,20}$/, 'Code may only contain letters, digits and hyphens (2-20 characters)'],
+        },
+        name: {
+            type: String,
+            required: [true, 'Please provide a timetable name'],
+            trim: true,
+        },
+        routeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Route',
+            required: [true, 'Please assign a route to this timetable'],
+        },
+        // Local departure times (GTFS time zone) as HH:mm
+        departureTimes: {
+            type: [
+                {
+                    type: String,
+                    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Departure times must be HH:mm'],
+                },
+            ],
+            validate: {
+                validator: (times) => times.length > 0 && new Set(times).size === times.length,
+                message: 'Provide at least one departure time, without duplicates',
+            },
+        },
+        // 0 = Sunday ... 6 = Saturday
+        daysOfWeek: {
+            type: [
+                {
+                    type: Number,
+                    min: 0,
+                    max: 6,
+                },
+            ],
+            validate: {
+                validator: (days) => days.length > 0,
+                message: 'Provide at least one day of the week',
+            },
+        },
+        effectiveFrom: {
+            type: Date,
+            required: [true, 'Please provide the effective start date'],
+        },
+        effectiveTo: {
+            type: Date,
+        },
+        defaultBusId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bus',
+            required: [true, 'Please assign a default bus'],
+        },
+        // Fare override for the generated trips; unset, they inherit the route's fare table
+        fare: {
+            type: Number,
+            min: [0, 'Fare cannot be negative'],
+        },
+        // Defaults to the route's estimated duration
+        durationMinutes: {
+            type: Number,
+            min: [1, 'Duration must be at least 1 minute'],
+        },
+        status: {
+            type: String,
+            enum: ['active', 'inactive'],
+            default: 'active',
+        },
+        // Last day trips have been generated for
+        generatedThrough: {
+            type: Date,
+        },
+        // Edited without regenerating: no trips are generated until it is
+        regenerationPending: {
+            type: Boolean,
+            default: false,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    },
+);
+
+timetableSchema.index({ routeId: 1, status: 1 });
+
+// Virtual for trips generated from this timetable
+timetableSchema.virtual('trips', {
+    ref: 'Trip',
+    localField: '_id',
+    foreignField: 'timetableId',
+});
+
+/**
+ * Pre-validate middleware to check the effective range and keep times and days ordered
+ */
+timetableSchema.pre('validate', function (next) {
+    if (this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+        this.invalidate('effectiveTo', 'Effective end date must be on or after the start date');
+    }
+
+    this.departureTimes.sort();
+    this.daysOfWeek.sort();
+    next();
+});
+
+const Timetable = mongoose.model('Timetable', timetableSchema);
+
+module.exports = Timetable;
@@ -28,6 +28,11 @@ const tripSchema = new mongoose.Schema(
             ref: 'Route',
             required: [true, 'Please assign a route to this trip'],
         },
+        // Set for trips generated from a timetable template
+        timetableId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Timetable',
+        },
         scheduledDepartureTime: {
             type: Date,
             required: [true, 'Please provide scheduled departure time'],
@@ -54,6 +59,64 @@ const tripSchema = new mongoose.Schema(
             type: String,
             trim: true,
         },
+        cancellationReason: {
+            type: String,
+            trim: true,
+        },
+        statusSource: {
+            type: String,
+            enum: ['schedule', 'gps', 'manual'],
+            default: 'schedule',
+        },
+        statusHistory: {
+            type: [
+                {
+                    from: String,
+                    to: String,
+                    at: {
+                        type: Date,
+                        default: Date.now,
+                    },
+                    source: {
+                        type: String,
+                        enum: ['schedule', 'gps', 'manual'],
+                    },
+                    reason: String,
+                    // Acting user for manual changes
+                    by: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: 'User',
+                    },
+                    locationUpdateId: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: 'LocationUpdate',
+                    },
+                },
+            ],
+            select: false,
+        },
+        // Knock-on delay from the bus's earlier trip running late (status unchanged)
+        projectedDelay: {
+            minutes: Number,
+            estimatedDepartureTime: Date,
+            estimatedArrivalTime: Date,
+            causedByTripId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Trip',
+            },
+            updatedAt: Date,
+        },
+        // Assigned crew members (checked against license and duty rules)
+        crew: {
+            driverId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Crew',
+            },
+            conductorId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Crew',
+            },
+        },
         driver: {
             name: {
                 type: String,
@@ -68,9 +131,9 @@ const tripSchema = new mongoose.Schema(
                 match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number'],
             },
         },
+        // Overrides the route's fare table for this trip; normally unset so the trip inherits it
         fare: {
             type: Number,
-            required: [true, 'Please provide fare amount'],
             min: [0, 'Fare cannot be negative'],
         },
         estimatedPassengers: {
@@ -78,6 +141,21 @@ const tripSchema = new mongoose.Schema(
             min: [0, 'Estimated passengers cannot be negative'],
             default: 0,
         },
+        // Live load from the conductor's passenger counts
+        occupancy: {
+            passengers: {
+                type: Number,
+                min: 0,
+            },
+            capacity: Number,
+            band: {
+                type: String,
+                enum: ['seats-available', 'standing', 'full'],
+            },
+            lastStopName: String,
+            // When the counts were read; older results never overwrite newer ones
+            computedAt: Date,
+        },
     },
     {
         timestamps: true,
@@ -92,6 +170,10 @@ tripSchema.index({ routeId: 1, scheduledDepartureTime: 1 });
 tripSchema.index({ status: 1 });
 tripSchema.index({ scheduledDepartureTime: 1 });
 tripSchema.index({ tripNumber: 1 });
+tripSchema.index({ timetableId: 1, scheduledDepartureTime: 1 });
+tripSchema.index({ 'projectedDelay.causedByTripId': 1 }, { sparse: true });
+tripSchema.index({ 'crew.driverId': 1, scheduledDepartureTime: 1 });
+tripSchema.index({ 'crew.conductorId': 1, scheduledDepartureTime: 1 });
 
 // Virtual for location updates during this trip
 tripSchema.virtual('locationUpdates', {
@@ -148,17 +230,8 @@ tripSchema.pre('save', function (next) {
         }
     }
 
-    // Auto-set status based on times
-    const now = new Date();
-
-    if (this.actualArrivalTime && this.actualArrivalTime < now) {
-        this.status = 'completed';
-    } else if (this.actualDepartureTime && this.actualDepartureTime < now) {
-        if (this.status !== 'completed' && this.status !== 'cancelled') {
-            this.status = 'in-transit';
-        }
-    }
-
+    // Status is not derived from the actual times here: every change goes
+    // through tripStatusService so it is validated and recorded
     next();
 });
 
@@ -169,10 +242,13 @@ tripSchema.pre(/^find/, function (next) {
     if (!this.getOptions().skipPopulate) {
         this.populate({
             path: 'busId',
-            select: 'registrationNumber capacity status features',
+            select: 'registrationNumber capacity status features serviceClass',
         }).populate({
             path: 'routeId',
             select: 'routeNumber name origin destination distance estimatedDuration',
+        }).populate({
+            path: 'crew.driverId crew.conductorId',
+            select: 'employeeNumber name role phone',
         });
     }
     next();
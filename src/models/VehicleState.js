@@ -0,0 +1,79 @@
+/**
+ * VehicleState Model
+ * 
+ * Current state of each bus: its newest accepted position plus the route,
+ * operator and trip it belongs to. One document per bus, maintained from
+ * the location pipeline and rebuildable from LocationUpdate, so fleet-wide
+ * map queries read a single small collection instead of the location history.
+ * 
+ * @module models/VehicleState
+ */
+
+const mongoose = require('mongoose');
+const pointSchema = require('./schemas/pointSchema');
+
+const vehicleStateSchema = new mongoose.Schema(
+    {
+        busId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Bus',
+            required: [true, 'Please provide bus ID'],
+            unique: true,
+        },
+        registrationNumber: {
+            type: String,
+            trim: true,
+        },
+        routeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Route',
+        },
+        operatorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Operator',
+        },
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+        },
+        coordinates: {
+            type: pointSchema,
+            required: [true, 'Please provide coordinates'],
+        },
+        speed: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        heading: {
+            type: Number,
+            min: 0,
+            max: 360,
+        },
+        status: {
+            type: String,
+            enum: ['moving', 'stopped', 'idle'],
+        },
+        // Device time of the position (staleness is measured from here)
+        timestamp: {
+            type: Date,
+            required: true,
+        },
+        locationUpdateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LocationUpdate',
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+vehicleStateSchema.index({ coordinates: '2dsphere' });
+vehicleStateSchema.index({ routeId: 1, timestamp: -1 });
+vehicleStateSchema.index({ operatorId: 1, timestamp: -1 });
+vehicleStateSchema.index({ timestamp: -1 });
+
+const VehicleState = mongoose.model('VehicleState', vehicleStateSchema);
+
+module.exports = VehicleState;
@@ -0,0 +1,86 @@
+/**
+ * GeoJSON Point Sub-Schema
+ * 
+ * Stores positions as GeoJSON Points ({ type: 'Point', coordinates: [lng, lat] })
+ * so they can back 2dsphere indexes, while still accepting and exposing the
+ * { lat, lng } shape used by the API through virtuals.
+ * 
+ * @module models/schemas/pointSchema
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Check a [lng, lat] pair is within valid ranges
+ * 
+ * @param {Array<number>} value - Coordinates array
+ * @returns {boolean} True if valid
+ */
+const isValidPosition = (value) => Array.isArray(value)
+    && value.length === 2
+    && value[0] >= -180 && value[0] <= 180
+    && value[1] >= -90 && value[1] <= 90;
+
+const pointSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point',
+            required: true,
+        },
+        coordinates: {
+            type: [Number], // [lng, lat]
+            required: [true, 'Please provide coordinates'],
+            validate: {
+                validator: isValidPosition,
+                message: 'Latitude must be between -90 and 90 and longitude between -180 and 180',
+            },
+        },
+    },
+    {
+        _id: false,
+        toJSON: {
+            virtuals: true,
+            transform: (doc, ret) => ({
+                type: ret.type,
+                coordinates: ret.coordinates,
+                lat: ret.coordinates ? ret.coordinates[1] : undefined,
+                lng: ret.coordinates ? ret.coordinates[0] : undefined,
+            }),
+        },
+    },
+);
+
+/**
+ * Replace one axis of the position, keeping the other
+ * 
+ * @param {Object} point - Point subdocument
+ * @param {number} axis - 0 for longitude, 1 for latitude
+ * @param {number} value - New value
+ */
+const setAxis = (point, axis, value) => {
+    const position = point.coordinates && point.coordinates.length === 2
+        ? [...point.coordinates]
+        : [0, 0];
+    position[axis] = value;
+    point.set('coordinates', position);
+};
+
+pointSchema.virtual('lat')
+    .get(function () {
+        return this.coordinates && this.coordinates.length === 2 ? this.coordinates[1] : undefined;
+    })
+    .set(function (value) {
+        setAxis(this, 1, value);
+    });
+
+pointSchema.virtual('lng')
+    .get(function () {
+        return this.coordinates && this.coordinates.length === 2 ? this.coordinates[0] : undefined;
+    })
+    .set(function (value) {
+        setAxis(this, 0, value);
+    });
+
+module.exports = pointSchema;
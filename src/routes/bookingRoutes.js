@@ -0,0 +1,25 @@
+const express = require('express');
+const bookingController = require('../controllers/bookingController');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+    createBookingSchema,
+    listBookingsSchema,
+    bookingReferenceSchema,
+    cancelBookingSchema,
+} = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// Protected routes (own bookings; admins see all)
+router.use(protect);
+
+router.get('/', validate(listBookingsSchema), bookingController.getAllBookings);
+router.post('/', validate(createBookingSchema), bookingController.createBooking);
+router.get('/:reference', validate(bookingReferenceSchema), bookingController.getBooking);
+router.get('/:reference/tickets', validate(bookingReferenceSchema), bookingController.getBookingTickets);
+router.post('/:reference/confirm', validate(bookingReferenceSchema), bookingController.confirmBooking);
+router.post('/:reference/release', validate(bookingReferenceSchema), bookingController.releaseBooking);
+router.post('/:reference/cancel', validate(cancelBookingSchema), bookingController.cancelBooking);
+
+module.exports = router;
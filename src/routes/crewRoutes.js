@@ -0,0 +1,28 @@
+const express = require('express');
+const crewController = require('../controllers/crewController');
+const { protect, restrictTo } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+    createCrewSchema,
+    updateCrewSchema,
+    crewScheduleSchema,
+    idParamSchema,
+} = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// All crew routes are protected (personal data)
+router.use(protect);
+
+// Operator and Admin can view crew and schedules
+router.get('/', restrictTo('admin', 'operator'), crewController.getAllCrew);
+router.get('/licenses/expiring', restrictTo('admin', 'operator'), crewController.getExpiringLicenses);
+router.get('/:id/schedule', restrictTo('admin', 'operator'), validate(crewScheduleSchema), crewController.getCrewSchedule);
+router.get('/:id', restrictTo('admin', 'operator'), validate(idParamSchema), crewController.getCrewMember);
+
+// Admin only routes
+router.post('/', restrictTo('admin'), validate(createCrewSchema), crewController.createCrewMember);
+router.put('/:id', restrictTo('admin'), validate(updateCrewSchema), crewController.updateCrewMember);
+router.delete('/:id', restrictTo('admin'), validate(idParamSchema), crewController.deleteCrewMember);
+
+module.exports = router;
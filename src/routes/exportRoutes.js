@@ -0,0 +1,12 @@
+const express = require('express');
+const exportController = require('../controllers/exportController');
+const validate = require('../middleware/validate');
+const { gtfsExportSchema, gtfsRealtimeSchema } = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// Public routes
+router.get('/gtfs', validate(gtfsExportSchema), exportController.getGtfsFeed);
+router.get('/gtfs-rt/:feed', validate(gtfsRealtimeSchema), exportController.getGtfsRealtimeFeed);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const fareController = require('../controllers/fareController');
+const { protect, restrictTo } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+    fareQuoteSchema,
+    listFareRulesSchema,
+    createFareRuleSchema,
+    updateFareRuleSchema,
+    idParamSchema,
+} = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// Public routes
+router.get('/quote', validate(fareQuoteSchema), fareController.getFareQuote);
+router.get('/rules', validate(listFareRulesSchema), fareController.getAllFareRules);
+router.get('/rules/:id', validate(idParamSchema), fareController.getFareRule);
+
+// Protected routes (Admin only)
+router.use(protect);
+router.use(restrictTo('admin'));
+
+router.post('/rules', validate(createFareRuleSchema), fareController.createFareRule);
+router.put('/rules/:id', validate(updateFareRuleSchema), fareController.updateFareRule);
+router.delete('/rules/:id', validate(idParamSchema), fareController.deleteFareRule);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const importController = require('../controllers/importController');
+const { protect, restrictTo } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { gtfsImportSchema } = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// Feed uploads arrive as the raw request body
+const rawZip = express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: `${parseInt(process.env.GTFS_IMPORT_MAX_MB, 10) || 20}mb`,
+});
+
+// All import routes are protected
+router.use(protect);
+
+// Admin only routes
+router.post('/gtfs', restrictTo('admin'), rawZip, validate(gtfsImportSchema), importController.importGtfsFeed);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const journeyController = require('../controllers/journeyController');
+const validate = require('../middleware/validate');
+const { journeyPlanSchema } = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', validate(journeyPlanSchema), journeyController.planJourney);
+
+module.exports = router;
@@ -1,26 +1,51 @@
 const express = require('express');
 const locationController = require('../controllers/locationController');
-const { protect, restrictTo } = require('../middleware/auth');
+const {
+    protect, restrictTo, optionalAuth, queryToken,
+} = require('../middleware/auth');
 const validate = require('../middleware/validate');
-const { createLocationUpdateSchema, idParamSchema } = require('../utils/validationSchemas');
+const {
+    createLocationUpdateSchema,
+    locationBatchSchema,
+    locationStreamSchema,
+    locationWithinSchema,
+    locationCorridorSchema,
+    quarantineListSchema,
+    locationHistorySchema,
+    locationNearbySchema,
+    fleetQuerySchema,
+    busIdParamSchema,
+    busReplaySchema,
+    quarantineReviewSchema,
+    idParamSchema,
+} = require('../utils/validationSchemas');
 
 const router = express.Router();
 
 // Public routes
 router.get('/bus/:busId/latest', validate(idParamSchema), locationController.getLatestLocation);
-router.get('/bus/:busId/history', validate(idParamSchema), locationController.getLocationHistory);
-router.get('/bus/:busId/stats', validate(idParamSchema), locationController.getBusLocationStats);
+router.get('/bus/:busId/history', validate(locationHistorySchema), locationController.getLocationHistory);
+router.get('/bus/:busId/replay', validate(busReplaySchema), locationController.getBusReplay);
+router.get('/bus/:busId/stats', validate(busIdParamSchema), locationController.getBusLocationStats);
 router.get('/trip/:tripId', validate(idParamSchema), locationController.getLocationsByTrip);
-router.get('/all-buses', locationController.getAllBusesLatestLocation);
-router.get('/nearby', locationController.getNearbyBuses);
+router.get('/all-buses', validate(fleetQuerySchema), locationController.getAllBusesLatestLocation);
+router.get('/stats', validate(fleetQuerySchema), locationController.getFleetLocationStats);
+router.get('/nearby', validate(locationNearbySchema), locationController.getNearbyBuses);
+router.get('/within', validate(locationWithinSchema), locationController.getBusesWithinPolygon);
+router.get('/corridor/:id', validate(locationCorridorSchema), locationController.getBusesAlongRoute);
+router.get('/stream', queryToken, optionalAuth, validate(locationStreamSchema), locationController.streamLocations);
 
 // Protected routes
 router.use(protect);
 
 // Operator can update location
 router.post('/', restrictTo('operator', 'admin'), validate(createLocationUpdateSchema), locationController.createLocationUpdate);
+router.post('/batch', restrictTo('operator', 'admin'), validate(locationBatchSchema), locationController.createLocationBatch);
 
 // Admin only routes
 router.delete('/cleanup', restrictTo('admin'), locationController.cleanupOldLocations);
+router.post('/vehicle-state/rebuild', restrictTo('admin'), locationController.rebuildVehicleState);
+router.get('/quarantine/bus/:id', restrictTo('admin'), validate(quarantineListSchema), locationController.getQuarantinedLocations);
+router.patch('/quarantine/:id', restrictTo('admin'), validate(quarantineReviewSchema), locationController.reviewQuarantinedLocation);
 
 module.exports = router;
\ No newline at end of file
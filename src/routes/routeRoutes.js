@@ -2,7 +2,16 @@ const express = require('express');
 const routeController = require('../controllers/routeController');
 const { protect, restrictTo } = require('../middleware/auth');
 const validate = require('../middleware/validate');
-const { createRouteSchema, updateRouteSchema, idParamSchema } = require('../utils/validationSchemas');
+const {
+    createRouteSchema,
+    updateRouteSchema,
+    routeShapeSchema,
+    deriveRouteShapeSchema,
+    routeFareSchema,
+    createFareTableSchema,
+    fareTableParamSchema,
+    idParamSchema,
+} = require('../utils/validationSchemas');
 
 const router = express.Router();
 
@@ -10,6 +19,9 @@ const router = express.Router();
 router.get('/', routeController.getAllRoutes);
 router.get('/search', routeController.searchRoutes);
 router.get('/stats', routeController.getRouteStats);
+router.get('/:id/shape', validate(idParamSchema), routeController.getRouteShape);
+router.get('/:id/fare', validate(routeFareSchema), routeController.getRouteFare);
+router.get('/:id/fares', validate(idParamSchema), routeController.getRouteFareTables);
 router.get('/:id', validate(idParamSchema), routeController.getRoute);
 
 // Protected routes (Admin only)
@@ -19,5 +31,10 @@ router.use(restrictTo('admin'));
 router.post('/', validate(createRouteSchema), routeController.createRoute);
 router.put('/:id', validate(updateRouteSchema), routeController.updateRoute);
 router.delete('/:id', validate(idParamSchema), routeController.deleteRoute);
+router.put('/:id/shape', validate(routeShapeSchema), routeController.updateRouteShape);
+router.post('/:id/shape/derive', validate(deriveRouteShapeSchema), routeController.deriveRouteShape);
+router.delete('/:id/shape', validate(idParamSchema), routeController.deleteRouteShape);
+router.post('/:id/fares', validate(createFareTableSchema), routeController.createRouteFareTable);
+router.delete('/:id/fares/:fareTableId', validate(fareTableParamSchema), routeController.deleteRouteFareTable);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const stopController = require('../controllers/stopController');
+const validate = require('../middleware/validate');
+const { stopDeparturesSchema } = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// Public routes
+router.get('/:stop/departures', validate(stopDeparturesSchema), stopController.getStopDepartures);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const ticketController = require('../controllers/ticketController');
+const { protect, restrictTo } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+    verifyTicketSchema,
+    ticketScanSyncSchema,
+    ticketConflictsSchema,
+} = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// Public routes
+router.get('/public-key', ticketController.getPublicKey);
+
+// Protected routes
+router.use(protect);
+
+// Admin and Operator routes
+router.post('/verify', restrictTo('admin', 'operator'), validate(verifyTicketSchema), ticketController.verifyTicket);
+router.post('/scans', restrictTo('admin', 'operator'), validate(ticketScanSyncSchema), ticketController.syncTicketScans);
+
+// Admin only routes
+router.get('/scans/conflicts', restrictTo('admin'), validate(ticketConflictsSchema), ticketController.getScanConflicts);
+
+module.exports = router;
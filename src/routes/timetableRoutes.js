@@ -0,0 +1,28 @@
+const express = require('express');
+const timetableController = require('../controllers/timetableController');
+const { protect, restrictTo } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const {
+    createTimetableSchema,
+    updateTimetableSchema,
+    generateTimetableSchema,
+    idParamSchema,
+} = require('../utils/validationSchemas');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', timetableController.getAllTimetables);
+router.get('/:id', validate(idParamSchema), timetableController.getTimetable);
+
+// Protected routes (Admin only)
+router.use(protect);
+router.use(restrictTo('admin'));
+
+router.post('/generate', timetableController.generateAllTrips);
+router.post('/:id/generate', validate(generateTimetableSchema), timetableController.generateTimetableTrips);
+router.post('/', validate(createTimetableSchema), timetableController.createTimetable);
+router.put('/:id', validate(updateTimetableSchema), timetableController.updateTimetable);
+router.delete('/:id', validate(idParamSchema), timetableController.deleteTimetable);
+
+module.exports = router;
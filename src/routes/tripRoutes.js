@@ -2,7 +2,14 @@ const express = require('express');
 const tripController = require('../controllers/tripController');
 const { protect, restrictTo } = require('../middleware/auth');
 const validate = require('../middleware/validate');
-const { createTripSchema, updateTripSchema, idParamSchema } = require('../utils/validationSchemas');
+const {
+    createTripSchema,
+    updateTripSchema,
+    tripReplaySchema,
+    tripConflictsSchema,
+    passengerCountSchema,
+    idParamSchema,
+} = require('../utils/validationSchemas');
 
 const router = express.Router();
 
@@ -11,14 +18,23 @@ router.get('/', tripController.getAllTrips);
 router.get('/active', tripController.getActiveTrips);
 router.get('/upcoming', tripController.getUpcomingTrips);
 router.get('/stats', tripController.getTripStats);
+router.get('/conflicts', protect, restrictTo('admin', 'operator'), validate(tripConflictsSchema), tripController.getTripConflicts);
 router.get('/route/:routeId', validate(idParamSchema), tripController.getTripsByRoute);
 router.get('/bus/:busId', validate(idParamSchema), tripController.getTripsByBus);
+router.get('/:id/eta', validate(idParamSchema), tripController.getTripEta);
+router.get('/:id/seats', validate(idParamSchema), tripController.getTripSeats);
+router.get('/:id/passenger-counts', validate(idParamSchema), tripController.getTripPassengerCounts);
+router.get('/:id/stop-events', validate(idParamSchema), tripController.getTripStopEvents);
+router.get('/:id/replay', validate(tripReplaySchema), tripController.getTripReplay);
 router.get('/:id', validate(idParamSchema), tripController.getTrip);
 
 // Protected routes
 router.use(protect);
 
 // Operator and Admin can update trip status
+router.get('/:id/history', restrictTo('admin', 'operator'), validate(idParamSchema), tripController.getTripHistory);
+router.get('/:id/deviations', restrictTo('admin', 'operator'), validate(idParamSchema), tripController.getTripDeviations);
+router.post('/:id/passenger-counts', restrictTo('admin', 'operator'), validate(passengerCountSchema), tripController.createTripPassengerCount);
 router.patch('/:id', restrictTo('admin', 'operator'), tripController.patchTrip);
 router.put('/:id', restrictTo('admin', 'operator'), validate(updateTripSchema), tripController.updateTrip);
 
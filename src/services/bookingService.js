@@ -0,0 +1,352 @@
+/**
+ * Booking Service
+ * 
+ * Seat reservations on trips. The seat map comes from the capacity of the
+ * trip's bus. A booking holds its seats for a few minutes and must be
+ * confirmed within that time; expired holds are voided before seats are
+ * counted or claimed.
+ * 
+ * Overbooking is prevented by the unique (trip, seat) index on held and
+ * confirmed bookings: of two requests for the same seat, the second insert
+ * fails and is answered with 409.
+ * 
+ * @module services/bookingService
+ */
+
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const fareService = require('./fareService');
+const fareRuleService = require('./fareRuleService');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+// How long seats are held before the booking must be confirmed
+const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 10;
+// Most seats one booking may take
+const MAX_SEATS = parseInt(process.env.BOOKING_MAX_SEATS, 10) || 6;
+
+// Trips that still take bookings (and have not left)
+const BOOKABLE_STATUSES = ['scheduled', 'boarding', 'delayed'];
+// Bookings that occupy their seats
+const ACTIVE_STATUSES = ['held', 'confirmed'];
+
+// Booking references avoid look-alike characters (0/O, 1/I)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 8;
+
+/**
+ * Random booking reference, e.g. "BK7QF4M2XA"
+ * 
+ * @returns {string} Reference
+ */
+const generateReference = () => {
+    const bytes = crypto.randomBytes(REFERENCE_LENGTH);
+    const chars = [...bytes].map((byte) => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]);
+    return `BK${chars.join('')}`;
+};
+
+/**
+ * Void held bookings of a trip whose hold has run out
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @returns {Promise<number>} Bookings expired
+ */
+const expireHolds = async (tripId) => {
+    const result = await Booking.updateMany(
+        { tripId, status: 'held', expiresAt: { $lte: new Date() } },
+        { $set: { status: 'expired' } },
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Load a trip with its bus
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @returns {Promise<Object>} trip, bus (capacity, features, service class) and capacity
+ * @throws {ApiError} 404 if the trip does not exist
+ */
+const loadTrip = async (tripId) => {
+    const trip = await Trip.findById(tripId).setOptions({ skipPopulate: true });
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    const bus = await Bus.findById(trip.busId).select('capacity features serviceClass').setOptions({ skipPopulate: true });
+    return { trip, bus, capacity: bus ? bus.capacity : 0 };
+};
+
+/**
+ * Seats taken by held and confirmed bookings of a trip
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @returns {Promise<Map<number, string>>} Seat number → booking status
+ */
+const getTakenSeats = async (tripId) => {
+    await expireHolds(tripId);
+    const bookings = await Booking.find({ tripId, status: { $in: ACTIVE_STATUSES } }).select('seats status');
+    return new Map(bookings.flatMap((booking) => booking.seats.map((seat) => [seat, booking.status])));
+};
+
+/**
+ * Seat map of a trip
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @returns {Promise<Object>} Capacity, counts and status of every seat
+ */
+const getSeatMap = async (tripId) => {
+    const { trip, capacity } = await loadTrip(tripId);
+    const taken = await getTakenSeats(trip._id);
+
+    const seats = Array.from({ length: capacity }, (_, index) => {
+        const status = taken.get(index + 1);
+        return {
+            number: index + 1,
+            status: { held: 'held', confirmed: 'booked' }[status] || 'available',
+        };
+    });
+
+    return {
+        tripId: trip._id,
+        tripNumber: trip.tripNumber,
+        bookable: BOOKABLE_STATUSES.includes(trip.status) && !trip.actualDepartureTime,
+        capacity,
+        available: seats.filter((seat) => seat.status === 'available').length,
+        held: seats.filter((seat) => seat.status === 'held').length,
+        booked: seats.filter((seat) => seat.status === 'booked').length,
+        seats,
+    };
+};
+
+/**
+ * Boarding and alighting stops of a booking and its fare per seat
+ * The fare is the passenger fare: the base fare with the fare rules applied.
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @param {Object} bus - Trip bus (features and service class)
+ * @param {Object} options - from, to (stop ID or name; default first and last stop) and passengerType
+ * @returns {Promise<Object>} from, to and farePerSeat (each undefined when unknown)
+ * @throws {ApiError} 400 if stops are given but the trip's route has none
+ */
+const priceBooking = async (trip, bus, { from, to, passengerType }) => {
+    const route = await Route.findById(trip.routeId);
+    const options = {
+        passengerType, routeId: trip.routeId, bus, date: new Date(trip.scheduledDepartureTime),
+    };
+
+    if (!route || route.stops.length < 2) {
+        if (from || to) {
+            throw new ApiError(`Trip ${trip.tripNumber} has no stops to book between`, 400);
+        }
+        if (trip.fare === undefined || trip.fare === null) return {};
+        const { fare } = await fareRuleService.applyActiveRules(trip.fare, options);
+        return { farePerSeat: fare };
+    }
+
+    const segment = await fareService.priceSegment(route, { trip, from, to });
+    const { fare } = await fareRuleService.applyActiveRules(segment.fare.amount, options);
+    const bookedStop = (index, fareStage) => ({
+        stopId: segment.stops[index]._id,
+        name: segment.stops[index].name,
+        fareStage,
+    });
+
+    return {
+        from: bookedStop(segment.fromIndex, segment.fare.fromStage),
+        to: bookedStop(segment.toIndex, segment.fare.toStage),
+        farePerSeat: fare,
+    };
+};
+
+/**
+ * Hold seats on a trip
+ * 
+ * @async
+ * @param {Object} request - tripId, seats, passenger { name, phone }, passengerType, from and to (stop ID or name)
+ * @param {Object} user - Booking user
+ * @returns {Promise<Object>} Held booking
+ * @throws {ApiError} 400 for seats or stops not on the trip, 409 if the trip is not bookable or a seat is taken
+ */
+const holdSeats = async ({
+    tripId, seats, passenger, passengerType = 'adult', from, to,
+}, user) => {
+    const { trip, bus, capacity } = await loadTrip(tripId);
+
+    if (!BOOKABLE_STATUSES.includes(trip.status) || trip.actualDepartureTime) {
+        throw new ApiError(`Trip ${trip.tripNumber} is ${trip.status} and no longer takes bookings`, 409);
+    }
+    if (seats.length > MAX_SEATS) {
+        throw new ApiError(`A booking may hold at most ${MAX_SEATS} seats`, 400);
+    }
+    const invalid = seats.filter((seat) => seat > capacity);
+    if (invalid.length > 0) {
+        throw new ApiError(`Bus has seats 1-${capacity} only`, 400, { invalid });
+    }
+
+    const priced = await priceBooking(trip, bus, { from, to, passengerType });
+    const { farePerSeat } = priced;
+
+    await expireHolds(trip._id);
+
+    const create = async (attempt) => {
+        try {
+            return await Booking.create({
+                reference: generateReference(),
+                tripId: trip._id,
+                userId: user._id,
+                seats,
+                passenger,
+                passengerType,
+                from: priced.from,
+                to: priced.to,
+                status: 'held',
+                expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000),
+                farePerSeat,
+                totalFare: farePerSeat === undefined ? undefined : farePerSeat * seats.length,
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            // Reference collision: try again with a new one
+            if (error.keyPattern && error.keyPattern.reference && attempt < 3) return create(attempt + 1);
+
+            const taken = await getTakenSeats(trip._id);
+            const unavailable = seats.filter((seat) => taken.has(seat));
+            throw new ApiError('Seats are no longer available', 409, { unavailable });
+        }
+    };
+
+    const booking = await create(1);
+    logger.info(`Booking ${booking.reference}: trip ${trip.tripNumber} seats ${seats.join(', ')} held by user ${user.email}`);
+    return booking;
+};
+
+/**
+ * Move a booking to a new status if it is still in one of the expected statuses
+ * 
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {Object} filter - Extra conditions (status, expiry)
+ * @param {Object} set - Fields to set
+ * @param {string} message - Error message when the condition no longer holds
+ * @returns {Promise<Object>} Updated booking
+ * @throws {ApiError} 409 if the booking changed meanwhile
+ */
+const transition = async (booking, filter, set, message) => {
+    const updated = await Booking.findOneAndUpdate(
+        { _id: booking._id, ...filter },
+        { $set: set },
+        { new: true, runValidators: true },
+    );
+    if (!updated) {
+        throw new ApiError(message, 409);
+    }
+    return updated;
+};
+
+/**
+ * Confirm a held booking before its hold runs out
+ * 
+ * @async
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Confirmed booking
+ */
+const confirmBooking = async (booking) => {
+    if (booking.status === 'held' && booking.expiresAt <= new Date()) {
+        await Booking.updateOne({ _id: booking._id, status: 'held' }, { $set: { status: 'expired' } });
+        throw new ApiError('Hold has expired; book the seats again', 409);
+    }
+
+    return transition(
+        booking,
+        { status: 'held', expiresAt: { $gt: new Date() } },
+        { status: 'confirmed', confirmedAt: new Date() },
+        `Booking is ${booking.status} and cannot be confirmed`,
+    );
+};
+
+/**
+ * Release the seats of a held booking
+ * 
+ * @async
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} Released booking
+ */
+const releaseBooking = async (booking) => transition(
+    booking,
+    { status: 'held' },
+    { status: 'released', releasedAt: new Date() },
+    `Booking is ${booking.status} and cannot be released`,
+);
+
+/**
+ * Cancel a held or confirmed booking before the trip departs
+ * 
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {string} [reason] - Cancellation reason
+ * @returns {Promise<Object>} Cancelled booking
+ */
+const cancelBooking = async (booking, reason) => {
+    const trip = await Trip.findById(booking.tripId).select('tripNumber actualDepartureTime').setOptions({ skipPopulate: true });
+    if (trip && trip.actualDepartureTime) {
+        throw new ApiError(`Trip ${trip.tripNumber} has departed; the booking can no longer be cancelled`, 409);
+    }
+
+    return transition(
+        booking,
+        { status: { $in: ACTIVE_STATUSES } },
+        { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason },
+        `Booking is ${booking.status} and cannot be cancelled`,
+    );
+};
+
+/**
+ * Reject a bus change that leaves booked seats without a seat
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @param {ObjectId} busId - Proposed bus
+ * @throws {ApiError} 409 with the affected seats
+ */
+const assertSeatsFit = async (tripId, busId) => {
+    const bus = await Bus.findById(busId).select('capacity registrationNumber').setOptions({ skipPopulate: true });
+    if (!bus) return;
+
+    const taken = await getTakenSeats(tripId);
+    const overflow = [...taken.keys()].filter((seat) => seat > bus.capacity).sort((a, b) => a - b);
+    if (overflow.length > 0) {
+        throw new ApiError(`Bus ${bus.registrationNumber} has ${bus.capacity} seats; seats ${overflow.join(', ')} are booked`, 409, { seats: overflow });
+    }
+};
+
+/**
+ * Number of held and confirmed bookings on a trip
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @returns {Promise<number>} Booking count
+ */
+const countActiveBookings = async (tripId) => {
+    await expireHolds(tripId);
+    return Booking.countDocuments({ tripId, status: { $in: ACTIVE_STATUSES } });
+};
+
+module.exports = {
+    getSeatMap,
+    holdSeats,
+    confirmBooking,
+    releaseBooking,
+    cancelBooking,
+    assertSeatsFit,
+    countActiveBookings,
+    HOLD_MINUTES,
+    MAX_SEATS,
+};
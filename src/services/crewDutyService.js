@@ -0,0 +1,304 @@
+/**
+ * Crew Duty Service
+ * 
+ * Validates crew assignments on trips: the crew member must belong to the
+ * bus's operator, hold the right role, and (for drivers) a license of a
+ * bus class that is valid for the whole trip. The resulting schedule must
+ * also respect the duty rules:
+ * 
+ * - no two trips at the same time
+ * - a minimum break between consecutive trips
+ * - a minimum rest between duties (trips separated by less than the rest
+ *   period form one duty), and a maximum duty length
+ * - for drivers, a maximum driving time in any 24 hours
+ * 
+ * @module services/crewDutyService
+ */
+
+const Crew = require('../models/Crew');
+const Trip = require('../models/Trip');
+const Bus = require('../models/Bus');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Shortest break between two consecutive trips
+const MIN_BREAK_MINUTES = parseInt(process.env.CREW_MIN_BREAK_MINUTES, 10) || 15;
+// Shortest off-duty rest between two duties
+const MIN_REST_HOURS = parseInt(process.env.CREW_MIN_REST_HOURS, 10) || 10;
+// Longest duty (first departure to last arrival)
+const MAX_DUTY_HOURS = parseInt(process.env.CREW_MAX_DUTY_HOURS, 10) || 12;
+// Longest total driving time in any 24 hours
+const MAX_DAILY_DRIVING_HOURS = parseInt(process.env.CREW_MAX_DAILY_DRIVING_HOURS, 10) || 10;
+
+// License classes that cover buses (D1 is limited to small vans)
+const BUS_LICENSE_CLASSES = ['D', 'DE'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const ROLE_FIELDS = { driverId: 'driver', conductorId: 'conductor' };
+
+const ms = (date) => new Date(date).getTime();
+
+/**
+ * Shape a trip for violation listings
+ * 
+ * @param {Object} trip - Trip document or plain object
+ * @returns {Object} Identifying fields and schedule
+ */
+const summarizeTrip = (trip) => ({
+    _id: trip._id,
+    tripNumber: trip.tripNumber,
+    scheduledDepartureTime: trip.scheduledDepartureTime,
+    scheduledArrivalTime: trip.scheduledArrivalTime,
+});
+
+/**
+ * Split trips (sorted by departure) into duties
+ * 
+ * @param {Array} trips - Trips sorted by scheduled departure
+ * @returns {Array<Array>} Duties, each a list of trips
+ */
+const groupDuties = (trips) => trips.reduce((duties, trip) => {
+    const current = duties[duties.length - 1];
+    const last = current && current[current.length - 1];
+    if (last && ms(trip.scheduledDepartureTime) - ms(last.scheduledArrivalTime) < MIN_REST_HOURS * HOUR_MS) {
+        current.push(trip);
+    } else {
+        duties.push([trip]);
+    }
+    return duties;
+}, []);
+
+/**
+ * Largest total trip time within any 24-hour window
+ * The maximum is always reached by a window starting at some departure.
+ * 
+ * @param {Array} trips - Trips
+ * @returns {Object} hours and the window start
+ */
+const maxDailyHours = (trips) => trips.reduce((max, start) => {
+    const windowStart = ms(start.scheduledDepartureTime);
+    const windowEnd = windowStart + DAY_MS;
+    const total = trips.reduce((sum, trip) => {
+        const overlap = Math.min(ms(trip.scheduledArrivalTime), windowEnd)
+            - Math.max(ms(trip.scheduledDepartureTime), windowStart);
+        return sum + Math.max(0, overlap);
+    }, 0);
+    return total > max.ms ? { ms: total, from: new Date(windowStart) } : max;
+}, { ms: 0, from: null });
+
+/**
+ * Check a crew member's schedule against the duty rules
+ * 
+ * @param {Array} trips - All trips of the crew member around the new one
+ * @param {Object} trip - The trip being assigned
+ * @param {string} role - driver or conductor
+ * @returns {Array} Violations: rule, message and the trips involved
+ */
+const checkDutyRules = (trips, trip, role) => {
+    const sorted = [...trips].sort((a, b) => ms(a.scheduledDepartureTime) - ms(b.scheduledDepartureTime));
+    const index = sorted.indexOf(trip);
+    const violations = [];
+
+    // Neighbours of the new trip: overlap and break
+    sorted.forEach((other) => {
+        if (other === trip) return;
+        const [first, second] = ms(other.scheduledDepartureTime) < ms(trip.scheduledDepartureTime)
+            ? [other, trip]
+            : [trip, other];
+        const gapMinutes = (ms(second.scheduledDepartureTime) - ms(first.scheduledArrivalTime)) / 60000;
+
+        if (gapMinutes < 0) {
+            violations.push({
+                rule: 'overlap',
+                message: `Already assigned to ${other.tripNumber} at the same time`,
+                trips: [summarizeTrip(other)],
+            });
+        } else if (gapMinutes < MIN_BREAK_MINUTES && Math.abs(sorted.indexOf(other) - index) === 1) {
+            violations.push({
+                rule: 'break',
+                message: `Only ${Math.round(gapMinutes)} minutes between ${first.tripNumber} and ${second.tripNumber} (minimum ${MIN_BREAK_MINUTES})`,
+                trips: [summarizeTrip(other)],
+            });
+        }
+    });
+
+    // The duty the new trip belongs to: length (i.e. rest before the next duty)
+    const duty = groupDuties(sorted).find((d) => d.includes(trip));
+    const dutyHours = (ms(duty[duty.length - 1].scheduledArrivalTime) - ms(duty[0].scheduledDepartureTime)) / HOUR_MS;
+    if (dutyHours > MAX_DUTY_HOURS) {
+        violations.push({
+            rule: 'duty-length',
+            message: `Duty would last ${dutyHours.toFixed(1)} hours without a ${MIN_REST_HOURS}-hour rest (maximum ${MAX_DUTY_HOURS})`,
+            trips: duty.filter((t) => t !== trip).map(summarizeTrip),
+        });
+    }
+
+    if (role === 'driver') {
+        const daily = maxDailyHours(sorted);
+        const hours = daily.ms / HOUR_MS;
+        if (hours > MAX_DAILY_DRIVING_HOURS) {
+            violations.push({
+                rule: 'daily-driving',
+                message: `${hours.toFixed(1)} hours of driving in the 24 hours from ${daily.from.toISOString()} (maximum ${MAX_DAILY_DRIVING_HOURS})`,
+                trips: sorted
+                    .filter((t) => t !== trip
+                        && ms(t.scheduledArrivalTime) > ms(daily.from)
+                        && ms(t.scheduledDepartureTime) < ms(daily.from) + DAY_MS)
+                    .map(summarizeTrip),
+            });
+        }
+    }
+
+    return violations;
+};
+
+/**
+ * Check that a crew member may work a trip
+ * 
+ * @param {Object} member - Crew document
+ * @param {string} role - Expected role
+ * @param {Object} trip - Proposed trip
+ * @param {Object} bus - Bus of the trip
+ * @throws {ApiError} 400 if the crew member is not eligible
+ */
+const checkEligibility = (member, role, trip, bus) => {
+    if (member.role !== role) {
+        throw new ApiError(`${member.name} is a ${member.role}, not a ${role}`, 400);
+    }
+    if (member.status !== 'active') {
+        throw new ApiError(`${member.name} is ${member.status}`, 400);
+    }
+    if (!member.operatorId.equals(bus.operatorId)) {
+        throw new ApiError(`${member.name} does not work for the bus's operator`, 400);
+    }
+    if (role === 'driver') {
+        if (member.isLicenseExpired(new Date(trip.scheduledArrivalTime))) {
+            throw new ApiError(`${member.name}'s license expires before the trip ends`, 400);
+        }
+        if (!BUS_LICENSE_CLASSES.includes(member.license.class)) {
+            throw new ApiError(`${member.name}'s class ${member.license.class} license does not cover buses`, 400);
+        }
+    }
+};
+
+/**
+ * Validate the crew assigned to a trip
+ * Only the crew members given are checked, so unchanged assignments can be
+ * skipped by leaving them out.
+ * 
+ * @async
+ * @param {Object} trip - busId, schedule, crew ({ driverId, conductorId }) and (when updating) _id / tripNumber
+ * @throws {ApiError} 400 for ineligible crew, 409 with details.violations for duty rule breaches
+ */
+const assertCrewAssignable = async (trip) => {
+    const assignments = Object.entries(ROLE_FIELDS)
+        .filter(([field]) => trip.crew && trip.crew[field])
+        .map(([field, role]) => ({ crewId: trip.crew[field], role }));
+
+    if (assignments.length === 0) return;
+
+    const bus = await Bus.findById(trip.busId).select('operatorId').setOptions({ skipPopulate: true });
+    if (!bus) {
+        throw new ApiError('Bus not found', 404);
+    }
+
+    const proposed = {
+        _id: trip._id,
+        tripNumber: trip.tripNumber || 'this trip',
+        scheduledDepartureTime: trip.scheduledDepartureTime,
+        scheduledArrivalTime: trip.scheduledArrivalTime,
+    };
+
+    const violations = [];
+    await Promise.all(assignments.map(async ({ crewId, role }) => {
+        const member = await Crew.findById(crewId);
+        if (!member) {
+            throw new ApiError(`Crew member ${crewId} not found`, 404);
+        }
+        checkEligibility(member, role, proposed, bus);
+
+        // Every trip that can share a duty or a 24-hour window with this one
+        const horizon = Math.max(MAX_DUTY_HOURS * HOUR_MS, DAY_MS) + MIN_REST_HOURS * HOUR_MS;
+        const filter = {
+            $or: [{ 'crew.driverId': member._id }, { 'crew.conductorId': member._id }],
+            status: { $ne: 'cancelled' },
+            scheduledDepartureTime: { $lt: new Date(ms(proposed.scheduledArrivalTime) + horizon) },
+            scheduledArrivalTime: { $gt: new Date(ms(proposed.scheduledDepartureTime) - horizon) },
+        };
+        if (proposed._id) filter._id = { $ne: proposed._id };
+
+        const others = await Trip.find(filter)
+            .select('tripNumber scheduledDepartureTime scheduledArrivalTime')
+            .setOptions({ skipPopulate: true })
+            .lean();
+
+        checkDutyRules([...others, proposed], proposed, role).forEach((violation) => {
+            violations.push({
+                crewId: member._id,
+                name: member.name,
+                role,
+                ...violation,
+            });
+        });
+    }));
+
+    if (violations.length > 0) {
+        throw new ApiError(
+            `Crew assignment breaks duty rules: ${violations.map((v) => `${v.name} (${v.rule})`).join(', ')}`,
+            409,
+            { violations },
+        );
+    }
+};
+
+/**
+ * Trips of a crew member in a window, with duty and driving totals
+ * 
+ * @async
+ * @param {Object} member - Crew document
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Promise<Object>} trips, duties and rules
+ */
+const getSchedule = async (member, from, to) => {
+    const trips = await Trip.find({
+        $or: [{ 'crew.driverId': member._id }, { 'crew.conductorId': member._id }],
+        status: { $ne: 'cancelled' },
+        scheduledDepartureTime: { $lte: to },
+        scheduledArrivalTime: { $gte: from },
+    })
+        .sort('scheduledDepartureTime')
+        .select('tripNumber routeId busId status scheduledDepartureTime scheduledArrivalTime');
+
+    const duties = groupDuties(trips).map((duty) => {
+        const workedMs = duty.reduce(
+            (sum, t) => sum + ms(t.scheduledArrivalTime) - ms(t.scheduledDepartureTime),
+            0,
+        );
+        return {
+            start: duty[0].scheduledDepartureTime,
+            end: duty[duty.length - 1].scheduledArrivalTime,
+            trips: duty.length,
+            workedHours: Math.round((workedMs / HOUR_MS) * 10) / 10,
+        };
+    });
+
+    return {
+        trips,
+        duties,
+        rules: {
+            minBreakMinutes: MIN_BREAK_MINUTES,
+            minRestHours: MIN_REST_HOURS,
+            maxDutyHours: MAX_DUTY_HOURS,
+            maxDailyDrivingHours: MAX_DAILY_DRIVING_HOURS,
+        },
+    };
+};
+
+module.exports = {
+    checkDutyRules,
+    assertCrewAssignable,
+    getSchedule,
+    BUS_LICENSE_CLASSES,
+};
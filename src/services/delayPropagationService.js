@@ -0,0 +1,177 @@
+/**
+ * Delay Propagation Service
+ * 
+ * Projects knock-on delays onto a bus's later trips. From a trip's expected
+ * arrival plus the minimum turnaround, each following unstarted trip of the
+ * same bus gets an estimated departure; trips that cannot leave on time are
+ * marked with a projected delay, and projections are cleared once the bus
+ * has caught up. Trip status is not changed.
+ * 
+ * @module services/delayPropagationService
+ */
+
+const Trip = require('../models/Trip');
+const etaService = require('./etaService');
+const { MIN_TURNAROUND_MINUTES } = require('./tripConflictService');
+const logger = require('../config/logger');
+
+// Knock-on delays shorter than this are not projected
+const MIN_DELAY_MINUTES = parseInt(process.env.DELAY_PROPAGATION_MIN_MINUTES, 10) || 5;
+// How far ahead of the late trip downstream trips are considered
+const HORIZON_HOURS = parseInt(process.env.DELAY_PROPAGATION_HORIZON_HOURS, 10) || 24;
+// Minimum time between GPS-triggered recomputations for the same trip
+const INTERVAL_SECONDS = parseInt(process.env.DELAY_PROPAGATION_INTERVAL_SECONDS, 10) || 60;
+
+const TURNAROUND_MS = MIN_TURNAROUND_MINUTES * 60 * 1000;
+
+// Last GPS-triggered run per trip
+const lastRunByTrip = new Map();
+
+const ms = (date) => new Date(date).getTime();
+
+/**
+ * When the bus is expected to finish a trip
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @returns {Promise<Date|null>} Expected arrival, or null if the bus will not run the trip
+ */
+const getExpectedArrival = async (trip) => {
+    if (trip.status === 'cancelled') return null;
+    if (trip.status === 'completed') return trip.actualArrivalTime || new Date();
+
+    try {
+        const eta = await etaService.predictTripEta(trip);
+        const last = eta.predictions[eta.predictions.length - 1];
+        if (last) return last.predictedArrival;
+    } catch (error) {
+        logger.warn(`ETA unavailable for trip ${trip.tripNumber}, projecting from schedule: ${error.message}`);
+    }
+
+    // Fall back to the scheduled duration from the (expected) departure
+    const departure = trip.actualDepartureTime
+        ? ms(trip.actualDepartureTime)
+        : Math.max(Date.now(), ms(trip.scheduledDepartureTime));
+    return new Date(departure + ms(trip.scheduledArrivalTime) - ms(trip.scheduledDepartureTime));
+};
+
+/**
+ * Recompute projected delays of the trips following a trip on the same bus
+ * 
+ * @async
+ * @param {Object} trip - Trip whose expected arrival changed
+ * @returns {Promise<Object>} expectedArrival, projected trips and cleared count
+ */
+const propagateFromTrip = async (trip) => {
+    const now = new Date();
+    const operations = [];
+
+    // A trip that is running no longer has a projection of its own
+    if (trip.projectedDelay && trip.projectedDelay.minutes && trip.status !== 'scheduled') {
+        operations.push({ updateOne: { filter: { _id: trip._id }, update: { $unset: { projectedDelay: 1 } } } });
+    }
+
+    const expectedArrival = await getExpectedArrival(trip);
+
+    const downstream = await Trip.find({
+        busId: trip.busId && (trip.busId._id || trip.busId),
+        _id: { $ne: trip._id },
+        status: { $in: ['scheduled', 'boarding'] },
+        scheduledDepartureTime: {
+            $gt: trip.scheduledDepartureTime,
+            $lte: new Date(ms(trip.scheduledDepartureTime) + HORIZON_HOURS * 60 * 60 * 1000),
+        },
+    })
+        .sort('scheduledDepartureTime')
+        .select('tripNumber scheduledDepartureTime scheduledArrivalTime projectedDelay')
+        .setOptions({ skipPopulate: true })
+        .lean();
+
+    const projected = [];
+    let cleared = 0;
+    let readyAt = expectedArrival ? ms(expectedArrival) + TURNAROUND_MS : null;
+
+    downstream.every((next) => {
+        const scheduled = ms(next.scheduledDepartureTime);
+        const hadProjection = Boolean(next.projectedDelay && next.projectedDelay.minutes);
+
+        // On time and nothing stale: later trips cannot be affected either
+        if (readyAt === null || readyAt <= scheduled) {
+            if (!hadProjection) return false;
+            operations.push({ updateOne: { filter: { _id: next._id }, update: { $unset: { projectedDelay: 1 } } } });
+            cleared += 1;
+            readyAt = ms(next.scheduledArrivalTime) + TURNAROUND_MS;
+            return true;
+        }
+
+        const estimatedDeparture = readyAt;
+        const estimatedArrival = estimatedDeparture + ms(next.scheduledArrivalTime) - scheduled;
+        const minutes = Math.round((estimatedDeparture - scheduled) / 60000);
+
+        if (minutes >= MIN_DELAY_MINUTES) {
+            const projectedDelay = {
+                minutes,
+                estimatedDepartureTime: new Date(estimatedDeparture),
+                estimatedArrivalTime: new Date(estimatedArrival),
+                causedByTripId: trip._id,
+                updatedAt: now,
+            };
+            operations.push({ updateOne: { filter: { _id: next._id }, update: { $set: { projectedDelay } } } });
+            projected.push({ _id: next._id, tripNumber: next.tripNumber, ...projectedDelay });
+        } else if (hadProjection) {
+            operations.push({ updateOne: { filter: { _id: next._id }, update: { $unset: { projectedDelay: 1 } } } });
+            cleared += 1;
+        }
+
+        readyAt = estimatedArrival + TURNAROUND_MS;
+        return true;
+    });
+
+    if (operations.length > 0) {
+        await Trip.bulkWrite(operations, { ordered: false });
+    }
+
+    if (projected.length > 0 || cleared > 0) {
+        logger.info(`Trip ${trip.tripNumber}: knock-on delay projected for ${projected.length} trips, cleared for ${cleared}`);
+    }
+
+    return { expectedArrival, projected, cleared };
+};
+
+/**
+ * Recompute knock-on delays after a location update, when worthwhile
+ * Runs on every status change; otherwise at most once per interval, for
+ * delayed trips or running trips that still have projections downstream.
+ * 
+ * @async
+ * @param {Object} trip - Trip after the lifecycle step
+ * @param {boolean} statusChanged - Whether this update changed the trip status
+ * @returns {Promise<Object|null>} Propagation result, or null if skipped
+ */
+const processLocation = async (trip, statusChanged) => {
+    const key = trip._id.toString();
+
+    if (['completed', 'cancelled'].includes(trip.status)) {
+        lastRunByTrip.delete(key);
+        return statusChanged ? propagateFromTrip(trip) : null;
+    }
+
+    const last = lastRunByTrip.get(key);
+    if (!statusChanged && last && Date.now() - last < INTERVAL_SECONDS * 1000) return null;
+
+    if (!statusChanged && trip.status !== 'delayed') {
+        const hasProjections = await Trip.exists({ 'projectedDelay.causedByTripId': trip._id });
+        if (!hasProjections) return null;
+    }
+
+    // Trips that stop reporting never complete here; keep the map bounded
+    if (lastRunByTrip.size > 10000) lastRunByTrip.clear();
+    lastRunByTrip.set(key, Date.now());
+    return propagateFromTrip(trip);
+};
+
+module.exports = {
+    getExpectedArrival,
+    propagateFromTrip,
+    processLocation,
+};
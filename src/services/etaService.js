@@ -0,0 +1,372 @@
+/**
+ * ETA Prediction Service
+ * 
+ * Predicts arrival times at every remaining stop of a trip by snapping the
+ * bus's latest GPS fix onto the route's ordered stops, then blending the
+ * live speed (near the bus) with historical travel speeds (further ahead).
+ * Predictions are computed on request from the newest location updates, so
+ * each accepted update is reflected immediately.
+ * 
+ * @module services/etaService
+ */
+
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const LocationUpdate = require('../models/LocationUpdate');
+const StopEvent = require('../models/StopEvent');
+const { ApiError } = require('../middleware/errorHandler');
+const { distanceBetween, cumulativeDistances, locateOnPath } = require('../utils/geo');
+
+// Location updates older than this are considered stale
+const LOOKBACK_MINUTES = parseInt(process.env.ETA_LOOKBACK_MINUTES, 10) || 15;
+// Time spent at each intermediate stop
+const DWELL_SECONDS = parseInt(process.env.ETA_DWELL_SECONDS, 10) || 60;
+// Completed trips / stop events sampled for historical speeds
+const HISTORY_TRIPS = 20;
+const HISTORY_STOP_EVENTS = 2000;
+const HISTORY_DAYS = 30;
+// Live speed dominates close to the bus and fades out over this distance
+const LIVE_SPEED_WEIGHT = 0.7;
+const LIVE_SPEED_FADE_KM = 20;
+// Floor so a bus stuck in traffic does not produce an infinite ETA
+const MIN_SPEED_KMH = 5;
+
+/**
+ * Normalise a populated or raw reference to its id
+ * 
+ * @param {Object} ref - ObjectId or populated document
+ * @returns {Object} ObjectId
+ */
+const toId = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Build the ordered stop path of a route with road distances
+ * Straight-line distances between stops are scaled up so the total matches
+ * the route's published road distance.
+ * 
+ * @param {Object} route - Route document with stops
+ * @returns {Object} stops, points, cumulativeKm (road km per stop) and scale
+ */
+const buildStopPath = (route) => {
+    const stops = [...route.stops].sort((a, b) => a.order - b.order);
+    const points = stops.map((stop) => ({ lat: stop.coordinates.lat, lng: stop.coordinates.lng }));
+    const straight = cumulativeDistances(points);
+    const straightTotal = straight[straight.length - 1] || 0;
+
+    const scale = straightTotal > 0 && route.distance > straightTotal
+        ? route.distance / straightTotal
+        : 1;
+
+    return {
+        stops,
+        points,
+        cumulativeKm: straight.map((km) => km * scale),
+        scale,
+    };
+};
+
+/**
+ * Scheduled time at each stop, interpolated by distance between the trip's
+ * scheduled departure and arrival
+ * 
+ * @param {Object} trip - Trip document
+ * @param {Object} stopPath - Result of buildStopPath
+ * @returns {Array<Date>} One scheduled time per stop
+ */
+const getScheduledStopTimes = (trip, stopPath) => {
+    const departure = new Date(trip.scheduledDepartureTime).getTime();
+    const arrival = new Date(trip.scheduledArrivalTime).getTime();
+    const totalKm = stopPath.cumulativeKm[stopPath.cumulativeKm.length - 1] || 1;
+
+    return stopPath.cumulativeKm.map(
+        (km) => new Date(departure + (km / totalKm) * (arrival - departure)),
+    );
+};
+
+/**
+ * Historical travel speed for each segment between consecutive stops
+ * Uses recorded stop events (departure from one stop to arrival at the next)
+ * where available, otherwise the door-to-door time of recently completed
+ * trips on the route, otherwise the route's estimated duration.
+ * 
+ * @async
+ * @param {Object} route - Route document
+ * @param {Object} stopPath - Result of buildStopPath
+ * @returns {Promise<Object>} speeds (km/h per segment) and samples (trips used)
+ */
+const getHistoricalSegmentSpeeds = async (route, stopPath) => {
+    const segmentCount = Math.max(stopPath.stops.length - 1, 0);
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const scheduledSpeed = route.estimatedDuration > 0
+        ? route.distance / (route.estimatedDuration / 60)
+        : 40;
+
+    const trips = await Trip.find({
+        routeId: route._id,
+        status: 'completed',
+        actualDepartureTime: { $exists: true },
+        actualArrivalTime: { $gte: since },
+    })
+        .sort('-actualArrivalTime')
+        .limit(HISTORY_TRIPS)
+        .select('actualDepartureTime actualArrivalTime')
+        .setOptions({ skipPopulate: true });
+
+    const durations = trips
+        .map((trip) => (trip.actualArrivalTime - trip.actualDepartureTime) / (60 * 60 * 1000))
+        .filter((hours) => hours > 0);
+
+    let routeSpeed = scheduledSpeed;
+    if (durations.length > 0) {
+        const avgHours = durations.reduce((sum, hours) => sum + hours, 0) / durations.length;
+        routeSpeed = route.distance / avgHours;
+    }
+
+    // Segment-level timings from stop events of earlier trips
+    const stopIndex = new Map(stopPath.stops.map((stop, index) => [stop._id.toString(), index]));
+    const events = await StopEvent.find({ routeId: route._id, arrivedAt: { $gte: since } })
+        .sort('-arrivedAt')
+        .limit(HISTORY_STOP_EVENTS)
+        .select('tripId stopId arrivedAt departedAt');
+
+    const eventsByTrip = new Map();
+    events.forEach((event) => {
+        const key = event.tripId.toString();
+        if (!eventsByTrip.has(key)) eventsByTrip.set(key, new Map());
+        eventsByTrip.get(key).set(stopIndex.get(event.stopId.toString()), event);
+    });
+
+    const segmentSamples = Array.from({ length: segmentCount }, () => []);
+    eventsByTrip.forEach((byIndex) => {
+        for (let i = 0; i < segmentCount; i += 1) {
+            const from = byIndex.get(i);
+            const to = byIndex.get(i + 1);
+            if (from && to && from.departedAt && to.arrivedAt > from.departedAt) {
+                const hours = (to.arrivedAt - from.departedAt) / (60 * 60 * 1000);
+                const km = stopPath.cumulativeKm[i + 1] - stopPath.cumulativeKm[i];
+                segmentSamples[i].push(km / hours);
+            }
+        }
+    });
+
+    const speeds = segmentSamples.map((samples) => {
+        const speed = samples.length > 0
+            ? samples.reduce((sum, value) => sum + value, 0) / samples.length
+            : routeSpeed;
+        return Math.max(speed, MIN_SPEED_KMH);
+    });
+
+    return {
+        speeds,
+        samples: Math.max(durations.length, eventsByTrip.size),
+    };
+};
+
+/**
+ * Recent location updates for a trip (newest first)
+ * Falls back to the bus's updates since shortly before departure when the
+ * device is not tagging updates with the trip.
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @returns {Promise<Array>} Location updates
+ */
+const getRecentLocations = async (trip) => {
+    const byTrip = await LocationUpdate.find({ tripId: trip._id })
+        .sort({ timestamp: -1 })
+        .limit(10)
+        .setOptions({ skipPopulate: true });
+
+    if (byTrip.length > 0) return byTrip;
+
+    const departure = new Date(trip.scheduledDepartureTime);
+    return LocationUpdate.find({
+        busId: toId(trip.busId),
+        timestamp: { $gte: new Date(departure.getTime() - 30 * 60 * 1000) },
+    })
+        .sort({ timestamp: -1 })
+        .limit(10)
+        .setOptions({ skipPopulate: true });
+};
+
+/**
+ * Estimate the live speed from recent updates
+ * Uses displacement over time when the window is long enough, since reported
+ * speed is instantaneous; otherwise averages reported speeds.
+ * 
+ * @param {Array} locations - Location updates, newest first
+ * @returns {number} Speed in km/h
+ */
+const estimateLiveSpeed = (locations) => {
+    const recentCutoff = Date.now() - LOOKBACK_MINUTES * 60 * 1000;
+    const recent = locations.filter((loc) => loc.timestamp.getTime() >= recentCutoff);
+    if (recent.length === 0) return null;
+
+    const newest = recent[0];
+    const oldest = recent[recent.length - 1];
+    const hours = (newest.timestamp - oldest.timestamp) / (60 * 60 * 1000);
+
+    if (hours >= 1 / 60) {
+        return distanceBetween(oldest.coordinates, newest.coordinates) / hours;
+    }
+
+    return recent.reduce((sum, loc) => sum + (loc.speed || 0), 0) / recent.length;
+};
+
+/**
+ * Confidence in a prediction (0-1)
+ * 
+ * @param {Object} factors - ageSeconds, samples, remainingKm, accuracy, live
+ * @returns {number} Confidence rounded to two decimals
+ */
+const computeConfidence = ({
+    ageSeconds, samples, remainingKm, accuracy, live,
+}) => {
+    const freshness = live
+        ? Math.max(0.2, Math.min(1, 1 - ageSeconds / (LOOKBACK_MINUTES * 60 * 2)))
+        : 0.5;
+    const history = samples >= 5 ? 1 : 0.6 + 0.08 * samples;
+    const horizon = 0.5 + 0.5 * Math.exp(-remainingKm / 250);
+    const precision = accuracy && accuracy > 100 ? 0.8 : 1;
+
+    return Math.round(freshness * history * horizon * precision * 100) / 100;
+};
+
+/**
+ * Predict arrival times for every remaining stop of a trip
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @returns {Promise<Object>} ETA report
+ * @throws {ApiError} If the trip is finished or its route has no stops
+ */
+const predictTripEta = async (trip) => {
+    if (['completed', 'cancelled'].includes(trip.status)) {
+        throw new ApiError(`ETA is not available for a ${trip.status} trip`, 400);
+    }
+
+    const route = await Route.findById(toId(trip.routeId));
+    if (!route || !route.stops || route.stops.length < 2) {
+        throw new ApiError('Trip route has no stops to predict', 400);
+    }
+
+    const stopPath = buildStopPath(route);
+    const scheduledTimes = getScheduledStopTimes(trip, stopPath);
+    const history = await getHistoricalSegmentSpeeds(route, stopPath);
+    const locations = await getRecentLocations(trip);
+    const visited = new Set(
+        (await StopEvent.find({ tripId: trip._id }).select('stopId'))
+            .map((event) => event.stopId.toString()),
+    );
+
+    const now = Date.now();
+    const latest = locations[0] || null;
+    const liveSpeed = estimateLiveSpeed(locations);
+    const dwellMs = DWELL_SECONDS * 1000;
+
+    const predictions = [];
+    let basedOn = null;
+    let progressKm = 0;
+
+    if (!latest || (['scheduled', 'boarding'].includes(trip.status) && !trip.actualDepartureTime)) {
+        // Not yet departed: shift the schedule to the expected departure time
+        const departure = Math.max(now, new Date(trip.scheduledDepartureTime).getTime());
+        const shift = departure - new Date(trip.scheduledDepartureTime).getTime();
+
+        stopPath.stops.forEach((stop, index) => {
+            if (index === 0) return;
+            const predicted = new Date(scheduledTimes[index].getTime() + shift);
+            predictions.push({
+                stopId: stop._id,
+                name: stop.name,
+                order: stop.order,
+                distanceKm: Math.round(stopPath.cumulativeKm[index] * 10) / 10,
+                scheduledArrival: scheduledTimes[index],
+                predictedArrival: predicted,
+                delayMinutes: Math.round(shift / (60 * 1000)),
+                confidence: computeConfidence({
+                    ageSeconds: 0,
+                    samples: history.samples,
+                    remainingKm: stopPath.cumulativeKm[index],
+                    live: false,
+                }),
+            });
+        });
+    } else {
+        const position = locateOnPath(latest.coordinates, stopPath.points);
+        progressKm = position.offsetKm * stopPath.scale;
+        const ageSeconds = Math.max(0, (now - latest.timestamp.getTime()) / 1000);
+
+        basedOn = {
+            locationId: latest._id,
+            timestamp: latest.timestamp,
+            ageSeconds: Math.round(ageSeconds),
+            coordinates: latest.coordinates,
+            speed: latest.speed,
+            offRouteKm: Math.round(position.crossTrackKm * 10) / 10,
+        };
+
+        // Walk the remaining segments, accumulating travel and dwell time
+        let elapsedMs = 0;
+        let cursorKm = progressKm;
+
+        stopPath.stops.forEach((stop, index) => {
+            const stopKm = stopPath.cumulativeKm[index];
+            // Skip stops already passed or where the bus is standing now
+            if (stopKm <= progressKm || visited.has(stop._id.toString())) return;
+
+            const segment = Math.max(index - 1, 0);
+            const aheadKm = cursorKm - progressKm;
+            const liveWeight = liveSpeed === null
+                ? 0
+                : LIVE_SPEED_WEIGHT * Math.exp(-aheadKm / LIVE_SPEED_FADE_KM);
+            const speed = Math.max(
+                MIN_SPEED_KMH,
+                liveWeight * (liveSpeed || 0) + (1 - liveWeight) * history.speeds[segment],
+            );
+
+            elapsedMs += ((stopKm - cursorKm) / speed) * 60 * 60 * 1000;
+            cursorKm = stopKm;
+
+            // Arrival is measured from the last fix, not from now
+            const predicted = new Date(latest.timestamp.getTime() + elapsedMs);
+            predictions.push({
+                stopId: stop._id,
+                name: stop.name,
+                order: stop.order,
+                distanceKm: Math.round((stopKm - progressKm) * 10) / 10,
+                scheduledArrival: scheduledTimes[index],
+                predictedArrival: predicted,
+                delayMinutes: Math.round((predicted - scheduledTimes[index]) / (60 * 1000)),
+                confidence: computeConfidence({
+                    ageSeconds,
+                    samples: history.samples,
+                    remainingKm: stopKm - progressKm,
+                    accuracy: latest.accuracy,
+                    live: true,
+                }),
+            });
+
+            elapsedMs += dwellMs;
+        });
+    }
+
+    return {
+        tripId: trip._id,
+        tripNumber: trip.tripNumber,
+        status: trip.status,
+        generatedAt: new Date(now),
+        basedOn,
+        liveSpeed: liveSpeed === null ? null : Math.round(liveSpeed * 10) / 10,
+        historicalSamples: history.samples,
+        progressKm: Math.round(progressKm * 10) / 10,
+        predictions,
+    };
+};
+
+module.exports = {
+    buildStopPath,
+    getScheduledStopTimes,
+    getHistoricalSegmentSpeeds,
+    predictTripEta,
+};
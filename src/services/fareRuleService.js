@@ -0,0 +1,190 @@
+/**
+ * Fare Rule Service
+ * 
+ * Passenger fares: the base fare between two stops (see fareService) with
+ * the fare rules applied in priority order. Each applied rule is itemized
+ * with the fare before and after it, so a quote shows exactly how the fare
+ * was reached. Fares are whole rupees; every step is rounded up. Bookings
+ * are charged the same passenger fare.
+ * 
+ * @module services/fareRuleService
+ */
+
+const FareRule = require('../models/FareRule');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const fareService = require('./fareService');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Round to cents first so 100 × 1.1 stays 110
+const roundUp = (amount) => Math.max(0, Math.ceil(Math.round(amount * 100) / 100));
+
+const ACTIONS = {
+    multiply: (fare, value) => fare * value,
+    percent: (fare, value) => fare * (1 + value / 100),
+    amount: (fare, value) => fare + value,
+    fixed: (fare, value) => value,
+};
+
+/**
+ * Whether a rule applies to a fare
+ * 
+ * @param {Object} rule - FareRule
+ * @param {Object} context - passengerType, routeId, busFeatures, serviceClass, date
+ * @returns {boolean} True if every condition of the rule matches
+ */
+const matches = (rule, context) => {
+    const includes = (list, value) => !list || list.length === 0 || list.some((item) => String(item) === String(value));
+
+    if (rule.effectiveFrom && rule.effectiveFrom > context.date) return false;
+    if (rule.effectiveUntil && rule.effectiveUntil <= context.date) return false;
+
+    return includes(rule.passengerTypes, context.passengerType)
+        && includes(rule.serviceClasses, context.serviceClass)
+        && includes(rule.routeIds, context.routeId)
+        && (rule.busFeatures || []).every((feature) => context.busFeatures.includes(feature));
+};
+
+/**
+ * Apply fare rules to a base fare
+ * 
+ * @param {number} baseFare - Fare before any rule
+ * @param {Object} context - passengerType, routeId, busFeatures, serviceClass, date
+ * @param {Array} rules - Active rules in priority order
+ * @returns {Object} fare and the itemized adjustments
+ */
+const applyRules = (baseFare, context, rules) => {
+    let fare = baseFare;
+    const adjustments = [];
+
+    rules.some((rule) => {
+        if (!matches(rule, context)) return false;
+
+        const fareBefore = fare;
+        fare = roundUp(ACTIONS[rule.action](fare, rule.value));
+        adjustments.push({
+            ruleId: rule._id,
+            name: rule.name,
+            priority: rule.priority,
+            action: rule.action,
+            value: rule.value,
+            fareBefore,
+            fareAfter: fare,
+            change: fare - fareBefore,
+        });
+        return rule.stopProcessing;
+    });
+
+    return { fare, adjustments };
+};
+
+/**
+ * Active fare rules in the order they are applied
+ * 
+ * @async
+ * @returns {Promise<Array>} Rules
+ */
+const loadRules = async () => FareRule.find({ status: 'active' }).sort('priority createdAt').lean();
+
+/**
+ * Passenger fare from a base fare, with the active rules applied
+ * 
+ * @async
+ * @param {number} baseFare - Fare before any rule
+ * @param {Object} options - passengerType, routeId, bus (features and service class, if known), date
+ * @returns {Promise<Object>} fare, adjustments and the context the rules were matched against
+ */
+const applyActiveRules = async (baseFare, {
+    passengerType = 'adult', routeId, bus, date,
+}) => {
+    const context = {
+        passengerType,
+        routeId,
+        busFeatures: bus && bus.features ? bus.features : [],
+        serviceClass: bus && bus.serviceClass ? bus.serviceClass : 'normal',
+        date,
+    };
+    const { fare, adjustments } = applyRules(baseFare, context, await loadRules());
+    return { fare, adjustments, context };
+};
+
+/**
+ * Itemized fare quote for a passenger
+ * Priced for a trip (its route, bus and departure) or for a route on a date,
+ * optionally on a given bus.
+ * 
+ * @async
+ * @param {Object} query - tripId or routeId, from, to, date, busId, passengerType
+ * @returns {Promise<Object>} Base fare, applied rules and the fare to pay
+ * @throws {ApiError} 404 if the trip, route or bus does not exist
+ */
+const getQuote = async ({
+    tripId, routeId, from, to, date, busId, passengerType = 'adult',
+}) => {
+    let trip = null;
+    if (tripId) {
+        trip = await Trip.findById(tripId).setOptions({ skipPopulate: true });
+        if (!trip) {
+            throw new ApiError('Trip not found', 404);
+        }
+    }
+
+    const route = await Route.findById(trip ? trip.routeId : routeId);
+    if (!route) {
+        throw new ApiError('Route not found', 404);
+    }
+    if (route.stops.length < 2) {
+        throw new ApiError(`Route ${route.routeNumber} has no stops to price between`, 400);
+    }
+
+    const bus = trip || busId
+        ? await Bus.findById(trip ? trip.busId : busId).select('registrationNumber features serviceClass').setOptions({ skipPopulate: true })
+        : null;
+    if (busId && !bus) {
+        throw new ApiError('Bus not found', 404);
+    }
+
+    const {
+        stops, fromIndex, toIndex, date: at, fare: base,
+    } = await fareService.priceSegment(route, {
+        trip, from, to, date: date || new Date(),
+    });
+    const { fare, adjustments, context } = await applyActiveRules(base.amount, {
+        passengerType, routeId: route._id, bus, date: at,
+    });
+
+    const describe = (index, stage) => ({
+        _id: stops[index]._id,
+        name: stops[index].name,
+        fareStage: stage,
+    });
+
+    return {
+        route: { _id: route._id, routeNumber: route.routeNumber, name: route.name },
+        trip: trip ? { _id: trip._id, tripNumber: trip.tripNumber } : null,
+        bus: bus ? {
+            _id: bus._id,
+            registrationNumber: bus.registrationNumber,
+            serviceClass: context.serviceClass,
+            features: context.busFeatures,
+        } : null,
+        from: describe(fromIndex, base.fromStage),
+        to: describe(toIndex, base.toStage),
+        date: at,
+        passengerType,
+        baseFare: {
+            amount: base.amount,
+            source: base.source,
+            fareTable: base.fareTable,
+        },
+        adjustments,
+        fare,
+    };
+};
+
+module.exports = {
+    applyRules,
+    applyActiveRules,
+    getQuote,
+};
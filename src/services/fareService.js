@@ -0,0 +1,264 @@
+/**
+ * Fare Service
+ * 
+ * Stop-to-stop fares. Each route stop belongs to a fare stage (every stop
+ * is its own stage when the route has none), and the route's fare table in
+ * effect on the travel date gives the fare between two stages. Without a
+ * fare table, or for a stage pair the table does not list, the route's
+ * full-route fare is pro-rated by distance.
+ * 
+ * Trips inherit these fares; a fare stored on the trip overrides them as a
+ * full-trip fare, pro-rated by distance for part of the trip.
+ * 
+ * @module services/fareService
+ */
+
+const mongoose = require('mongoose');
+const FareTable = require('../models/FareTable');
+const Route = require('../models/Route');
+const { buildStopPath } = require('./etaService');
+const { ApiError } = require('../middleware/errorHandler');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Fare stage of each stop, in stop order
+ * 
+ * @param {Object} route - Route document
+ * @returns {Array<number>} Stage per stop
+ */
+const getStages = (route) => {
+    const stops = [...route.stops].sort((a, b) => a.order - b.order);
+    const staged = stops.every((stop) => isSet(stop.fareStage));
+    return stops.map((stop, index) => (staged ? stop.fareStage : index + 1));
+};
+
+/**
+ * Stage pairs of a route that a fare table does not price
+ * 
+ * @param {Object} route - Route document
+ * @param {Array} fares - Fare table entries { fromStage, toStage }
+ * @returns {Object} missing pairs and unknown stages (not on the route)
+ */
+const checkCoverage = (route, fares) => {
+    const stages = [...new Set(getStages(route))];
+    const listed = new Set(fares.map((fare) => `${fare.fromStage}-${fare.toStage}`));
+
+    const missing = stages.flatMap((fromStage, index) => stages.slice(index + 1)
+        .filter((toStage) => !listed.has(`${fromStage}-${toStage}`))
+        .map((toStage) => ({ fromStage, toStage })));
+    const unknown = [...new Set(fares.flatMap((fare) => [fare.fromStage, fare.toStage]))]
+        .filter((stage) => !stages.includes(stage));
+
+    return { missing, unknown };
+};
+
+/**
+ * Fare table versions of routes that start on or before a date, newest first
+ * 
+ * @async
+ * @param {Array} routeIds - Route IDs
+ * @param {Date} until - Latest travel date needed
+ * @returns {Promise<Map>} Route ID → fare tables
+ */
+const loadFareTables = async (routeIds, until) => {
+    const tables = await FareTable.find({
+        routeId: { $in: routeIds },
+        effectiveFrom: { $lte: until },
+    })
+        .sort('-effectiveFrom')
+        .lean();
+
+    const byRoute = new Map();
+    tables.forEach((table) => {
+        const key = table.routeId.toString();
+        if (!byRoute.has(key)) byRoute.set(key, []);
+        byRoute.get(key).push(table);
+    });
+    return byRoute;
+};
+
+/**
+ * Fare calculator for one route
+ * 
+ * @param {Object} route - Route document (with stops)
+ * @param {Array} [tables] - The route's fare tables, newest first
+ * @returns {Object} stages, price(fromIndex, toIndex, at) and tripFare(trip, fromIndex, toIndex)
+ */
+const createPricer = (route, tables = []) => {
+    const stages = getStages(route);
+    const { cumulativeKm } = buildStopPath(route);
+    const last = stages.length - 1;
+    const totalKm = cumulativeKm[last] || 1;
+
+    const prorate = (fare, fromIndex, toIndex) => {
+        if (fromIndex === 0 && toIndex === last) return fare;
+        return Math.ceil(fare * ((cumulativeKm[toIndex] - cumulativeKm[fromIndex]) / totalKm));
+    };
+
+    // Stop indexes are positions in stop order; fromIndex comes first
+    const price = (fromIndex, toIndex, at = new Date()) => {
+        const fromStage = stages[fromIndex];
+        const toStage = stages[toIndex];
+        const table = tables.find((t) => t.effectiveFrom <= at);
+
+        if (table) {
+            const fareTable = { _id: table._id, effectiveFrom: table.effectiveFrom };
+            if (fromStage === toStage) {
+                return {
+                    amount: table.minimumFare, fromStage, toStage, source: 'fare-table', fareTable,
+                };
+            }
+            const entry = table.fares.find((f) => f.fromStage === fromStage && f.toStage === toStage);
+            if (entry) {
+                return {
+                    amount: entry.amount, fromStage, toStage, source: 'fare-table', fareTable,
+                };
+            }
+        }
+
+        return {
+            amount: prorate(route.fare, fromIndex, toIndex), fromStage, toStage, source: 'route-fare', fareTable: null,
+        };
+    };
+
+    // Fare on a trip between two stops (default: the whole trip)
+    const tripFare = (trip, fromIndex = 0, toIndex = last) => {
+        if (isSet(trip.fare)) {
+            return {
+                amount: prorate(trip.fare, fromIndex, toIndex),
+                fromStage: stages[fromIndex],
+                toStage: stages[toIndex],
+                source: 'trip',
+                fareTable: null,
+            };
+        }
+        return price(fromIndex, toIndex, new Date(trip.scheduledDepartureTime));
+    };
+
+    return { stages, price, tripFare };
+};
+
+/**
+ * Index of a route stop given its ID or name
+ * An exact (case-insensitive) name match wins over a partial one.
+ * 
+ * @param {Array} stops - Route stops in order
+ * @param {string} stop - Stop ID or name
+ * @returns {number} Stop index
+ * @throws {ApiError} 404 if no stop matches, 400 if the name is ambiguous
+ */
+const findStopIndex = (stops, stop) => {
+    if (mongoose.Types.ObjectId.isValid(stop) && /^[0-9a-f]{24}$/i.test(stop)) {
+        const index = stops.findIndex((s) => s._id.equals(stop));
+        if (index >= 0) return index;
+    }
+
+    const exact = stops.findIndex((s) => s.name.trim().toLowerCase() === stop.trim().toLowerCase());
+    if (exact >= 0) return exact;
+
+    const pattern = new RegExp(escapeRegex(stop.trim()), 'i');
+    const partial = stops.map((s, index) => (pattern.test(s.name) ? index : -1)).filter((index) => index >= 0);
+    if (partial.length === 1) return partial[0];
+    if (partial.length > 1) {
+        throw new ApiError(`"${stop}" matches more than one stop on this route`, 400, {
+            matches: partial.map((index) => stops[index].name),
+        });
+    }
+
+    throw new ApiError(`Stop "${stop}" is not on this route`, 404);
+};
+
+/**
+ * Fare between two stops of a route, on a trip or a travel date
+ * A trip is priced at its departure, with its own fare when it has one.
+ * Without from or to, the first or last stop is used.
+ * 
+ * @async
+ * @param {Object} route - Route document (with stops)
+ * @param {Object} options - trip, from, to (stop ID or name) and date (default now)
+ * @returns {Promise<Object>} stops (in order), fromIndex, toIndex, date and fare (see createPricer)
+ * @throws {ApiError} 404 for a stop not on the route, 400 if the stops are not in travel order
+ */
+const priceSegment = async (route, {
+    trip, from, to, date = new Date(),
+} = {}) => {
+    const stops = [...route.stops].sort((a, b) => a.order - b.order);
+    const fromIndex = from ? findStopIndex(stops, from) : 0;
+    const toIndex = to ? findStopIndex(stops, to) : stops.length - 1;
+
+    if (toIndex <= fromIndex) {
+        throw new ApiError(`${stops[toIndex].name} does not come after ${stops[fromIndex].name} on this route`, 400);
+    }
+
+    const at = trip ? new Date(trip.scheduledDepartureTime) : date;
+    const tables = (await loadFareTables([route._id], at)).get(route._id.toString());
+    const pricer = createPricer(route, tables);
+    const fare = trip ? pricer.tripFare(trip, fromIndex, toIndex) : pricer.price(fromIndex, toIndex, at);
+
+    return {
+        stops, fromIndex, toIndex, date: at, fare,
+    };
+};
+
+/**
+ * Fare between two stops of a route on a travel date
+ * 
+ * @async
+ * @param {Object} route - Route document
+ * @param {Object} query - from, to (stop ID or name) and date (default now)
+ * @returns {Promise<Object>} Stops, stages, fare and the fare table used
+ * @throws {ApiError} 400 if the stops are not in travel order
+ */
+const getFare = async (route, { from, to, date = new Date() }) => {
+    const {
+        stops, fromIndex, toIndex, fare,
+    } = await priceSegment(route, { from, to, date });
+    const describe = (index, stage) => ({
+        _id: stops[index]._id,
+        name: stops[index].name,
+        order: stops[index].order,
+        fareStage: stage,
+    });
+
+    return {
+        route: { _id: route._id, routeNumber: route.routeNumber, name: route.name },
+        from: describe(fromIndex, fare.fromStage),
+        to: describe(toIndex, fare.toStage),
+        date,
+        fare: fare.amount,
+        source: fare.source,
+        fareTable: fare.fareTable,
+    };
+};
+
+/**
+ * Full-trip fare of a trip
+ * 
+ * @async
+ * @param {Object} trip - Trip document (routeId populated or not)
+ * @returns {Promise<Object|null>} amount, source and fare table; null if the route is gone
+ */
+const getTripFare = async (trip) => {
+    const routeId = trip.routeId._id || trip.routeId;
+    const route = await Route.findById(routeId);
+    if (!route || route.stops.length < 2) {
+        return isSet(trip.fare) ? { amount: trip.fare, source: 'trip', fareTable: null } : null;
+    }
+
+    const { fare: { amount, source, fareTable } } = await priceSegment(route, { trip });
+    return { amount, source, fareTable };
+};
+
+module.exports = {
+    getStages,
+    checkCoverage,
+    loadFareTables,
+    createPricer,
+    findStopIndex,
+    priceSegment,
+    getFare,
+    getTripFare,
+};
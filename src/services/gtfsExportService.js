@@ -0,0 +1,266 @@
+/**
+ * GTFS Export Service
+ * 
+ * Builds a GTFS static feed from the scheduled trips in a date window.
+ * 
+ * - agency.txt: operators running trips in the window
+ * - routes.txt: one route per route and operator (a route served by two
+ *   operators appears twice, each under its own agency)
+ * - stops.txt: route stops, merged when name and position match
+ * - trips.txt / stop_times.txt: trips, with stop times interpolated by
+ *   distance along the route
+ * - calendar_dates.txt: one service per service day
+ * - shapes.txt: stored route shapes
+ * - feed_info.txt
+ * 
+ * IDs are derived from business keys (registration, route and trip
+ * numbers; stop name and position), so they stay the same across exports.
+ * 
+ * @module services/gtfsExportService
+ */
+
+const crypto = require('crypto');
+const Operator = require('../models/Operator');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const { buildStopPath, getScheduledStopTimes } = require('./etaService');
+const { decodePolyline, toLatLng } = require('../utils/geo');
+const { toCsv } = require('../utils/csv');
+const { createZip } = require('../utils/zip');
+const { TIMEZONE, toLocal, formatTime } = require('../utils/gtfsTime');
+
+// Default number of service days exported
+const EXPORT_DAYS = parseInt(process.env.GTFS_EXPORT_DAYS, 10) || 30;
+const PUBLISHER_NAME = process.env.GTFS_PUBLISHER_NAME || 'National Transport Commission';
+const PUBLISHER_URL = process.env.GTFS_PUBLISHER_URL || 'https://www.ntc.gov.lk';
+
+// GTFS route_type for bus services
+const ROUTE_TYPE_BUS = 3;
+
+/**
+ * Stable stop ID from a stop's name and position (to about 10 m)
+ * 
+ * @param {Object} stop - Route stop
+ * @returns {string} Stop ID
+ */
+const stopIdOf = (stop) => {
+    const { lat, lng } = toLatLng(stop.coordinates);
+    const key = `${stop.name.trim().toLowerCase()}|${lat.toFixed(4)}|${lng.toFixed(4)}`;
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return `S${hash.slice(0, 12).toUpperCase()}`;
+};
+
+/**
+ * Route ID of a route as run by an operator
+ * 
+ * @param {Object} route - Route (routeNumber)
+ * @param {Object} operator - Operator (registrationNumber)
+ * @returns {string} Route ID
+ */
+const routeIdOf = (route, operator) => `${route.routeNumber}-${operator.registrationNumber}`;
+
+/**
+ * Generate a GTFS feed
+ * 
+ * @async
+ * @param {Object} [options] - from (first service day, default today) and days
+ * @returns {Promise<Object>} buffer (zip), counts per file and the service date range
+ */
+const buildFeed = async ({ from = new Date(), days = EXPORT_DAYS } = {}) => {
+    // Service days are local dates: start at local midnight of the first day
+    const start = new Date(from.getTime() - (toLocal(from).seconds * 1000));
+    const end = new Date(start.getTime() + (days * 24 * 60 * 60 * 1000));
+
+    const trips = await Trip.find({
+        status: { $ne: 'cancelled' },
+        scheduledDepartureTime: { $gte: start, $lt: end },
+    })
+        .sort('scheduledDepartureTime')
+        .select('tripNumber routeId busId scheduledDepartureTime scheduledArrivalTime')
+        .setOptions({ skipPopulate: true })
+        .lean();
+
+    const [routes, buses] = await Promise.all([
+        Route.find({ _id: { $in: [...new Set(trips.map((trip) => trip.routeId.toString()))] } })
+            .select('+shape.polyline'),
+        Bus.find({ _id: { $in: [...new Set(trips.map((trip) => trip.busId.toString()))] } })
+            .select('registrationNumber operatorId')
+            .setOptions({ skipPopulate: true })
+            .lean(),
+    ]);
+    const operators = await Operator.find({
+        _id: { $in: [...new Set(buses.map((bus) => bus.operatorId.toString()))] },
+    }).lean();
+
+    const routeById = new Map(routes
+        .filter((route) => route.stops && route.stops.length >= 2)
+        .map((route) => [route._id.toString(), { route, stopPath: buildStopPath(route) }]));
+    const busById = new Map(buses.map((bus) => [bus._id.toString(), bus]));
+    const operatorById = new Map(operators.map((operator) => [operator._id.toString(), operator]));
+
+    const agencies = new Map();
+    const gtfsRoutes = new Map();
+    const stops = new Map();
+    const shapes = new Map();
+    const services = new Set();
+    const tripRows = [];
+    const stopTimeRows = [];
+
+    trips.forEach((trip) => {
+        const served = routeById.get(trip.routeId.toString());
+        const bus = busById.get(trip.busId.toString());
+        const operator = bus && operatorById.get(bus.operatorId.toString());
+        if (!served || !operator) return;
+
+        const { route, stopPath } = served;
+        const agencyId = operator.registrationNumber;
+        const routeId = routeIdOf(route, operator);
+
+        agencies.set(agencyId, {
+            agency_id: agencyId,
+            agency_name: operator.name,
+            agency_url: PUBLISHER_URL,
+            agency_timezone: TIMEZONE,
+            agency_lang: 'en',
+            agency_phone: operator.contactPerson && operator.contactPerson.phone,
+            agency_email: operator.contactPerson && operator.contactPerson.email,
+        });
+
+        gtfsRoutes.set(routeId, {
+            route_id: routeId,
+            agency_id: agencyId,
+            route_short_name: route.routeNumber,
+            route_long_name: route.name,
+            route_desc: `${route.origin} to ${route.destination}`,
+            route_type: ROUTE_TYPE_BUS,
+        });
+
+        let shapeId;
+        if (route.shape && route.shape.polyline) {
+            shapeId = route.routeNumber;
+            if (!shapes.has(shapeId)) shapes.set(shapeId, decodePolyline(route.shape.polyline));
+        }
+
+        const departure = toLocal(trip.scheduledDepartureTime);
+        const serviceStart = new Date(trip.scheduledDepartureTime).getTime() - (departure.seconds * 1000);
+        const serviceId = departure.date;
+        services.add(serviceId);
+
+        tripRows.push({
+            route_id: routeId,
+            service_id: serviceId,
+            trip_id: trip.tripNumber,
+            trip_headsign: route.destination,
+            block_id: bus.registrationNumber,
+            shape_id: shapeId,
+        });
+
+        const times = getScheduledStopTimes(trip, stopPath);
+        let previous = -1;
+        stopPath.stops.forEach((stop, index) => {
+            const stopId = stopIdOf(stop);
+            if (!stops.has(stopId)) {
+                const { lat, lng } = toLatLng(stop.coordinates);
+                stops.set(stopId, {
+                    stop_id: stopId,
+                    stop_name: stop.name,
+                    stop_lat: lat.toFixed(6),
+                    stop_lon: lng.toFixed(6),
+                    location_type: 0,
+                });
+            }
+
+            // Whole seconds, never going backwards after rounding
+            const seconds = Math.max(previous, Math.round((times[index].getTime() - serviceStart) / 1000));
+            previous = seconds;
+            stopTimeRows.push({
+                trip_id: trip.tripNumber,
+                arrival_time: formatTime(seconds),
+                departure_time: formatTime(seconds),
+                stop_id: stopId,
+                stop_sequence: index + 1,
+                pickup_type: index === stopPath.stops.length - 1 ? 1 : 0,
+                drop_off_type: index === 0 ? 1 : 0,
+                timepoint: index === 0 || index === stopPath.stops.length - 1 ? 1 : 0,
+            });
+        });
+    });
+
+    const serviceDates = [...services].sort();
+    const sortById = (rows, key) => [...rows].sort((a, b) => a[key].localeCompare(b[key]));
+
+    const files = [
+        {
+            name: 'agency.txt',
+            columns: ['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang', 'agency_phone', 'agency_email'],
+            rows: sortById(agencies.values(), 'agency_id'),
+        },
+        {
+            name: 'stops.txt',
+            columns: ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'location_type'],
+            rows: sortById(stops.values(), 'stop_id'),
+        },
+        {
+            name: 'routes.txt',
+            columns: ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type'],
+            rows: sortById(gtfsRoutes.values(), 'route_id'),
+        },
+        {
+            name: 'trips.txt',
+            columns: ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'block_id', 'shape_id'],
+            rows: tripRows,
+        },
+        {
+            name: 'stop_times.txt',
+            columns: ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'pickup_type', 'drop_off_type', 'timepoint'],
+            rows: stopTimeRows,
+        },
+        {
+            name: 'calendar_dates.txt',
+            columns: ['service_id', 'date', 'exception_type'],
+            rows: serviceDates.map((date) => ({ service_id: date, date, exception_type: 1 })),
+        },
+    ];
+
+    if (shapes.size > 0) {
+        files.push({
+            name: 'shapes.txt',
+            columns: ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'],
+            rows: [...shapes.keys()].sort().flatMap((shapeId) => shapes.get(shapeId).map((point, index) => ({
+                shape_id: shapeId,
+                shape_pt_lat: point.lat.toFixed(6),
+                shape_pt_lon: point.lng.toFixed(6),
+                shape_pt_sequence: index + 1,
+            }))),
+        });
+    }
+
+    if (serviceDates.length > 0) {
+        files.push({
+            name: 'feed_info.txt',
+            columns: ['feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_start_date', 'feed_end_date', 'feed_version'],
+            rows: [{
+                feed_publisher_name: PUBLISHER_NAME,
+                feed_publisher_url: PUBLISHER_URL,
+                feed_lang: 'en',
+                feed_start_date: serviceDates[0],
+                feed_end_date: serviceDates[serviceDates.length - 1],
+                feed_version: new Date().toISOString(),
+            }],
+        });
+    }
+
+    return {
+        buffer: createZip(files.map(({ name, columns, rows }) => ({ name, content: toCsv(columns, rows) }))),
+        counts: Object.fromEntries(files.map(({ name, rows }) => [name, rows.length])),
+        startDate: serviceDates[0] || null,
+        endDate: serviceDates[serviceDates.length - 1] || null,
+    };
+};
+
+module.exports = {
+    buildFeed,
+    stopIdOf,
+    routeIdOf,
+};
@@ -0,0 +1,984 @@
+/**
+ * GTFS Import Service
+ * 
+ * Creates and updates operators, routes and trips from a GTFS static feed.
+ * 
+ * - agency.txt → Operator, matched by registration number (agency_id) or
+ *   name. A new operator needs agency_phone, agency_email and the extension
+ *   columns agency_license_number and agency_license_expiry (YYYYMMDD); it is
+ *   created inactive until an admin reviews it.
+ * - routes.txt → Route, matched by route number (route_short_name, else
+ *   route_id). The route's stops are the most common stop pattern of its
+ *   trips; only trips running the whole route (same first and last stop)
+ *   are imported.
+ * - trips.txt, stop_times.txt and the calendar → one Trip per service day
+ *   in the import window. The bus is the one whose registration number is
+ *   the trip's block_id. Trip numbers are the trip_id, suffixed with the
+ *   service date when the trip runs on more than one day.
+ * 
+ * Records are matched on these keys and only written when something
+ * differs, so importing the same feed again changes nothing. Trips that
+ * have started are never changed, and nothing is deleted. A failed write
+ * undoes the whole import. Invalid rows are
+ * reported with their file and line and skipped together with whatever
+ * depends on them.
+ * 
+ * @module services/gtfsImportService
+ */
+
+const Operator = require('../models/Operator');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const { compareTrips, MIN_TURNAROUND_MINUTES } = require('./tripConflictService');
+const { ApiError } = require('../middleware/errorHandler');
+const { readZip } = require('../utils/zip');
+const { parseCsv } = require('../utils/csv');
+const { distanceBetween, cumulativeDistances } = require('../utils/geo');
+const {
+    toLocal,
+    parseTime,
+    isValidDate,
+    addDays,
+    dayOfWeek,
+    serviceDayStart,
+} = require('../utils/gtfsTime');
+const logger = require('../config/logger');
+
+// Default number of service days imported
+const IMPORT_DAYS = parseInt(process.env.GTFS_IMPORT_DAYS, 10) || 30;
+// Most a feed may unzip to
+const MAX_UNZIPPED_MB = parseInt(process.env.GTFS_IMPORT_MAX_UNZIPPED_MB, 10) || 200;
+
+// Most errors and changes listed in a report (counts are always complete)
+const MAX_REPORTED = 500;
+
+const REQUIRED_FILES = ['agency', 'stops', 'routes', 'trips', 'stop_times'];
+
+// calendar.txt day columns, indexed like Date#getUTCDay
+const DAY_FIELDS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TURNAROUND_MS = MIN_TURNAROUND_MINUTES * 60 * 1000;
+
+const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * Unzip a feed and parse its tables
+ * 
+ * @param {Buffer} buffer - GTFS zip
+ * @returns {Object} File name (without .txt) → rows
+ * @throws {ApiError} 400 if the zip is unreadable or required files are missing
+ */
+const readFeed = (buffer) => {
+    let entries;
+    try {
+        entries = readZip(buffer, { maxSize: MAX_UNZIPPED_MB * 1024 * 1024 });
+    } catch (error) {
+        throw new ApiError(`Invalid GTFS zip: ${error.message}`, 400);
+    }
+
+    const tables = {};
+    entries.forEach((content, name) => {
+        const file = name.split('/').pop();
+        if (file.endsWith('.txt')) {
+            tables[file.slice(0, -4)] = parseCsv(content.toString('utf8')).rows;
+        }
+    });
+
+    const missing = REQUIRED_FILES.filter((file) => !tables[file]).map((file) => `${file}.txt`);
+    if (!tables.calendar && !tables.calendar_dates) missing.push('calendar.txt or calendar_dates.txt');
+    if (missing.length > 0) {
+        throw new ApiError(`GTFS feed is missing ${missing.join(', ')}`, 400);
+    }
+
+    return tables;
+};
+
+/**
+ * Normalise a phone number to the 10-digit local form
+ * 
+ * @param {string} phone - Phone number as written in the feed
+ * @returns {string|null} 10 digits, or null if it cannot be read
+ */
+const normalizePhone = (phone) => {
+    const digits = (phone || '').replace(/\D/g, '');
+    const local = digits.length === 11 && digits.startsWith('94') ? `0${digits.slice(2)}` : digits;
+    return /^[0-9]{10}$/.test(local) ? local : null;
+};
+
+/**
+ * Validation messages of a document
+ * 
+ * @param {Object} doc - Mongoose document
+ * @param {Array} [paths] - Only these paths
+ * @returns {Array<string>} Messages (empty if valid)
+ */
+const validationMessages = (doc, paths) => {
+    const error = doc.validateSync(paths);
+    return error ? Object.values(error.errors).map((e) => e.message) : [];
+};
+
+/**
+ * Plan operator changes from agency.txt
+ * Planned operators are validated with the Operator model, so what the dry
+ * run accepts is what the import writes.
+ * 
+ * @async
+ * @param {Array} agencies - agency.txt rows
+ * @param {Function} reportError - (file, line, message)
+ * @returns {Promise<Map>} agency_id → plan { operatorId, registrationNumber, name, existing, action, set }
+ */
+const planOperators = async (agencies, reportError) => {
+    const registrationOf = (row) => (row.agency_id || row.agency_name).toUpperCase();
+
+    const existing = await Operator.find({
+        $or: [
+            { registrationNumber: { $in: agencies.map(registrationOf) } },
+            { name: { $in: agencies.map((row) => row.agency_name) } },
+            { licenseNumber: { $in: agencies.map((row) => row.agency_license_number).filter(Boolean) } },
+        ],
+    });
+
+    const plans = new Map();
+    agencies.forEach((row) => {
+        if (!row.agency_name) {
+            reportError('agency.txt', row.line, 'agency_name is required');
+            return;
+        }
+
+        const registrationNumber = registrationOf(row);
+        const phone = normalizePhone(row.agency_phone);
+        const email = row.agency_email ? row.agency_email.trim().toLowerCase() : null;
+        const operator = existing.find((o) => o.registrationNumber === registrationNumber)
+            || existing.find((o) => o.name === row.agency_name);
+
+        if (operator) {
+            const set = {};
+            if (operator.name !== row.agency_name) set.name = row.agency_name;
+            if (phone && operator.contactPerson.phone !== phone) set['contactPerson.phone'] = phone;
+            if (email && operator.contactPerson.email !== email) set['contactPerson.email'] = email;
+
+            // Values the model rejects are reported and left as they are
+            const candidate = Operator.hydrate(operator.toObject());
+            candidate.set(set);
+            Object.keys(set).forEach((path) => {
+                const messages = validationMessages(candidate, [path]);
+                if (messages.length > 0) {
+                    reportError('agency.txt', row.line, `Agency ${registrationNumber}: ${messages.join('; ')}`);
+                    delete set[path];
+                }
+            });
+
+            plans.set(row.agency_id, {
+                operatorId: operator._id,
+                registrationNumber: operator.registrationNumber,
+                name: row.agency_name,
+                existing: operator,
+                action: Object.keys(set).length > 0 ? 'update' : 'unchanged',
+                set,
+            });
+            return;
+        }
+
+        const licenseNumber = (row.agency_license_number || '').trim();
+        if (!phone || !email || !licenseNumber || !isValidDate(row.agency_license_expiry)) {
+            reportError('agency.txt', row.line, `Agency ${registrationNumber} is not a registered operator; creating it needs a 10-digit agency_phone, an agency_email, agency_license_number and agency_license_expiry (YYYYMMDD)`);
+            return;
+        }
+
+        const set = {
+            name: row.agency_name,
+            registrationNumber,
+            contactPerson: { name: row.agency_name, phone, email },
+            status: 'inactive',
+            licenseNumber,
+            // Valid through the last day
+            licenseExpiry: serviceDayStart(addDays(row.agency_license_expiry.trim(), 1)),
+        };
+        const created = new Operator(set);
+        const messages = validationMessages(created);
+        if (created.isLicenseExpired()) messages.push(`license ${licenseNumber} has expired`);
+        if (existing.some((o) => o.licenseNumber === licenseNumber)) messages.push(`license ${licenseNumber} belongs to another operator`);
+        if (messages.length > 0) {
+            reportError('agency.txt', row.line, `Agency ${registrationNumber}: ${messages.join('; ')}`);
+            return;
+        }
+
+        // The ID is fixed now so the feed's trips can be resolved against the new operator
+        plans.set(row.agency_id, {
+            operatorId: created._id,
+            registrationNumber,
+            name: row.agency_name,
+            existing: null,
+            action: 'create',
+            set,
+        });
+    });
+
+    return plans;
+};
+
+/**
+ * Read stops.txt
+ * 
+ * @param {Array} rows - stops.txt rows
+ * @param {Function} reportError - (file, line, message)
+ * @returns {Map} stop_id → { name, lat, lng }
+ */
+const readStops = (rows, reportError) => {
+    const stops = new Map();
+    rows.forEach((row) => {
+        // Stations and entrances group stops; trips only visit stops
+        if (row.location_type && row.location_type !== '0') return;
+
+        const lat = Number(row.stop_lat);
+        const lng = Number(row.stop_lon);
+        if (!row.stop_id || !row.stop_name) {
+            reportError('stops.txt', row.line, 'stop_id and stop_name are required');
+        } else if (row.stop_lat === '' || row.stop_lon === '' || !(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+            reportError('stops.txt', row.line, `Stop ${row.stop_id}: invalid coordinates`);
+        } else {
+            stops.set(row.stop_id, { name: row.stop_name, lat, lng });
+        }
+    });
+    return stops;
+};
+
+/**
+ * Validate stop_times.txt and reduce each trip to its stops and times
+ * A trip with any bad row is left out.
+ * 
+ * @param {Array} rows - stop_times.txt rows
+ * @param {Set} tripIds - trip_ids in trips.txt
+ * @param {Map} stops - Result of readStops
+ * @param {Function} reportError - (file, line, message)
+ * @returns {Map} trip_id → { stopIds, departure, arrival } (seconds into the service day)
+ */
+const readStopTimes = (rows, tripIds, stops, reportError) => {
+    const groups = new Map();
+
+    rows.forEach((row) => {
+        const problems = [];
+        if (!tripIds.has(row.trip_id)) problems.push(`unknown trip_id "${row.trip_id}"`);
+        if (!stops.has(row.stop_id)) problems.push(`unknown stop_id "${row.stop_id}"`);
+
+        const sequence = Number(row.stop_sequence);
+        if (row.stop_sequence === '' || !Number.isInteger(sequence) || sequence < 0) {
+            problems.push(`invalid stop_sequence "${row.stop_sequence}"`);
+        }
+        const arrival = row.arrival_time === '' ? undefined : parseTime(row.arrival_time);
+        const departure = row.departure_time === '' ? undefined : parseTime(row.departure_time);
+        if (arrival === null) problems.push(`invalid arrival_time "${row.arrival_time}"`);
+        if (departure === null) problems.push(`invalid departure_time "${row.departure_time}"`);
+
+        if (!groups.has(row.trip_id)) groups.set(row.trip_id, { rows: [], valid: true });
+        const group = groups.get(row.trip_id);
+
+        if (problems.length > 0) {
+            reportError('stop_times.txt', row.line, `Trip ${row.trip_id}: ${problems.join('; ')}`);
+            group.valid = false;
+            return;
+        }
+
+        group.rows.push({
+            line: row.line,
+            sequence,
+            stopId: row.stop_id,
+            arrival: arrival === undefined ? departure : arrival,
+            departure: departure === undefined ? arrival : departure,
+        });
+    });
+
+    const tripTimes = new Map();
+    groups.forEach((group, tripId) => {
+        if (!group.valid) return;
+
+        const sorted = group.rows.sort((a, b) => a.sequence - b.sequence);
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+        let valid = true;
+        const fail = (row, message) => {
+            reportError('stop_times.txt', row.line, `Trip ${tripId}: ${message}`);
+            valid = false;
+        };
+
+        if (sorted.length < 2) fail(first, 'a trip needs at least two stops');
+        if (first.departure === undefined) fail(first, 'the first stop needs a departure time');
+        if (last.arrival === undefined) fail(last, 'the last stop needs an arrival time');
+
+        let previous = null;
+        sorted.forEach((row, index) => {
+            if (index > 0 && row.sequence === sorted[index - 1].sequence) {
+                fail(row, `duplicate stop_sequence ${row.sequence}`);
+            }
+            if (row.arrival === undefined) return;
+            if (row.departure < row.arrival) fail(row, 'departure_time is before arrival_time');
+            if (previous !== null && row.arrival < previous) fail(row, 'time goes backwards from the previous stop');
+            previous = row.departure;
+        });
+
+        if (valid && last.arrival <= first.departure) fail(last, 'arrival must be after departure');
+        if (!valid) return;
+
+        tripTimes.set(tripId, {
+            stopIds: sorted.map((row) => row.stopId),
+            departure: first.departure,
+            arrival: last.arrival,
+        });
+    });
+
+    return tripTimes;
+};
+
+/**
+ * Service dates from calendar.txt and calendar_dates.txt
+ * 
+ * @param {Object} tables - Feed tables
+ * @param {Function} reportError - (file, line, message)
+ * @returns {Map} service_id → Set of YYYYMMDD dates
+ */
+const readServices = (tables, reportError) => {
+    const services = new Map();
+    const datesOf = (serviceId) => {
+        if (!services.has(serviceId)) services.set(serviceId, new Set());
+        return services.get(serviceId);
+    };
+
+    (tables.calendar || []).forEach((row) => {
+        if (!row.service_id || !isValidDate(row.start_date) || !isValidDate(row.end_date) || row.end_date < row.start_date) {
+            reportError('calendar.txt', row.line, 'service_id and a valid start_date / end_date range are required');
+            return;
+        }
+        const dates = datesOf(row.service_id);
+        for (let date = row.start_date; date <= row.end_date; date = addDays(date, 1)) {
+            if (row[DAY_FIELDS[dayOfWeek(date)]] === '1') dates.add(date);
+        }
+    });
+
+    (tables.calendar_dates || []).forEach((row) => {
+        if (!row.service_id || !isValidDate(row.date) || !['1', '2'].includes(row.exception_type)) {
+            reportError('calendar_dates.txt', row.line, 'service_id, a valid date and exception_type 1 or 2 are required');
+            return;
+        }
+        if (row.exception_type === '1') datesOf(row.service_id).add(row.date);
+        else datesOf(row.service_id).delete(row.date);
+    });
+
+    return services;
+};
+
+/**
+ * Route fares from fare_attributes.txt and fare_rules.txt
+ * The highest fare that applies to a route is its (full-route) fare.
+ * 
+ * @param {Object} tables - Feed tables
+ * @returns {Map} route_id → fare
+ */
+const readFares = (tables) => {
+    const prices = new Map((tables.fare_attributes || [])
+        .filter((row) => row.price !== '' && Number(row.price) >= 0)
+        .map((row) => [row.fare_id, Number(row.price)]));
+
+    const fares = new Map();
+    (tables.fare_rules || []).forEach((row) => {
+        if (!row.route_id || !prices.has(row.fare_id)) return;
+        fares.set(row.route_id, Math.max(fares.get(row.route_id) || 0, prices.get(row.fare_id)));
+    });
+    return fares;
+};
+
+/**
+ * Length of a shape in km
+ * 
+ * @param {Array} rows - shapes.txt rows
+ * @param {string} shapeId - Shape ID
+ * @returns {number|null} Length, or null if the shape is missing
+ */
+const shapeLength = (rows, shapeId) => {
+    const points = rows
+        .filter((row) => row.shape_id === shapeId)
+        .sort((a, b) => Number(a.shape_pt_sequence) - Number(b.shape_pt_sequence))
+        .map((row) => ({ lat: Number(row.shape_pt_lat), lng: Number(row.shape_pt_lon) }));
+    if (points.length < 2) return null;
+    const cumulative = cumulativeDistances(points);
+    return cumulative[cumulative.length - 1];
+};
+
+/**
+ * Whether a route's stored stops match a planned stop list
+ * 
+ * @param {Object} route - Route document
+ * @param {Array} stops - Planned stops { name, order, coordinates }
+ * @returns {boolean} True if names, order and positions (to 1e-6°) match
+ */
+const sameStops = (route, stops) => {
+    const current = [...route.stops].sort((a, b) => a.order - b.order);
+    return current.length === stops.length && current.every((stop, index) => (
+        stop.name === stops[index].name
+        && stop.coordinates.lat.toFixed(6) === stops[index].coordinates.lat.toFixed(6)
+        && stop.coordinates.lng.toFixed(6) === stops[index].coordinates.lng.toFixed(6)
+    ));
+};
+
+/**
+ * Plan route changes from routes.txt and the trips' stop patterns
+ * 
+ * @async
+ * @param {Object} feed - tables, stops, tripTimes, operators, fares
+ * @param {Function} reportError - (file, line, message)
+ * @returns {Promise<Object>} byGtfsId (route_id → { routeNumber, agency }) and plans (route number → plan)
+ */
+const planRoutes = async ({
+    tables, stops, tripTimes, operators, fares,
+}, reportError) => {
+    const byGtfsId = new Map();
+
+    tables.routes.forEach((row) => {
+        const type = Number(row.route_type);
+        if (!row.route_id) {
+            reportError('routes.txt', row.line, 'route_id is required');
+        } else if (!(type === 3 || (type >= 700 && type < 800))) {
+            reportError('routes.txt', row.line, `Route ${row.route_id}: route_type ${row.route_type} is not a bus service`);
+        } else {
+            // agency_id may be left out when the feed has a single agency
+            const agencyId = row.agency_id || (tables.agency.length === 1 ? tables.agency[0].agency_id : undefined);
+            if (!operators.has(agencyId)) {
+                reportError('routes.txt', row.line, `Route ${row.route_id}: agency ${agencyId || '(none)'} was not imported`);
+                return;
+            }
+            byGtfsId.set(row.route_id, {
+                row,
+                routeNumber: (row.route_short_name || row.route_id).toUpperCase(),
+                agency: operators.get(agencyId),
+            });
+        }
+    });
+
+    // Stop patterns of the valid trips of each route number
+    const patterns = new Map();
+    tables.trips.forEach((row) => {
+        const route = byGtfsId.get(row.route_id);
+        const times = tripTimes.get(row.trip_id);
+        if (!route || !times) return;
+        if (!patterns.has(route.routeNumber)) patterns.set(route.routeNumber, new Map());
+        const key = times.stopIds.join('>');
+        const pattern = patterns.get(route.routeNumber).get(key) || { stopIds: times.stopIds, trips: [] };
+        pattern.trips.push({ row, times });
+        patterns.get(route.routeNumber).set(key, pattern);
+    });
+
+    const existing = await Route.find({ routeNumber: { $in: [...patterns.keys()] } });
+    const plans = new Map();
+
+    patterns.forEach((byKey, routeNumber) => {
+        const gtfsRoutes = [...byGtfsId.entries()].filter(([, route]) => route.routeNumber === routeNumber);
+        const { row } = gtfsRoutes[0][1];
+
+        // Most common pattern, the longer on a tie
+        const pattern = [...byKey.values()].sort(
+            (a, b) => b.trips.length - a.trips.length || b.stopIds.length - a.stopIds.length,
+        )[0];
+        const routeStops = pattern.stopIds.map((stopId, index) => ({
+            name: stops.get(stopId).name,
+            order: index + 1,
+            coordinates: { lat: stops.get(stopId).lat, lng: stops.get(stopId).lng },
+        }));
+
+        const shapeId = pattern.trips.map((trip) => trip.row.shape_id).find(Boolean);
+        const straightKm = routeStops.slice(1).reduce(
+            (sum, stop, index) => sum + distanceBetween(routeStops[index].coordinates, stop.coordinates),
+            0,
+        );
+        const distance = Math.round((((shapeId && shapeLength(tables.shapes || [], shapeId)) || straightKm) * 10)) / 10;
+
+        const durations = [...byKey.values()]
+            .flatMap((p) => p.trips.map(({ times }) => Math.round((times.arrival - times.departure) / 60)))
+            .sort((a, b) => a - b);
+        const estimatedDuration = durations[Math.floor(durations.length / 2)];
+
+        const feedFares = gtfsRoutes.map(([gtfsId]) => fares.get(gtfsId)).filter((fare) => fare !== undefined);
+        const fare = feedFares.length > 0 ? Math.max(...feedFares) : undefined;
+
+        const derived = {
+            origin: routeStops[0].name,
+            destination: routeStops[routeStops.length - 1].name,
+            distance,
+            estimatedDuration,
+            stops: routeStops,
+        };
+        const route = existing.find((r) => r.routeNumber === routeNumber);
+        const plan = {
+            routeNumber,
+            existing: route || null,
+            terminals: [pattern.stopIds[0], pattern.stopIds[pattern.stopIds.length - 1]],
+        };
+
+        if (!route) {
+            if (fare === undefined) {
+                reportError('routes.txt', row.line, `Route ${routeNumber} is new and needs a fare (fare_attributes.txt and fare_rules.txt)`);
+                return;
+            }
+            plans.set(routeNumber, {
+                ...plan,
+                action: 'create',
+                set: {
+                    routeNumber,
+                    name: row.route_long_name || `${derived.origin} - ${derived.destination}`,
+                    ...derived,
+                    fare,
+                },
+            });
+            return;
+        }
+
+        // Derived fields follow the stops; a manual distance or duration stays until the stops change
+        const set = sameStops(route, routeStops) ? {} : derived;
+        if (row.route_long_name && route.name !== row.route_long_name) set.name = row.route_long_name;
+        if (fare !== undefined && route.fare !== fare) set.fare = fare;
+
+        plans.set(routeNumber, {
+            ...plan,
+            action: Object.keys(set).length > 0 ? 'update' : 'unchanged',
+            set,
+        });
+    });
+
+    return { byGtfsId, plans };
+};
+
+/**
+ * Plan trips: expand trips.txt over the service days in the window
+ * Trips carry no fare of their own; they inherit the route's fares.
+ * 
+ * @async
+ * @param {Object} feed - tables, tripTimes, services, routes, window (from, firstDate, lastDate)
+ * @param {Function} reportError - (file, line, message)
+ * @returns {Promise<Array>} Trip plans { tripNumber, line, routePlan, bus, fields, existing, action, changed }
+ */
+const planTrips = async ({
+    tables, tripTimes, services, routes, window,
+}, reportError) => {
+    const routeIds = new Set(tables.routes.map((row) => row.route_id));
+    const timedTripIds = new Set(tables.stop_times.map((row) => row.trip_id));
+    const blockIds = [...new Set(tables.trips.map((row) => (row.block_id || '').toUpperCase()).filter(Boolean))];
+    const buses = await Bus.find({ registrationNumber: { $in: blockIds } })
+        .select('registrationNumber operatorId')
+        .setOptions({ skipPopulate: true })
+        .lean();
+    const busByRegistration = new Map(buses.map((bus) => [bus.registrationNumber, bus]));
+
+    const planned = [];
+    tables.trips.forEach((row) => {
+        const fail = (message) => reportError('trips.txt', row.line, `Trip ${row.trip_id}: ${message}`);
+        const gtfsRoute = routes.byGtfsId.get(row.route_id);
+        const times = tripTimes.get(row.trip_id);
+
+        // Rows already reported elsewhere (route or stop_times) are skipped quietly
+        if (!row.trip_id) {
+            fail('trip_id is required');
+            return;
+        }
+        if (!gtfsRoute || !times) {
+            if (!routeIds.has(row.route_id)) fail(`unknown route_id "${row.route_id}"`);
+            else if (!timedTripIds.has(row.trip_id)) fail('no stop_times');
+            return;
+        }
+        const routePlan = routes.plans.get(gtfsRoute.routeNumber);
+        if (!routePlan) return;
+
+        if (times.stopIds[0] !== routePlan.terminals[0] || times.stopIds[times.stopIds.length - 1] !== routePlan.terminals[1]) {
+            fail(`does not run the whole of route ${gtfsRoute.routeNumber}`);
+            return;
+        }
+        if (!services.has(row.service_id)) {
+            fail(`unknown service_id "${row.service_id}"`);
+            return;
+        }
+        const bus = busByRegistration.get((row.block_id || '').toUpperCase());
+        if (!bus) {
+            fail(`block_id "${row.block_id}" is not the registration number of a bus`);
+            return;
+        }
+        if (!sameId(bus.operatorId, gtfsRoute.agency.operatorId)) {
+            fail(`bus ${bus.registrationNumber} does not belong to ${gtfsRoute.agency.name}${gtfsRoute.agency.action === 'create' ? ' (a new operator; register its buses and import again)' : ''}`);
+            return;
+        }
+
+        const dates = services.get(row.service_id);
+        [...dates].filter((date) => date >= window.firstDate && date <= window.lastDate).sort().forEach((date) => {
+            const dayStart = serviceDayStart(date).getTime();
+            const scheduledDepartureTime = new Date(dayStart + (times.departure * 1000));
+            if (scheduledDepartureTime < window.from) return;
+
+            planned.push({
+                tripNumber: (dates.size === 1 ? row.trip_id : `${row.trip_id}-${date}`).toUpperCase(),
+                line: row.line,
+                routePlan,
+                bus,
+                fields: {
+                    busId: bus._id,
+                    scheduledDepartureTime,
+                    scheduledArrivalTime: new Date(dayStart + (times.arrival * 1000)),
+                },
+            });
+        });
+    });
+
+    const existing = await Trip.find({ tripNumber: { $in: planned.map((trip) => trip.tripNumber) } })
+        .select('tripNumber routeId busId status scheduledDepartureTime scheduledArrivalTime')
+        .setOptions({ skipPopulate: true })
+        .lean();
+    const existingByNumber = new Map(existing.map((trip) => [trip.tripNumber, trip]));
+
+    return planned.map((trip) => {
+        const current = existingByNumber.get(trip.tripNumber);
+        if (!current) return { ...trip, existing: null, action: 'create' };
+
+        const routeId = trip.routePlan.existing && trip.routePlan.existing._id;
+        const { fields } = trip;
+
+        const changed = [
+            !sameId(current.routeId, routeId) && 'routeId',
+            !sameId(current.busId, fields.busId) && 'busId',
+            !sameTime(current.scheduledDepartureTime, fields.scheduledDepartureTime) && 'scheduledDepartureTime',
+            !sameTime(current.scheduledArrivalTime, fields.scheduledArrivalTime) && 'scheduledArrivalTime',
+        ].filter(Boolean);
+
+        let action = 'update';
+        if (changed.length === 0) action = 'unchanged';
+        else if (current.status !== 'scheduled') {
+            action = 'skipped';
+            reportError('trips.txt', trip.line, `Trip ${trip.tripNumber} is ${current.status} and cannot be changed`);
+        }
+
+        return {
+            ...trip, existing: current, action, changed,
+        };
+    });
+};
+
+/**
+ * Planned trips that would double-book a bus
+ * Checked against the bus's other trips and the other trips in the feed.
+ * 
+ * @async
+ * @param {Array} trips - Result of planTrips
+ * @param {Function} reportError - (file, line, message)
+ * @returns {Promise<Set>} Trip numbers to skip
+ */
+const findBusConflicts = async (trips, reportError) => {
+    const rejected = new Set();
+    const writes = trips.filter((trip) => ['create', 'update'].includes(trip.action));
+    if (writes.length === 0) return rejected;
+
+    const departures = writes.map((trip) => trip.fields.scheduledDepartureTime.getTime());
+    const arrivals = writes.map((trip) => trip.fields.scheduledArrivalTime.getTime());
+    const others = await Trip.find({
+        busId: { $in: [...new Set(writes.map((trip) => trip.bus._id.toString()))] },
+        tripNumber: { $nin: trips.map((trip) => trip.tripNumber) },
+        status: { $ne: 'cancelled' },
+        scheduledDepartureTime: { $lt: new Date(Math.max(...arrivals) + TURNAROUND_MS) },
+        scheduledArrivalTime: { $gt: new Date(Math.min(...departures) - TURNAROUND_MS) },
+    })
+        .select('tripNumber busId scheduledDepartureTime scheduledArrivalTime')
+        .setOptions({ skipPopulate: true })
+        .lean();
+
+    // Fixed trips are already in the database and stay as they are
+    const timeline = [
+        ...others.map((trip) => ({ ...trip, fixed: true })),
+        ...trips
+            .filter((trip) => ['create', 'update', 'unchanged'].includes(trip.action))
+            .map((trip) => ({
+                tripNumber: trip.tripNumber,
+                busId: trip.bus._id,
+                ...trip.fields,
+                fixed: trip.action === 'unchanged',
+                plan: trip,
+            })),
+    ].sort((a, b) => a.scheduledDepartureTime - b.scheduledDepartureTime);
+
+    const reject = (entry, other, clash) => {
+        rejected.add(entry.tripNumber);
+        reportError(
+            'trips.txt',
+            entry.plan.line,
+            `Trip ${entry.tripNumber}: bus ${entry.plan.bus.registrationNumber} is already booked for ${other.tripNumber} (${clash.type}, minimum turnaround ${MIN_TURNAROUND_MINUTES} minutes)`,
+        );
+    };
+
+    let open = [];
+    timeline.forEach((entry) => {
+        open = open.filter((earlier) => !rejected.has(earlier.tripNumber));
+        const clashes = open
+            .filter((earlier) => sameId(earlier.busId, entry.busId))
+            .map((earlier) => ({ earlier, clash: compareTrips(earlier, entry) }))
+            .filter(({ clash }) => clash);
+
+        if (clashes.length > 0 && !entry.fixed) {
+            reject(entry, clashes[0].earlier, clashes[0].clash);
+            return;
+        }
+        clashes.forEach(({ earlier, clash }) => {
+            if (!earlier.fixed) reject(earlier, entry, clash);
+        });
+
+        open = open.filter((earlier) => new Date(earlier.scheduledArrivalTime).getTime() + TURNAROUND_MS
+            > new Date(entry.scheduledDepartureTime).getTime());
+        open.push(entry);
+    });
+
+    return rejected;
+};
+
+/**
+ * Current values of the paths an update will set
+ * 
+ * @param {Object} doc - Mongoose document
+ * @param {Object} set - Planned update
+ * @returns {Object} Path → current value
+ */
+const snapshot = (doc, set) => Object.fromEntries(Object.keys(set).map((path) => {
+    const value = doc.get(path);
+    return [path, value && typeof value.toObject === 'function' ? value.toObject() : value];
+}));
+
+/**
+ * Restore a document's earlier values (through save, so model hooks run)
+ * 
+ * @async
+ * @param {Object} Model - Mongoose model
+ * @param {ObjectId} id - Document ID
+ * @param {Object} values - Result of snapshot
+ */
+const restore = async (Model, id, values) => {
+    const doc = await Model.findById(id).setOptions({ skipPopulate: true });
+    if (!doc) return;
+    doc.set(values);
+    await doc.save();
+};
+
+/**
+ * Write the planned operators, routes and trips
+ * Records are written in dependency order (operators, routes, trips), one
+ * at a time. If any write fails, the writes made so far are undone in
+ * reverse order and the error is rethrown, so a feed is imported whole or
+ * not at all.
+ * 
+ * @async
+ * @param {Object} plan - operators, routes and trips plans
+ * @param {Object} user - Importing user
+ */
+const applyPlan = async ({ operators, routes, trips }, user) => {
+    const undo = [];
+    const now = new Date();
+    const inSequence = (items, write) => items.reduce(async (previous, item) => {
+        await previous;
+        await write(item);
+    }, Promise.resolve());
+
+    try {
+        await inSequence([...operators.values()], async (plan) => {
+            if (plan.action === 'create') {
+                await Operator.create({ _id: plan.operatorId, ...plan.set });
+                undo.push(() => Operator.deleteOne({ _id: plan.operatorId }));
+            }
+            if (plan.action === 'update') {
+                const before = snapshot(plan.existing, plan.set);
+                plan.existing.set(plan.set);
+                await plan.existing.save();
+                undo.push(() => restore(Operator, plan.existing._id, before));
+            }
+        });
+
+        const routeIds = new Map();
+        await inSequence([...routes.plans.values()], async (plan) => {
+            let route = plan.existing;
+            if (plan.action === 'create') {
+                route = await Route.create(plan.set);
+                undo.push(() => Route.deleteOne({ _id: route._id }));
+            }
+            if (plan.action === 'update') {
+                const before = snapshot(route, plan.set);
+                route.set(plan.set);
+                await route.save();
+                undo.push(() => restore(Route, route._id, before));
+            }
+            routeIds.set(plan.routeNumber, route._id);
+        });
+
+        const created = trips.filter((trip) => trip.action === 'create').map((trip) => trip.tripNumber);
+        const updated = trips.filter((trip) => trip.action === 'update');
+
+        // Trips inserted by this import carry its timestamp in their first history entry
+        if (created.length > 0) {
+            undo.push(() => Trip.deleteMany({
+                tripNumber: { $in: created },
+                'statusHistory.0.at': now,
+                'statusHistory.0.reason': 'Imported from GTFS feed',
+            }));
+        }
+        if (updated.length > 0) {
+            undo.push(() => Trip.bulkWrite(updated.map((trip) => ({
+                updateOne: {
+                    filter: { _id: trip.existing._id, status: 'scheduled' },
+                    update: {
+                        $set: {
+                            routeId: trip.existing.routeId,
+                            busId: trip.existing.busId,
+                            scheduledDepartureTime: trip.existing.scheduledDepartureTime,
+                            scheduledArrivalTime: trip.existing.scheduledArrivalTime,
+                        },
+                    },
+                },
+            })), { ordered: false }));
+        }
+
+        const operations = trips.flatMap((trip) => {
+            const fields = { ...trip.fields, routeId: routeIds.get(trip.routePlan.routeNumber) };
+            if (trip.action === 'create') {
+                return [{
+                    updateOne: {
+                        filter: { tripNumber: trip.tripNumber },
+                        update: {
+                            $setOnInsert: {
+                                tripNumber: trip.tripNumber,
+                                ...fields,
+                                status: 'scheduled',
+                                statusSource: 'schedule',
+                                statusHistory: [{
+                                    from: null,
+                                    to: 'scheduled',
+                                    at: now,
+                                    source: 'schedule',
+                                    reason: 'Imported from GTFS feed',
+                                    by: user._id,
+                                }],
+                            },
+                        },
+                        upsert: true,
+                    },
+                }];
+            }
+            if (trip.action === 'update') {
+                return [{
+                    updateOne: {
+                        filter: { _id: trip.existing._id, status: 'scheduled' },
+                        update: { $set: fields },
+                    },
+                }];
+            }
+            return [];
+        });
+
+        if (operations.length > 0) {
+            await Trip.bulkWrite(operations, { ordered: true });
+        }
+    } catch (error) {
+        logger.error(`GTFS import failed, undoing ${undo.length} writes: ${error.message}`);
+        await inSequence(undo.reverse(), async (step) => {
+            try {
+                await step();
+            } catch (undoError) {
+                logger.error(`GTFS import rollback step failed: ${undoError.message}`);
+            }
+        });
+        throw error;
+    }
+};
+
+/**
+ * Counts and (capped) list of changes for one record type
+ * 
+ * @param {Array} plans - Plans with action
+ * @param {Function} describe - Plan → listed fields
+ * @returns {Object} created, updated, unchanged, skipped and changes
+ */
+const summarize = (plans, describe) => {
+    const count = (action) => plans.filter((plan) => plan.action === action).length;
+    return {
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        skipped: count('skipped'),
+        changes: plans
+            .filter((plan) => ['create', 'update'].includes(plan.action))
+            .slice(0, MAX_REPORTED)
+            .map((plan) => ({ action: plan.action, ...describe(plan) })),
+    };
+};
+
+/**
+ * Import a GTFS feed
+ * 
+ * @async
+ * @param {Buffer} buffer - GTFS zip
+ * @param {Object} options - dryRun, from (first service day, default now), days, user
+ * @returns {Promise<Object>} Report: window, per-type counts and changes, errors
+ * @throws {ApiError} 400 if the feed cannot be read
+ */
+const importFeed = async (buffer, {
+    dryRun = false, from = new Date(), days = IMPORT_DAYS, user,
+}) => {
+    const tables = readFeed(buffer);
+    const errors = [];
+    const reportError = (file, line, message) => errors.push({ file, line, message });
+
+    const operators = await planOperators(tables.agency, reportError);
+    const stops = readStops(tables.stops, reportError);
+    const tripTimes = readStopTimes(
+        tables.stop_times,
+        new Set(tables.trips.map((row) => row.trip_id)),
+        stops,
+        reportError,
+    );
+    const services = readServices(tables, reportError);
+    const routes = await planRoutes({
+        tables, stops, tripTimes, operators, fares: readFares(tables),
+    }, reportError);
+
+    const firstDate = toLocal(from).date;
+    const window = { from, firstDate, lastDate: addDays(firstDate, days - 1) };
+    const planned = await planTrips({
+        tables, tripTimes, services, routes, window,
+    }, reportError);
+    const conflicts = await findBusConflicts(planned, reportError);
+    const trips = planned.map((trip) => (conflicts.has(trip.tripNumber) ? { ...trip, action: 'skipped' } : trip));
+
+    if (!dryRun) {
+        await applyPlan({ operators, routes, trips }, user);
+    }
+
+    const report = {
+        dryRun,
+        window: { from, to: serviceDayStart(addDays(firstDate, days)) },
+        operators: summarize([...operators.values()], (plan) => ({
+            registrationNumber: plan.registrationNumber,
+            name: plan.name,
+            fields: Object.keys(plan.set),
+        })),
+        routes: summarize([...routes.plans.values()], (plan) => ({
+            routeNumber: plan.routeNumber,
+            fields: Object.keys(plan.set),
+        })),
+        trips: summarize(trips, (plan) => ({
+            tripNumber: plan.tripNumber,
+            routeNumber: plan.routePlan.routeNumber,
+            scheduledDepartureTime: plan.fields.scheduledDepartureTime,
+            fields: plan.changed || [],
+        })),
+        errorCount: errors.length,
+        errors: errors.slice(0, MAX_REPORTED),
+    };
+
+    if (!dryRun) {
+        logger.info(`GTFS import by ${user.email}: ${report.routes.created + report.routes.updated} routes and ${report.trips.created + report.trips.updated} trips written, ${errors.length} errors`);
+    }
+
+    return report;
+};
+
+module.exports = {
+    importFeed,
+};
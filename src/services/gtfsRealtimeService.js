@@ -0,0 +1,418 @@
+/**
+ * GTFS-Realtime Service
+ * 
+ * Builds the three GTFS-Realtime feeds:
+ * 
+ * - vehicle-positions: the newest position of every bus that reported
+ *   recently, with the trip it is running
+ * - trip-updates: per-stop arrival predictions for running trips,
+ *   departure delays of unstarted trips with a knock-on delay, and
+ *   cancellations
+ * - alerts: a no-service alert for each cancelled trip
+ * 
+ * Feeds are built as plain objects in the GTFS-Realtime JSON shape (proto
+ * field names, enum value names), which is also the debug rendering, and
+ * encoded to protocol buffers for consumers. Trip, route, stop and vehicle
+ * IDs match the static GTFS export. Built feeds are cached briefly, since
+ * consumers poll them.
+ * 
+ * @module services/gtfsRealtimeService
+ */
+
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const Operator = require('../models/Operator');
+const VehicleState = require('../models/VehicleState');
+const etaService = require('./etaService');
+const { stopIdOf, routeIdOf } = require('./gtfsExportService');
+const { toLocal, formatTime } = require('../utils/gtfsTime');
+const { encodeMessage } = require('../utils/protobuf');
+const logger = require('../config/logger');
+
+// Positions older than this are left out of the vehicle positions feed
+const MAX_POSITION_AGE_MINUTES = parseInt(process.env.GTFS_RT_MAX_POSITION_AGE_MINUTES, 10) || 30;
+// How far ahead unstarted and cancelled trips are published
+const HORIZON_MINUTES = parseInt(process.env.GTFS_RT_HORIZON_MINUTES, 10) || 180;
+// How long a built feed is served before it is rebuilt
+const CACHE_SECONDS = parseInt(process.env.GTFS_RT_CACHE_SECONDS, 10) || 15;
+
+// Subset of gtfs-realtime.proto used by the feeds
+const SCHEMA = {
+    messages: {
+        FeedMessage: { header: [1, 'FeedHeader'], entity: [2, 'FeedEntity', 'repeated'] },
+        FeedHeader: { gtfs_realtime_version: [1, 'string'], incrementality: [2, 'Incrementality'], timestamp: [3, 'uint64'] },
+        FeedEntity: {
+            id: [1, 'string'], is_deleted: [2, 'bool'], trip_update: [3, 'TripUpdate'], vehicle: [4, 'VehiclePosition'], alert: [5, 'Alert'],
+        },
+        TripUpdate: {
+            trip: [1, 'TripDescriptor'], stop_time_update: [2, 'StopTimeUpdate', 'repeated'], vehicle: [3, 'VehicleDescriptor'], timestamp: [4, 'uint64'], delay: [5, 'int32'],
+        },
+        StopTimeUpdate: {
+            stop_sequence: [1, 'uint32'], arrival: [2, 'StopTimeEvent'], departure: [3, 'StopTimeEvent'], stop_id: [4, 'string'], schedule_relationship: [5, 'StopTimeScheduleRelationship'],
+        },
+        StopTimeEvent: { delay: [1, 'int32'], time: [2, 'int64'], uncertainty: [3, 'int32'] },
+        VehiclePosition: {
+            trip: [1, 'TripDescriptor'], position: [2, 'Position'], timestamp: [5, 'uint64'], vehicle: [8, 'VehicleDescriptor'],
+        },
+        Position: {
+            latitude: [1, 'float'], longitude: [2, 'float'], bearing: [3, 'float'], speed: [5, 'float'],
+        },
+        TripDescriptor: {
+            trip_id: [1, 'string'], start_time: [2, 'string'], start_date: [3, 'string'], schedule_relationship: [4, 'TripScheduleRelationship'], route_id: [5, 'string'],
+        },
+        VehicleDescriptor: { id: [1, 'string'], label: [2, 'string'], license_plate: [3, 'string'] },
+        Alert: {
+            active_period: [1, 'TimeRange', 'repeated'], informed_entity: [5, 'EntitySelector', 'repeated'], cause: [6, 'Cause'], effect: [7, 'Effect'], header_text: [10, 'TranslatedString'], description_text: [11, 'TranslatedString'],
+        },
+        TimeRange: { start: [1, 'uint64'], end: [2, 'uint64'] },
+        EntitySelector: {
+            agency_id: [1, 'string'], route_id: [2, 'string'], trip: [4, 'TripDescriptor'], stop_id: [5, 'string'],
+        },
+        TranslatedString: { translation: [1, 'Translation', 'repeated'] },
+        Translation: { text: [1, 'string'], language: [2, 'string'] },
+    },
+    enums: {
+        Incrementality: { FULL_DATASET: 0, DIFFERENTIAL: 1 },
+        TripScheduleRelationship: {
+            SCHEDULED: 0, ADDED: 1, UNSCHEDULED: 2, CANCELED: 3,
+        },
+        StopTimeScheduleRelationship: { SCHEDULED: 0, SKIPPED: 1, NO_DATA: 2 },
+        Cause: { UNKNOWN_CAUSE: 1, OTHER_CAUSE: 2 },
+        Effect: { NO_SERVICE: 1 },
+    },
+};
+
+// Built feeds by name: { builtAt, message }
+const cache = new Map();
+
+const seconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const translated = (text) => ({ translation: [{ text, language: 'en' }] });
+
+/**
+ * Load the routes, buses and operators behind a set of trips
+ * 
+ * @async
+ * @param {Array} trips - Trips (routeId and busId unpopulated)
+ * @returns {Promise<Object>} Lookups by ID: routes (with stopPath), buses, operators
+ */
+const loadContext = async (trips) => {
+    const routeIds = [...new Set(trips.map((trip) => trip.routeId.toString()))];
+    const busIds = [...new Set(trips.map((trip) => trip.busId.toString()))];
+
+    const [routes, buses] = await Promise.all([
+        Route.find({ _id: { $in: routeIds } }),
+        Bus.find({ _id: { $in: busIds } })
+            .select('registrationNumber operatorId')
+            .setOptions({ skipPopulate: true })
+            .lean(),
+    ]);
+    const operators = await Operator.find({ _id: { $in: buses.map((bus) => bus.operatorId) } })
+        .select('registrationNumber')
+        .lean();
+
+    return {
+        routes: new Map(routes
+            .filter((route) => route.stops && route.stops.length >= 2)
+            .map((route) => [route._id.toString(), { route, stopPath: etaService.buildStopPath(route) }])),
+        buses: new Map(buses.map((bus) => [bus._id.toString(), bus])),
+        operators: new Map(operators.map((operator) => [operator._id.toString(), operator])),
+    };
+};
+
+/**
+ * GTFS descriptors of a trip: its TripDescriptor and the bus's VehicleDescriptor
+ * 
+ * @param {Object} trip - Trip
+ * @param {Object} context - Result of loadContext
+ * @param {string} [scheduleRelationship] - SCHEDULED or CANCELED
+ * @returns {Object|null} trip, vehicle, agencyId and stopPath, or null if the trip cannot be described
+ */
+const describeTrip = (trip, context, scheduleRelationship = 'SCHEDULED') => {
+    const served = context.routes.get(trip.routeId.toString());
+    const bus = context.buses.get(trip.busId.toString());
+    const operator = bus && context.operators.get(bus.operatorId.toString());
+    if (!served || !operator) return null;
+
+    const start = toLocal(trip.scheduledDepartureTime);
+    return {
+        trip: {
+            trip_id: trip.tripNumber,
+            route_id: routeIdOf(served.route, operator),
+            start_date: start.date,
+            start_time: formatTime(start.seconds),
+            schedule_relationship: scheduleRelationship,
+        },
+        vehicle: {
+            id: bus.registrationNumber,
+            label: bus.registrationNumber,
+            license_plate: bus.registrationNumber,
+        },
+        agencyId: operator.registrationNumber,
+        stopPath: served.stopPath,
+    };
+};
+
+/**
+ * Feed message wrapper
+ * 
+ * @param {Array} entity - Feed entities
+ * @param {Date} now - Build time
+ * @returns {Object} FeedMessage
+ */
+const feedMessage = (entity, now) => ({
+    header: {
+        gtfs_realtime_version: '2.0',
+        incrementality: 'FULL_DATASET',
+        timestamp: seconds(now),
+    },
+    entity,
+});
+
+/**
+ * Vehicle positions feed
+ * 
+ * @async
+ * @param {Date} now - Build time
+ * @returns {Promise<Object>} FeedMessage
+ */
+const buildVehiclePositions = async (now) => {
+    const states = await VehicleState.find({
+        timestamp: { $gte: new Date(now.getTime() - (MAX_POSITION_AGE_MINUTES * 60 * 1000)) },
+    }).lean();
+
+    const trips = await Trip.find({
+        _id: { $in: states.map((state) => state.tripId).filter(Boolean) },
+        status: { $in: ['boarding', 'in-transit', 'delayed'] },
+    })
+        .select('tripNumber routeId busId scheduledDepartureTime')
+        .setOptions({ skipPopulate: true })
+        .lean();
+    const [context, buses] = await Promise.all([
+        loadContext(trips),
+        Bus.find({ _id: { $in: states.map((state) => state.busId) } })
+            .select('registrationNumber')
+            .setOptions({ skipPopulate: true })
+            .lean(),
+    ]);
+    const tripById = new Map(trips.map((trip) => [trip._id.toString(), trip]));
+    const registrationById = new Map(buses.map((bus) => [bus._id.toString(), bus.registrationNumber]));
+
+    const entity = states.filter((state) => registrationById.has(state.busId.toString())).map((state) => {
+        const registrationNumber = registrationById.get(state.busId.toString());
+        const trip = state.tripId && tripById.get(state.tripId.toString());
+        const described = trip && describeTrip(trip, context);
+        const [longitude, latitude] = state.coordinates.coordinates;
+
+        return {
+            id: `vehicle-${registrationNumber}`,
+            vehicle: {
+                trip: described ? described.trip : undefined,
+                vehicle: {
+                    id: registrationNumber,
+                    label: registrationNumber,
+                    license_plate: registrationNumber,
+                },
+                position: {
+                    latitude,
+                    longitude,
+                    bearing: state.heading,
+                    speed: state.speed === undefined ? undefined : Math.round((state.speed / 3.6) * 10) / 10, // m/s
+                },
+                timestamp: seconds(state.timestamp),
+            },
+        };
+    });
+
+    return feedMessage(entity, now);
+};
+
+/**
+ * Stop time updates of a trip that is running or late to start
+ * 
+ * @async
+ * @param {Object} trip - Trip
+ * @param {Object} stopPath - Route stop path
+ * @returns {Promise<Array>} StopTimeUpdates, empty if no prediction is available
+ */
+const predictStopTimes = async (trip, stopPath) => {
+    let eta;
+    try {
+        eta = await etaService.predictTripEta(trip);
+    } catch (error) {
+        logger.warn(`GTFS-RT: no prediction for trip ${trip.tripNumber}: ${error.message}`);
+        return [];
+    }
+
+    const scheduled = etaService.getScheduledStopTimes(trip, stopPath);
+    const indexById = new Map(stopPath.stops.map((stop, index) => [stop._id.toString(), index]));
+    const updates = [];
+
+    if (!trip.actualDepartureTime && !['in-transit', 'delayed'].includes(trip.status)) {
+        const departure = new Date(Math.max(Date.now(), new Date(trip.scheduledDepartureTime).getTime()));
+        updates.push({
+            stop_sequence: 1,
+            stop_id: stopIdOf(stopPath.stops[0]),
+            departure: { time: seconds(departure), delay: seconds(departure) - seconds(scheduled[0]) },
+        });
+    }
+
+    eta.predictions.forEach((prediction) => {
+        const index = indexById.get(prediction.stopId.toString());
+        if (index === undefined) return;
+        updates.push({
+            stop_sequence: index + 1,
+            stop_id: stopIdOf(stopPath.stops[index]),
+            arrival: {
+                time: seconds(prediction.predictedArrival),
+                delay: seconds(prediction.predictedArrival) - seconds(scheduled[index]),
+            },
+        });
+    });
+
+    return updates;
+};
+
+/**
+ * Trip updates feed
+ * 
+ * @async
+ * @param {Date} now - Build time
+ * @returns {Promise<Object>} FeedMessage
+ */
+const buildTripUpdates = async (now) => {
+    const horizon = new Date(now.getTime() + (HORIZON_MINUTES * 60 * 1000));
+    const trips = await Trip.find({
+        $or: [
+            { status: { $in: ['in-transit', 'delayed'] } },
+            {
+                status: { $in: ['scheduled', 'boarding'] },
+                scheduledDepartureTime: { $lte: horizon },
+                scheduledArrivalTime: { $gte: now },
+            },
+            { status: 'cancelled', scheduledDepartureTime: { $gte: now, $lte: horizon } },
+        ],
+    })
+        .select('tripNumber routeId busId status scheduledDepartureTime scheduledArrivalTime actualDepartureTime projectedDelay')
+        .setOptions({ skipPopulate: true });
+    const context = await loadContext(trips);
+
+    const entities = await Promise.all(trips.map(async (trip) => {
+        const cancelled = trip.status === 'cancelled';
+        const described = describeTrip(trip, context, cancelled ? 'CANCELED' : 'SCHEDULED');
+        if (!described) return null;
+
+        const update = {
+            trip: described.trip,
+            vehicle: described.vehicle,
+            timestamp: seconds(now),
+        };
+
+        // A cancellation needs no stop times
+        if (!cancelled) {
+            const running = trip.actualDepartureTime || ['in-transit', 'delayed'].includes(trip.status);
+            const late = new Date(trip.scheduledDepartureTime) < now;
+
+            if (running || late) {
+                update.stop_time_update = await predictStopTimes(trip, described.stopPath);
+                if (update.stop_time_update.length === 0) return null;
+            } else if (trip.projectedDelay && trip.projectedDelay.minutes) {
+                const delay = trip.projectedDelay.minutes * 60;
+                update.delay = delay;
+                update.stop_time_update = [{
+                    stop_sequence: 1,
+                    stop_id: stopIdOf(described.stopPath.stops[0]),
+                    departure: { time: seconds(trip.scheduledDepartureTime) + delay, delay },
+                }];
+            } else {
+                // On time and not started: the static schedule already says it all
+                return null;
+            }
+        }
+
+        return { id: `trip-${trip.tripNumber}`, trip_update: update };
+    }));
+
+    return feedMessage(entities.filter(Boolean), now);
+};
+
+/**
+ * Service alerts feed
+ * 
+ * @async
+ * @param {Date} now - Build time
+ * @returns {Promise<Object>} FeedMessage
+ */
+const buildAlerts = async (now) => {
+    const trips = await Trip.find({
+        status: 'cancelled',
+        scheduledDepartureTime: { $lte: new Date(now.getTime() + (HORIZON_MINUTES * 60 * 1000)) },
+        scheduledArrivalTime: { $gte: now },
+    })
+        .sort('scheduledDepartureTime')
+        .select('tripNumber routeId busId scheduledDepartureTime scheduledArrivalTime cancellationReason')
+        .setOptions({ skipPopulate: true })
+        .lean();
+    const context = await loadContext(trips);
+
+    const entity = trips.map((trip) => {
+        const described = describeTrip(trip, context, 'CANCELED');
+        if (!described) return null;
+        const { route } = context.routes.get(trip.routeId.toString());
+
+        return {
+            id: `cancelled-${trip.tripNumber}`,
+            alert: {
+                active_period: [{ end: seconds(trip.scheduledArrivalTime) }],
+                informed_entity: [{
+                    agency_id: described.agencyId,
+                    route_id: described.trip.route_id,
+                    trip: described.trip,
+                }],
+                cause: trip.cancellationReason ? 'OTHER_CAUSE' : 'UNKNOWN_CAUSE',
+                effect: 'NO_SERVICE',
+                header_text: translated(`${route.routeNumber} ${route.origin} - ${route.destination} at ${described.trip.start_time.slice(0, 5)} is cancelled`),
+                description_text: trip.cancellationReason ? translated(trip.cancellationReason) : undefined,
+            },
+        };
+    }).filter(Boolean);
+
+    return feedMessage(entity, now);
+};
+
+const BUILDERS = {
+    'vehicle-positions': buildVehiclePositions,
+    'trip-updates': buildTripUpdates,
+    alerts: buildAlerts,
+};
+
+/**
+ * Current feed message, rebuilt when the cached one is too old
+ * 
+ * @async
+ * @param {string} name - vehicle-positions, trip-updates or alerts
+ * @returns {Promise<Object>} FeedMessage in GTFS-Realtime JSON shape
+ */
+const getFeed = async (name) => {
+    const cached = cache.get(name);
+    if (cached && Date.now() - cached.builtAt < CACHE_SECONDS * 1000) return cached.message;
+
+    const builtAt = Date.now();
+    const message = await BUILDERS[name](new Date(builtAt));
+    cache.set(name, { builtAt, message });
+    return message;
+};
+
+/**
+ * Encode a feed message as a GTFS-Realtime protocol buffer
+ * 
+ * @param {Object} message - FeedMessage from getFeed
+ * @returns {Buffer} Encoded FeedMessage
+ */
+const encodeFeed = (message) => encodeMessage(SCHEMA, 'FeedMessage', message);
+
+module.exports = {
+    getFeed,
+    encodeFeed,
+};
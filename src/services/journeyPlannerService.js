@@ -0,0 +1,343 @@
+/**
+ * Journey Planner Service
+ * 
+ * Plans journeys across routes using the scheduled trips. Stops of
+ * different routes form one interchange when they share a name or lie
+ * within walking distance of each other. Search is round-based (as in
+ * RAPTOR): round k finds the earliest arrival at every interchange using at
+ * most k transfers, boarding only trips that leave at least the minimum
+ * connection time after the previous leg arrives. Several itineraries are
+ * found by repeating the search with later departures.
+ * 
+ * Stop times are the scheduled times interpolated by distance along the
+ * route, and leg fares are the stop-to-stop fares of the route on the
+ * trip's date.
+ * 
+ * @module services/journeyPlannerService
+ */
+
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const { buildStopPath, getScheduledStopTimes } = require('./etaService');
+const fareService = require('./fareService');
+const { distanceBetween, toLatLng } = require('../utils/geo');
+
+// Stops of different routes closer than this are one interchange
+const TRANSFER_RADIUS_M = parseInt(process.env.JOURNEY_TRANSFER_RADIUS_M, 10) || 400;
+// Default minimum time between arriving on one trip and departing on the next
+const MIN_CONNECTION_MINUTES = parseInt(process.env.JOURNEY_MIN_CONNECTION_MINUTES, 10) || 10;
+// How far after the requested departure trips are searched
+const SEARCH_HOURS = parseInt(process.env.JOURNEY_SEARCH_HOURS, 10) || 24;
+
+// Trips a passenger can still board
+const BOARDABLE_STATUSES = ['scheduled', 'boarding', 'delayed', 'in-transit'];
+
+const normalizeName = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Group the stops of all routes into interchanges
+ * Stops join when their names match or they are within the transfer radius.
+ * 
+ * @param {Array} stopRefs - { key, stop } for every stop of every route
+ * @returns {Map<string, number>} Stop key → interchange index
+ */
+const clusterStops = (stopRefs) => {
+    const parent = stopRefs.map((_, index) => index);
+    const find = (i) => {
+        let root = i;
+        while (parent[root] !== root) root = parent[root];
+        return root;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent[rootB] = rootA;
+    };
+
+    const byName = new Map();
+    stopRefs.forEach((ref, index) => {
+        const name = normalizeName(ref.stop.name);
+        if (byName.has(name)) union(byName.get(name), index);
+        else byName.set(name, index);
+    });
+
+    // Sweep by latitude so only stops within the radius north-south are compared
+    const radiusDeg = TRANSFER_RADIUS_M / 111320;
+    const points = stopRefs.map((ref) => toLatLng(ref.stop.coordinates));
+    const order = points.map((_, index) => index).sort((a, b) => points[a].lat - points[b].lat);
+    order.forEach((i, position) => {
+        for (let next = position + 1; next < order.length; next += 1) {
+            const j = order[next];
+            if (points[j].lat - points[i].lat > radiusDeg) break;
+            if (distanceBetween(points[i], points[j]) * 1000 <= TRANSFER_RADIUS_M) union(i, j);
+        }
+    });
+
+    return new Map(stopRefs.map((ref, index) => [ref.key, find(index)]));
+};
+
+/**
+ * Load the trips and routes a search can use
+ * 
+ * @async
+ * @param {Date} departAfter - Earliest departure
+ * @returns {Promise<Object>} network: trips (with stop times and interchanges) and places
+ */
+const loadNetwork = async (departAfter) => {
+    const until = new Date(departAfter.getTime() + SEARCH_HOURS * 60 * 60 * 1000);
+
+    // Trips still running at departAfter, up to the end of the window
+    const trips = await Trip.find({
+        status: { $in: BOARDABLE_STATUSES },
+        scheduledArrivalTime: { $gt: departAfter },
+        scheduledDepartureTime: { $lte: until },
+    })
+        .select('tripNumber routeId busId status fare scheduledDepartureTime scheduledArrivalTime')
+        .setOptions({ skipPopulate: true })
+        .lean();
+
+    const routeIds = [...new Set(trips.map((trip) => trip.routeId.toString()))];
+    const [routes, fareTables] = await Promise.all([
+        Route.find({ _id: { $in: routeIds }, status: 'active' }),
+        fareService.loadFareTables(routeIds, until),
+    ]);
+
+    const stopRefs = [];
+    const paths = new Map();
+    routes.forEach((route) => {
+        if (!route.stops || route.stops.length < 2) return;
+        const stopPath = buildStopPath(route);
+        const pricer = fareService.createPricer(route, fareTables.get(route._id.toString()));
+        paths.set(route._id.toString(), { route, stopPath, pricer });
+        stopPath.stops.forEach((stop, index) => {
+            stopRefs.push({ key: `${route._id}:${index}`, stop, route });
+        });
+    });
+
+    const placeOf = clusterStops(stopRefs);
+
+    const places = new Map();
+    stopRefs.forEach((ref) => {
+        const place = placeOf.get(ref.key);
+        if (!places.has(place)) places.set(place, { names: new Set(), stops: [] });
+        places.get(place).names.add(normalizeName(ref.stop.name));
+        places.get(place).stops.push(ref);
+    });
+
+    const network = trips
+        .filter((trip) => paths.has(trip.routeId.toString()))
+        .map((trip) => {
+            const { route, stopPath, pricer } = paths.get(trip.routeId.toString());
+            return {
+                trip,
+                route,
+                pricer,
+                stops: stopPath.stops,
+                cumulativeKm: stopPath.cumulativeKm,
+                times: getScheduledStopTimes(trip, stopPath).map((time) => time.getTime()),
+                places: stopPath.stops.map((_, index) => placeOf.get(`${route._id}:${index}`)),
+            };
+        });
+
+    return { trips: network, places, routes };
+};
+
+/**
+ * Interchanges matching a place name
+ * Matches stop names, and a route's origin / destination name at its first / last stop.
+ * 
+ * @param {Object} network - Result of loadNetwork
+ * @param {string} query - Place name (case-insensitive, partial)
+ * @returns {Set<number>} Matching interchanges
+ */
+const matchPlaces = (network, query) => {
+    const needle = normalizeName(query);
+    const matches = new Set();
+
+    network.places.forEach((place, id) => {
+        const named = [...place.names].some((name) => name.includes(needle));
+        const terminus = place.stops.some((ref) => {
+            const { route, stop } = ref;
+            const last = route.stops.reduce((a, b) => (b.order > a.order ? b : a));
+            const first = route.stops.reduce((a, b) => (b.order < a.order ? b : a));
+            return (stop === first && normalizeName(route.origin).includes(needle))
+                || (stop === last && normalizeName(route.destination).includes(needle));
+        });
+        if (named || terminus) matches.add(id);
+    });
+
+    return matches;
+};
+
+/**
+ * Earliest-arrival search with up to maxTransfers transfers
+ * 
+ * @param {Array} trips - network.trips
+ * @param {Set<number>} origins - Origin interchanges
+ * @param {number} departAfter - Earliest departure (ms)
+ * @param {Object} options - maxTransfers, minConnectionMs
+ * @returns {Array<Map>} Per round: interchange → label { arrival, trip, board, alight, previous }
+ */
+const search = (trips, origins, departAfter, { maxTransfers, minConnectionMs }) => {
+    const start = new Map([...origins].map((place) => [place, { arrival: departAfter, origin: true }]));
+    const rounds = [start];
+    const best = new Map(start);
+
+    for (let round = 1; round <= maxTransfers + 1; round += 1) {
+        const previous = rounds[round - 1];
+        const labels = new Map();
+
+        trips.forEach((entry) => {
+            let boarded = null;
+            entry.places.forEach((place, index) => {
+                if (boarded) {
+                    const arrival = entry.times[index];
+                    const known = best.get(place);
+                    if (!known || arrival < known.arrival) {
+                        const label = {
+                            arrival, entry, board: boarded.index, alight: index, previous: boarded.label,
+                        };
+                        labels.set(place, label);
+                        best.set(place, label);
+                    }
+                    return;
+                }
+
+                const from = previous.get(place);
+                if (!from || index === entry.places.length - 1) return;
+                const ready = from.arrival + (from.origin ? 0 : minConnectionMs);
+                if (entry.times[index] >= ready) boarded = { index, label: from };
+            });
+        });
+
+        rounds.push(labels);
+        if (labels.size === 0) break;
+    }
+
+    return rounds;
+};
+
+/**
+ * Turn a destination label into an itinerary
+ * 
+ * @param {Object} label - Search label at the destination
+ * @returns {Object} Itinerary with legs, times, transfers and total fare
+ */
+const buildItinerary = (label) => {
+    const legs = [];
+    let current = label;
+    while (current && !current.origin) {
+        const {
+            entry, board, alight,
+        } = current;
+        const distanceKm = entry.cumulativeKm[alight] - entry.cumulativeKm[board];
+        legs.unshift({
+            tripId: entry.trip._id,
+            tripNumber: entry.trip.tripNumber,
+            status: entry.trip.status,
+            route: {
+                _id: entry.route._id,
+                routeNumber: entry.route.routeNumber,
+                name: entry.route.name,
+            },
+            busId: entry.trip.busId,
+            from: { name: entry.stops[board].name, coordinates: toLatLng(entry.stops[board].coordinates) },
+            to: { name: entry.stops[alight].name, coordinates: toLatLng(entry.stops[alight].coordinates) },
+            departureTime: new Date(entry.times[board]),
+            arrivalTime: new Date(entry.times[alight]),
+            distanceKm: Math.round(distanceKm * 10) / 10,
+            fare: entry.pricer.tripFare(entry.trip, board, alight).amount,
+        });
+        current = current.previous;
+    }
+
+    const { departureTime } = legs[0];
+    const { arrivalTime } = legs[legs.length - 1];
+
+    return {
+        departureTime,
+        arrivalTime,
+        durationMinutes: Math.round((arrivalTime - departureTime) / 60000),
+        transfers: legs.length - 1,
+        totalFare: legs.reduce((sum, leg) => sum + leg.fare, 0),
+        legs,
+        connections: legs.slice(1).map((leg, index) => ({
+            at: leg.from.name,
+            waitMinutes: Math.round((leg.departureTime - legs[index].arrivalTime) / 60000),
+        })),
+    };
+};
+
+/**
+ * Plan journeys between two places
+ * 
+ * @async
+ * @param {Object} query - from, to (place names), departAfter (Date), maxTransfers, minConnectionMinutes, limit
+ * @returns {Promise<Object>} Matched places and itineraries ranked by arrival time
+ */
+const planJourneys = async ({
+    from,
+    to,
+    departAfter = new Date(),
+    maxTransfers = 2,
+    minConnectionMinutes = MIN_CONNECTION_MINUTES,
+    limit = 5,
+}) => {
+    const network = await loadNetwork(departAfter);
+    const origins = matchPlaces(network, from);
+    const destinations = matchPlaces(network, to);
+    const describe = (ids) => [...ids].map((id) => [...network.places.get(id).names].join(' / '));
+
+    const result = {
+        from: describe(origins),
+        to: describe(destinations),
+        departAfter,
+        maxTransfers,
+        minConnectionMinutes,
+        itineraries: [],
+    };
+
+    // Already there: no journey to plan
+    if (origins.size === 0 || destinations.size === 0 || [...origins].some((id) => destinations.has(id))) {
+        return result;
+    }
+
+    const options = { maxTransfers, minConnectionMs: minConnectionMinutes * 60 * 1000 };
+    const seen = new Set();
+    let after = departAfter.getTime();
+
+    // Each pass finds the best journeys leaving after the previous pass's earliest departure
+    for (let pass = 0; pass < limit * 2 && result.itineraries.length < limit; pass += 1) {
+        const rounds = search(network.trips, origins, after, options);
+
+        const found = [];
+        rounds.forEach((labels) => {
+            destinations.forEach((place) => {
+                const label = labels.get(place);
+                if (label && !label.origin) found.push(buildItinerary(label));
+            });
+        });
+        if (found.length === 0) break;
+
+        found.forEach((itinerary) => {
+            const key = itinerary.legs.map((leg) => `${leg.tripId}:${leg.from.name}:${leg.to.name}`).join('|');
+            if (!seen.has(key)) {
+                seen.add(key);
+                result.itineraries.push(itinerary);
+            }
+        });
+
+        after = Math.min(...found.map((itinerary) => itinerary.departureTime.getTime())) + 60 * 1000;
+    }
+
+    result.itineraries = result.itineraries
+        .sort((a, b) => a.arrivalTime - b.arrivalTime || a.transfers - b.transfers || a.totalFare - b.totalFare)
+        .slice(0, limit);
+
+    return result;
+};
+
+module.exports = {
+    planJourneys,
+    MIN_CONNECTION_MINUTES,
+};
@@ -0,0 +1,213 @@
+/**
+ * Location Anomaly Service
+ * 
+ * Screens incoming GPS points before they are stored as bus positions.
+ * Each point is checked on its own (0,0 fixes, country bounding box, reported
+ * accuracy) and against the bus's previous accepted point (implied speed and
+ * heading consistency). Suspicious points are quarantined for admin review
+ * instead of being published as the bus's latest location.
+ * 
+ * @module services/locationAnomalyService
+ */
+
+const LocationUpdate = require('../models/LocationUpdate');
+const QuarantinedLocation = require('../models/QuarantinedLocation');
+const {
+    distanceBetween,
+    bearingBetween,
+    headingDifference,
+    toLatLng,
+} = require('../utils/geo');
+const logger = require('../config/logger');
+
+// Service area as "minLng,minLat,maxLng,maxLat" (default: Sri Lanka)
+const BOUNDS = (process.env.GPS_BOUNDS || '79.4,5.8,82.0,10.0').split(',').map(Number);
+// Fastest plausible movement between two fixes
+const MAX_SPEED_KMH = parseInt(process.env.GPS_MAX_SPEED_KMH, 10) || 120;
+// Fixes reporting a worse accuracy than this are not trusted
+const MAX_ACCURACY_M = parseInt(process.env.GPS_MAX_ACCURACY_M, 10) || 100;
+// Largest allowed gap between reported heading and direction of travel
+const MAX_HEADING_DEVIATION = parseInt(process.env.GPS_MAX_HEADING_DEVIATION, 10) || 90;
+// Previous points older than this are not compared against, so a bus
+// recovers on its own if a bad point ever slipped through
+const COMPARE_WINDOW_MINUTES = parseInt(process.env.GPS_COMPARE_WINDOW_MINUTES, 10) || 10;
+
+// Assumed error of a fix that does not report its accuracy
+const DEFAULT_ACCURACY_M = 20;
+// Heading is only meaningful once the bus is clearly moving
+const HEADING_MIN_SPEED_KMH = 10;
+const HEADING_MIN_DISTANCE_M = 100;
+// Radius around 0,0 treated as an uninitialised fix
+const NULL_ISLAND_RADIUS_KM = 1;
+
+/**
+ * Check a point against the bus's previous accepted point
+ * 
+ * @param {Object} point - { coordinates: { lat, lng }, speed, heading, accuracy, timestamp }
+ * @param {Object|null} previous - Previous accepted point (same shape) or null
+ * @returns {Array<Object>} Reasons ({ code, message }); empty when the point looks valid
+ */
+const inspectPoint = (point, previous) => {
+    const coordinates = toLatLng(point.coordinates);
+    const reasons = [];
+
+    if (distanceBetween(coordinates, { lat: 0, lng: 0 }) <= NULL_ISLAND_RADIUS_KM) {
+        return [{ code: 'null-island', message: 'Coordinates are at 0,0 (no GPS fix)' }];
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = BOUNDS;
+    const inBounds = coordinates.lat >= minLat && coordinates.lat <= maxLat
+        && coordinates.lng >= minLng && coordinates.lng <= maxLng;
+    if (!inBounds) {
+        reasons.push({ code: 'out-of-bounds', message: 'Coordinates are outside the service area' });
+    }
+
+    if (point.accuracy !== undefined && point.accuracy > MAX_ACCURACY_M) {
+        reasons.push({
+            code: 'low-accuracy',
+            message: `Reported accuracy ${Math.round(point.accuracy)} m exceeds ${MAX_ACCURACY_M} m`,
+        });
+    }
+
+    if (!previous || !inBounds) return reasons;
+
+    const previousCoordinates = toLatLng(previous.coordinates);
+    const seconds = (new Date(point.timestamp) - new Date(previous.timestamp)) / 1000;
+    const distanceKm = distanceBetween(previousCoordinates, coordinates);
+    // Movement smaller than the combined GPS error is not evidence of anything
+    const noiseKm = ((point.accuracy || DEFAULT_ACCURACY_M) + (previous.accuracy || DEFAULT_ACCURACY_M)) / 1000;
+    const movedKm = Math.max(0, distanceKm - noiseKm);
+
+    if (movedKm > 0) {
+        const impliedKmh = seconds > 0 ? movedKm / (seconds / 3600) : Infinity;
+        if (impliedKmh > MAX_SPEED_KMH) {
+            reasons.push({
+                code: 'implied-speed',
+                message: `Moved ${distanceKm.toFixed(2)} km in ${Math.max(0, Math.round(seconds))} s `
+                    + `(${Number.isFinite(impliedKmh) ? Math.round(impliedKmh) : '∞'} km/h, limit ${MAX_SPEED_KMH} km/h)`,
+            });
+        }
+    }
+
+    const moving = point.heading !== undefined && (point.speed || 0) >= HEADING_MIN_SPEED_KMH;
+    if (moving && distanceKm * 1000 >= HEADING_MIN_DISTANCE_M && movedKm > 0) {
+        const travelled = bearingBetween(previousCoordinates, coordinates);
+        const deviation = headingDifference(point.heading, travelled);
+        if (deviation > MAX_HEADING_DEVIATION) {
+            reasons.push({
+                code: 'heading-mismatch',
+                message: `Reported heading ${Math.round(point.heading)}° differs from direction of travel `
+                    + `${Math.round(travelled)}° by ${Math.round(deviation)}°`,
+            });
+        }
+    }
+
+    return reasons;
+};
+
+/**
+ * Last accepted point of a bus before a timestamp, within the compare window
+ * 
+ * @async
+ * @param {ObjectId} busId - Bus ID
+ * @param {Date} timestamp - Timestamp of the point being checked
+ * @returns {Promise<Object|null>} LocationUpdate or null
+ */
+const findPreviousLocation = async (busId, timestamp) => LocationUpdate.findOne({
+    busId,
+    timestamp: {
+        $lt: timestamp,
+        $gte: new Date(new Date(timestamp).getTime() - COMPARE_WINDOW_MINUTES * 60 * 1000),
+    },
+})
+    .sort({ timestamp: -1 })
+    .select('coordinates speed heading accuracy timestamp')
+    .setOptions({ skipPopulate: true });
+
+/**
+ * Build a quarantine entry for a rejected point
+ * 
+ * @param {Object} bus - Bus document
+ * @param {Object} point - Point fields (coordinates, speed, heading, accuracy, timestamp, tripId)
+ * @param {Array<Object>} reasons - Result of inspectPoint
+ * @param {Object|null} previous - Point it was compared against
+ * @returns {Object} Unsaved QuarantinedLocation document
+ */
+const buildQuarantineEntry = (bus, point, reasons, previous) => new QuarantinedLocation({
+    busId: bus._id,
+    tripId: point.tripId,
+    coordinates: point.coordinates,
+    speed: point.speed,
+    heading: point.heading,
+    accuracy: point.accuracy,
+    timestamp: point.timestamp,
+    reasons,
+    previousLocationId: previous && previous._id,
+});
+
+/**
+ * Quarantine a single point
+ * 
+ * @async
+ * @param {Object} bus - Bus document
+ * @param {Object} point - Point fields
+ * @param {Array<Object>} reasons - Result of inspectPoint
+ * @param {Object|null} previous - Point it was compared against
+ * @returns {Promise<Object>} Saved QuarantinedLocation
+ */
+const quarantine = async (bus, point, reasons, previous) => {
+    const entry = await buildQuarantineEntry(bus, point, reasons, previous).save();
+    logger.warn(`Location quarantined for bus ${bus.registrationNumber}: ${reasons.map((r) => r.code).join(', ')}`);
+    return entry;
+};
+
+/**
+ * List quarantined points for a bus, newest first
+ * 
+ * @async
+ * @param {ObjectId} busId - Bus ID
+ * @param {string} [reviewStatus] - pending, approved or rejected (all when omitted)
+ * @param {number} [limit=100] - Maximum entries
+ * @returns {Promise<Array>} Quarantined points
+ */
+const getQuarantinedLocations = async (busId, reviewStatus, limit = 100) => {
+    const filter = { busId };
+    if (reviewStatus) filter.reviewStatus = reviewStatus;
+
+    return QuarantinedLocation.find(filter)
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .populate('reviewedBy', 'name email');
+};
+
+/**
+ * Claim a pending entry for review, so two admins cannot both decide it
+ * 
+ * @async
+ * @param {ObjectId} id - QuarantinedLocation ID
+ * @param {string} reviewStatus - approved or rejected
+ * @param {Object} user - Reviewing user
+ * @param {string} [note] - Review note
+ * @returns {Promise<Object|null>} Updated entry, or null if it was already reviewed
+ */
+const markReviewed = async (id, reviewStatus, user, note) => QuarantinedLocation.findOneAndUpdate(
+    { _id: id, reviewStatus: 'pending' },
+    {
+        $set: {
+            reviewStatus,
+            reviewedBy: user._id,
+            reviewedAt: new Date(),
+            reviewNote: note,
+        },
+    },
+    { new: true },
+);
+
+module.exports = {
+    inspectPoint,
+    findPreviousLocation,
+    buildQuarantineEntry,
+    quarantine,
+    getQuarantinedLocations,
+    markReviewed,
+};
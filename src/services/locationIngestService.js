@@ -0,0 +1,376 @@
+/**
+ * Location Ingestion Service
+ * 
+ * Single entry point for storing GPS points from bus devices, one at a time
+ * or in offline batches. Keeps device timestamps (corrected for clock skew),
+ * drops replayed points, and only hands points newer than the bus's latest
+ * stored position to the live pipeline, so out-of-order uploads never move
+ * the "latest location" backwards. Points that fail anomaly checks are
+ * quarantined instead of stored (see locationAnomalyService).
+ * 
+ * @module services/locationIngestService
+ */
+
+const Joi = require('joi');
+const LocationUpdate = require('../models/LocationUpdate');
+const QuarantinedLocation = require('../models/QuarantinedLocation');
+const locationPipeline = require('./locationPipeline');
+const locationAnomalyService = require('./locationAnomalyService');
+const logger = require('../config/logger');
+
+// Tolerated drift of a corrected timestamp into the future
+const FUTURE_TOLERANCE_MS = 60 * 1000;
+// Skew below this is treated as network latency and ignored
+const MIN_SKEW_MS = 2000;
+// Matches the LocationUpdate TTL index: older points would expire on insert
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const pointSchema = Joi.object({
+    tripId: Joi.string().length(24).hex(),
+    coordinates: Joi.object({
+        lat: Joi.number().required().min(-90).max(90),
+        lng: Joi.number().required().min(-180).max(180),
+    }).required(),
+    speed: Joi.number().min(0).max(120),
+    heading: Joi.number().min(0).max(360),
+    accuracy: Joi.number().min(0),
+    timestamp: Joi.date().required(),
+});
+
+/**
+ * Device clock skew relative to the server
+ * 
+ * @param {Date} [sentAt] - Device clock when the upload was sent
+ * @param {Date} receivedAt - Server receipt time
+ * @returns {number} Milliseconds to add to device timestamps
+ */
+const computeClockSkew = (sentAt, receivedAt) => {
+    if (!sentAt) return 0;
+    const skew = receivedAt.getTime() - new Date(sentAt).getTime();
+    return Math.abs(skew) < MIN_SKEW_MS ? 0 : skew;
+};
+
+/**
+ * Apply skew correction and sanity-check a device timestamp
+ * 
+ * @param {Date} timestamp - Device timestamp
+ * @param {number} skewMs - Clock skew from computeClockSkew
+ * @param {Date} receivedAt - Server receipt time
+ * @returns {Object} { timestamp } or { error }
+ */
+const correctTimestamp = (timestamp, skewMs, receivedAt) => {
+    const corrected = new Date(new Date(timestamp).getTime() + skewMs);
+
+    if (corrected.getTime() > receivedAt.getTime() + FUTURE_TOLERANCE_MS) {
+        return { error: 'Timestamp is in the future' };
+    }
+    if (corrected.getTime() < receivedAt.getTime() - RETENTION_MS) {
+        return { error: 'Timestamp is older than the location retention period' };
+    }
+
+    return { timestamp: corrected };
+};
+
+/**
+ * Timestamp of the newest stored point for a bus
+ * 
+ * @async
+ * @param {ObjectId} busId - Bus ID
+ * @returns {Promise<Date|null>} Latest timestamp or null
+ */
+const getLatestTimestamp = async (busId) => {
+    const latest = await LocationUpdate.findOne({ busId })
+        .sort({ timestamp: -1 })
+        .select('timestamp')
+        .setOptions({ skipPopulate: true });
+
+    return latest ? latest.timestamp : null;
+};
+
+/**
+ * Store a checked point and run the live pipeline if it is the newest
+ * 
+ * @async
+ * @param {Object} bus - Bus document
+ * @param {Object} point - tripId, coordinates, speed, heading, accuracy, timestamp
+ * @returns {Promise<Object>} locationUpdate and live (false for back-filled points)
+ */
+const storeLocation = async (bus, point) => {
+    const latestBefore = await getLatestTimestamp(bus._id);
+
+    let locationUpdate;
+    try {
+        locationUpdate = await LocationUpdate.create({
+            busId: bus._id,
+            tripId: point.tripId,
+            coordinates: point.coordinates,
+            speed: point.speed,
+            heading: point.heading,
+            accuracy: point.accuracy,
+            timestamp: point.timestamp,
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Replay of a stored point (unique busId + timestamp): keep the original
+        const existing = await LocationUpdate.findOne({ busId: bus._id, timestamp: point.timestamp })
+            .setOptions({ skipPopulate: true });
+        return { locationUpdate: existing, live: false };
+    }
+
+    const live = !latestBefore || point.timestamp > latestBefore;
+    if (live) {
+        await locationPipeline.processAcceptedLocation(locationUpdate, bus);
+    }
+
+    return { locationUpdate, live };
+};
+
+/**
+ * Store a single location update from a device
+ * The device timestamp is kept when supplied; otherwise receipt time is used.
+ * 
+ * @async
+ * @param {Object} bus - Bus document
+ * @param {Object} payload - Validated request body
+ * @param {Date} [receivedAt] - Server receipt time
+ * @returns {Promise<Object>} locationUpdate and live, or quarantined when the point failed anomaly checks
+ */
+const ingestLocation = async (bus, payload, receivedAt = new Date()) => {
+    let timestamp = receivedAt;
+    if (payload.timestamp) {
+        const result = correctTimestamp(payload.timestamp, 0, receivedAt);
+        // Implausible device clocks fall back to receipt time
+        timestamp = result.timestamp || receivedAt;
+    }
+
+    const point = {
+        tripId: payload.tripId,
+        coordinates: payload.coordinates,
+        speed: payload.speed,
+        heading: payload.heading,
+        accuracy: payload.accuracy,
+        timestamp,
+    };
+
+    const previous = await locationAnomalyService.findPreviousLocation(bus._id, timestamp);
+    const reasons = locationAnomalyService.inspectPoint(point, previous);
+    if (reasons.length > 0) {
+        const quarantined = await locationAnomalyService.quarantine(bus, point, reasons, previous);
+        return { locationUpdate: null, live: false, quarantined };
+    }
+
+    return storeLocation(bus, point);
+};
+
+/**
+ * Release an approved quarantined point into the location history
+ * 
+ * @async
+ * @param {Object} entry - QuarantinedLocation already marked approved
+ * @param {Object} bus - Bus document
+ * @returns {Promise<Object>} locationUpdate and live
+ */
+const releaseQuarantined = async (entry, bus) => {
+    const existing = await LocationUpdate.findOne({ busId: bus._id, timestamp: entry.timestamp })
+        .setOptions({ skipPopulate: true });
+
+    const released = existing
+        ? { locationUpdate: existing, live: false }
+        : await storeLocation(bus, {
+            tripId: entry.tripId,
+            coordinates: entry.coordinates,
+            speed: entry.speed,
+            heading: entry.heading,
+            accuracy: entry.accuracy,
+            timestamp: entry.timestamp,
+        });
+
+    entry.set('locationUpdateId', released.locationUpdate._id);
+    await entry.save();
+
+    return released;
+};
+
+/**
+ * Store a batch of buffered points from a device
+ * 
+ * @async
+ * @param {Object} bus - Bus document
+ * @param {Object} payload - { tripId, sentAt, points }
+ * @param {Date} [receivedAt] - Server receipt time
+ * @returns {Promise<Object>} Summary and per-point results (in request order)
+ */
+const ingestBatch = async (bus, payload, receivedAt = new Date()) => {
+    const skewMs = computeClockSkew(payload.sentAt, receivedAt);
+    const results = new Array(payload.points.length);
+    const candidates = [];
+    const seen = new Set();
+
+    payload.points.forEach((raw, index) => {
+        const { value, error } = pointSchema.validate(raw, { errors: { label: 'key' } });
+        if (error) {
+            results[index] = { index, status: 'rejected', reason: error.details[0].message };
+            return;
+        }
+
+        const corrected = correctTimestamp(value.timestamp, skewMs, receivedAt);
+        if (corrected.error) {
+            results[index] = { index, status: 'rejected', reason: corrected.error };
+            return;
+        }
+
+        // Replays inside the same batch
+        const key = corrected.timestamp.getTime();
+        if (seen.has(key)) {
+            results[index] = { index, status: 'duplicate', reason: 'Repeated timestamp in batch' };
+            return;
+        }
+        seen.add(key);
+
+        candidates.push({ index, value, timestamp: corrected.timestamp });
+    });
+
+    // Replays of points already stored or quarantined
+    if (candidates.length > 0) {
+        const filter = {
+            busId: bus._id,
+            timestamp: { $in: candidates.map((c) => c.timestamp) },
+        };
+        const [existing, held] = await Promise.all([
+            LocationUpdate.find(filter).select('timestamp').setOptions({ skipPopulate: true }),
+            QuarantinedLocation.find(filter).select('timestamp'),
+        ]);
+        const stored = new Set([...existing, ...held].map((loc) => loc.timestamp.getTime()));
+
+        for (let i = candidates.length - 1; i >= 0; i -= 1) {
+            if (stored.has(candidates[i].timestamp.getTime())) {
+                const { index } = candidates[i];
+                results[index] = { index, status: 'duplicate', reason: 'Point already stored' };
+                candidates.splice(i, 1);
+            }
+        }
+    }
+
+    const latestBefore = await getLatestTimestamp(bus._id);
+
+    const valid = [];
+    candidates.forEach((candidate) => {
+        const doc = new LocationUpdate({
+            busId: bus._id,
+            tripId: candidate.value.tripId || payload.tripId,
+            coordinates: candidate.value.coordinates,
+            speed: candidate.value.speed,
+            heading: candidate.value.heading,
+            accuracy: candidate.value.accuracy,
+            timestamp: candidate.timestamp,
+        });
+        doc.status = LocationUpdate.statusForSpeed(doc.speed);
+
+        const validationError = doc.validateSync();
+        if (validationError) {
+            const { index } = candidate;
+            results[index] = {
+                index,
+                status: 'rejected',
+                reason: Object.values(validationError.errors).map((el) => el.message).join('. '),
+            };
+            return;
+        }
+        valid.push({ candidate, doc });
+    });
+
+    // Anomaly checks in time order, each point compared with the last accepted one
+    valid.sort((a, b) => a.doc.timestamp - b.doc.timestamp);
+    let lastAccepted = valid.length > 0
+        ? await locationAnomalyService.findPreviousLocation(bus._id, valid[0].doc.timestamp)
+        : null;
+    const documents = [];
+    const quarantined = [];
+    valid.forEach(({ candidate, doc }) => {
+        const reasons = locationAnomalyService.inspectPoint(doc, lastAccepted);
+        if (reasons.length > 0) {
+            quarantined.push({
+                candidate,
+                entry: locationAnomalyService.buildQuarantineEntry(bus, doc, reasons, lastAccepted),
+            });
+            return;
+        }
+        documents.push({ candidate, doc });
+        lastAccepted = doc;
+    });
+
+    if (quarantined.length > 0) {
+        await QuarantinedLocation.insertMany(quarantined.map((q) => q.entry), { ordered: false });
+        quarantined.forEach(({ candidate, entry }) => {
+            results[candidate.index] = {
+                index: candidate.index,
+                status: 'quarantined',
+                id: entry._id,
+                reasons: entry.reasons.map((r) => r.code),
+            };
+        });
+        logger.warn(`Location batch for bus ${bus.registrationNumber}: ${quarantined.length} points quarantined`);
+    }
+
+    // Points stored by a concurrent upload since the check above hit the unique index
+    const replayed = new Set();
+    if (documents.length > 0) {
+        try {
+            await LocationUpdate.insertMany(documents.map((d) => d.doc), { ordered: false });
+        } catch (error) {
+            // Mongoose copies each driver WriteError, keeping the code under err
+            const writeErrors = error.writeErrors || [];
+            if (writeErrors.length === 0 || writeErrors.some((e) => e.err.code !== 11000)) throw error;
+            writeErrors.forEach((e) => replayed.add(e.index));
+        }
+    }
+
+    const inserted = documents.filter((d, i) => {
+        if (!replayed.has(i)) return true;
+        const { index } = d.candidate;
+        results[index] = { index, status: 'duplicate', reason: 'Point already stored' };
+        return false;
+    });
+
+    // Newer points go through the live pipeline oldest first; older ones are back-fill
+    let backfilled = 0;
+    await inserted.reduce(async (previous, { candidate, doc }) => {
+        await previous;
+        const live = !latestBefore || doc.timestamp > latestBefore;
+        if (live) {
+            await locationPipeline.processAcceptedLocation(doc, bus);
+        } else {
+            backfilled += 1;
+        }
+        results[candidate.index] = {
+            index: candidate.index,
+            status: 'accepted',
+            id: doc._id,
+            timestamp: doc.timestamp,
+            live,
+        };
+    }, Promise.resolve());
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    const summary = {
+        received: payload.points.length,
+        accepted: inserted.length,
+        duplicates: count('duplicate'),
+        rejected: count('rejected'),
+        quarantined: quarantined.length,
+        backfilled,
+        clockSkewMs: skewMs,
+    };
+
+    logger.info(`Location batch for bus ${bus.registrationNumber}: ${summary.accepted}/${summary.received} accepted`);
+
+    return { summary, results };
+};
+
+module.exports = {
+    computeClockSkew,
+    correctTimestamp,
+    ingestLocation,
+    ingestBatch,
+    releaseQuarantined,
+};
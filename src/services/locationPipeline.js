@@ -0,0 +1,123 @@
+/**
+ * Location Processing Pipeline
+ * 
+ * Post-ingestion steps run for every accepted location update, in order.
+ * The update is already stored when the pipeline runs, so a failing step is
+ * logged and does not reject the device's request.
+ * 
+ * @module services/locationPipeline
+ */
+
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const locationStream = require('./locationStream');
+const stopEventService = require('./stopEventService');
+const tripLifecycleService = require('./tripLifecycleService');
+const routeDeviationService = require('./routeDeviationService');
+const vehicleStateService = require('./vehicleStateService');
+const delayPropagationService = require('./delayPropagationService');
+const logger = require('../config/logger');
+
+// Trip statuses in which the bus is expected to be reporting positions
+const TRACKED_TRIP_STATUSES = ['scheduled', 'boarding', 'in-transit', 'delayed'];
+// How far ahead of departure a scheduled trip is considered current
+const TRIP_MATCH_WINDOW_MINUTES = 60;
+
+/**
+ * Find the trip a location update belongs to
+ * Uses the trip tagged by the device when it is a trip of the same bus,
+ * otherwise the bus's current trip.
+ * 
+ * @async
+ * @param {Object} locationUpdate - Saved LocationUpdate document
+ * @param {Object} bus - Bus document
+ * @returns {Promise<Object|null>} Trip document or null
+ */
+const resolveTrip = async (locationUpdate, bus) => {
+    if (locationUpdate.tripId) {
+        const tagged = await Trip.findOne({ _id: locationUpdate.tripId, busId: bus._id })
+            .setOptions({ skipPopulate: true });
+        if (tagged) return tagged;
+
+        // A stale or foreign tag must not drive another bus's trip
+        logger.warn(`Location from bus ${bus.registrationNumber} tagged with trip ${locationUpdate.tripId}, which is not one of its trips; using its current trip`);
+    }
+
+    const windowEnd = new Date(
+        new Date(locationUpdate.timestamp).getTime() + TRIP_MATCH_WINDOW_MINUTES * 60 * 1000,
+    );
+
+    return Trip.findOne({
+        busId: bus._id,
+        status: { $in: TRACKED_TRIP_STATUSES },
+        scheduledDepartureTime: { $lte: windowEnd },
+    })
+        .sort('-scheduledDepartureTime')
+        .setOptions({ skipPopulate: true });
+};
+
+/**
+ * Run a pipeline step, logging failures instead of throwing
+ * 
+ * @async
+ * @param {string} name - Step name for logs
+ * @param {Function} step - Async step
+ * @returns {Promise<*>} Step result, or undefined on failure
+ */
+const runStep = async (name, step) => {
+    try {
+        return await step();
+    } catch (error) {
+        logger.error(`Location pipeline step "${name}" failed: ${error.message}`);
+        return undefined;
+    }
+};
+
+/**
+ * Process an accepted location update
+ * 
+ * @async
+ * @param {Object} locationUpdate - Saved LocationUpdate document
+ * @param {Object} bus - Bus document the update belongs to
+ * @returns {Promise<Object>} Outcome of the steps: trip (after any status change), stopTransitions and deviation
+ */
+exports.processAcceptedLocation = async (locationUpdate, bus) => {
+    // Push to live stream subscribers (SSE / WebSocket)
+    locationStream.publish(locationUpdate, bus);
+
+    const result = { trip: null, stopTransitions: [], deviation: null };
+
+    const trip = await runStep('resolve-trip', () => resolveTrip(locationUpdate, bus));
+
+    // Current position for fleet-wide map queries
+    await runStep('vehicle-state', () => vehicleStateService.applyLocation(locationUpdate, bus, trip));
+
+    if (!trip) return result;
+    result.trip = trip;
+
+    const route = await runStep('load-route', () => Route.findById(trip.routeId));
+
+    result.stopTransitions = await runStep(
+        'stop-events',
+        () => stopEventService.processLocation(locationUpdate, trip, route),
+    ) || [];
+
+    const updatedTrip = await runStep(
+        'trip-lifecycle',
+        () => tripLifecycleService.applyLocation(locationUpdate, trip, route, result.stopTransitions),
+    );
+    if (updatedTrip) result.trip = updatedTrip;
+
+    // Knock-on delays for the bus's later trips
+    await runStep(
+        'delay-propagation',
+        () => delayPropagationService.processLocation(result.trip, Boolean(updatedTrip && updatedTrip.status !== trip.status)),
+    );
+
+    result.deviation = await runStep(
+        'route-deviation',
+        () => routeDeviationService.processLocation(locationUpdate, result.trip, route),
+    ) || null;
+
+    return result;
+};
@@ -0,0 +1,178 @@
+/**
+ * Location WebSocket Server
+ * 
+ * WebSocket transport for the location stream, mounted on the HTTP server
+ * at /api/locations/ws. Clients authenticate with the same JWT used by the
+ * REST API (Authorization header or access_token query parameter).
+ * 
+ * Client messages:
+ *   { "action": "subscribe", "id": "kandy", "routeId": "...", "since": "2025-10-03T06:00:00Z" }
+ *   { "action": "unsubscribe", "id": "kandy" }
+ * 
+ * Server messages:
+ *   { "type": "ready", "authenticated": true }
+ *   { "type": "subscribed", "id": "kandy" }
+ *   { "type": "location", "subscription": "kandy", "data": { ... } }
+ *   { "type": "error", "message": "..." }
+ * 
+ * @module services/locationSocket
+ */
+
+const { WebSocketServer } = require('ws');
+const locationStream = require('./locationStream');
+const { extractToken, resolveUser } = require('../middleware/auth');
+const { locationStreamSchema } = require('../utils/validationSchemas');
+const logger = require('../config/logger');
+
+const SOCKET_PATH = '/api/locations/ws';
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+/**
+ * Send a JSON message if the socket is still open
+ * 
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} message - Message payload
+ */
+const sendMessage = (socket, message) => {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+/**
+ * Resolve the connecting user, if a valid token was supplied
+ * 
+ * @async
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Promise<Object|null>} User or null for anonymous clients
+ */
+const authenticate = async (req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const token = extractToken(req) || url.searchParams.get('access_token');
+
+    if (!token) return null;
+
+    try {
+        return await resolveUser(token);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Handle a subscribe message
+ * 
+ * @async
+ * @param {WebSocket} socket - Client socket
+ * @param {Map} channels - Open channels of this client, keyed by subscription id
+ * @param {Object} message - Parsed client message
+ * @param {Object|null} user - Authenticated user
+ */
+const subscribe = async (socket, channels, message, user) => {
+    const { id, ...params } = message;
+    delete params.action;
+    const subscriptionId = id || String(channels.size + 1);
+
+    const { value, error } = locationStreamSchema.query.validate(params);
+    if (error) {
+        throw new Error(error.details.map((detail) => detail.message).join(', '));
+    }
+
+    const subscription = locationStream.parseSubscription(value);
+    locationStream.authorizeSubscription(subscription, user);
+
+    if (channels.has(subscriptionId)) {
+        channels.get(subscriptionId)();
+    }
+
+    const close = await locationStream.openChannel(subscription, value.since || null, (event) => {
+        sendMessage(socket, { type: 'location', subscription: subscriptionId, data: event });
+    });
+
+    // The client may have gone away while missed updates were loading
+    if (socket.readyState !== socket.OPEN) {
+        close();
+        return;
+    }
+    channels.set(subscriptionId, close);
+
+    sendMessage(socket, { type: 'subscribed', id: subscriptionId });
+};
+
+/**
+ * Attach the location WebSocket server to an HTTP server
+ * 
+ * @param {http.Server} server - HTTP server returned by app.listen
+ * @returns {WebSocketServer} WebSocket server
+ */
+const attachLocationSocket = (server) => {
+    const wss = new WebSocketServer({ server, path: SOCKET_PATH });
+    const alive = new WeakSet();
+
+    wss.on('connection', async (socket, req) => {
+        const channels = new Map();
+        let user = null;
+        let ready = false;
+        const pending = [];
+
+        alive.add(socket);
+        socket.on('pong', () => alive.add(socket));
+
+        const handleMessage = async (raw) => {
+            try {
+                const message = JSON.parse(raw.toString());
+
+                if (message.action === 'subscribe') {
+                    await subscribe(socket, channels, message, user);
+                } else if (message.action === 'unsubscribe' && channels.has(message.id)) {
+                    channels.get(message.id)();
+                    channels.delete(message.id);
+                    sendMessage(socket, { type: 'unsubscribed', id: message.id });
+                } else {
+                    throw new Error('Unknown action. Use subscribe or unsubscribe.');
+                }
+            } catch (error) {
+                sendMessage(socket, { type: 'error', message: error.message });
+            }
+        };
+
+        // Queue messages until authentication has finished
+        socket.on('message', (raw) => {
+            if (ready) {
+                handleMessage(raw);
+            } else {
+                pending.push(raw);
+            }
+        });
+
+        socket.on('close', () => {
+            channels.forEach((close) => close());
+            channels.clear();
+        });
+
+        user = await authenticate(req);
+        ready = true;
+        sendMessage(socket, { type: 'ready', authenticated: Boolean(user) });
+        pending.forEach(handleMessage);
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((socket) => {
+            if (!alive.has(socket)) {
+                socket.terminate();
+                return;
+            }
+            alive.delete(socket);
+            socket.ping();
+        });
+    }, HEARTBEAT_INTERVAL);
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    logger.info(`Location WebSocket listening on ${SOCKET_PATH}`);
+
+    return wss;
+};
+
+module.exports = attachLocationSocket;
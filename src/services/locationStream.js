@@ -0,0 +1,234 @@
+/**
+ * Location Stream Service
+ * 
+ * In-process publish/subscribe hub for accepted location updates.
+ * Transports (Server-Sent Events, WebSocket) open channels scoped by
+ * bus, route, trip or bounding box and can resume from a timestamp.
+ * 
+ * @module services/locationStream
+ */
+
+const EventEmitter = require('events');
+const LocationUpdate = require('../models/LocationUpdate');
+const Bus = require('../models/Bus');
+const { ApiError } = require('../middleware/errorHandler');
+const { boxToPolygon } = require('../utils/geo');
+
+const LOCATION_EVENT = 'location';
+
+// Maximum number of missed updates replayed when a client resumes
+const REPLAY_LIMIT = parseInt(process.env.STREAM_REPLAY_LIMIT, 10) || 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Normalise a populated or raw reference to its id string
+ * 
+ * @param {Object|string} ref - ObjectId, populated document or null
+ * @returns {string|null} Id string
+ */
+const toId = (ref) => {
+    if (!ref) return null;
+    return ref._id ? ref._id.toString() : ref.toString();
+};
+
+/**
+ * Build the payload broadcast to stream subscribers
+ * 
+ * @param {Object} locationUpdate - LocationUpdate document
+ * @param {Object} bus - Bus document the update belongs to
+ * @returns {Object} Stream event
+ */
+const toStreamEvent = (locationUpdate, bus) => ({
+    id: toId(locationUpdate),
+    busId: toId(bus),
+    registrationNumber: bus.registrationNumber,
+    routeId: toId(bus.routeId),
+    tripId: toId(locationUpdate.tripId),
+    coordinates: {
+        lat: locationUpdate.coordinates.lat,
+        lng: locationUpdate.coordinates.lng,
+    },
+    speed: locationUpdate.speed,
+    heading: locationUpdate.heading,
+    status: locationUpdate.status,
+    timestamp: new Date(locationUpdate.timestamp).toISOString(),
+});
+
+/**
+ * Build a subscription from validated query/message parameters
+ * 
+ * @param {Object} params - busId, routeId, tripId, bbox ("minLng,minLat,maxLng,maxLat")
+ * @returns {Object} Subscription
+ * @throws {ApiError} If the bounding box is malformed
+ */
+exports.parseSubscription = (params) => {
+    const subscription = {
+        busId: params.busId || null,
+        routeId: params.routeId || null,
+        tripId: params.tripId || null,
+        bbox: null,
+    };
+
+    if (params.bbox) {
+        const [minLng, minLat, maxLng, maxLat] = params.bbox.split(',').map(Number);
+        if (minLng >= maxLng || minLat >= maxLat) {
+            throw new ApiError('bbox must be minLng,minLat,maxLng,maxLat with min < max', 400);
+        }
+        subscription.bbox = {
+            minLng, minLat, maxLng, maxLat,
+        };
+    }
+
+    return subscription;
+};
+
+/**
+ * Check whether a subscription has no scope (fleet-wide firehose)
+ * 
+ * @param {Object} subscription - Subscription
+ * @returns {boolean} True if unscoped
+ */
+const isFleetWide = (subscription) => !subscription.busId
+    && !subscription.routeId
+    && !subscription.tripId
+    && !subscription.bbox;
+
+/**
+ * Ensure the user may open the requested channel
+ * Scoped channels are public; the fleet-wide channel is for admins and operators.
+ * 
+ * @param {Object} subscription - Subscription
+ * @param {Object} [user] - Authenticated user, if any
+ * @throws {ApiError} 401/403 if the channel requires authentication
+ */
+exports.authorizeSubscription = (subscription, user) => {
+    if (!isFleetWide(subscription)) return;
+
+    if (!user) {
+        throw new ApiError('Fleet-wide stream requires authentication. Provide a busId, routeId, tripId or bbox.', 401);
+    }
+    if (!['admin', 'operator'].includes(user.role)) {
+        throw new ApiError('You do not have permission to perform this action', 403);
+    }
+};
+
+/**
+ * Test a stream event against a subscription
+ * 
+ * @param {Object} subscription - Subscription
+ * @param {Object} event - Stream event
+ * @returns {boolean} True if the subscriber should receive the event
+ */
+const matchesSubscription = (subscription, event) => {
+    if (subscription.busId && subscription.busId !== event.busId) return false;
+    if (subscription.routeId && subscription.routeId !== event.routeId) return false;
+    if (subscription.tripId && subscription.tripId !== event.tripId) return false;
+
+    if (subscription.bbox) {
+        const { lat, lng } = event.coordinates;
+        const {
+            minLng, minLat, maxLng, maxLat,
+        } = subscription.bbox;
+        if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+    }
+
+    return true;
+};
+
+exports.matchesSubscription = matchesSubscription;
+
+/**
+ * Broadcast an accepted location update to all subscribers
+ * 
+ * @param {Object} locationUpdate - Saved LocationUpdate document
+ * @param {Object} bus - Bus document the update belongs to
+ * @returns {Object} The event that was published
+ */
+exports.publish = (locationUpdate, bus) => {
+    const event = toStreamEvent(locationUpdate, bus);
+    emitter.emit(LOCATION_EVENT, event);
+    return event;
+};
+
+/**
+ * Load updates a client missed since its last seen timestamp
+ * 
+ * @async
+ * @param {Object} subscription - Subscription
+ * @param {Date} since - Last seen timestamp (exclusive)
+ * @returns {Promise<Array>} Stream events in ascending time order
+ */
+const getMissedEvents = async (subscription, since) => {
+    const filter = { timestamp: { $gt: since } };
+
+    if (subscription.busId) filter.busId = subscription.busId;
+    if (subscription.tripId) filter.tripId = subscription.tripId;
+    if (subscription.routeId) {
+        const buses = await Bus.find({ routeId: subscription.routeId })
+            .select('_id')
+            .setOptions({ skipPopulate: true });
+        const busIds = buses.map((bus) => bus._id);
+        filter.busId = filter.busId ? { $in: busIds, $eq: filter.busId } : { $in: busIds };
+    }
+    if (subscription.bbox) {
+        filter.coordinates = { $geoWithin: { $geometry: boxToPolygon(subscription.bbox) } };
+    }
+
+    const locations = await LocationUpdate.find(filter)
+        .sort({ timestamp: 1 })
+        .limit(REPLAY_LIMIT);
+
+    return locations
+        .filter((loc) => loc.busId)
+        .map((loc) => toStreamEvent(loc, loc.busId))
+        .filter((event) => matchesSubscription(subscription, event));
+};
+
+exports.getMissedEvents = getMissedEvents;
+
+/**
+ * Open a channel for a subscriber
+ * Live events arriving while missed updates are replayed are buffered and
+ * delivered afterwards, so a resuming client sees no gaps or duplicates.
+ * 
+ * @async
+ * @param {Object} subscription - Subscription
+ * @param {Date|null} since - Resume point, or null for live updates only
+ * @param {Function} send - Called with each stream event
+ * @returns {Promise<Function>} Function that closes the channel
+ */
+exports.openChannel = async (subscription, since, send) => {
+    let buffer = since ? [] : null;
+
+    const listener = (event) => {
+        if (!matchesSubscription(subscription, event)) return;
+        if (buffer) {
+            buffer.push(event);
+        } else {
+            send(event);
+        }
+    };
+
+    emitter.on(LOCATION_EVENT, listener);
+    const close = () => emitter.removeListener(LOCATION_EVENT, listener);
+
+    if (since) {
+        try {
+            const missed = await getMissedEvents(subscription, since);
+            const replayed = new Set(missed.map((event) => event.id));
+            missed.forEach(send);
+            buffer
+                .filter((event) => !replayed.has(event.id))
+                .forEach(send);
+        } catch (error) {
+            close();
+            throw error;
+        } finally {
+            buffer = null;
+        }
+    }
+
+    return close;
+};
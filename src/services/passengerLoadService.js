@@ -0,0 +1,191 @@
+/**
+ * Passenger Load Service
+ * 
+ * Live occupancy of trips from the conductor's boarding and alighting
+ * counts. Passengers on board are the running total of the per-stop counts
+ * in stop order, never below zero. The crowding band compares that figure
+ * with the bus's seating capacity:
+ * 
+ * - seats-available: fewer passengers than seats
+ * - standing: every seat taken, below the full threshold
+ * - full: at or above CROWDING_FULL_PERCENT of the seats
+ * 
+ * The occupancy is stored on the trip, recomputed from all counts after
+ * every report. Writes are conditional on when the counts were read, so a
+ * slower recomputation never overwrites a newer one.
+ * 
+ * @module services/passengerLoadService
+ */
+
+const PassengerCount = require('../models/PassengerCount');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+// Load (percent of seats) at which a bus is full
+const CROWDING_FULL_PERCENT = parseInt(process.env.CROWDING_FULL_PERCENT, 10) || 150;
+
+// Trips that no longer take counts
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * Crowding band for a passenger load
+ * 
+ * @param {number} passengers - Passengers on board
+ * @param {number} capacity - Seats on the bus
+ * @returns {string|null} Band, null when the capacity is unknown
+ */
+const crowdingBand = (passengers, capacity) => {
+    if (!capacity) return null;
+    if (passengers < capacity) return 'seats-available';
+    if (passengers * 100 < capacity * CROWDING_FULL_PERCENT) return 'standing';
+    return 'full';
+};
+
+/**
+ * Passengers on board after each reported stop
+ * 
+ * @param {Array} counts - PassengerCount documents
+ * @returns {Array} Counts in stop order with onBoard
+ */
+const runningLoad = (counts) => {
+    let onBoard = 0;
+    return [...counts]
+        .sort((a, b) => a.stopOrder - b.stopOrder)
+        .map((count) => {
+            onBoard = Math.max(0, onBoard + count.boarded - count.alighted);
+            return {
+                stopId: count.stopId,
+                stopName: count.stopName,
+                stopOrder: count.stopOrder,
+                boarded: count.boarded,
+                alighted: count.alighted,
+                onBoard,
+                reportedAt: count.reportedAt,
+            };
+        });
+};
+
+/**
+ * Recompute and store a trip's occupancy from its counts
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @returns {Promise<Object>} Stored occupancy
+ */
+const refreshOccupancy = async (trip) => {
+    // Read time first: counts committed before it are all included
+    const computedAt = new Date();
+    const [counts, bus] = await Promise.all([
+        PassengerCount.find({ tripId: trip._id }).lean(),
+        Bus.findById(trip.busId).select('capacity').setOptions({ skipPopulate: true }),
+    ]);
+
+    const stops = runningLoad(counts);
+    const last = stops[stops.length - 1];
+    const passengers = last ? last.onBoard : 0;
+    const capacity = bus ? bus.capacity : undefined;
+    const occupancy = {
+        passengers,
+        capacity,
+        band: crowdingBand(passengers, capacity) || undefined,
+        lastStopName: last ? last.stopName : undefined,
+        computedAt,
+    };
+
+    const updated = await Trip.findOneAndUpdate(
+        {
+            _id: trip._id,
+            $or: [
+                { 'occupancy.computedAt': { $exists: false } },
+                { 'occupancy.computedAt': { $lt: computedAt } },
+            ],
+        },
+        { $set: { occupancy } },
+        { new: true },
+    ).setOptions({ skipPopulate: true });
+
+    if (updated) return updated.occupancy;
+
+    // A newer recomputation got there first
+    const current = await Trip.findById(trip._id).select('occupancy').setOptions({ skipPopulate: true });
+    return current ? current.occupancy : occupancy;
+};
+
+/**
+ * Record the conductor's counts at a stop and update the trip's occupancy
+ * A report for a stop that was already reported replaces it.
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @param {Object} report - stopId, boarded, alighted, reportedAt (default now)
+ * @param {Object} user - Reporting user
+ * @returns {Promise<Object>} count and occupancy
+ * @throws {ApiError} 409 if the trip is closed, 404 if the stop is not on the route
+ */
+const recordCount = async (trip, {
+    stopId, boarded = 0, alighted = 0, reportedAt = new Date(),
+}, user) => {
+    if (CLOSED_STATUSES.includes(trip.status)) {
+        throw new ApiError(`Trip ${trip.tripNumber} is ${trip.status}; passenger counts are closed`, 409);
+    }
+
+    const route = await Route.findById(trip.routeId);
+    const stop = route && route.stops.id(stopId);
+
+    if (!stop) {
+        throw new ApiError('Stop is not on the trip\'s route', 404);
+    }
+
+    const count = await PassengerCount.findOneAndUpdate(
+        { tripId: trip._id, stopId: stop._id },
+        {
+            $set: {
+                busId: trip.busId,
+                stopName: stop.name,
+                stopOrder: stop.order,
+                boarded,
+                alighted,
+                reportedBy: user._id,
+                reportedAt,
+            },
+        },
+        {
+            new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true,
+        },
+    );
+
+    const occupancy = await refreshOccupancy(trip);
+
+    logger.info(`Trip ${trip.tripNumber} at ${stop.name}: +${boarded} -${alighted}, ${occupancy.passengers} on board (${occupancy.band || 'capacity unknown'})`);
+
+    return { count, occupancy };
+};
+
+/**
+ * Occupancy of a trip with the per-stop counts
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @returns {Promise<Object>} occupancy and stops (counts with onBoard)
+ */
+const getLoad = async (trip) => {
+    const counts = await PassengerCount.find({ tripId: trip._id }).lean();
+
+    return {
+        tripId: trip._id,
+        tripNumber: trip.tripNumber,
+        occupancy: trip.occupancy && trip.occupancy.computedAt ? trip.occupancy : null,
+        stops: runningLoad(counts),
+    };
+};
+
+module.exports = {
+    crowdingBand,
+    recordCount,
+    refreshOccupancy,
+    getLoad,
+    CROWDING_FULL_PERCENT,
+};
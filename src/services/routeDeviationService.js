@@ -0,0 +1,119 @@
+/**
+ * Route Deviation Service
+ * 
+ * Checks each location update of a running trip against its route's shape.
+ * A bus outside the corridor opens a pending incident; it is raised once the
+ * bus has stayed out longer than the time tolerance, and closed when the bus
+ * is back on the route. Short excursions (GPS noise, a detour around a
+ * blocked lane) are discarded without raising anything.
+ * 
+ * @module services/routeDeviationService
+ */
+
+const RouteDeviation = require('../models/RouteDeviation');
+const routeShapeService = require('./routeShapeService');
+const { locateOnPath } = require('../utils/geo');
+const logger = require('../config/logger');
+
+// Distance from the shape beyond which the bus counts as off route
+const DEVIATION_DISTANCE_M = parseInt(process.env.ROUTE_DEVIATION_DISTANCE_M, 10) || 300;
+// Time a bus must stay off route before an incident is raised
+const DEVIATION_MINUTES = parseInt(process.env.ROUTE_DEVIATION_MINUTES, 10) || 3;
+
+// Trip statuses in which the bus is expected to follow the route
+const CHECKED_TRIP_STATUSES = ['in-transit', 'delayed'];
+
+/**
+ * Check a location update against the route corridor
+ * 
+ * @async
+ * @param {Object} locationUpdate - Saved LocationUpdate document
+ * @param {Object} trip - Trip the update belongs to
+ * @param {Object} route - Trip route
+ * @returns {Promise<Object|null>} { type: 'raised'|'closed', deviation } when an incident changes state
+ */
+exports.processLocation = async (locationUpdate, trip, route) => {
+    if (!CHECKED_TRIP_STATUSES.includes(trip.status)) return null;
+
+    const shape = await routeShapeService.getShapePath(route);
+    if (!shape) return null;
+
+    const { coordinates, timestamp } = locationUpdate;
+    const { crossTrackKm } = locateOnPath(coordinates, shape.path, shape.cumulative);
+    // Give the bus the benefit of the reported GPS error
+    const distanceM = Math.max(0, crossTrackKm * 1000 - Math.min(locationUpdate.accuracy || 0, DEVIATION_DISTANCE_M));
+
+    const current = await RouteDeviation.findOne({ tripId: trip._id, status: { $in: ['pending', 'open'] } });
+    if (current && current.lastSeenAt && timestamp < current.lastSeenAt) return null;
+
+    if (distanceM <= DEVIATION_DISTANCE_M) {
+        if (!current) return null;
+
+        if (current.status === 'pending') {
+            await current.deleteOne();
+            return null;
+        }
+
+        current.status = 'closed';
+        current.endedAt = timestamp;
+        current.lastLocationId = locationUpdate._id;
+        await current.save();
+        logger.info(`Trip ${trip.tripNumber} back on route after ${Math.round(current.durationSeconds / 60)} min`);
+        return { type: 'closed', deviation: current };
+    }
+
+    let deviation = current;
+    if (!deviation) {
+        deviation = new RouteDeviation({
+            tripId: trip._id,
+            busId: locationUpdate.busId._id || locationUpdate.busId,
+            routeId: route._id,
+            startedAt: timestamp,
+            startLocation: coordinates,
+            firstLocationId: locationUpdate._id,
+        });
+    }
+
+    deviation.lastSeenAt = timestamp;
+    deviation.lastLocationId = locationUpdate._id;
+    deviation.pointCount += 1;
+    if (distanceM > deviation.maxDistanceM) {
+        deviation.maxDistanceM = Math.round(distanceM);
+        deviation.farthestLocation = coordinates;
+    }
+
+    let transition = null;
+    const minutesOut = (timestamp - deviation.startedAt) / (60 * 1000);
+    if (deviation.status === 'pending' && minutesOut >= DEVIATION_MINUTES) {
+        deviation.status = 'open';
+        deviation.raisedAt = timestamp;
+        transition = { type: 'raised', deviation };
+    }
+
+    try {
+        await deviation.save();
+    } catch (error) {
+        // A concurrent update already opened an incident for this trip
+        if (error.code !== 11000) throw error;
+        return null;
+    }
+
+    if (transition) {
+        logger.warn(`Trip ${trip.tripNumber} off route: ${deviation.maxDistanceM} m from the route shape for ${Math.round(minutesOut)} min`);
+    }
+
+    return transition;
+};
+
+/**
+ * Get raised deviation incidents for a trip, oldest first
+ * Pending excursions are not reported until they are raised.
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @returns {Promise<Array>} Deviation incidents
+ */
+exports.getTripDeviations = async (tripId) => RouteDeviation.find({
+    tripId,
+    status: { $in: ['open', 'closed'] },
+}).sort('startedAt');
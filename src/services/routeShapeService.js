@@ -0,0 +1,186 @@
+/**
+ * Route Shape Service
+ * 
+ * Manages the road path ("shape") of a route: an encoded polyline either
+ * uploaded by an admin or derived from the GPS track of a recorded trip.
+ * Decoded shapes are cached per route and invalidated when the shape changes.
+ * 
+ * @module services/routeShapeService
+ */
+
+const Route = require('../models/Route');
+const LocationUpdate = require('../models/LocationUpdate');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+    cumulativeDistances,
+    locateOnPath,
+    simplifyPath,
+    encodePolyline,
+    decodePolyline,
+    toLatLng,
+} = require('../utils/geo');
+
+// How far a stop may be from the shape before the shape is rejected
+const STOP_TOLERANCE_M = parseInt(process.env.ROUTE_SHAPE_STOP_TOLERANCE_M, 10) || 300;
+// Douglas–Peucker tolerance when deriving a shape from a recorded track
+const SIMPLIFY_TOLERANCE_M = parseInt(process.env.ROUTE_SHAPE_SIMPLIFY_TOLERANCE_M, 10) || 10;
+
+// routeId -> { updatedAt, path, cumulative }
+const shapeCache = new Map();
+
+/**
+ * Check that every stop lies on the shape
+ * 
+ * @param {Object} route - Route document with stops
+ * @param {Array<Object>} path - Shape points
+ * @throws {ApiError} If the path is too short or misses a stop
+ */
+const assertCoversStops = (route, path) => {
+    if (path.length < 2) {
+        throw new ApiError('A route shape needs at least two points', 400);
+    }
+
+    const cumulative = cumulativeDistances(path);
+    const missed = (route.stops || []).filter((stop) => {
+        const { crossTrackKm } = locateOnPath(stop.coordinates, path, cumulative);
+        return crossTrackKm * 1000 > STOP_TOLERANCE_M;
+    });
+
+    if (missed.length > 0) {
+        throw new ApiError(
+            `Shape does not pass within ${STOP_TOLERANCE_M} m of stops: ${missed.map((s) => s.name).join(', ')}`,
+            400,
+        );
+    }
+};
+
+/**
+ * Store a shape on a route
+ * 
+ * @async
+ * @param {Object} route - Route document
+ * @param {Array<Object>} path - Shape points { lat, lng }
+ * @param {Object} [origin] - source ('uploaded' | 'recorded') and sourceTripId
+ * @returns {Promise<Object>} Saved shape, including the polyline
+ */
+const saveShape = async (route, path, { source = 'uploaded', sourceTripId } = {}) => {
+    assertCoversStops(route, path);
+
+    const cumulative = cumulativeDistances(path);
+    const shape = {
+        polyline: encodePolyline(path),
+        source,
+        sourceTripId,
+        pointCount: path.length,
+        lengthKm: Math.round(cumulative[cumulative.length - 1] * 100) / 100,
+        updatedAt: new Date(),
+    };
+
+    await Route.updateOne({ _id: route._id }, { $set: { shape } });
+    shapeCache.delete(route._id.toString());
+
+    return shape;
+};
+
+/**
+ * Set a route shape from an encoded polyline or a list of points
+ * 
+ * @async
+ * @param {Object} route - Route document
+ * @param {Object} input - { polyline } or { points }
+ * @returns {Promise<Object>} Saved shape
+ */
+exports.uploadShape = async (route, { polyline, points }) => {
+    let path = points;
+    if (polyline) {
+        try {
+            path = decodePolyline(polyline);
+        } catch (error) {
+            throw new ApiError('Invalid encoded polyline', 400);
+        }
+    }
+
+    return saveShape(route, path, { source: 'uploaded' });
+};
+
+/**
+ * Derive a route shape from the GPS track recorded for a trip
+ * 
+ * @async
+ * @param {Object} route - Route document
+ * @param {Object} trip - Trip on this route
+ * @returns {Promise<Object>} Saved shape
+ */
+exports.deriveShapeFromTrip = async (route, trip) => {
+    if (!trip.routeId.equals(route._id)) {
+        throw new ApiError('Trip does not belong to this route', 400);
+    }
+    if (trip.status !== 'completed') {
+        throw new ApiError('Only completed trips can be used to derive a shape', 400);
+    }
+
+    const locations = await LocationUpdate.find({ tripId: trip._id })
+        .sort('timestamp')
+        .select('coordinates timestamp')
+        .setOptions({ skipPopulate: true })
+        .lean();
+
+    if (locations.length < 2) {
+        throw new ApiError('Not enough recorded locations for this trip', 400);
+    }
+
+    const track = locations.map((loc) => toLatLng(loc.coordinates));
+    const path = simplifyPath(track, SIMPLIFY_TOLERANCE_M / 1000);
+
+    return saveShape(route, path, { source: 'recorded', sourceTripId: trip._id });
+};
+
+/**
+ * Remove a route's shape, which disables off-route checks for it
+ * 
+ * @async
+ * @param {Object} route - Route document
+ */
+exports.removeShape = async (route) => {
+    await Route.updateOne({ _id: route._id }, { $unset: { shape: 1 } });
+    shapeCache.delete(route._id.toString());
+};
+
+/**
+ * Get a route's stored shape including the polyline
+ * 
+ * @async
+ * @param {ObjectId} routeId - Route ID
+ * @returns {Promise<Object|null>} Shape or null
+ */
+exports.getShape = async (routeId) => {
+    const route = await Route.findById(routeId).select('+shape.polyline');
+    if (!route || !route.shape || !route.shape.polyline) return null;
+    return route.shape;
+};
+
+/**
+ * Decoded shape path for a route, cached until the shape changes
+ * 
+ * @async
+ * @param {Object} route - Route document (shape metadata is enough)
+ * @returns {Promise<Object|null>} { path, cumulative } or null if the route has no shape
+ */
+exports.getShapePath = async (route) => {
+    if (!route || !route.shape || !route.shape.updatedAt) return null;
+
+    const key = route._id.toString();
+    const cached = shapeCache.get(key);
+    if (cached && cached.updatedAt.getTime() === route.shape.updatedAt.getTime()) {
+        return cached;
+    }
+
+    const shape = await exports.getShape(route._id);
+    if (!shape) return null;
+
+    const path = decodePolyline(shape.polyline);
+    const entry = { updatedAt: shape.updatedAt, path, cumulative: cumulativeDistances(path) };
+    shapeCache.set(key, entry);
+
+    return entry;
+};
@@ -0,0 +1,197 @@
+/**
+ * Stop Departure Service
+ * 
+ * Departure boards for stops. A trip's scheduled time at a stop is
+ * interpolated by distance between its scheduled departure and arrival, as
+ * in the journey planner and GTFS export. Live information is
+ * merged in: running trips use the ETA prediction, unstarted trips carry
+ * their projected knock-on delay, and trips that already left the stop are
+ * dropped. Fares are from the stop to the end of the route.
+ * 
+ * @module services/stopDepartureService
+ */
+
+const mongoose = require('mongoose');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const StopEvent = require('../models/StopEvent');
+const etaService = require('./etaService');
+const fareService = require('./fareService');
+const logger = require('../config/logger');
+
+// How late a trip may be running and still appear on the board
+const MAX_LATENESS_MINUTES = parseInt(process.env.STOP_DEPARTURES_MAX_LATENESS_MINUTES, 10) || 120;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Routes serving a stop, with the matching stop indexes
+ * The final stop of a route is skipped: nothing departs from it.
+ * 
+ * @async
+ * @param {string} stop - Stop ID or (partial, case-insensitive) stop name
+ * @returns {Promise<Array>} { route, stopPath, indexes }
+ */
+const findServingRoutes = async (stop) => {
+    const byId = mongoose.Types.ObjectId.isValid(stop) && /^[0-9a-f]{24}$/i.test(stop);
+    const pattern = new RegExp(escapeRegex(stop), 'i');
+
+    const routes = await Route.find({
+        status: 'active',
+        ...(byId ? { 'stops._id': stop } : { 'stops.name': pattern }),
+    });
+
+    return routes
+        .filter((route) => route.stops.length >= 2)
+        .map((route) => {
+            const stopPath = etaService.buildStopPath(route);
+            const indexes = stopPath.stops
+                .map((s, index) => ((byId ? s._id.equals(stop) : pattern.test(s.name)) ? index : -1))
+                .filter((index) => index >= 0 && index < stopPath.stops.length - 1);
+            return { route, stopPath, indexes };
+        })
+        .filter((serving) => serving.indexes.length > 0);
+};
+
+/**
+ * Expected time of a late or running trip at a stop
+ * At the origin the trip leaves now at the earliest; further along, the ETA
+ * prediction is used.
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @param {number} index - Stop index on the route
+ * @param {Object} stopDoc - Stop subdocument
+ * @param {Map} etaCache - Trip ID → ETA promise, shared within one board
+ * @returns {Promise<Date|null|undefined>} Expected time, null if the bus has left the stop, undefined if unavailable
+ */
+const predictAtStop = async (trip, index, stopDoc, etaCache) => {
+    if (index === 0) {
+        return trip.actualDepartureTime ? null : new Date(Math.max(Date.now(), trip.scheduledDepartureTime));
+    }
+
+    const key = trip._id.toString();
+    if (!etaCache.has(key)) {
+        etaCache.set(key, etaService.predictTripEta(trip).catch((error) => {
+            logger.warn(`ETA unavailable for trip ${trip.tripNumber}: ${error.message}`);
+            return null;
+        }));
+    }
+
+    const eta = await etaCache.get(key);
+    if (!eta) return undefined;
+    const prediction = eta.predictions.find((p) => p.stopId.equals(stopDoc._id));
+    return prediction ? prediction.predictedArrival : null;
+};
+
+/**
+ * Departures from a stop within a time window, soonest first
+ * 
+ * @async
+ * @param {Object} options - stop (ID or name), from (Date), minutes (window length), limit
+ * @returns {Promise<Object>} Matched stops and departures
+ */
+const getDepartures = async ({
+    stop, from = new Date(), minutes = 60, limit = 50,
+}) => {
+    const to = new Date(from.getTime() + minutes * 60 * 1000);
+    const serving = await findServingRoutes(stop);
+
+    const stops = serving.flatMap(({ route, stopPath, indexes }) => indexes.map((index) => ({
+        _id: stopPath.stops[index]._id,
+        name: stopPath.stops[index].name,
+        routeId: route._id,
+        routeNumber: route.routeNumber,
+    })));
+
+    if (serving.length === 0) {
+        return {
+            from, to, stops, departures: [],
+        };
+    }
+
+    const earliest = new Date(from.getTime() - MAX_LATENESS_MINUTES * 60 * 1000);
+    const trips = await Trip.find({
+        routeId: { $in: serving.map(({ route }) => route._id) },
+        status: { $in: ['scheduled', 'boarding', 'in-transit', 'delayed'] },
+        scheduledDepartureTime: { $lte: to },
+        scheduledArrivalTime: { $gte: earliest },
+    })
+        .populate({ path: 'busId', select: 'registrationNumber capacity features' })
+        .setOptions({ skipPopulate: true });
+
+    const stopIds = stops.map((s) => s._id);
+    const departedEvents = await StopEvent.find({
+        tripId: { $in: trips.map((trip) => trip._id) },
+        stopId: { $in: stopIds },
+        departedAt: { $exists: true },
+    }).select('tripId stopId');
+    const departed = new Set(departedEvents.map((event) => `${event.tripId}:${event.stopId}`));
+
+    const fareTables = await fareService.loadFareTables(serving.map(({ route }) => route._id), to);
+
+    const now = new Date();
+    const etaCache = new Map();
+    const candidates = [];
+    await Promise.all(serving.map(async ({ route, stopPath, indexes }) => {
+        const pricer = fareService.createPricer(route, fareTables.get(route._id.toString()));
+        const routeTrips = trips.filter((trip) => trip.routeId.equals(route._id));
+
+        await Promise.all(routeTrips.flatMap((trip) => indexes.map(async (index) => {
+            const stopDoc = stopPath.stops[index];
+            if (departed.has(`${trip._id}:${stopDoc._id}`)) return;
+
+            const scheduledTime = etaService.getScheduledStopTimes(trip, stopPath)[index];
+            if (scheduledTime < earliest || scheduledTime > to) return;
+
+            let expectedTime = scheduledTime;
+            let source = 'schedule';
+
+            const running = trip.actualDepartureTime || ['in-transit', 'delayed'].includes(trip.status);
+            if (running || scheduledTime < now) {
+                const predicted = await predictAtStop(trip, index, stopDoc, etaCache);
+                if (predicted === null) return;
+                if (predicted) {
+                    expectedTime = predicted;
+                    source = 'live';
+                }
+            } else if (trip.projectedDelay && trip.projectedDelay.minutes) {
+                expectedTime = new Date(scheduledTime.getTime() + trip.projectedDelay.minutes * 60 * 1000);
+                source = 'projected';
+            }
+
+            if (expectedTime < from || expectedTime > to) return;
+
+            candidates.push({
+                tripId: trip._id,
+                tripNumber: trip.tripNumber,
+                status: trip.status,
+                route: {
+                    _id: route._id,
+                    routeNumber: route.routeNumber,
+                    name: route.name,
+                    destination: route.destination,
+                },
+                bus: trip.busId,
+                stop: { _id: stopDoc._id, name: stopDoc.name, order: stopDoc.order },
+                scheduledTime,
+                expectedTime,
+                delayMinutes: Math.round((expectedTime - scheduledTime) / 60000),
+                source,
+                fare: pricer.tripFare(trip, index).amount,
+            });
+        })));
+    }));
+
+    const departures = candidates
+        .sort((a, b) => a.expectedTime - b.expectedTime)
+        .slice(0, limit);
+
+    return {
+        from, to, stops, departures,
+    };
+};
+
+module.exports = {
+    getDepartures,
+};
@@ -0,0 +1,118 @@
+/**
+ * Stop Event Detection Service
+ * 
+ * Turns location updates into stop arrival/departure events using circular
+ * geofences around each route stop. Arrival uses a tighter radius than
+ * departure (hysteresis) so GPS jitter at the boundary does not flap, and a
+ * departure followed by a quick re-entry reopens the same event.
+ * 
+ * @module services/stopEventService
+ */
+
+const StopEvent = require('../models/StopEvent');
+const { distanceBetween } = require('../utils/geo');
+const logger = require('../config/logger');
+
+// Distance from a stop at which the bus counts as arrived
+const ARRIVAL_RADIUS_M = parseInt(process.env.STOP_GEOFENCE_RADIUS_M, 10) || 150;
+// Distance the bus must exceed before it counts as departed
+const DEPARTURE_RADIUS_M = parseInt(process.env.STOP_GEOFENCE_EXIT_RADIUS_M, 10)
+    || Math.round(ARRIVAL_RADIUS_M * 1.5);
+// A departure followed by re-entry within this window is treated as jitter
+const REENTRY_GRACE_SECONDS = parseInt(process.env.STOP_REENTRY_GRACE_SECONDS, 10) || 120;
+
+/**
+ * Nearest stop within the arrival radius
+ * 
+ * @param {Object} coordinates - { lat, lng }
+ * @param {Array} stops - Route stops
+ * @returns {Object|null} Stop and distance in meters, or null
+ */
+const findStopInRange = (coordinates, stops) => stops.reduce((nearest, stop) => {
+    const meters = distanceBetween(coordinates, stop.coordinates) * 1000;
+    if (meters > ARRIVAL_RADIUS_M) return nearest;
+    if (nearest && nearest.meters <= meters) return nearest;
+    return { stop, meters };
+}, null);
+
+/**
+ * Update stop events for a trip from one location update
+ * 
+ * @async
+ * @param {Object} locationUpdate - Saved LocationUpdate document
+ * @param {Object} trip - Trip the update belongs to
+ * @param {Object} route - Trip route with stops
+ * @returns {Promise<Array>} Transitions detected: { type: 'arrived'|'departed', stopEvent }
+ */
+exports.processLocation = async (locationUpdate, trip, route) => {
+    if (!route || !route.stops || route.stops.length === 0) return [];
+
+    const transitions = [];
+    const { coordinates, timestamp } = locationUpdate;
+
+    // Close the open event once the bus is clearly outside the stop
+    const open = await StopEvent.findOne({ tripId: trip._id, departedAt: { $exists: false } });
+    if (open) {
+        // Late-arriving points from before the arrival are ignored
+        if (timestamp < open.arrivedAt) return transitions;
+
+        const stop = route.stops.id(open.stopId);
+        const meters = stop ? distanceBetween(coordinates, stop.coordinates) * 1000 : Infinity;
+
+        if (meters <= DEPARTURE_RADIUS_M) return transitions;
+
+        open.markDeparted(timestamp, locationUpdate._id);
+        await open.save();
+        transitions.push({ type: 'departed', stopEvent: open });
+    }
+
+    const inRange = findStopInRange(coordinates, route.stops);
+    if (!inRange) return transitions;
+
+    const existing = await StopEvent.findOne({ tripId: trip._id, stopId: inRange.stop._id });
+
+    if (existing) {
+        const secondsAway = existing.departedAt ? (timestamp - existing.departedAt) / 1000 : null;
+
+        // Boundary jitter: undo a departure that was followed by a quick return
+        if (secondsAway !== null && secondsAway >= 0 && secondsAway <= REENTRY_GRACE_SECONDS) {
+            existing.departedAt = undefined;
+            existing.departureLocationId = undefined;
+            existing.dwellSeconds = undefined;
+            await existing.save();
+            logger.debug(`Stop event reopened (GPS jitter) for trip ${trip.tripNumber} at ${existing.stopName}`);
+        }
+        return transitions;
+    }
+
+    try {
+        const stopEvent = await StopEvent.create({
+            tripId: trip._id,
+            busId: locationUpdate.busId._id || locationUpdate.busId,
+            routeId: route._id,
+            stopId: inRange.stop._id,
+            stopName: inRange.stop.name,
+            stopOrder: inRange.stop.order,
+            arrivedAt: timestamp,
+            arrivalLocationId: locationUpdate._id,
+        });
+        transitions.push({ type: 'arrived', stopEvent });
+        logger.info(`Trip ${trip.tripNumber} arrived at ${inRange.stop.name}`);
+    } catch (error) {
+        // A concurrent update already recorded this arrival
+        if (error.code !== 11000) throw error;
+    }
+
+    return transitions;
+};
+
+/**
+ * Get stop events recorded for a trip in route order
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @returns {Promise<Array>} Stop events
+ */
+exports.getTripStopEvents = async (tripId) => StopEvent.find({ tripId }).sort('stopOrder arrivedAt');
+
+exports.ARRIVAL_RADIUS_M = ARRIVAL_RADIUS_M;
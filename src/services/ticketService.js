@@ -0,0 +1,378 @@
+/**
+ * Ticket Service
+ * 
+ * Signed e-tickets for confirmed bookings, one per seat, and the sync of
+ * validation scans from conductors' handhelds.
+ * 
+ * A ticket is a compact JWS (header.claims.signature, base64url) signed
+ * with Ed25519, short enough for a QR code. Handhelds verify it offline
+ * with the published public key and check the trip and expiry themselves.
+ * Claims:
+ * 
+ * - tid: ticket ID (booking reference and seat, e.g. "BK7QF4M2XA-12")
+ * - trp / trn: trip ID and trip number
+ * - seat: seat number
+ * - pty: passenger type the fare was charged for (e.g. "student")
+ * - stg: [from, to] fare stages of the booked boarding and alighting stops
+ * - exp: expiry (seconds since epoch), the scheduled arrival plus a grace period
+ * 
+ * Tickets are derived from the booking, so issuing them again returns the
+ * same payloads. Uploaded scans are re-checked on the server, and a ticket
+ * scanned on more than one bus is reported.
+ * 
+ * @module services/ticketService
+ */
+
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+const TicketScan = require('../models/TicketScan');
+const fareService = require('./fareService');
+const { ApiError } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+// How long after the scheduled arrival a ticket stays valid
+const VALIDITY_GRACE_MINUTES = parseInt(process.env.TICKET_VALIDITY_GRACE_MINUTES, 10) || 120;
+
+const TICKET_TYPE = 'NTC-TICKET';
+
+let keys;
+
+/**
+ * Signing key pair and key ID
+ * The private key comes from TICKET_SIGNING_KEY (PKCS#8 PEM, Ed25519). Without
+ * it a temporary key is generated, and its tickets stop verifying on restart.
+ * 
+ * @returns {Object} privateKey, publicKey and kid
+ */
+const getKeys = () => {
+    if (keys) return keys;
+
+    let privateKey;
+    if (process.env.TICKET_SIGNING_KEY) {
+        privateKey = crypto.createPrivateKey(process.env.TICKET_SIGNING_KEY.replace(/\\n/g, '\n'));
+        if (privateKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error('TICKET_SIGNING_KEY must be an Ed25519 private key');
+        }
+    } else {
+        logger.warn('TICKET_SIGNING_KEY is not set: signing tickets with a temporary key');
+        ({ privateKey } = crypto.generateKeyPairSync('ed25519'));
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    const kid = crypto.createHash('sha256').update(der).digest('base64url').slice(0, 11);
+
+    keys = { privateKey, publicKey, kid };
+    return keys;
+};
+
+/**
+ * Published verification key
+ * 
+ * @returns {Object} algorithm, kid, PEM and JWK forms of the public key
+ */
+const getPublicKey = () => {
+    const { publicKey, kid } = getKeys();
+    return {
+        algorithm: 'EdDSA',
+        curve: 'Ed25519',
+        kid,
+        pem: publicKey.export({ type: 'spki', format: 'pem' }),
+        jwk: {
+            ...publicKey.export({ format: 'jwk' }), kid, alg: 'EdDSA', use: 'sig',
+        },
+    };
+};
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign ticket claims
+ * 
+ * @param {Object} claims - Ticket claims
+ * @returns {string} Compact JWS
+ */
+const signTicket = (claims) => {
+    const { privateKey, kid } = getKeys();
+    const signingInput = `${encodeSegment({ alg: 'EdDSA', kid, typ: TICKET_TYPE })}.${encodeSegment(claims)}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), privateKey).toString('base64url');
+    return `${signingInput}.${signature}`;
+};
+
+/**
+ * Check a ticket's signature and expiry
+ * 
+ * @param {string} token - Compact JWS from the QR code
+ * @param {Date} [at] - Time of use (default: now)
+ * @returns {Object} claims (null if unreadable) and issues (bad-signature, expired)
+ */
+const verifyTicket = (token, at = new Date()) => {
+    const parts = String(token).trim().split('.');
+    if (parts.length !== 3) return { claims: null, issues: ['bad-signature'] };
+
+    const { publicKey, kid } = getKeys();
+    let claims;
+    let signed;
+    try {
+        const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        // Segments may decode to any JSON value, including null
+        if (!header || typeof header !== 'object' || !claims || typeof claims !== 'object'
+            || typeof claims.tid !== 'string') {
+            return { claims: null, issues: ['bad-signature'] };
+        }
+
+        signed = header.alg === 'EdDSA' && header.kid === kid && crypto.verify(
+            null,
+            Buffer.from(`${parts[0]}.${parts[1]}`),
+            publicKey,
+            Buffer.from(parts[2], 'base64url'),
+        );
+    } catch (error) {
+        return { claims: null, issues: ['bad-signature'] };
+    }
+
+    const issues = [];
+    if (!signed) issues.push('bad-signature');
+    if (!(claims.exp * 1000 > at.getTime())) issues.push('expired');
+    return { claims, issues };
+};
+
+/**
+ * Tickets of a confirmed booking, one per seat
+ * 
+ * @async
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Array>} ticketId, seat, passengerType, fareStages, expiresAt and the signed payload
+ * @throws {ApiError} 409 if the booking is not confirmed
+ */
+const issueTickets = async (booking) => {
+    if (booking.status !== 'confirmed') {
+        throw new ApiError(`Booking is ${booking.status}; tickets are issued for confirmed bookings`, 409);
+    }
+
+    const trip = await Trip.findById(booking.tripId).setOptions({ skipPopulate: true });
+    if (!trip) {
+        throw new ApiError('Trip not found', 404);
+    }
+
+    // Stages of the booked stops; older bookings without stops cover the whole route
+    let fareStages = [];
+    if (booking.from && booking.from.stopId) {
+        fareStages = [booking.from.fareStage, booking.to.fareStage];
+    } else {
+        const route = await Route.findById(trip.routeId);
+        const stages = route && route.stops.length > 0 ? fareService.getStages(route) : [];
+        fareStages = stages.length > 0 ? [stages[0], stages[stages.length - 1]] : [];
+    }
+
+    const expiresAt = new Date(trip.scheduledArrivalTime.getTime() + VALIDITY_GRACE_MINUTES * 60 * 1000);
+
+    return booking.seats.map((seat) => {
+        const ticketId = `${booking.reference}-${seat}`;
+        return {
+            ticketId,
+            seat,
+            passengerType: booking.passengerType,
+            fareStages,
+            expiresAt,
+            payload: signTicket({
+                tid: ticketId,
+                trp: trip._id.toString(),
+                trn: trip.tripNumber,
+                seat,
+                pty: booking.passengerType,
+                stg: fareStages,
+                exp: Math.floor(expiresAt.getTime() / 1000),
+            }),
+        };
+    });
+};
+
+/**
+ * Check a ticket online
+ * 
+ * @async
+ * @param {string} payload - Signed ticket
+ * @param {string} [tripId] - Trip the ticket is presented on
+ * @returns {Promise<Object>} valid, issues, the ticket claims and its booking status
+ */
+const checkTicket = async (payload, tripId) => {
+    const { claims, issues } = verifyTicket(payload);
+
+    if (claims && tripId && claims.trp !== String(tripId)) issues.push('wrong-trip');
+
+    let bookingStatus = null;
+    if (claims && !issues.includes('bad-signature')) {
+        const booking = await Booking.findOne({ reference: claims.tid.split('-')[0] }).select('status');
+        bookingStatus = booking ? booking.status : null;
+        if (bookingStatus !== 'confirmed') issues.push('revoked');
+    }
+
+    return {
+        valid: issues.length === 0,
+        issues,
+        ticket: claims,
+        bookingStatus,
+    };
+};
+
+/**
+ * Store scans uploaded by a handheld and report tickets used on more than one bus
+ * Re-uploaded scans (same device, ticket and time) are not stored again.
+ * 
+ * @async
+ * @param {Object} batch - deviceId, busId, tripId (optional) and scans { payload, scannedAt, result }
+ * @param {Object} user - Uploading user
+ * @returns {Promise<Object>} Per-scan results and counts
+ */
+const syncScans = async ({
+    deviceId, busId, tripId, scans,
+}, user) => {
+    const bus = await Bus.findById(busId).select('registrationNumber').setOptions({ skipPopulate: true });
+    if (!bus) {
+        throw new ApiError('Bus not found', 404);
+    }
+
+    const checked = scans.map((scan, index) => {
+        const scannedAt = new Date(scan.scannedAt);
+        const { claims, issues } = verifyTicket(scan.payload, scannedAt);
+        if (claims && tripId && claims.trp !== String(tripId)) issues.push('wrong-trip');
+        return {
+            index, scan, scannedAt, claims, issues,
+        };
+    });
+
+    // Tickets of bookings that are no longer confirmed are revoked
+    const references = [...new Set(checked
+        .filter((c) => c.claims && !c.issues.includes('bad-signature'))
+        .map((c) => c.claims.tid.split('-')[0]))];
+    const bookings = await Booking.find({ reference: { $in: references } }).select('reference status');
+    const confirmed = new Set(bookings.filter((b) => b.status === 'confirmed').map((b) => b.reference));
+    checked.forEach((c) => {
+        if (c.claims && !c.issues.includes('bad-signature') && !confirmed.has(c.claims.tid.split('-')[0])) {
+            c.issues.push('revoked');
+        }
+    });
+
+    const readable = checked.filter((c) => c.claims);
+    let upserted = {};
+    if (readable.length > 0) {
+        const result = await TicketScan.bulkWrite(readable.map((c) => ({
+            updateOne: {
+                filter: { deviceId, ticketId: c.claims.tid.toUpperCase(), scannedAt: c.scannedAt },
+                update: {
+                    $setOnInsert: {
+                        bookingReference: c.claims.tid.split('-')[0],
+                        tripId: /^[0-9a-f]{24}$/i.test(c.claims.trp) ? c.claims.trp : undefined,
+                        seat: Number.isInteger(c.claims.seat) ? c.claims.seat : undefined,
+                        scannedTripId: tripId,
+                        busId: bus._id,
+                        deviceResult: c.scan.result,
+                        issues: c.issues,
+                        uploadedBy: user._id,
+                    },
+                },
+                upsert: true,
+            },
+        })), { ordered: false });
+        upserted = result.upsertedIds;
+    }
+
+    // Every bus each ticket has been scanned on, this upload included.
+    // Unsigned scans are kept for review but are no evidence of the ticket's use.
+    const signed = readable.filter((c) => !c.issues.includes('bad-signature'));
+    const ticketIds = [...new Set(signed.map((c) => c.claims.tid.toUpperCase()))];
+    const history = await TicketScan.find({ ticketId: { $in: ticketIds }, issues: { $ne: 'bad-signature' } })
+        .select('ticketId busId');
+    const busesByTicket = new Map();
+    history.forEach((scan) => {
+        if (!busesByTicket.has(scan.ticketId)) busesByTicket.set(scan.ticketId, new Set());
+        busesByTicket.get(scan.ticketId).add(scan.busId.toString());
+    });
+
+    const stored = new Set(Object.keys(upserted).map((i) => readable[Number(i)].index));
+    const results = checked.map((c) => {
+        if (!c.claims) {
+            return {
+                index: c.index, ticketId: null, stored: false, issues: c.issues, otherBuses: [],
+            };
+        }
+        const ticketId = c.claims.tid.toUpperCase();
+        const otherBuses = c.issues.includes('bad-signature')
+            ? []
+            : [...(busesByTicket.get(ticketId) || [])].filter((id) => id !== bus._id.toString());
+        return {
+            index: c.index,
+            ticketId,
+            stored: stored.has(c.index),
+            issues: otherBuses.length > 0 ? [...c.issues, 'used-on-other-bus'] : c.issues,
+            otherBuses,
+        };
+    });
+
+    const summary = {
+        received: scans.length,
+        stored: stored.size,
+        alreadyUploaded: readable.length - stored.size,
+        unreadable: checked.length - readable.length,
+        flagged: results.filter((r) => r.issues.length > 0).length,
+        usedOnOtherBus: results.filter((r) => r.otherBuses.length > 0).length,
+    };
+
+    if (summary.usedOnOtherBus > 0) {
+        logger.warn(`Ticket scans from ${deviceId} on ${bus.registrationNumber}: ${summary.usedOnOtherBus} ticket(s) also used on another bus`);
+    }
+
+    return { summary, results };
+};
+
+/**
+ * Tickets scanned on more than one bus
+ * 
+ * @async
+ * @param {Object} window - from and to (scan times)
+ * @returns {Promise<Array>} ticketId, bookingReference, buses, scans, firstScanAt, lastScanAt
+ */
+const findMultiBusTickets = async ({ from, to }) => {
+    const tickets = await TicketScan.aggregate([
+        { $match: { scannedAt: { $gte: from, $lte: to }, issues: { $ne: 'bad-signature' } } },
+        { $sort: { scannedAt: 1 } },
+        {
+            $group: {
+                _id: '$ticketId',
+                bookingReference: { $first: '$bookingReference' },
+                buses: { $addToSet: '$busId' },
+                scans: { $sum: 1 },
+                firstScanAt: { $first: '$scannedAt' },
+                lastScanAt: { $last: '$scannedAt' },
+            },
+        },
+        { $match: { 'buses.1': { $exists: true } } },
+        { $sort: { lastScanAt: -1 } },
+    ]);
+
+    const buses = await Bus.find({ _id: { $in: tickets.flatMap((t) => t.buses) } })
+        .select('registrationNumber')
+        .setOptions({ skipPopulate: true });
+    const registrationOf = new Map(buses.map((bus) => [bus._id.toString(), bus.registrationNumber]));
+
+    return tickets.map(({ _id, buses: busIds, ...ticket }) => ({
+        ticketId: _id,
+        ...ticket,
+        buses: busIds.map((id) => ({ _id: id, registrationNumber: registrationOf.get(id.toString()) || null })),
+    }));
+};
+
+module.exports = {
+    getPublicKey,
+    signTicket,
+    verifyTicket,
+    issueTickets,
+    checkTicket,
+    syncScans,
+    findMultiBusTickets,
+};
@@ -0,0 +1,418 @@
+/**
+ * Timetable Service
+ * 
+ * Materializes Trip documents from timetable templates for a rolling
+ * horizon. Trip numbers are derived from the timetable code, local date and
+ * departure time (e.g. "R01-AM-20261019-0630") and are unique, so re-running
+ * the generator never creates duplicates.
+ * 
+ * A timetable edited without regenerating its trips is left alone until it
+ * is regenerated, so trips at the old and new times never run side by side.
+ * 
+ * Generated trips go through the same checks as trips created by hand: the
+ * Trip validators, bus double-booking and crew duty rules. A departure that
+ * fails them is skipped and reported, and retried on the next run.
+ * 
+ * Departure times and dates are local to the GTFS time zone (see
+ * utils/gtfsTime).
+ * 
+ * @module services/timetableService
+ */
+
+const Timetable = require('../models/Timetable');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const tripConflictService = require('./tripConflictService');
+const crewDutyService = require('./crewDutyService');
+const bookingService = require('./bookingService');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+    toLocal, addDays, dayOfWeek, serviceDayStart,
+} = require('../utils/gtfsTime');
+const logger = require('../config/logger');
+
+// How many days ahead trips are generated
+const HORIZON_DAYS = parseInt(process.env.TIMETABLE_HORIZON_DAYS, 10) || 14;
+// How often the background generator runs
+const GENERATE_INTERVAL_HOURS = parseInt(process.env.TIMETABLE_GENERATE_INTERVAL_HOURS, 10) || 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A timetable fare is an override; unset (or cleared with null) trips inherit the route's fares
+const isSet = (fare) => fare !== undefined && fare !== null;
+
+/**
+ * Local calendar date of an instant as YYYYMMDD
+ * 
+ * @param {Date|number} date - Any instant
+ * @returns {string} Date key
+ */
+const localDate = (date) => toLocal(new Date(date)).date;
+
+/**
+ * Deterministic trip number for a timetable departure
+ * 
+ * @param {string} code - Timetable code
+ * @param {string} date - Local date (YYYYMMDD)
+ * @param {string} time - Departure time HH:mm
+ * @returns {string} Trip number
+ */
+const buildTripNumber = (code, date, time) => `${code}-${date}-${time.replace(':', '')}`;
+
+/**
+ * Planned departures of a timetable within a window
+ * 
+ * @param {Object} timetable - Timetable document
+ * @param {Object} route - Route document (for the default duration)
+ * @param {Date} from - Window start (departures before it are skipped)
+ * @param {Date} to - Window end
+ * @returns {Array<Object>} tripNumber, scheduledDepartureTime and scheduledArrivalTime, in time order
+ */
+const planTrips = (timetable, route, from, to) => {
+    const durationMs = (timetable.durationMinutes || route.estimatedDuration) * 60 * 1000;
+    const windowStart = Math.max(
+        new Date(from).getTime(),
+        serviceDayStart(localDate(timetable.effectiveFrom)).getTime(),
+    );
+    const windowEnd = new Date(to).getTime();
+    const lastDay = timetable.effectiveTo && localDate(timetable.effectiveTo) < localDate(windowEnd)
+        ? localDate(timetable.effectiveTo)
+        : localDate(windowEnd);
+
+    const planned = [];
+    for (let day = localDate(windowStart); day <= lastDay; day = addDays(day, 1)) {
+        if (timetable.daysOfWeek.includes(dayOfWeek(day))) {
+            const dayStart = serviceDayStart(day).getTime();
+            timetable.departureTimes.forEach((time) => {
+                const [hours, minutes] = time.split(':').map(Number);
+                const departure = dayStart + (hours * 60 + minutes) * 60 * 1000;
+                if (departure < windowStart || departure > windowEnd) return;
+
+                planned.push({
+                    tripNumber: buildTripNumber(timetable.code, day, time),
+                    scheduledDepartureTime: new Date(departure),
+                    scheduledArrivalTime: new Date(departure + durationMs),
+                });
+            });
+        }
+    }
+
+    return planned.sort((a, b) => a.scheduledDepartureTime - b.scheduledDepartureTime);
+};
+
+/**
+ * Load the timetable's route
+ * 
+ * @async
+ * @param {Object} timetable - Timetable document
+ * @returns {Promise<Object>} Route document
+ * @throws {ApiError} If the route no longer exists
+ */
+const loadRoute = async (timetable) => {
+    const route = await Route.findById(timetable.routeId);
+    if (!route) {
+        throw new ApiError(`Route of timetable ${timetable.code} not found`, 400);
+    }
+    return route;
+};
+
+/**
+ * Create one planned trip after the checks a manually created trip passes
+ * 
+ * @async
+ * @param {Object} timetable - Timetable document
+ * @param {Object} plan - tripNumber, scheduledDepartureTime, scheduledArrivalTime
+ * @param {Date} now - Generation time
+ * @returns {Promise<Object|null>} Created trip, or null if the trip number already exists
+ * @throws {ApiError|Error} ApiError for conflicts, ValidationError for invalid trips
+ */
+const createPlannedTrip = async (timetable, plan, now) => {
+    const trip = new Trip({
+        ...plan,
+        timetableId: timetable._id,
+        routeId: timetable.routeId,
+        busId: timetable.defaultBusId,
+        ...(isSet(timetable.fare) && { fare: timetable.fare }),
+        status: 'scheduled',
+        statusSource: 'schedule',
+        statusHistory: [{
+            from: null,
+            to: 'scheduled',
+            at: now,
+            source: 'schedule',
+            reason: `Generated from timetable ${timetable.code}`,
+        }],
+    });
+
+    await trip.validate();
+    await tripConflictService.assertNoBusConflicts(trip);
+    await crewDutyService.assertCrewAssignable(trip);
+
+    try {
+        return await trip.save();
+    } catch (error) {
+        // Created meanwhile by another run
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Generate trips for a timetable up to the horizon
+ * Existing trips (same trip number) are left untouched.
+ * 
+ * @async
+ * @param {Object} timetable - Timetable document
+ * @param {Object} [options] - now and horizonDays
+ * @returns {Promise<Object>} Window, planned / created / existing counts and the skipped departures
+ */
+const generateTrips = async (timetable, { now = new Date(), horizonDays = HORIZON_DAYS } = {}) => {
+    const to = new Date(now.getTime() + horizonDays * DAY_MS);
+    const summary = {
+        timetableId: timetable._id,
+        code: timetable.code,
+        from: now,
+        to,
+        planned: 0,
+        created: 0,
+        existing: 0,
+        skipped: [],
+    };
+
+    if (timetable.status !== 'active') return summary;
+    if (timetable.regenerationPending) {
+        summary.regenerationPending = true;
+        return summary;
+    }
+
+    const route = await loadRoute(timetable);
+    const planned = planTrips(timetable, route, now, to);
+    summary.planned = planned.length;
+
+    const existing = await Trip.find({ tripNumber: { $in: planned.map((trip) => trip.tripNumber) } })
+        .select('tripNumber')
+        .setOptions({ skipPopulate: true })
+        .lean();
+    const existingNumbers = new Set(existing.map((trip) => trip.tripNumber));
+    summary.existing = existingNumbers.size;
+
+    // One at a time, so each trip is checked against the ones created before it
+    await planned
+        .filter((plan) => !existingNumbers.has(plan.tripNumber))
+        .reduce(async (previous, plan) => {
+            await previous;
+            try {
+                const trip = await createPlannedTrip(timetable, plan, now);
+                if (trip) summary.created += 1;
+                else summary.existing += 1;
+            } catch (error) {
+                if (!(error instanceof ApiError) && error.name !== 'ValidationError') throw error;
+                summary.skipped.push({
+                    tripNumber: plan.tripNumber,
+                    scheduledDepartureTime: plan.scheduledDepartureTime,
+                    reason: error.message,
+                    ...(error.details && { details: error.details }),
+                });
+            }
+        }, Promise.resolve());
+
+    if (!timetable.generatedThrough || timetable.generatedThrough < to) {
+        await Timetable.updateOne({ _id: timetable._id }, { $set: { generatedThrough: to } });
+    }
+
+    if (summary.created > 0) {
+        logger.info(`Timetable ${timetable.code}: generated ${summary.created} trips through ${to.toISOString()}`);
+    }
+    if (summary.skipped.length > 0) {
+        logger.warn(`Timetable ${timetable.code}: skipped ${summary.skipped.length} departures (${summary.skipped.map((trip) => trip.tripNumber).join(', ')})`);
+    }
+
+    return summary;
+};
+
+/**
+ * Future trips of a timetable that have not started and were not edited by hand
+ * 
+ * @param {Object} timetable - Timetable document
+ * @param {Date} now - Reference time
+ * @returns {Object} Trip filter
+ */
+const unstartedTripsFilter = (timetable, now) => ({
+    timetableId: timetable._id,
+    status: 'scheduled',
+    statusSource: { $ne: 'manual' },
+    scheduledDepartureTime: { $gt: now },
+});
+
+/**
+ * Count future unstarted trips a regeneration would affect
+ * 
+ * @async
+ * @param {Object} timetable - Timetable document
+ * @returns {Promise<number>} Trip count
+ */
+const countRegenerable = async (timetable) => Trip.countDocuments(unstartedTripsFilter(timetable, new Date()));
+
+/**
+ * Bring future unstarted trips in line with an edited timetable
+ * Trips no longer in the plan are removed, kept trips get the new bus, fare
+ * override and duration, and missing trips are generated. Trips with active
+ * bookings are not removed, and kept trips the new bus cannot run are left
+ * unchanged; both are reported.
+ * 
+ * @async
+ * @param {Object} timetable - Timetable document (after the edit)
+ * @returns {Promise<Object>} removed, updated and created counts and the skipped trips
+ */
+const regenerateFutureTrips = async (timetable) => {
+    const now = new Date();
+    const horizonEnd = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+    const to = timetable.generatedThrough && timetable.generatedThrough > horizonEnd
+        ? timetable.generatedThrough
+        : horizonEnd;
+
+    const route = await loadRoute(timetable);
+    const planned = timetable.status === 'active' ? planTrips(timetable, route, now, to) : [];
+    const plannedByNumber = new Map(planned.map((trip) => [trip.tripNumber, trip]));
+
+    const future = await Trip.find(unstartedTripsFilter(timetable, now))
+        .select('tripNumber busId scheduledDepartureTime scheduledArrivalTime')
+        .setOptions({ skipPopulate: true });
+
+    const skipped = [];
+    const skip = (trip, reason, details) => skipped.push({
+        tripNumber: trip.tripNumber,
+        scheduledDepartureTime: trip.scheduledDepartureTime,
+        reason,
+        ...(details && { details }),
+    });
+
+    // Trips with held or confirmed seats are never removed
+    const stale = [];
+    await future
+        .filter((trip) => !plannedByNumber.has(trip.tripNumber))
+        .reduce(async (previous, trip) => {
+            await previous;
+            const bookings = await bookingService.countActiveBookings(trip._id);
+            if (bookings > 0) skip(trip, `Trip has ${bookings} active booking(s)`);
+            else stale.push(trip);
+        }, Promise.resolve());
+
+    if (stale.length > 0) {
+        await Trip.deleteMany({ _id: { $in: stale.map((trip) => trip._id) } });
+    }
+
+    // A new bus must seat the booked passengers and not be double-booked
+    const kept = [];
+    await future
+        .filter((trip) => plannedByNumber.has(trip.tripNumber))
+        .reduce(async (previous, trip) => {
+            await previous;
+            try {
+                if (!trip.busId.equals(timetable.defaultBusId)) {
+                    await bookingService.assertSeatsFit(trip._id, timetable.defaultBusId);
+                }
+                await tripConflictService.assertNoBusConflicts({
+                    _id: trip._id,
+                    busId: timetable.defaultBusId,
+                    scheduledDepartureTime: trip.scheduledDepartureTime,
+                    scheduledArrivalTime: plannedByNumber.get(trip.tripNumber).scheduledArrivalTime,
+                });
+                kept.push(trip);
+            } catch (error) {
+                if (!(error instanceof ApiError)) throw error;
+                skip(trip, error.message, error.details);
+            }
+        }, Promise.resolve());
+
+    if (kept.length > 0) {
+        await Trip.bulkWrite(kept.map((trip) => ({
+            updateOne: {
+                filter: { _id: trip._id, status: 'scheduled' },
+                update: {
+                    $set: {
+                        busId: timetable.defaultBusId,
+                        scheduledArrivalTime: plannedByNumber.get(trip.tripNumber).scheduledArrivalTime,
+                        ...(isSet(timetable.fare) && { fare: timetable.fare }),
+                    },
+                    ...(!isSet(timetable.fare) && { $unset: { fare: '' } }),
+                },
+            },
+        })), { ordered: false });
+    }
+
+    if (timetable.regenerationPending) {
+        await Timetable.updateOne({ _id: timetable._id }, { $set: { regenerationPending: false } });
+        timetable.set('regenerationPending', false);
+    }
+
+    const generated = await generateTrips(timetable, {
+        now,
+        horizonDays: (to.getTime() - now.getTime()) / DAY_MS,
+    });
+
+    logger.info(`Timetable ${timetable.code} regenerated: ${stale.length} removed, ${kept.length} updated, ${generated.created} created, ${skipped.length + generated.skipped.length} skipped`);
+
+    return {
+        removed: stale.length,
+        updated: kept.length,
+        created: generated.created,
+        skipped: [...skipped, ...generated.skipped],
+    };
+};
+
+/**
+ * Generate trips for every active timetable
+ * A failing timetable is logged and does not stop the others. Timetables
+ * awaiting regeneration are skipped.
+ * 
+ * @async
+ * @returns {Promise<Array>} Per-timetable summaries (with error when it failed)
+ */
+const generateAll = async () => {
+    const now = new Date();
+    const timetables = await Timetable.find({
+        status: 'active',
+        regenerationPending: { $ne: true },
+        $or: [{ effectiveTo: { $exists: false } }, { effectiveTo: null }, { effectiveTo: { $gte: now } }],
+    });
+
+    const summaries = [];
+    await timetables.reduce(async (previous, timetable) => {
+        await previous;
+        try {
+            summaries.push(await generateTrips(timetable, { now }));
+        } catch (error) {
+            logger.error(`Trip generation failed for timetable ${timetable.code}: ${error.message}`);
+            summaries.push({ timetableId: timetable._id, code: timetable.code, error: error.message });
+        }
+    }, Promise.resolve());
+
+    return summaries;
+};
+
+/**
+ * Run generateAll now and then periodically
+ * 
+ * @returns {Object} Interval handle (pass to clearInterval to stop)
+ */
+const startScheduler = () => {
+    const run = () => generateAll().catch((error) => {
+        logger.error(`Scheduled trip generation failed: ${error.message}`);
+    });
+
+    run();
+    const timer = setInterval(run, GENERATE_INTERVAL_HOURS * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    planTrips,
+    generateTrips,
+    countRegenerable,
+    regenerateFutureTrips,
+    generateAll,
+    startScheduler,
+    HORIZON_DAYS,
+};
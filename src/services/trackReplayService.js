@@ -0,0 +1,212 @@
+/**
+ * Track Replay Service
+ * 
+ * Reconstructs where a bus was over a trip or a time window: the recorded
+ * track simplified with Douglas–Peucker, per-segment speeds, and optionally
+ * positions resampled at a fixed interval. Speeds and resampled positions
+ * always come from the full-resolution track, so simplification only
+ * changes how much geometry is returned, not the timing.
+ * 
+ * @module services/trackReplayService
+ */
+
+const LocationUpdate = require('../models/LocationUpdate');
+const { ApiError } = require('../middleware/errorHandler');
+const {
+    cumulativeDistances,
+    simplifyPath,
+    toLatLng,
+} = require('../utils/geo');
+
+// Most raw points loaded for one replay
+const MAX_POINTS = parseInt(process.env.REPLAY_MAX_POINTS, 10) || 20000;
+// Most resampled positions returned for one replay
+const MAX_SAMPLES = parseInt(process.env.REPLAY_MAX_SAMPLES, 10) || 5000;
+// Default simplification tolerance in meters
+const DEFAULT_TOLERANCE_M = 10;
+// Resampled positions between fixes further apart than this are flagged as gaps
+const GAP_SECONDS = parseInt(process.env.REPLAY_GAP_SECONDS, 10) || 300;
+
+const round = (value, decimals) => {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Load recorded points in time order
+ * 
+ * @async
+ * @param {Object} filter - LocationUpdate filter (tripId or busId + timestamp range)
+ * @returns {Promise<Object>} points ({ lat, lng, timestamp, speed, heading, status }) and truncated
+ */
+const loadTrack = async (filter) => {
+    const locations = await LocationUpdate.find(filter)
+        .sort({ timestamp: 1 })
+        .limit(MAX_POINTS + 1)
+        .select('coordinates speed heading status timestamp')
+        .setOptions({ skipPopulate: true })
+        .lean();
+
+    const truncated = locations.length > MAX_POINTS;
+    const points = locations.slice(0, MAX_POINTS).map((loc) => ({
+        ...toLatLng(loc.coordinates),
+        timestamp: loc.timestamp,
+        speed: loc.speed,
+        heading: loc.heading,
+        status: loc.status,
+    }));
+
+    return { points, truncated };
+};
+
+/**
+ * Speed over each segment of the simplified track
+ * 
+ * @param {Array<Object>} track - Raw points
+ * @param {Array<number>} cumulative - cumulativeDistances(track)
+ * @param {Array<number>} kept - Indices of the simplified points in the raw track
+ * @returns {Array<Object>} Segments between consecutive simplified points
+ */
+const buildSegments = (track, cumulative, kept) => kept.slice(1).map((to, i) => {
+    const from = kept[i];
+    const distanceKm = cumulative[to] - cumulative[from];
+    const durationSeconds = (track[to].timestamp - track[from].timestamp) / 1000;
+
+    return {
+        from: i,
+        to: i + 1,
+        startTime: track[from].timestamp,
+        endTime: track[to].timestamp,
+        distanceKm: round(distanceKm, 3),
+        durationSeconds: Math.round(durationSeconds),
+        speed: durationSeconds > 0 ? round(distanceKm / (durationSeconds / 3600), 1) : 0,
+    };
+});
+
+/**
+ * Positions at fixed intervals, linearly interpolated between recorded fixes
+ * 
+ * @param {Array<Object>} track - Raw points in time order
+ * @param {Array<number>} cumulative - cumulativeDistances(track)
+ * @param {number} intervalSeconds - Sampling interval
+ * @returns {Array<Object>} Samples with timestamp, coordinates, speed, interpolated and gap flags
+ */
+const resample = (track, cumulative, intervalSeconds) => {
+    const start = track[0].timestamp.getTime();
+    const end = track[track.length - 1].timestamp.getTime();
+    const count = Math.floor((end - start) / (intervalSeconds * 1000)) + 1;
+
+    if (count > MAX_SAMPLES) {
+        throw new ApiError(`Interval too small: would produce ${count} samples (limit ${MAX_SAMPLES})`, 400);
+    }
+
+    const samples = [];
+    let segment = 0;
+    for (let n = 0; n < count; n += 1) {
+        const time = start + n * intervalSeconds * 1000;
+        while (segment < track.length - 2 && track[segment + 1].timestamp.getTime() < time) {
+            segment += 1;
+        }
+
+        const a = track[segment];
+        const b = track[Math.min(segment + 1, track.length - 1)];
+        const spanMs = b.timestamp - a.timestamp;
+        const fraction = spanMs > 0 ? Math.min(1, Math.max(0, (time - a.timestamp) / spanMs)) : 0;
+        const segmentKm = cumulative[Math.min(segment + 1, track.length - 1)] - cumulative[segment];
+
+        samples.push({
+            timestamp: new Date(time),
+            coordinates: {
+                lat: round(a.lat + (b.lat - a.lat) * fraction, 6),
+                lng: round(a.lng + (b.lng - a.lng) * fraction, 6),
+            },
+            speed: spanMs > 0 ? round(segmentKm / (spanMs / 3600000), 1) : 0,
+            interpolated: fraction !== 0 && fraction !== 1,
+            gap: spanMs > GAP_SECONDS * 1000,
+        });
+    }
+
+    return samples;
+};
+
+/**
+ * Build a replay from a LocationUpdate filter
+ * 
+ * @async
+ * @param {Object} filter - LocationUpdate filter
+ * @param {Object} [options] - toleranceM (simplification, 0 = none) and intervalSeconds (resampling)
+ * @returns {Promise<Object>} Replay: stats, points, segments and optional samples
+ */
+const buildReplay = async (filter, { toleranceM = DEFAULT_TOLERANCE_M, intervalSeconds } = {}) => {
+    const { points: track, truncated } = await loadTrack(filter);
+
+    if (track.length === 0) {
+        throw new ApiError('No location data found for this replay', 404);
+    }
+
+    const cumulative = cumulativeDistances(track);
+    const indexed = track.map((point, index) => ({ lat: point.lat, lng: point.lng, index }));
+    const kept = (toleranceM > 0 ? simplifyPath(indexed, toleranceM / 1000) : indexed).map((p) => p.index);
+    const segments = buildSegments(track, cumulative, kept);
+
+    const distanceKm = cumulative[cumulative.length - 1];
+    const durationSeconds = (track[track.length - 1].timestamp - track[0].timestamp) / 1000;
+
+    const replay = {
+        startTime: track[0].timestamp,
+        endTime: track[track.length - 1].timestamp,
+        toleranceM,
+        truncated,
+        stats: {
+            rawPoints: track.length,
+            points: kept.length,
+            distanceKm: round(distanceKm, 2),
+            durationSeconds: Math.round(durationSeconds),
+            averageSpeed: durationSeconds > 0 ? round(distanceKm / (durationSeconds / 3600), 1) : 0,
+            maxSegmentSpeed: segments.reduce((max, s) => Math.max(max, s.speed), 0),
+        },
+        points: kept.map((index) => ({
+            coordinates: { lat: track[index].lat, lng: track[index].lng },
+            timestamp: track[index].timestamp,
+            reportedSpeed: track[index].speed,
+            heading: track[index].heading,
+            status: track[index].status,
+        })),
+        segments,
+    };
+
+    if (intervalSeconds) {
+        replay.intervalSeconds = intervalSeconds;
+        replay.samples = resample(track, cumulative, intervalSeconds);
+    }
+
+    return replay;
+};
+
+/**
+ * Replay the recorded track of a trip
+ * 
+ * @async
+ * @param {Object} trip - Trip document
+ * @param {Object} [options] - toleranceM and intervalSeconds
+ * @returns {Promise<Object>} Replay
+ */
+exports.replayTrip = async (trip, options) => ({
+    tripId: trip._id,
+    ...(await buildReplay({ tripId: trip._id }, options)),
+});
+
+/**
+ * Replay the recorded track of a bus over a time window
+ * 
+ * @async
+ * @param {ObjectId} busId - Bus ID
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @param {Object} [options] - toleranceM and intervalSeconds
+ * @returns {Promise<Object>} Replay
+ */
+exports.replayBus = async (busId, startTime, endTime, options) => ({
+    busId,
+    ...(await buildReplay({ busId, timestamp: { $gte: startTime, $lte: endTime } }, options)),
+});
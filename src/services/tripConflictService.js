@@ -0,0 +1,153 @@
+/**
+ * Trip Conflict Service
+ * 
+ * Detects bus double-booking: a bus assigned to trips whose scheduled times
+ * overlap, or whose gap is shorter than the minimum turnaround needed to
+ * get the bus from one trip's end to the next trip's start.
+ * 
+ * @module services/tripConflictService
+ */
+
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Minimum time between a bus's arrival and its next departure
+const MIN_TURNAROUND_MINUTES = parseInt(process.env.TRIP_MIN_TURNAROUND_MINUTES, 10) || 30;
+
+const TURNAROUND_MS = MIN_TURNAROUND_MINUTES * 60 * 1000;
+
+/**
+ * Classify the clash between two trips of the same bus
+ * 
+ * @param {Object} first - Trip departing first
+ * @param {Object} second - Trip departing second
+ * @returns {Object|null} type ('overlap' | 'turnaround') and gapMinutes, or null if compatible
+ */
+const compareTrips = (first, second) => {
+    const gapMs = new Date(second.scheduledDepartureTime) - new Date(first.scheduledArrivalTime);
+    if (gapMs >= TURNAROUND_MS) return null;
+
+    return {
+        type: gapMs < 0 ? 'overlap' : 'turnaround',
+        gapMinutes: Math.round(gapMs / 60000),
+    };
+};
+
+/**
+ * Shape a trip for conflict listings
+ * 
+ * @param {Object} trip - Trip document or plain object
+ * @returns {Object} Identifying fields and schedule
+ */
+const summarizeTrip = (trip) => ({
+    _id: trip._id,
+    tripNumber: trip.tripNumber,
+    routeId: trip.routeId && (trip.routeId._id || trip.routeId),
+    status: trip.status,
+    scheduledDepartureTime: trip.scheduledDepartureTime,
+    scheduledArrivalTime: trip.scheduledArrivalTime,
+});
+
+/**
+ * Other trips of a bus that clash with a proposed schedule
+ * Cancelled trips never clash.
+ * 
+ * @async
+ * @param {Object} trip - busId, scheduledDepartureTime, scheduledArrivalTime and (when updating) _id
+ * @returns {Promise<Array>} Clashing trips with type and gapMinutes, in time order
+ */
+const findBusConflicts = async (trip) => {
+    const departure = new Date(trip.scheduledDepartureTime);
+    const arrival = new Date(trip.scheduledArrivalTime);
+
+    const filter = {
+        busId: trip.busId,
+        status: { $ne: 'cancelled' },
+        scheduledDepartureTime: { $lt: new Date(arrival.getTime() + TURNAROUND_MS) },
+        scheduledArrivalTime: { $gt: new Date(departure.getTime() - TURNAROUND_MS) },
+    };
+    if (trip._id) filter._id = { $ne: trip._id };
+
+    const others = await Trip.find(filter)
+        .sort('scheduledDepartureTime')
+        .setOptions({ skipPopulate: true })
+        .lean();
+
+    return others.map((other) => {
+        const clash = other.scheduledDepartureTime < departure
+            ? compareTrips(other, trip)
+            : compareTrips(trip, other);
+        return { ...summarizeTrip(other), ...clash };
+    });
+};
+
+/**
+ * Reject a schedule that clashes with the bus's other trips
+ * 
+ * @async
+ * @param {Object} trip - See findBusConflicts
+ * @throws {ApiError} 409 with the clashing trips in details.conflicts
+ */
+const assertNoBusConflicts = async (trip) => {
+    const conflicts = await findBusConflicts(trip);
+    if (conflicts.length === 0) return;
+
+    throw new ApiError(
+        `Bus is already booked: ${conflicts.map((c) => c.tripNumber).join(', ')} (minimum turnaround ${MIN_TURNAROUND_MINUTES} minutes)`,
+        409,
+        { minTurnaroundMinutes: MIN_TURNAROUND_MINUTES, conflicts },
+    );
+};
+
+/**
+ * Scan existing schedules for conflicting trip pairs
+ * 
+ * @async
+ * @param {Object} options - from, to (departure window) and optional busId
+ * @returns {Promise<Array>} Conflicts: busId, type, gapMinutes and the two trips
+ */
+const findScheduleConflicts = async ({ from, to, busId }) => {
+    const match = {
+        status: { $ne: 'cancelled' },
+        scheduledDepartureTime: { $gte: from, $lte: to },
+    };
+    if (busId) match.busId = new mongoose.Types.ObjectId(busId);
+
+    const trips = await Trip.find(match)
+        .sort({ busId: 1, scheduledDepartureTime: 1 })
+        .select('tripNumber busId routeId status scheduledDepartureTime scheduledArrivalTime')
+        .setOptions({ skipPopulate: true })
+        .lean();
+
+    const conflicts = [];
+    let open = [];
+    trips.forEach((trip) => {
+        // Earlier trips of the same bus that can still clash with this one
+        open = open.filter((earlier) => earlier.busId.equals(trip.busId)
+            && new Date(earlier.scheduledArrivalTime).getTime() + TURNAROUND_MS > new Date(trip.scheduledDepartureTime));
+
+        open.forEach((earlier) => {
+            const clash = compareTrips(earlier, trip);
+            if (clash) {
+                conflicts.push({
+                    busId: trip.busId,
+                    ...clash,
+                    trips: [summarizeTrip(earlier), summarizeTrip(trip)],
+                });
+            }
+        });
+
+        open.push(trip);
+    });
+
+    return conflicts;
+};
+
+module.exports = {
+    compareTrips,
+    findBusConflicts,
+    assertNoBusConflicts,
+    findScheduleConflicts,
+    MIN_TURNAROUND_MINUTES,
+};
@@ -0,0 +1,203 @@
+/**
+ * Trip Lifecycle Service
+ * 
+ * Drives trip status from GPS: scheduled → boarding at the origin stop,
+ * → in-transit on leaving it, ↔ delayed when running behind schedule, and
+ * → completed on reaching the destination geofence.
+ * 
+ * Transitions are applied with a conditional update on the current status
+ * and status source, so a status set manually by an operator always wins,
+ * including when both happen at the same moment. After a manual change GPS
+ * only records progress the bus has made (leaving the origin, reaching the
+ * destination); that hands the trip back to GPS.
+ * 
+ * @module services/tripLifecycleService
+ */
+
+const Trip = require('../models/Trip');
+const { canTransition } = require('./tripStatusService');
+const { buildStopPath } = require('./etaService');
+const { ARRIVAL_RADIUS_M } = require('./stopEventService');
+const { distanceBetween, locateOnPath } = require('../utils/geo');
+const logger = require('../config/logger');
+
+// Minutes before departure at which a bus at the origin starts boarding
+const BOARDING_WINDOW_MINUTES = parseInt(process.env.TRIP_BOARDING_WINDOW_MINUTES, 10) || 30;
+// Minutes behind schedule before a trip is marked delayed
+const DELAY_THRESHOLD_MINUTES = parseInt(process.env.TRIP_DELAY_THRESHOLD_MINUTES, 10) || 15;
+// A delayed trip returns to in-transit once the lag drops below this fraction of the threshold
+const DELAY_RECOVERY_FACTOR = 0.5;
+// Distance along the route past which the bus has left the origin, even without a stop event
+const DEPARTED_OFFSET_KM = 1;
+
+/**
+ * Minutes the bus is behind schedule at its current position
+ * 
+ * @param {Object} trip - Trip document
+ * @param {Object} stopPath - Result of buildStopPath
+ * @param {Object} locationUpdate - Location update
+ * @returns {number} Lag in minutes (negative when ahead)
+ */
+const getScheduleLag = (trip, stopPath, locationUpdate) => {
+    const position = locateOnPath(locationUpdate.coordinates, stopPath.points);
+    const progressKm = position.offsetKm * stopPath.scale;
+    const totalKm = stopPath.cumulativeKm[stopPath.cumulativeKm.length - 1] || 1;
+
+    const departure = new Date(trip.scheduledDepartureTime).getTime();
+    const arrival = new Date(trip.scheduledArrivalTime).getTime();
+    const scheduledAtPosition = departure + (progressKm / totalKm) * (arrival - departure);
+
+    return (new Date(locationUpdate.timestamp).getTime() - scheduledAtPosition) / (60 * 1000);
+};
+
+/**
+ * Decide which transition, if any, a location update triggers
+ * 
+ * @param {Object} trip - Trip document
+ * @param {Object} route - Trip route with stops
+ * @param {Object} locationUpdate - Location update
+ * @param {Array} stopTransitions - Stop events detected for this update
+ * @returns {Object|null} to, reason and extra fields to set, or null
+ */
+const decideTransition = (trip, route, locationUpdate, stopTransitions) => {
+    const stopPath = buildStopPath(route);
+    const origin = stopPath.stops[0];
+    const destination = stopPath.stops[stopPath.stops.length - 1];
+    const timestamp = new Date(locationUpdate.timestamp);
+    const departure = new Date(trip.scheduledDepartureTime);
+
+    const has = (type, stop) => stopTransitions.some(
+        (t) => t.type === type && t.stopEvent.stopId.equals(stop._id),
+    );
+
+    // Destination reached
+    if (['in-transit', 'delayed'].includes(trip.status) && has('arrived', destination)) {
+        return {
+            to: 'completed',
+            reason: `Arrived at ${destination.name}`,
+            set: { actualArrivalTime: timestamp },
+        };
+    }
+
+    const lag = getScheduleLag(trip, stopPath, locationUpdate);
+    const isLate = lag > DELAY_THRESHOLD_MINUTES;
+
+    if (['scheduled', 'boarding'].includes(trip.status) || (trip.status === 'delayed' && !trip.actualDepartureTime)) {
+        const originMeters = distanceBetween(locationUpdate.coordinates, origin.coordinates) * 1000;
+        const progressKm = locateOnPath(locationUpdate.coordinates, stopPath.points).offsetKm * stopPath.scale;
+        const leftOrigin = has('departed', origin)
+            || (originMeters > ARRIVAL_RADIUS_M && progressKm > DEPARTED_OFFSET_KM
+                && timestamp >= new Date(departure.getTime() - BOARDING_WINDOW_MINUTES * 60 * 1000));
+
+        if (leftOrigin) {
+            const departedAt = (stopTransitions.find((t) => t.type === 'departed') || {}).stopEvent;
+            const set = { actualDepartureTime: departedAt ? departedAt.departedAt : timestamp };
+            if (isLate) {
+                return {
+                    to: 'delayed',
+                    reason: `Departed ${origin.name} ${Math.round(lag)} min behind schedule`,
+                    set: { ...set, delayReason: `Running ${Math.round(lag)} min behind schedule (GPS)` },
+                };
+            }
+            return { to: 'in-transit', reason: `Departed ${origin.name}`, set };
+        }
+
+        if (isLate && trip.status !== 'delayed') {
+            return {
+                to: 'delayed',
+                reason: `Not departed ${Math.round(lag)} min after scheduled departure`,
+                set: { delayReason: `Departure delayed by ${Math.round(lag)} min (GPS)` },
+            };
+        }
+
+        const boardingOpens = new Date(departure.getTime() - BOARDING_WINDOW_MINUTES * 60 * 1000);
+        if (trip.status === 'scheduled' && originMeters <= ARRIVAL_RADIUS_M && timestamp >= boardingOpens) {
+            return { to: 'boarding', reason: `Bus at ${origin.name} ahead of departure`, set: {} };
+        }
+
+        return null;
+    }
+
+    if (trip.status === 'in-transit' && isLate) {
+        return {
+            to: 'delayed',
+            reason: `Running ${Math.round(lag)} min behind schedule`,
+            set: { delayReason: `Running ${Math.round(lag)} min behind schedule (GPS)` },
+        };
+    }
+
+    if (trip.status === 'delayed' && lag < DELAY_THRESHOLD_MINUTES * DELAY_RECOVERY_FACTOR) {
+        return { to: 'in-transit', reason: 'Caught up with schedule', set: {} };
+    }
+
+    return null;
+};
+
+/**
+ * Whether a transition records progress the bus has made
+ * Only these override a manually set status.
+ * 
+ * @param {Object} trip - Trip document
+ * @param {Object} transition - Result of decideTransition
+ * @returns {boolean} True when the bus left the origin or reached the destination
+ */
+const isProgress = (trip, transition) => transition.to === 'completed'
+    || (!trip.actualDepartureTime && Boolean(transition.set.actualDepartureTime));
+
+/**
+ * Apply GPS-driven status transitions for a trip
+ * 
+ * @async
+ * @param {Object} locationUpdate - Saved LocationUpdate document
+ * @param {Object} trip - Trip the update belongs to
+ * @param {Object} route - Trip route with stops
+ * @param {Array} stopTransitions - Stop events detected for this update
+ * @returns {Promise<Object|null>} Updated trip, or null if nothing changed
+ */
+exports.applyLocation = async (locationUpdate, trip, route, stopTransitions = []) => {
+    if (!route || !route.stops || route.stops.length < 2) return null;
+
+    const transition = decideTransition(trip, route, locationUpdate, stopTransitions);
+    if (!transition) return null;
+
+    const manual = trip.statusSource === 'manual';
+    if (manual && !isProgress(trip, transition)) return null;
+
+    // Conditional on the status and source we decided from
+    const filter = { _id: trip._id, status: trip.status, statusSource: manual ? 'manual' : { $ne: 'manual' } };
+
+    // Same status (e.g. a late trip departing): only record the new fields
+    if (transition.to === trip.status) {
+        return Trip.findOneAndUpdate(
+            filter,
+            { $set: manual ? { ...transition.set, delayReason: trip.delayReason, statusSource: 'gps' } : transition.set },
+            { new: true },
+        ).setOptions({ skipPopulate: true });
+    }
+
+    if (!canTransition(trip.status, transition.to)) return null;
+
+    const entry = {
+        from: trip.status,
+        to: transition.to,
+        at: new Date(),
+        source: 'gps',
+        reason: transition.reason,
+        locationUpdateId: locationUpdate._id,
+    };
+
+    const updated = await Trip.findOneAndUpdate(
+        filter,
+        {
+            $set: { ...transition.set, status: transition.to, statusSource: 'gps' },
+            $push: { statusHistory: entry },
+        },
+        { new: true },
+    ).setOptions({ skipPopulate: true });
+
+    if (updated) {
+        logger.info(`Trip ${trip.tripNumber} ${trip.status} → ${transition.to} (GPS, location ${locationUpdate._id}): ${transition.reason}`);
+    }
+
+    return updated;
+};
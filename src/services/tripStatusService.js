@@ -0,0 +1,115 @@
+/**
+ * Trip Status Service
+ * 
+ * The trip status state machine: which statuses a trip may move to from
+ * each status, and the fields each transition needs. Completed and
+ * cancelled are final. Both manual changes and GPS-driven transitions go
+ * through this table, and every change is recorded in the trip's status
+ * history.
+ * 
+ * @module services/tripStatusService
+ */
+
+const Trip = require('../models/Trip');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Allowed target statuses for each status
+const TRANSITIONS = {
+    scheduled: ['boarding', 'in-transit', 'delayed', 'cancelled'],
+    boarding: ['in-transit', 'delayed', 'cancelled'],
+    'in-transit': ['delayed', 'completed', 'cancelled'],
+    delayed: ['boarding', 'in-transit', 'completed', 'cancelled'],
+    completed: [],
+    cancelled: [],
+};
+
+// Fields that must be present (in the request or already on the trip) to enter a status
+const REQUIRED_FIELDS = {
+    delayed: ['delayReason'],
+    cancelled: ['cancellationReason'],
+};
+
+/**
+ * Check whether a status change is allowed
+ * 
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the transition table permits it
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Validate a manual status change and build its history entry
+ * Departure and arrival times default to now when a trip starts or completes.
+ * 
+ * @param {Object} trip - Current trip document
+ * @param {Object} updates - Requested field updates (including status)
+ * @param {Object} user - Acting user
+ * @returns {Object} set (fields to set with the status) and entry (history entry)
+ * @throws {ApiError} 400 if the transition is not allowed or a required field is missing
+ */
+const buildManualTransition = (trip, updates, user) => {
+    const { status: to } = updates;
+
+    if (!canTransition(trip.status, to)) {
+        const allowed = TRANSITIONS[trip.status];
+        throw new ApiError(
+            `Cannot change trip status from ${trip.status} to ${to}. ${allowed.length > 0 ? `Allowed: ${allowed.join(', ')}` : `${trip.status} is final`}`,
+            400,
+        );
+    }
+
+    const missing = (REQUIRED_FIELDS[to] || []).filter((field) => !updates[field] && !trip[field]);
+    if (missing.length > 0) {
+        throw new ApiError(`Changing status to ${to} requires ${missing.join(', ')}`, 400);
+    }
+
+    const now = new Date();
+    const set = {};
+    if (['in-transit', 'completed'].includes(to) && !updates.actualDepartureTime && !trip.actualDepartureTime) {
+        set.actualDepartureTime = now;
+    }
+    if (to === 'completed' && !updates.actualArrivalTime && !trip.actualArrivalTime) {
+        set.actualArrivalTime = now;
+    }
+
+    let reason;
+    if (to === 'delayed') reason = updates.delayReason || trip.delayReason;
+    if (to === 'cancelled') reason = updates.cancellationReason || trip.cancellationReason;
+
+    return {
+        set,
+        entry: {
+            from: trip.status,
+            to,
+            at: now,
+            source: 'manual',
+            reason,
+            by: user._id,
+        },
+    };
+};
+
+/**
+ * Status history of a trip, oldest first, with the acting users
+ * 
+ * @async
+ * @param {ObjectId} tripId - Trip ID
+ * @returns {Promise<Array|null>} History entries, or null if the trip does not exist
+ */
+const getHistory = async (tripId) => {
+    const trip = await Trip.findById(tripId)
+        .select('tripNumber status +statusHistory')
+        .populate({ path: 'statusHistory.by', select: 'name email role' })
+        .setOptions({ skipPopulate: true });
+
+    return trip ? trip.statusHistory : null;
+};
+
+module.exports = {
+    TRANSITIONS,
+    REQUIRED_FIELDS,
+    canTransition,
+    buildManualTransition,
+    getHistory,
+};
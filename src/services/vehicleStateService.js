@@ -0,0 +1,330 @@
+/**
+ * Vehicle State Service
+ * 
+ * Maintains the VehicleState collection (one current position per bus) and
+ * answers fleet-wide map queries from it. Updates are conditional on the
+ * position timestamp, so late or concurrent updates never move a bus back.
+ * If the collection drifts (e.g. after a restore), rebuild() recreates it
+ * from LocationUpdate.
+ * 
+ * @module services/vehicleStateService
+ */
+
+const mongoose = require('mongoose');
+const VehicleState = require('../models/VehicleState');
+const LocationUpdate = require('../models/LocationUpdate');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const { toLatLng } = require('../utils/geo');
+const logger = require('../config/logger');
+
+// Positions older than this are reported as stale
+const STALE_MINUTES = parseInt(process.env.VEHICLE_STALE_MINUTES, 10) || 10;
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+/**
+ * Build a VehicleState filter
+ * 
+ * @param {Object} [filters] - routeId, operatorId, busIds and since (Date)
+ * @returns {Object} MongoDB filter with ObjectIds cast (safe for aggregation)
+ */
+const buildFilter = ({
+    routeId, operatorId, busIds, since,
+} = {}) => {
+    const filter = {};
+    if (routeId) filter.routeId = toObjectId(routeId);
+    if (operatorId) filter.operatorId = toObjectId(operatorId);
+    if (busIds) filter.busId = { $in: busIds.map(toObjectId) };
+    if (since) filter.timestamp = { $gte: since };
+    return filter;
+};
+
+/**
+ * Shape a state document (or raw aggregation result) for API responses
+ * 
+ * @param {Object} state - VehicleState document or plain object
+ * @param {Date} [now] - Reference time for staleness
+ * @returns {Object} bus, tripId, location, ageSeconds and stale
+ */
+const formatPosition = (state, now = new Date()) => {
+    const ageSeconds = Math.max(0, Math.round((now - new Date(state.timestamp)) / 1000));
+
+    return {
+        bus: {
+            _id: state.busId,
+            registrationNumber: state.registrationNumber,
+            routeId: state.routeId,
+            operatorId: state.operatorId,
+        },
+        tripId: state.tripId || null,
+        location: {
+            coordinates: toLatLng(state.coordinates),
+            speed: state.speed,
+            heading: state.heading,
+            status: state.status,
+            timestamp: state.timestamp,
+        },
+        ageSeconds,
+        stale: ageSeconds > STALE_MINUTES * 60,
+    };
+};
+
+/**
+ * Add the current trip's passenger load to formatted positions
+ * 
+ * @async
+ * @param {Array} positions - Formatted positions
+ * @returns {Promise<Array>} Positions with occupancy (null when not reported)
+ */
+const withOccupancy = async (positions) => {
+    const tripIds = [...new Set(positions.filter((p) => p.tripId).map((p) => p.tripId.toString()))];
+    const trips = tripIds.length > 0
+        ? await Trip.find({ _id: { $in: tripIds }, 'occupancy.computedAt': { $exists: true } })
+            .select('occupancy')
+            .setOptions({ skipPopulate: true })
+            .lean()
+        : [];
+    const byTrip = new Map(trips.map((trip) => [trip._id.toString(), trip.occupancy]));
+
+    return positions.map((position) => {
+        const occupancy = position.tripId && byTrip.get(position.tripId.toString());
+        return {
+            ...position,
+            occupancy: occupancy ? {
+                passengers: occupancy.passengers,
+                capacity: occupancy.capacity,
+                band: occupancy.band,
+                updatedAt: occupancy.computedAt,
+            } : null,
+        };
+    });
+};
+
+/**
+ * Record an accepted location update as the bus's current state
+ * Only applied when newer than the stored state.
+ * 
+ * @async
+ * @param {Object} locationUpdate - Saved LocationUpdate document
+ * @param {Object} bus - Bus document
+ * @param {Object|null} trip - Trip the update was matched to
+ * @returns {Promise<Object|null>} Updated state, or null if a newer one is stored
+ */
+exports.applyLocation = async (locationUpdate, bus, trip) => {
+    const update = {
+        $set: {
+            registrationNumber: bus.registrationNumber,
+            routeId: bus.routeId && (bus.routeId._id || bus.routeId),
+            operatorId: bus.operatorId && (bus.operatorId._id || bus.operatorId),
+            coordinates: locationUpdate.coordinates,
+            speed: locationUpdate.speed,
+            heading: locationUpdate.heading,
+            status: locationUpdate.status,
+            timestamp: locationUpdate.timestamp,
+            locationUpdateId: locationUpdate._id,
+        },
+    };
+    if (trip) {
+        update.$set.tripId = trip._id;
+    } else {
+        update.$unset = { tripId: 1 };
+    }
+
+    try {
+        return await VehicleState.findOneAndUpdate(
+            { busId: bus._id, timestamp: { $lt: locationUpdate.timestamp } },
+            update,
+            { new: true, upsert: true },
+        );
+    } catch (error) {
+        // The filter missed because a newer state exists; the upsert then hit the unique busId
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Current positions of active buses
+ * 
+ * @async
+ * @param {Object} [filters] - routeId, operatorId, since
+ * @returns {Promise<Array>} Formatted positions
+ */
+exports.listPositions = async (filters = {}) => {
+    const activeBusIds = await Bus.find({ status: 'active' }).distinct('_id');
+    const states = await VehicleState.find(buildFilter({ ...filters, busIds: activeBusIds }))
+        .sort({ registrationNumber: 1 })
+        .lean();
+
+    const now = new Date();
+    return withOccupancy(states.map((state) => formatPosition(state, now)));
+};
+
+/**
+ * Get the current position of one bus
+ * 
+ * @async
+ * @param {ObjectId} busId - Bus ID
+ * @returns {Promise<Object|null>} Formatted position or null
+ */
+exports.getPosition = async (busId) => {
+    const state = await VehicleState.findOne({ busId }).lean();
+    if (!state) return null;
+    const [position] = await withOccupancy([formatPosition(state)]);
+    return position;
+};
+
+/**
+ * Buses currently near a point, nearest first
+ * 
+ * @async
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radiusKm - Search radius in kilometers
+ * @param {Object} [filters] - routeId, operatorId, since
+ * @returns {Promise<Array>} Formatted positions with distanceKm
+ */
+exports.findNearby = async (lat, lng, radiusKm, filters = {}) => {
+    const states = await VehicleState.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates: [lng, lat] },
+                key: 'coordinates',
+                distanceField: 'distance',
+                maxDistance: radiusKm * 1000,
+                spherical: true,
+                query: buildFilter(filters),
+            },
+        },
+    ]);
+
+    const now = new Date();
+    return withOccupancy(states.map((state) => ({
+        ...formatPosition(state, now),
+        distanceKm: state.distance / 1000,
+    })));
+};
+
+/**
+ * Buses currently inside a GeoJSON geometry
+ * 
+ * @async
+ * @param {Object} geometry - GeoJSON Polygon
+ * @param {Object} [filters] - routeId, operatorId, since
+ * @returns {Promise<Array>} Formatted positions
+ */
+exports.findWithin = async (geometry, filters = {}) => {
+    const states = await VehicleState.find({
+        ...buildFilter(filters),
+        coordinates: { $geoWithin: { $geometry: geometry } },
+    }).lean();
+
+    const now = new Date();
+    return withOccupancy(states.map((state) => formatPosition(state, now)));
+};
+
+/**
+ * Fleet-wide live tracking summary
+ * 
+ * @async
+ * @param {Object} [filters] - routeId, operatorId
+ * @returns {Promise<Object>} tracked, reporting, stale, byStatus and averageSpeed (moving buses)
+ */
+exports.getFleetStats = async (filters = {}) => {
+    const staleBefore = new Date(Date.now() - STALE_MINUTES * 60 * 1000);
+
+    const [summary] = await VehicleState.aggregate([
+        { $match: buildFilter(filters) },
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            tracked: { $sum: 1 },
+                            stale: { $sum: { $cond: [{ $lt: ['$timestamp', staleBefore] }, 1, 0] } },
+                        },
+                    },
+                ],
+                byStatus: [
+                    { $match: { timestamp: { $gte: staleBefore } } },
+                    {
+                        $group: {
+                            _id: '$status',
+                            count: { $sum: 1 },
+                            avgSpeed: { $avg: '$speed' },
+                        },
+                    },
+                    { $sort: { count: -1 } },
+                ],
+            },
+        },
+    ]);
+
+    const totals = summary.totals[0] || { tracked: 0, stale: 0 };
+    const moving = summary.byStatus.find((s) => s._id === 'moving');
+
+    return {
+        tracked: totals.tracked,
+        reporting: totals.tracked - totals.stale,
+        stale: totals.stale,
+        staleAfterMinutes: STALE_MINUTES,
+        byStatus: summary.byStatus.map((s) => ({ status: s._id, count: s.count })),
+        averageSpeed: moving ? Math.round(moving.avgSpeed * 10) / 10 : 0,
+    };
+};
+
+/**
+ * Recreate the collection from the newest LocationUpdate of each bus
+ * 
+ * @async
+ * @returns {Promise<Object>} upserted and removed counts
+ */
+exports.rebuild = async () => {
+    const latest = await LocationUpdate.aggregate([
+        { $sort: { busId: 1, timestamp: -1 } },
+        { $group: { _id: '$busId', location: { $first: '$$ROOT' } } },
+        {
+            $lookup: {
+                from: 'buses',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'bus',
+                pipeline: [{ $project: { registrationNumber: 1, routeId: 1, operatorId: 1 } }],
+            },
+        },
+        { $unwind: '$bus' },
+    ]).allowDiskUse(true);
+
+    const operations = latest.map(({ bus, location }) => ({
+        replaceOne: {
+            filter: { busId: bus._id },
+            replacement: {
+                busId: bus._id,
+                registrationNumber: bus.registrationNumber,
+                routeId: bus.routeId,
+                operatorId: bus.operatorId,
+                tripId: location.tripId,
+                coordinates: location.coordinates,
+                speed: location.speed,
+                heading: location.heading,
+                status: location.status,
+                timestamp: location.timestamp,
+                locationUpdateId: location._id,
+            },
+            upsert: true,
+        },
+    }));
+
+    if (operations.length > 0) {
+        await VehicleState.bulkWrite(operations, { ordered: false });
+    }
+
+    // Buses without any stored location no longer have a current state
+    const removed = await VehicleState.deleteMany({ busId: { $nin: latest.map((l) => l._id) } });
+
+    logger.info(`Vehicle state rebuilt: ${operations.length} buses, ${removed.deletedCount} removed`);
+
+    return { rebuilt: operations.length, removed: removed.deletedCount };
+};
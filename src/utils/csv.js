@@ -0,0 +1,105 @@
+/**
+ * CSV Utilities
+ * 
+ * RFC 4180 CSV formatting and parsing (comma separated, CRLF line endings,
+ * fields quoted only when needed).
+ * 
+ * @module utils/csv
+ */
+
+/**
+ * Format one field
+ * 
+ * @param {*} value - Field value; null and undefined become empty
+ * @returns {string} CSV field
+ */
+const formatField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format rows as CSV with a header line
+ * 
+ * @param {Array<string>} columns - Column names, in output order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} CSV text
+ */
+const toCsv = (columns, rows) => [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(formatField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+
+/**
+ * Parse CSV text with a header line
+ * A leading byte order mark is ignored, header names are trimmed, and blank
+ * lines are skipped. Each row records its line number for error reports.
+ * 
+ * @param {string} text - CSV text
+ * @returns {Object} columns and rows (objects keyed by column, with line)
+ */
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0] !== '') records.push({ fields: record, line: recordLine });
+        record = [];
+        recordLine = line;
+    };
+
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line += 1;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            line += 1;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    if (records.length === 0) return { columns: [], rows: [] };
+
+    const columns = records[0].fields.map((name) => name.trim());
+    const rows = records.slice(1).map(({ fields, line: rowLine }) => {
+        const row = { line: rowLine };
+        columns.forEach((column, index) => {
+            row[column] = (fields[index] || '').trim();
+        });
+        return row;
+    });
+
+    return { columns, rows };
+};
+
+module.exports = {
+    toCsv,
+    parseCsv,
+};
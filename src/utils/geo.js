@@ -0,0 +1,340 @@
+/**
+ * Geo Utilities
+ * 
+ * Distance, path and GeoJSON helpers for working with { lat, lng } coordinates.
+ * Short distances use a local equirectangular projection, which is accurate
+ * to well under a metre at the scale of a bus route segment.
+ * 
+ * @module utils/geo
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Great-circle distance between two points (Haversine formula)
+ * 
+ * @param {number} lat1 - First latitude
+ * @param {number} lng1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lng2 - Second longitude
+ * @returns {number} Distance in kilometers
+ */
+const haversineDistance = (lat1, lng1, lat2, lng2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2)
+        + Math.cos(toRadians(lat1))
+        * Math.cos(toRadians(lat2))
+        * Math.sin(dLng / 2)
+        * Math.sin(dLng / 2);
+
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * Distance between two { lat, lng } points
+ * 
+ * @param {Object} a - First point
+ * @param {Object} b - Second point
+ * @returns {number} Distance in kilometers
+ */
+const distanceBetween = (a, b) => haversineDistance(a.lat, a.lng, b.lat, b.lng);
+
+/**
+ * Initial compass bearing from a to b
+ * 
+ * @param {Object} a - Start point { lat, lng }
+ * @param {Object} b - End point { lat, lng }
+ * @returns {number} Bearing in degrees (0-360, 0 = north)
+ */
+const bearingBetween = (a, b) => {
+    const dLng = toRadians(b.lng - a.lng);
+    const y = Math.sin(dLng) * Math.cos(toRadians(b.lat));
+    const x = Math.cos(toRadians(a.lat)) * Math.sin(toRadians(b.lat))
+        - Math.sin(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.cos(dLng);
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+/**
+ * Smallest angle between two headings
+ * 
+ * @param {number} a - Heading in degrees
+ * @param {number} b - Heading in degrees
+ * @returns {number} Difference in degrees (0-180)
+ */
+const headingDifference = (a, b) => {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+};
+
+/**
+ * Project a point onto the segment a→b
+ * 
+ * @param {Object} point - { lat, lng }
+ * @param {Object} a - Segment start { lat, lng }
+ * @param {Object} b - Segment end { lat, lng }
+ * @returns {Object} fraction (0-1 along the segment) and crossTrackKm (distance from the segment)
+ */
+const projectOntoSegment = (point, a, b) => {
+    // Local planar coordinates in km, centred on a
+    const kmPerDegLat = (Math.PI * EARTH_RADIUS_KM) / 180;
+    const kmPerDegLng = kmPerDegLat * Math.cos(toRadians(a.lat));
+
+    const bx = (b.lng - a.lng) * kmPerDegLng;
+    const by = (b.lat - a.lat) * kmPerDegLat;
+    const px = (point.lng - a.lng) * kmPerDegLng;
+    const py = (point.lat - a.lat) * kmPerDegLat;
+
+    const lengthSq = bx * bx + by * by;
+    let fraction = lengthSq === 0 ? 0 : (px * bx + py * by) / lengthSq;
+    fraction = Math.max(0, Math.min(1, fraction));
+
+    const dx = px - fraction * bx;
+    const dy = py - fraction * by;
+
+    return {
+        fraction,
+        crossTrackKm: Math.sqrt(dx * dx + dy * dy),
+    };
+};
+
+/**
+ * Cumulative distance at each vertex of a path
+ * 
+ * @param {Array<Object>} path - Ordered { lat, lng } points
+ * @returns {Array<number>} Kilometers from the first point, one entry per vertex
+ */
+const cumulativeDistances = (path) => path.reduce((acc, point, index) => {
+    acc.push(index === 0 ? 0 : acc[index - 1] + distanceBetween(path[index - 1], point));
+    return acc;
+}, []);
+
+/**
+ * Locate a point on a path by snapping it to the nearest segment
+ * 
+ * @param {Object} point - { lat, lng }
+ * @param {Array<Object>} path - Ordered { lat, lng } points (at least two)
+ * @param {Array<number>} [cumulative] - Precomputed cumulativeDistances(path)
+ * @returns {Object} segmentIndex, fraction, offsetKm (distance along the path) and crossTrackKm
+ */
+const locateOnPath = (point, path, cumulative = cumulativeDistances(path)) => {
+    let best = null;
+
+    for (let i = 0; i < path.length - 1; i += 1) {
+        const projection = projectOntoSegment(point, path[i], path[i + 1]);
+        if (!best || projection.crossTrackKm < best.crossTrackKm) {
+            best = {
+                segmentIndex: i,
+                fraction: projection.fraction,
+                offsetKm: cumulative[i] + projection.fraction * (cumulative[i + 1] - cumulative[i]),
+                crossTrackKm: projection.crossTrackKm,
+            };
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Read { lat, lng } from either shape stored in the database
+ * Raw aggregation results carry GeoJSON ({ coordinates: [lng, lat] }) without virtuals.
+ * 
+ * @param {Object} point - GeoJSON Point or { lat, lng }
+ * @returns {Object|null} { lat, lng }
+ */
+const toLatLng = (point) => {
+    if (!point) return null;
+    if (Array.isArray(point.coordinates) && point.coordinates.length === 2) {
+        return { lat: point.coordinates[1], lng: point.coordinates[0] };
+    }
+    return { lat: point.lat, lng: point.lng };
+};
+
+/**
+ * Convert { lat, lng } to a GeoJSON Point
+ * 
+ * @param {Object} latLng - { lat, lng }
+ * @returns {Object} GeoJSON Point
+ */
+const toGeoJsonPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+/**
+ * Closed GeoJSON Polygon from a list of { lat, lng } vertices
+ * 
+ * @param {Array<Object>} vertices - At least three vertices
+ * @returns {Object} GeoJSON Polygon
+ */
+const toGeoJsonPolygon = (vertices) => {
+    const ring = vertices.map(({ lat, lng }) => [lng, lat]);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+    return { type: 'Polygon', coordinates: [ring] };
+};
+
+/**
+ * Bounding box around a set of points, padded by a distance
+ * 
+ * @param {Array<Object>} points - { lat, lng } points
+ * @param {number} [paddingKm=0] - Padding on every side
+ * @returns {Object} minLat, minLng, maxLat, maxLng
+ */
+const boundingBox = (points, paddingKm = 0) => {
+    const lats = points.map((p) => p.lat);
+    const lngs = points.map((p) => p.lng);
+    const padLat = paddingKm / ((Math.PI * EARTH_RADIUS_KM) / 180);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const padLng = padLat / Math.max(Math.cos(toRadians(midLat)), 0.01);
+
+    return {
+        minLat: Math.min(...lats) - padLat,
+        minLng: Math.min(...lngs) - padLng,
+        maxLat: Math.max(...lats) + padLat,
+        maxLng: Math.max(...lngs) + padLng,
+    };
+};
+
+/**
+ * GeoJSON Polygon covering a bounding box
+ * 
+ * @param {Object} box - minLat, minLng, maxLat, maxLng
+ * @returns {Object} GeoJSON Polygon
+ */
+const boxToPolygon = ({
+    minLat, minLng, maxLat, maxLng,
+}) => toGeoJsonPolygon([
+    { lat: minLat, lng: minLng },
+    { lat: minLat, lng: maxLng },
+    { lat: maxLat, lng: maxLng },
+    { lat: maxLat, lng: minLng },
+]);
+
+/**
+ * Simplify a path with the Douglas–Peucker algorithm
+ * 
+ * @param {Array<Object>} path - Ordered { lat, lng } points
+ * @param {number} toleranceKm - Maximum distance a dropped point may be from the simplified path
+ * @returns {Array<Object>} Subset of the original points, endpoints always kept
+ */
+const simplifyPath = (path, toleranceKm) => {
+    if (path.length <= 2) return path.slice();
+
+    const keep = new Array(path.length).fill(false);
+    keep[0] = true;
+    keep[path.length - 1] = true;
+
+    // Iterative to avoid deep recursion on long recorded tracks
+    const ranges = [[0, path.length - 1]];
+    while (ranges.length > 0) {
+        const [start, end] = ranges.pop();
+        let farthest = -1;
+        let maxKm = toleranceKm;
+
+        for (let i = start + 1; i < end; i += 1) {
+            const { crossTrackKm } = projectOntoSegment(path[i], path[start], path[end]);
+            if (crossTrackKm > maxKm) {
+                farthest = i;
+                maxKm = crossTrackKm;
+            }
+        }
+
+        if (farthest !== -1) {
+            keep[farthest] = true;
+            ranges.push([start, farthest], [farthest, end]);
+        }
+    }
+
+    return path.filter((point, index) => keep[index]);
+};
+
+/**
+ * Encode points with the Google encoded polyline algorithm (precision 5)
+ * 
+ * @param {Array<Object>} points - Ordered { lat, lng } points
+ * @returns {string} Encoded polyline
+ */
+const encodePolyline = (points) => {
+    // Sign folded into the lowest bit, then 5-bit chunks (least significant
+    // first), each but the last flagged with 32, offset by 63 into printable ASCII
+    const encodeValue = (value) => {
+        let chunk = value < 0 ? -2 * value - 1 : 2 * value;
+        let output = '';
+        while (chunk >= 32) {
+            output += String.fromCharCode(32 + (chunk % 32) + 63);
+            chunk = Math.floor(chunk / 32);
+        }
+        return output + String.fromCharCode(chunk + 63);
+    };
+
+    let previousLat = 0;
+    let previousLng = 0;
+
+    return points.map(({ lat, lng }) => {
+        const latE5 = Math.round(lat * 1e5);
+        const lngE5 = Math.round(lng * 1e5);
+        const encoded = encodeValue(latE5 - previousLat) + encodeValue(lngE5 - previousLng);
+        previousLat = latE5;
+        previousLng = lngE5;
+        return encoded;
+    }).join('');
+};
+
+/**
+ * Decode a Google encoded polyline (precision 5)
+ * 
+ * @param {string} encoded - Encoded polyline
+ * @returns {Array<Object>} Ordered { lat, lng } points
+ * @throws {Error} If the string is not a valid polyline
+ */
+const decodePolyline = (encoded) => {
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    // Reverse of encodePolyline's encodeValue
+    const decodeValue = () => {
+        let result = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index) - 63;
+            if (!(byte >= 0 && byte < 64)) throw new Error('Malformed polyline');
+            index += 1;
+            result += (byte % 32) * scale;
+            scale *= 32;
+        } while (byte >= 32);
+        return result % 2 === 1 ? -(result + 1) / 2 : result / 2;
+    };
+
+    while (index < encoded.length) {
+        lat += decodeValue();
+        lng += decodeValue();
+        if (Math.abs(lat) > 90e5 || Math.abs(lng) > 180e5) throw new Error('Malformed polyline');
+        points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+    }
+
+    return points;
+};
+
+module.exports = {
+    haversineDistance,
+    distanceBetween,
+    bearingBetween,
+    headingDifference,
+    projectOntoSegment,
+    cumulativeDistances,
+    locateOnPath,
+    toLatLng,
+    toGeoJsonPoint,
+    toGeoJsonPolygon,
+    boundingBox,
+    boxToPolygon,
+    simplifyPath,
+    encodePolyline,
+    decodePolyline,
+};
@@ -0,0 +1,127 @@
+/**
+ * GTFS Time Utilities
+ * 
+ * Conversions between timestamps and GTFS service days. GTFS times are
+ * seconds since the start of the service day in the feed time zone, written
+ * HH:MM:SS, with hours past 24 for trips running after midnight. Dates are
+ * written YYYYMMDD.
+ * 
+ * @module utils/gtfsTime
+ */
+
+// Time zone feeds are exported in and imported feeds are assumed to use
+const TIMEZONE = process.env.GTFS_TIMEZONE || 'Asia/Colombo';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const localFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+});
+
+/**
+ * Calendar date and time of day of a timestamp in the feed time zone
+ * 
+ * @param {Date} date - Timestamp
+ * @returns {Object} date (YYYYMMDD) and seconds since local midnight
+ */
+const toLocal = (date) => {
+    const parts = Object.fromEntries(
+        localFormat.formatToParts(date).map(({ type, value }) => [type, value]),
+    );
+    return {
+        date: `${parts.year}${parts.month}${parts.day}`,
+        seconds: (Number(parts.hour) * 3600) + (Number(parts.minute) * 60) + Number(parts.second),
+    };
+};
+
+/**
+ * Format seconds since the start of the service day as HH:MM:SS
+ * 
+ * @param {number} seconds - Seconds since local midnight of the service day
+ * @returns {string} Time
+ */
+const formatTime = (seconds) => [
+    Math.floor(seconds / 3600),
+    Math.floor((seconds % 3600) / 60),
+    seconds % 60,
+].map((value) => String(value).padStart(2, '0')).join(':');
+
+/**
+ * Parse an H:MM:SS / HH:MM:SS time
+ * 
+ * @param {string} text - Time
+ * @returns {number|null} Seconds since the start of the service day, or null if invalid
+ */
+const parseTime = (text) => {
+    const match = /^(\d{1,3}):([0-5]\d):([0-5]\d)$/.exec((text || '').trim());
+    if (!match) return null;
+    return (Number(match[1]) * 3600) + (Number(match[2]) * 60) + Number(match[3]);
+};
+
+/**
+ * Check a YYYYMMDD date
+ * 
+ * @param {string} text - Date
+ * @returns {boolean} Whether the date is valid
+ */
+const isValidDate = (text) => {
+    const match = /^(\d{4})(\d{2})(\d{2})$/.exec((text || '').trim());
+    if (!match) return false;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCDate() === Number(match[3]) && date.getUTCMonth() === Number(match[2]) - 1;
+};
+
+/**
+ * Add days to a YYYYMMDD date
+ * 
+ * @param {string} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date
+ */
+const addDays = (date, days) => {
+    const utc = Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8)));
+    return new Date(utc + (days * DAY_MS)).toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * Day of the week of a YYYYMMDD date
+ * 
+ * @param {string} date - Date
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+const dayOfWeek = (date) => new Date(
+    Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8))),
+).getUTCDay();
+
+/**
+ * Start (local midnight) of a service day
+ * 
+ * @param {string} date - Service date (YYYYMMDD)
+ * @returns {Date} Timestamp of local midnight
+ */
+const serviceDayStart = (date) => {
+    const utcMidnight = Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8)));
+    const local = toLocal(new Date(utcMidnight));
+    // Offset of the time zone from UTC: local wall time minus UTC time
+    let offsetMs = local.seconds * 1000;
+    if (local.date < date) offsetMs -= DAY_MS;
+    return new Date(utcMidnight - offsetMs);
+};
+
+module.exports = {
+    TIMEZONE,
+    toLocal,
+    formatTime,
+    parseTime,
+    isValidDate,
+    addDays,
+    dayOfWeek,
+    serviceDayStart,
+};
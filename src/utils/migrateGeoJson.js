@@ -0,0 +1,98 @@
+/**
+ * GeoJSON Migration
+ * 
+ * Converts stored coordinates from { lat, lng } objects to GeoJSON Points
+ * ({ type: 'Point', coordinates: [lng, lat] }) for location updates and route
+ * stops, then rebuilds indexes so the 2dsphere indexes exist. Documents that
+ * are already GeoJSON are left untouched, so the script is safe to re-run.
+ * 
+ * Usage: npm run migrate:geojson
+ * 
+ * @module utils/migrateGeoJson
+ */
+
+require('dotenv').config();
+const connectDB = require('../config/database');
+const { disconnectDB } = require('../config/database');
+const LocationUpdate = require('../models/LocationUpdate');
+const Route = require('../models/Route');
+const logger = require('../config/logger');
+
+// Builds a GeoJSON Point from a legacy { lat, lng } field path
+const toPointExpression = (path) => ({
+    type: 'Point',
+    coordinates: [`${path}.lng`, `${path}.lat`],
+});
+
+/**
+ * Convert location update coordinates
+ * 
+ * @async
+ * @returns {Promise<number>} Documents modified
+ */
+const migrateLocationUpdates = async () => {
+    const result = await LocationUpdate.collection.updateMany(
+        { 'coordinates.lat': { $exists: true } },
+        [{ $set: { coordinates: toPointExpression('$coordinates') } }],
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Convert route stop coordinates
+ * 
+ * @async
+ * @returns {Promise<number>} Documents modified
+ */
+const migrateRoutes = async () => {
+    const result = await Route.collection.updateMany(
+        { 'stops.coordinates.lat': { $exists: true } },
+        [{
+            $set: {
+                stops: {
+                    $map: {
+                        input: '$stops',
+                        as: 'stop',
+                        in: {
+                            $cond: [
+                                { $eq: [{ $type: '$$stop.coordinates.lat' }, 'missing'] },
+                                '$$stop',
+                                {
+                                    $mergeObjects: [
+                                        '$$stop',
+                                        { coordinates: toPointExpression('$$stop.coordinates') },
+                                    ],
+                                },
+                            ],
+                        },
+                    },
+                },
+            },
+        }],
+    );
+    return result.modifiedCount;
+};
+
+const run = async () => {
+    await connectDB();
+
+    try {
+        // Old lat/lng indexes are dropped and the 2dsphere ones built after conversion
+        const locations = await migrateLocationUpdates();
+        logger.info(`Converted ${locations} location updates to GeoJSON`);
+
+        const routes = await migrateRoutes();
+        logger.info(`Converted stops on ${routes} routes to GeoJSON`);
+
+        await LocationUpdate.syncIndexes();
+        await Route.syncIndexes();
+        logger.info('Indexes synchronized');
+    } catch (error) {
+        logger.error(`GeoJSON migration failed: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await disconnectDB();
+    }
+};
+
+run();
@@ -0,0 +1,120 @@
+/**
+ * Protocol Buffers Encoder
+ * 
+ * Minimal proto2 encoder driven by a plain-object schema, enough for
+ * publishing feeds such as GTFS-Realtime without generated code.
+ * 
+ * A schema has `messages` (type → field name → [number, type, 'repeated'?])
+ * and `enums` (type → value name → number). Field types are a scalar
+ * (string, bool, int32, int64, uint32, uint64, float, double), an enum type
+ * or a message type. Missing (null / undefined) fields are left out.
+ * 
+ * @module utils/protobuf
+ */
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+/**
+ * Base-128 varint
+ * Negative numbers are written as 64-bit two's complement (10 bytes), as
+ * protobuf does for int32 and int64.
+ * 
+ * @param {number} value - Integer
+ * @returns {Buffer} Encoded varint
+ */
+const encodeVarint = (value) => {
+    let remaining = BigInt.asUintN(64, BigInt(Math.trunc(value)));
+    const bytes = [];
+    // Seven bits per byte, least significant first; the high bit marks that more follow
+    do {
+        const byte = Number(remaining % 128n);
+        remaining /= 128n;
+        bytes.push(remaining > 0n ? byte + 128 : byte);
+    } while (remaining > 0n);
+    return Buffer.from(bytes);
+};
+
+const fieldKey = (number, wireType) => encodeVarint((number * 8) + wireType);
+
+const lengthDelimited = (number, data) => Buffer.concat([
+    fieldKey(number, WIRE_LENGTH_DELIMITED), encodeVarint(data.length), data,
+]);
+
+/**
+ * Encode one scalar or enum field value
+ * 
+ * @param {Object} schema - Protobuf schema
+ * @param {number} number - Field number
+ * @param {string} type - Field type
+ * @param {*} value - Value
+ * @returns {Buffer} Key and value
+ * @throws {Error} For unknown types or enum values
+ */
+const encodeField = (schema, number, type, value) => {
+    switch (type) {
+        case 'string':
+            return lengthDelimited(number, Buffer.from(String(value), 'utf8'));
+        case 'bool':
+            return Buffer.concat([fieldKey(number, WIRE_VARINT), encodeVarint(value ? 1 : 0)]);
+        case 'int32':
+        case 'int64':
+        case 'uint32':
+        case 'uint64':
+            return Buffer.concat([fieldKey(number, WIRE_VARINT), encodeVarint(value)]);
+        case 'float': {
+            const data = Buffer.alloc(4);
+            data.writeFloatLE(value);
+            return Buffer.concat([fieldKey(number, WIRE_FIXED32), data]);
+        }
+        case 'double': {
+            const data = Buffer.alloc(8);
+            data.writeDoubleLE(value);
+            return Buffer.concat([fieldKey(number, WIRE_FIXED64), data]);
+        }
+        default:
+            break;
+    }
+
+    if (schema.enums[type]) {
+        const code = typeof value === 'number' ? value : schema.enums[type][value];
+        if (code === undefined) throw new Error(`Unknown ${type} value ${value}`);
+        return Buffer.concat([fieldKey(number, WIRE_VARINT), encodeVarint(code)]);
+    }
+
+    throw new Error(`Unknown protobuf type ${type}`);
+};
+
+/**
+ * Encode a message
+ * 
+ * @param {Object} schema - Protobuf schema
+ * @param {string} type - Message type
+ * @param {Object} message - Message as a plain object keyed by field name
+ * @returns {Buffer} Encoded message
+ * @throws {Error} For unknown fields, types or enum values
+ */
+const encodeMessage = (schema, type, message) => {
+    const fields = schema.messages[type];
+    const parts = [];
+
+    Object.entries(message).forEach(([name, value]) => {
+        if (value === null || value === undefined) return;
+        if (!fields[name]) throw new Error(`Unknown field ${type}.${name}`);
+
+        const [number, fieldType, label] = fields[name];
+        const values = label === 'repeated' ? value : [value];
+        values.forEach((item) => parts.push(schema.messages[fieldType]
+            ? lengthDelimited(number, encodeMessage(schema, fieldType, item))
+            : encodeField(schema, number, fieldType, item)));
+    });
+
+    return Buffer.concat(parts);
+};
+
+module.exports = {
+    encodeVarint,
+    encodeMessage,
+};
@@ -52,6 +52,7 @@ exports.createRouteSchema = {
                     lat: Joi.number().required().min(-90).max(90),
                     lng: Joi.number().required().min(-180).max(180),
                 }).required(),
+                fareStage: Joi.number().integer().min(1),
             }),
         ).min(2),
         fare: Joi.number().required().min(0),
@@ -78,6 +79,7 @@ exports.updateRouteSchema = {
                     lat: Joi.number().required().min(-90).max(90),
                     lng: Joi.number().required().min(-180).max(180),
                 }).required(),
+                fareStage: Joi.number().integer().min(1),
             }),
         ).min(2),
         fare: Joi.number().min(0),
@@ -85,6 +87,132 @@ exports.updateRouteSchema = {
     }).min(1),
 };
 
+exports.routeShapeSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    body: Joi.object({
+        polyline: Joi.string().trim(),
+        points: Joi.array().items(
+            Joi.object({
+                lat: Joi.number().required().min(-90).max(90),
+                lng: Joi.number().required().min(-180).max(180),
+            }),
+        ).min(2).max(20000),
+    }).xor('polyline', 'points'),
+};
+
+exports.deriveRouteShapeSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    body: Joi.object({
+        tripId: Joi.string().required().length(24).hex(),
+    }),
+};
+
+exports.routeFareSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object({
+        from: Joi.string().required().trim().min(1)
+            .max(100),
+        to: Joi.string().required().trim().min(1)
+            .max(100),
+        date: Joi.date(),
+    }),
+};
+
+exports.createFareTableSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    body: Joi.object({
+        effectiveFrom: Joi.date().required(),
+        minimumFare: Joi.number().required().min(0),
+        fares: Joi.array().items(
+            Joi.object({
+                fromStage: Joi.number().integer().required().min(1),
+                toStage: Joi.number().integer().required().greater(Joi.ref('fromStage')),
+                amount: Joi.number().required().min(0),
+            }),
+        ).min(1).required()
+            .unique((a, b) => a.fromStage === b.fromStage && a.toStage === b.toStage),
+        notes: Joi.string().trim().max(500),
+    }),
+};
+
+exports.fareTableParamSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+        fareTableId: Joi.string().required().length(24).hex(),
+    }),
+};
+
+/**
+ * Fare Rule Validation Schemas
+ */
+const fareRuleFields = {
+    name: Joi.string().trim().max(100),
+    description: Joi.string().trim().max(500),
+    priority: Joi.number().integer().min(0),
+    passengerTypes: Joi.array().items(
+        Joi.string().valid('adult', 'student', 'senior', 'military', 'child'),
+    ).unique(),
+    busFeatures: Joi.array().items(
+        Joi.string().valid('AC', 'WiFi', 'USB Charging', 'Reclining Seats', 'Rest Room'),
+    ).unique(),
+    serviceClasses: Joi.array().items(
+        Joi.string().valid('normal', 'semi-luxury', 'luxury', 'super-luxury'),
+    ).unique(),
+    routeIds: Joi.array().items(Joi.string().length(24).hex()).unique(),
+    action: Joi.string().valid('multiply', 'percent', 'amount', 'fixed'),
+    value: Joi.number(),
+    stopProcessing: Joi.boolean(),
+    effectiveFrom: Joi.date().allow(null),
+    effectiveUntil: Joi.date().allow(null),
+    status: Joi.string().valid('active', 'inactive'),
+};
+
+exports.createFareRuleSchema = {
+    body: Joi.object({
+        ...fareRuleFields,
+        name: fareRuleFields.name.required(),
+        priority: fareRuleFields.priority.required(),
+        action: fareRuleFields.action.required(),
+        value: fareRuleFields.value.required(),
+    }),
+};
+
+exports.updateFareRuleSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    body: Joi.object(fareRuleFields).min(1),
+};
+
+exports.listFareRulesSchema = {
+    query: Joi.object({
+        status: Joi.string().valid('active', 'inactive'),
+    }),
+};
+
+exports.fareQuoteSchema = {
+    query: Joi.object({
+        tripId: Joi.string().length(24).hex(),
+        routeId: Joi.string().length(24).hex(),
+        from: Joi.string().trim().min(1).max(100),
+        to: Joi.string().trim().min(1).max(100),
+        date: Joi.date(),
+        busId: Joi.string().length(24).hex(),
+        passengerType: Joi.string().valid('adult', 'student', 'senior', 'military', 'child').default('adult'),
+    }).xor('tripId', 'routeId')
+        .with('routeId', ['from', 'to'])
+        .oxor('tripId', 'date')
+        .oxor('tripId', 'busId'),
+};
+
 /**
  * Bus Validation Schemas
  */
@@ -108,6 +236,7 @@ exports.createBusSchema = {
         features: Joi.array().items(
             Joi.string().valid('AC', 'WiFi', 'USB Charging', 'Reclining Seats', 'Rest Room'),
         ),
+        serviceClass: Joi.string().valid('normal', 'semi-luxury', 'luxury', 'super-luxury'),
         lastMaintenance: Joi.date(),
         nextMaintenance: Joi.date(),
     }),
@@ -132,6 +261,7 @@ exports.updateBusSchema = {
         features: Joi.array().items(
             Joi.string().valid('AC', 'WiFi', 'USB Charging', 'Reclining Seats', 'Rest Room'),
         ),
+        serviceClass: Joi.string().valid('normal', 'semi-luxury', 'luxury', 'super-luxury'),
         lastMaintenance: Joi.date(),
         nextMaintenance: Joi.date(),
     }).min(1),
@@ -147,7 +277,11 @@ exports.createTripSchema = {
         routeId: Joi.string().required().length(24).hex(),
         scheduledDepartureTime: Joi.date().required(),
         scheduledArrivalTime: Joi.date().required(),
-        fare: Joi.number().required().min(0),
+        fare: Joi.number().min(0),
+        crew: Joi.object({
+            driverId: Joi.string().length(24).hex(),
+            conductorId: Joi.string().length(24).hex(),
+        }),
         driver: Joi.object({
             name: Joi.string().trim(),
             licenseNumber: Joi.string().trim(),
@@ -170,13 +304,172 @@ exports.updateTripSchema = {
             'completed',
             'cancelled',
         ),
+        busId: Joi.string().length(24).hex(),
+        scheduledDepartureTime: Joi.date(),
+        scheduledArrivalTime: Joi.date(),
+        fare: Joi.number().min(0).allow(null),
+        crew: Joi.object({
+            driverId: Joi.string().length(24).hex().allow(null),
+            conductorId: Joi.string().length(24).hex().allow(null),
+        }).min(1),
         actualDepartureTime: Joi.date(),
         actualArrivalTime: Joi.date(),
         delayReason: Joi.string().trim(),
+        cancellationReason: Joi.string().trim(),
         estimatedPassengers: Joi.number().min(0),
     }).min(1),
 };
 
+exports.passengerCountSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    body: Joi.object({
+        stopId: Joi.string().required().length(24).hex(),
+        // No defaults here, or or() would always pass; the service counts a missing side as 0
+        boarded: Joi.number().integer().min(0).max(500),
+        alighted: Joi.number().integer().min(0).max(500),
+        reportedAt: Joi.date().max('now'),
+    }).or('boarded', 'alighted'),
+};
+
+exports.tripConflictsSchema = {
+    query: Joi.object({
+        from: Joi.date(),
+        to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+        busId: Joi.string().length(24).hex(),
+    }),
+};
+
+/**
+ * Booking Validation Schemas
+ */
+exports.createBookingSchema = {
+    body: Joi.object({
+        tripId: Joi.string().required().length(24).hex(),
+        seats: Joi.array().items(Joi.number().integer().min(1)).min(1).unique()
+            .required(),
+        passenger: Joi.object({
+            name: Joi.string().required().trim().max(100),
+            phone: Joi.string().required().pattern(/^[0-9]{10}$/),
+        }).required(),
+        passengerType: Joi.string().valid('adult', 'student', 'senior', 'military', 'child'),
+        from: Joi.string().trim().min(1).max(100),
+        to: Joi.string().trim().min(1).max(100),
+    }),
+};
+
+exports.listBookingsSchema = {
+    query: Joi.object({
+        tripId: Joi.string().length(24).hex(),
+        status: Joi.string().valid('held', 'confirmed', 'released', 'expired', 'cancelled'),
+        page: Joi.number().integer().min(1),
+        limit: Joi.number().integer().min(1).max(100),
+    }),
+};
+
+exports.bookingReferenceSchema = {
+    params: Joi.object({
+        reference: Joi.string().required().trim().uppercase()
+            .pattern(/^BK[A-Z0-9]{8}$/),
+    }),
+};
+
+exports.cancelBookingSchema = {
+    params: exports.bookingReferenceSchema.params,
+    body: Joi.object({
+        reason: Joi.string().trim().max(500),
+    }),
+};
+
+/**
+ * Ticket Validation Schemas
+ */
+exports.verifyTicketSchema = {
+    body: Joi.object({
+        payload: Joi.string().required().trim().max(2000),
+        tripId: Joi.string().length(24).hex(),
+    }),
+};
+
+exports.ticketScanSyncSchema = {
+    body: Joi.object({
+        deviceId: Joi.string().required().trim().max(100),
+        busId: Joi.string().required().length(24).hex(),
+        tripId: Joi.string().length(24).hex(),
+        scans: Joi.array().items(Joi.object({
+            payload: Joi.string().required().trim().max(2000),
+            scannedAt: Joi.date().required().max('now'),
+            result: Joi.string().valid('accepted', 'rejected'),
+        })).min(1).max(500)
+            .required(),
+    }),
+};
+
+exports.ticketConflictsSchema = {
+    query: Joi.object({
+        from: Joi.date(),
+        to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+    }),
+};
+
+/**
+ * Journey Planner Validation Schemas
+ */
+exports.journeyPlanSchema = {
+    query: Joi.object({
+        from: Joi.string().required().trim().min(2),
+        to: Joi.string().required().trim().min(2),
+        departAfter: Joi.date(),
+        maxTransfers: Joi.number().integer().min(0).max(4)
+            .default(2),
+        minConnection: Joi.number().integer().min(0).max(180),
+        limit: Joi.number().integer().min(1).max(10)
+            .default(5),
+    }),
+};
+
+exports.stopDeparturesSchema = {
+    params: Joi.object({
+        stop: Joi.string().required().trim().min(2)
+            .max(100),
+    }),
+    query: Joi.object({
+        from: Joi.date(),
+        minutes: Joi.number().integer().min(1).max(24 * 60)
+            .default(60),
+        limit: Joi.number().integer().min(1).max(200)
+            .default(50),
+    }),
+};
+
+/**
+ * Export Validation Schemas
+ */
+exports.gtfsExportSchema = {
+    query: Joi.object({
+        from: Joi.date(),
+        days: Joi.number().integer().min(1).max(90),
+    }),
+};
+
+exports.gtfsRealtimeSchema = {
+    params: Joi.object({
+        feed: Joi.string().valid('vehicle-positions', 'trip-updates', 'alerts').required(),
+    }),
+    query: Joi.object({
+        format: Joi.string().valid('protobuf', 'json').default('protobuf'),
+    }),
+};
+
+exports.gtfsImportSchema = {
+    query: Joi.object({
+        dryRun: Joi.boolean().default(false),
+        from: Joi.date(),
+        days: Joi.number().integer().min(1).max(90),
+    }),
+};
+
 /**
  * Location Update Validation Schemas
  */
@@ -195,6 +488,130 @@ exports.createLocationUpdateSchema = {
     }),
 };
 
+exports.locationBatchSchema = {
+    body: Joi.object({
+        busId: Joi.string().required().length(24).hex(),
+        tripId: Joi.string().length(24).hex(),
+        sentAt: Joi.date(),
+        // Points are checked one by one so a bad point does not reject the batch
+        points: Joi.array().items(Joi.object().unknown(true))
+            .min(1)
+            .max(parseInt(process.env.LOCATION_BATCH_MAX_POINTS, 10) || 1000)
+            .required(),
+    }),
+};
+
+const fleetFilters = {
+    routeId: Joi.string().length(24).hex(),
+    operatorId: Joi.string().length(24).hex(),
+    minutes: Joi.number().min(1).max(24 * 60),
+};
+
+exports.fleetQuerySchema = {
+    query: Joi.object(fleetFilters),
+};
+
+exports.locationNearbySchema = {
+    query: Joi.object({
+        lat: Joi.number().required().min(-90).max(90),
+        lng: Joi.number().required().min(-180).max(180),
+        radius: Joi.number().greater(0).max(100),
+        ...fleetFilters,
+    }),
+};
+
+exports.locationWithinSchema = {
+    query: Joi.object({
+        polygon: Joi.string()
+            .required()
+            .pattern(/^-?\d+(\.\d+)?,-?\d+(\.\d+)?(;-?\d+(\.\d+)?,-?\d+(\.\d+)?){2,}$/)
+            .message('polygon must be at least three "lng,lat" vertices separated by ";"'),
+        ...fleetFilters,
+    }),
+};
+
+exports.locationCorridorSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object({
+        width: Joi.number().greater(0).max(50),
+        minutes: Joi.number().min(1).max(24 * 60),
+    }),
+};
+
+exports.busIdParamSchema = {
+    params: Joi.object({
+        busId: Joi.string().required().length(24).hex(),
+    }),
+};
+
+exports.locationHistorySchema = {
+    params: Joi.object({
+        busId: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object({
+        startTime: Joi.date(),
+        endTime: Joi.date().min(Joi.ref('startTime')),
+        limit: Joi.number().integer().min(1).max(1000),
+    }),
+};
+
+const replayOptions = {
+    tolerance: Joi.number().min(0).max(1000),
+    interval: Joi.number().integer().min(1).max(3600),
+};
+
+exports.busReplaySchema = {
+    params: Joi.object({
+        busId: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object({
+        startTime: Joi.date(),
+        endTime: Joi.date().min(Joi.ref('startTime')),
+        ...replayOptions,
+    }),
+};
+
+exports.tripReplaySchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object(replayOptions),
+};
+
+exports.quarantineListSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object({
+        status: Joi.string().valid('pending', 'approved', 'rejected', 'all'),
+        limit: Joi.number().integer().min(1).max(1000),
+    }),
+};
+
+exports.quarantineReviewSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    body: Joi.object({
+        decision: Joi.string().required().valid('approve', 'reject'),
+        note: Joi.string().trim().max(500),
+    }),
+};
+
+exports.locationStreamSchema = {
+    query: Joi.object({
+        busId: Joi.string().length(24).hex(),
+        routeId: Joi.string().length(24).hex(),
+        tripId: Joi.string().length(24).hex(),
+        bbox: Joi.string().pattern(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/)
+            .message('bbox must be minLng,minLat,maxLng,maxLat'),
+        since: Joi.date(),
+        access_token: Joi.string(),
+    }),
+};
+
 /**
  * Operator Validation Schemas
  */
@@ -243,6 +660,108 @@ exports.updateOperatorSchema = {
     }).min(1),
 };
 
+/**
+ * Timetable Validation Schemas
+ */
+const timetableFields = {
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]{2,20}$/),
+    name: Joi.string().trim(),
+    routeId: Joi.string().length(24).hex(),
+    departureTimes: Joi.array().items(Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)).min(1).unique(),
+    daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique(),
+    effectiveFrom: Joi.date(),
+    effectiveTo: Joi.date().allow(null),
+    defaultBusId: Joi.string().length(24).hex(),
+    fare: Joi.number().min(0).allow(null),
+    durationMinutes: Joi.number().integer().min(1),
+    status: Joi.string().valid('active', 'inactive'),
+};
+
+exports.createTimetableSchema = {
+    body: Joi.object({
+        ...timetableFields,
+        code: timetableFields.code.required(),
+        name: timetableFields.name.required(),
+        routeId: timetableFields.routeId.required(),
+        departureTimes: timetableFields.departureTimes.required(),
+        daysOfWeek: timetableFields.daysOfWeek.required(),
+        effectiveFrom: timetableFields.effectiveFrom.required(),
+        defaultBusId: timetableFields.defaultBusId.required(),
+    }),
+};
+
+exports.updateTimetableSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object({
+        regenerate: Joi.boolean().default(false),
+    }),
+    body: Joi.object(timetableFields).min(1),
+};
+
+exports.generateTimetableSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object({
+        days: Joi.number().integer().min(1).max(90),
+    }),
+};
+
+/**
+ * Crew Validation Schemas
+ */
+const crewLicenseSchema = Joi.object({
+    number: Joi.string().trim().uppercase(),
+    class: Joi.string().valid('C1', 'C', 'CE', 'D1', 'D', 'DE'),
+    expiry: Joi.date(),
+});
+
+exports.createCrewSchema = {
+    body: Joi.object({
+        employeeNumber: Joi.string().required().trim().uppercase(),
+        name: Joi.string().required().trim(),
+        role: Joi.string().required().valid('driver', 'conductor'),
+        operatorId: Joi.string().required().length(24).hex(),
+        phone: Joi.string().pattern(/^[0-9]{10}$/),
+        license: crewLicenseSchema.when('role', {
+            is: 'driver',
+            then: crewLicenseSchema.keys({
+                number: Joi.required(),
+                class: Joi.required(),
+                expiry: Joi.required(),
+            }).required(),
+        }),
+        status: Joi.string().valid('active', 'inactive', 'suspended'),
+    }),
+};
+
+exports.updateCrewSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    body: Joi.object({
+        employeeNumber: Joi.string().trim().uppercase(),
+        name: Joi.string().trim(),
+        role: Joi.string().valid('driver', 'conductor'),
+        operatorId: Joi.string().length(24).hex(),
+        phone: Joi.string().pattern(/^[0-9]{10}$/),
+        license: crewLicenseSchema,
+        status: Joi.string().valid('active', 'inactive', 'suspended'),
+    }).min(1),
+};
+
+exports.crewScheduleSchema = {
+    params: Joi.object({
+        id: Joi.string().required().length(24).hex(),
+    }),
+    query: Joi.object({
+        from: Joi.date(),
+        to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+    }),
+};
+
 /**
  * Common Parameter Validation
  */
@@ -0,0 +1,186 @@
+/**
+ * Zip Utilities
+ * 
+ * Minimal ZIP archive reader and writer (stored or deflated entries) for
+ * data feed imports and exports. Archives are handled in memory.
+ * 
+ * @module utils/zip
+ */
+
+const zlib = require('zlib');
+
+/**
+ * CRC-32 checksum of a buffer
+ * zlib computes it for the trailer of a gzip member (checksum, then size);
+ * level 0 only stores the data, so this costs little more than a copy.
+ * 
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned checksum
+ */
+const crc32 = (buffer) => {
+    const gzip = zlib.gzipSync(buffer, { level: 0 });
+    return gzip.readUInt32LE(gzip.length - 8);
+};
+
+/**
+ * MS-DOS time and date fields for a timestamp
+ * Time: hours (5 bits), minutes (6), seconds / 2 (5). Date: years since
+ * 1980 (7 bits), month (4), day (5).
+ * 
+ * @param {Date} date - Timestamp (local time is stored, as zip tools expect)
+ * @returns {Object} time and date words
+ */
+const toDosDateTime = (date) => ({
+    time: date.getHours() * 2048 + date.getMinutes() * 32 + Math.floor(date.getSeconds() / 2),
+    date: (date.getFullYear() - 1980) * 512 + (date.getMonth() + 1) * 32 + date.getDate(),
+});
+
+/**
+ * Build a zip archive
+ * 
+ * @param {Array<Object>} files - { name, content } where content is a string or Buffer
+ * @param {Date} [modifiedAt] - Modification time recorded for every entry
+ * @returns {Buffer} Zip archive
+ */
+const createZip = (files, modifiedAt = new Date()) => {
+    const { time, date } = toDosDateTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6); // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Read the files of a zip archive
+ * Directories are skipped; names keep their folder prefix. The sizes the
+ * archive declares are checked against the limit before anything is
+ * inflated, and no entry may inflate past its declared size.
+ * 
+ * @param {Buffer} buffer - Zip archive
+ * @param {Object} [options] - maxSize: most bytes all files may unzip to
+ * @returns {Map<string, Buffer>} File name → content
+ * @throws {Error} If the archive is malformed, too large once unzipped or uses an unsupported compression method
+ */
+const readZip = (buffer, { maxSize = Infinity } = {}) => {
+    // The end of central directory record sits in the last 22 bytes plus an optional comment
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i -= 1) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a zip archive');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let entry = 0; entry < count; entry += 1) {
+        if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== 0x02014b50) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        entries.push({
+            method: buffer.readUInt16LE(position + 10),
+            checksum: buffer.readUInt32LE(position + 16),
+            compressedSize: buffer.readUInt32LE(position + 20),
+            size: buffer.readUInt32LE(position + 24),
+            localOffset: buffer.readUInt32LE(position + 42),
+            name: buffer.toString('utf8', position + 46, position + 46 + nameLength),
+        });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const totalSize = entries.reduce((sum, { size }) => sum + size, 0);
+    if (totalSize > maxSize) {
+        throw new Error(`Archive unzips to ${totalSize} bytes (limit ${maxSize})`);
+    }
+
+    const files = new Map();
+    entries
+        .filter(({ name }) => !name.endsWith('/'))
+        .forEach(({
+            method, checksum, compressedSize, size, localOffset, name,
+        }) => {
+            if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+                throw new Error(`Corrupt zip entry ${name}`);
+            }
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === 0) {
+                data = raw;
+            } else if (method === 8) {
+                try {
+                    data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, size) });
+                } catch (error) {
+                    throw new Error(`Cannot inflate ${name}: ${error.message}`);
+                }
+            } else {
+                throw new Error(`Unsupported compression method ${method} for ${name}`);
+            }
+
+            if (data.length !== size) throw new Error(`Size mismatch for ${name}`);
+            if (crc32(data) !== checksum) throw new Error(`Checksum mismatch for ${name}`);
+            files.set(name, data);
+        });
+
+    return files;
+};
+
+module.exports = {
+    crc32,
+    createZip,
+    readZip,
+};
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const Crew = require('../../src/models/Crew');
+const Operator = require('../../src/models/Operator');
+const Trip = require('../../src/models/Trip');
+const { api, signIn } = require('../apiClient');
+const { query } = require('../queryMock');
+
+describe('/api/crew', () => {
+    const operatorId = new mongoose.Types.ObjectId();
+    const fields = {
+        employeeNumber: 'emp-001',
+        name: 'Sunil Silva',
+        role: 'driver',
+        operatorId: operatorId.toString(),
+        license: { number: 'b1234567', class: 'D', expiry: '2027-01-01T00:00:00.000Z' },
+    };
+    const member = (overrides = {}) => new Crew({ ...fields, ...overrides });
+    let token;
+
+    beforeEach(() => {
+        ({ token } = signIn('admin'));
+        jest.spyOn(Operator, 'findById').mockReturnValue(query({ _id: operatorId }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /', () => {
+        it('filters, sorts and pages the crew list', async () => {
+            let built;
+            jest.spyOn(Crew, 'countDocuments').mockResolvedValue(25);
+            jest.spyOn(mongoose.Query.prototype, 'exec').mockImplementation(function exec() {
+                built = this;
+                return Promise.resolve([member()]);
+            });
+
+            const res = await api().get('/api/crew?role=driver&createdAt[gte]=2025-01-01&sort=name&page=2&limit=10')
+                .set('Authorization', signIn('operator').token);
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({
+                results: 1,
+                pagination: {
+                    currentPage: 2, totalPages: 3, hasNextPage: true, hasPrevPage: true,
+                },
+            });
+            expect(built.getFilter()).toEqual({ role: 'driver', createdAt: { $gte: '2025-01-01' } });
+            expect(built.getOptions()).toMatchObject({ sort: { name: 1 }, skip: 10, limit: 10 });
+        });
+
+        it('keeps personal data from passengers', async () => {
+            const res = await api().get('/api/crew').set('Authorization', signIn('user').token);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('GET /:id/schedule', () => {
+        it("lists the member's trips with the duties they make up", async () => {
+            const current = member();
+            jest.spyOn(Crew, 'findById').mockReturnValue(query(current));
+            jest.spyOn(Trip, 'find').mockReturnValue(query([
+                { tripNumber: 'T-1', scheduledDepartureTime: new Date('2025-10-01T00:30:00Z'), scheduledArrivalTime: new Date('2025-10-01T02:30:00Z') },
+                { tripNumber: 'T-2', scheduledDepartureTime: new Date('2025-10-01T03:00:00Z'), scheduledArrivalTime: new Date('2025-10-01T05:00:00Z') },
+            ]));
+
+            const res = await api().get(`/api/crew/${current._id}/schedule?from=2025-10-01T00:00:00Z`)
+                .set('Authorization', token);
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({
+                results: 2,
+                data: {
+                    from: '2025-10-01T00:00:00.000Z',
+                    to: '2025-10-08T00:00:00.000Z',
+                    duties: [{
+                        start: '2025-10-01T00:30:00.000Z', end: '2025-10-01T05:00:00.000Z', trips: 2, workedHours: 4,
+                    }],
+                },
+            });
+        });
+
+        it('answers 404 for an unknown member', async () => {
+            jest.spyOn(Crew, 'findById').mockReturnValue(query(null));
+
+            const res = await api().get(`/api/crew/${new mongoose.Types.ObjectId()}/schedule`).set('Authorization', token);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('GET /licenses/expiring', () => {
+        it('lists drivers whose licenses expire within the given days', async () => {
+            jest.spyOn(Crew, 'find').mockReturnValue(query([member()]));
+
+            const res = await api().get('/api/crew/licenses/expiring?days=60').set('Authorization', token);
+
+            expect(res.body).toMatchObject({
+                results: 1, message: 'Drivers with licenses expired or expiring in the next 60 days',
+            });
+            expect(Crew.find).toHaveBeenCalledWith({ role: 'driver', 'license.expiry': { $lte: expect.any(Date) } });
+        });
+    });
+
+    describe('POST /', () => {
+        it('creates a crew member for an existing operator', async () => {
+            jest.spyOn(Crew, 'create').mockImplementation(async (body) => member(body));
+
+            const res = await api().post('/api/crew').set('Authorization', token).send(fields);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.member).toMatchObject({ employeeNumber: 'EMP-001', license: { number: 'B1234567' } });
+        });
+
+        it('requires the license of a driver', async () => {
+            const res = await api().post('/api/crew')
+                .set('Authorization', token)
+                .send({ ...fields, license: undefined });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('answers 404 for an unknown operator', async () => {
+            Operator.findById.mockReturnValue(query(null));
+
+            const res = await api().post('/api/crew')
+                .set('Authorization', token)
+                .send({ ...fields, role: 'conductor', license: undefined });
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('Operator not found');
+        });
+    });
+
+    describe('PUT /:id', () => {
+        it('updates the member', async () => {
+            const current = member();
+            jest.spyOn(Crew, 'findById').mockReturnValue(query(current));
+            jest.spyOn(Crew.prototype, 'save').mockImplementation(function save() {
+                return Promise.resolve(this);
+            });
+
+            const res = await api().put(`/api/crew/${current._id}`)
+                .set('Authorization', token)
+                .send({ status: 'suspended', operatorId: operatorId.toString() });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.member.status).toBe('suspended');
+            expect(Operator.findById).toHaveBeenCalledWith(operatorId.toString());
+        });
+    });
+
+    describe('DELETE /:id', () => {
+        let current;
+
+        beforeEach(() => {
+            current = member();
+            jest.spyOn(Crew, 'findById').mockReturnValue(query(current));
+            jest.spyOn(Crew.prototype, 'deleteOne').mockResolvedValue({});
+        });
+
+        it('refuses while the member has upcoming trips', async () => {
+            jest.spyOn(Trip, 'countDocuments').mockResolvedValue(2);
+
+            const res = await api().delete(`/api/crew/${current._id}`).set('Authorization', token);
+
+            expect(res.status).toBe(409);
+            expect(res.body.message).toBe('Crew member is assigned to 2 upcoming trips. Reassign them or set the member inactive.');
+            expect(Crew.prototype.deleteOne).not.toHaveBeenCalled();
+        });
+
+        it('deletes a member without upcoming trips', async () => {
+            jest.spyOn(Trip, 'countDocuments').mockResolvedValue(0);
+
+            const res = await api().delete(`/api/crew/${current._id}`).set('Authorization', token);
+
+            expect(res.status).toBe(200);
+            expect(Trip.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+                $or: [{ 'crew.driverId': current._id }, { 'crew.conductorId': current._id }],
+            }));
+            expect(Crew.prototype.deleteOne).toHaveBeenCalled();
+        });
+    });
+});
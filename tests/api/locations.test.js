@@ -0,0 +1,478 @@
+const mongoose = require('mongoose');
+const Bus = require('../../src/models/Bus');
+const Route = require('../../src/models/Route');
+const LocationUpdate = require('../../src/models/LocationUpdate');
+const QuarantinedLocation = require('../../src/models/QuarantinedLocation');
+const locationStream = require('../../src/services/locationStream');
+const locationAnomalyService = require('../../src/services/locationAnomalyService');
+const locationIngestService = require('../../src/services/locationIngestService');
+const vehicleStateService = require('../../src/services/vehicleStateService');
+const routeShapeService = require('../../src/services/routeShapeService');
+const trackReplayService = require('../../src/services/trackReplayService');
+const { api, signIn } = require('../apiClient');
+const { query } = require('../queryMock');
+
+describe('/api/locations', () => {
+    const bus = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'NB-1000' };
+    const point = (minutes) => ({
+        coordinates: { lat: 6.9, lng: 79.86 }, speed: 30, timestamp: `2025-10-01T01:${minutes}:00.000Z`,
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /', () => {
+        let token;
+
+        beforeEach(() => {
+            ({ token } = signIn('operator'));
+            jest.spyOn(Bus, 'findById').mockReturnValue(query(bus));
+        });
+
+        it('stores a position and says whether it became the latest', async () => {
+            jest.spyOn(locationIngestService, 'ingestLocation')
+                .mockResolvedValue({ locationUpdate: { busId: bus._id }, live: false });
+
+            const res = await api().post('/api/locations')
+                .set('Authorization', token)
+                .send({ busId: bus._id.toString(), ...point('00') });
+
+            expect(res.status).toBe(201);
+            expect(res.body.message).toBe('Location stored (older than latest position)');
+            expect(locationIngestService.ingestLocation).toHaveBeenCalledWith(bus, expect.objectContaining({
+                timestamp: new Date('2025-10-01T01:00:00Z'),
+            }));
+        });
+
+        it('holds a suspicious position for review with 202', async () => {
+            const quarantined = { _id: new mongoose.Types.ObjectId(), timestamp: new Date(), reasons: [{ code: 'implied-speed' }] };
+            jest.spyOn(locationIngestService, 'ingestLocation').mockResolvedValue({ quarantined });
+
+            const res = await api().post('/api/locations')
+                .set('Authorization', token)
+                .send({ busId: bus._id.toString(), ...point('00') });
+
+            expect(res.status).toBe(202);
+            expect(res.body.data.quarantined).toEqual({
+                id: quarantined._id.toString(), timestamp: quarantined.timestamp.toISOString(), reasons: [{ code: 'implied-speed' }],
+            });
+        });
+
+        it('answers 404 for an unknown bus', async () => {
+            Bus.findById.mockReturnValue(query(null));
+
+            const res = await api().post('/api/locations')
+                .set('Authorization', token)
+                .send({ busId: bus._id.toString(), ...point('00') });
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('POST /batch', () => {
+        let token;
+
+        beforeEach(() => {
+            ({ token } = signIn('operator'));
+            jest.spyOn(Bus, 'findById').mockReturnValue(query(bus));
+        });
+
+        it('uploads buffered points with the device clock at upload time', async () => {
+            const summary = {
+                received: 2, accepted: 1, duplicates: 1, rejected: 0,
+            };
+            jest.spyOn(locationIngestService, 'ingestBatch').mockResolvedValue({ summary, results: [] });
+
+            const res = await api().post('/api/locations/batch')
+                .set('Authorization', token)
+                .send({ busId: bus._id.toString(), sentAt: '2025-10-01T01:10:00.000Z', points: [point('00'), point('00')] });
+
+            expect(res.status).toBe(201);
+            expect(res.body).toMatchObject({ message: '1 of 2 points accepted', data: { summary } });
+            expect(locationIngestService.ingestBatch).toHaveBeenCalledWith(bus, expect.objectContaining({
+                sentAt: new Date('2025-10-01T01:10:00Z'),
+                points: [point('00'), point('00')],
+            }));
+        });
+
+        it('answers 200 when no point was accepted', async () => {
+            jest.spyOn(locationIngestService, 'ingestBatch').mockResolvedValue({
+                summary: { received: 1, accepted: 0 }, results: [],
+            });
+
+            const res = await api().post('/api/locations/batch')
+                .set('Authorization', token)
+                .send({ busId: bus._id.toString(), points: [point('00')] });
+
+            expect(res.status).toBe(200);
+        });
+
+        it('rejects an empty batch', async () => {
+            const res = await api().post('/api/locations/batch')
+                .set('Authorization', token)
+                .send({ busId: bus._id.toString(), points: [] });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('is closed to passengers', async () => {
+            const res = await api().post('/api/locations/batch')
+                .set('Authorization', signIn('user').token)
+                .send({ busId: bus._id.toString(), points: [point('00')] });
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('GET /quarantine/bus/:id', () => {
+        beforeEach(() => {
+            jest.spyOn(Bus, 'findById').mockReturnValue(query(bus));
+            jest.spyOn(locationAnomalyService, 'getQuarantinedLocations').mockResolvedValue([]);
+        });
+
+        it('lists the pending points by default', async () => {
+            const res = await api().get(`/api/locations/quarantine/bus/${bus._id}`)
+                .set('Authorization', signIn('admin').token);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.bus).toEqual({ id: bus._id.toString(), registrationNumber: 'NB-1000' });
+            expect(locationAnomalyService.getQuarantinedLocations).toHaveBeenCalledWith(bus._id, 'pending', undefined);
+        });
+
+        it('lists every review status for all', async () => {
+            await api().get(`/api/locations/quarantine/bus/${bus._id}?status=all&limit=5`)
+                .set('Authorization', signIn('admin').token);
+
+            expect(locationAnomalyService.getQuarantinedLocations).toHaveBeenCalledWith(bus._id, undefined, 5);
+        });
+
+        it('is for admins only', async () => {
+            const res = await api().get(`/api/locations/quarantine/bus/${bus._id}`)
+                .set('Authorization', signIn('operator').token);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('PATCH /quarantine/:id', () => {
+        const entry = { _id: new mongoose.Types.ObjectId(), busId: bus._id };
+
+        it('releases an approved point into the location history', async () => {
+            const { token, user } = signIn('admin');
+            jest.spyOn(locationAnomalyService, 'markReviewed').mockResolvedValue(entry);
+            jest.spyOn(Bus, 'findById').mockReturnValue(query(bus));
+            jest.spyOn(locationIngestService, 'releaseQuarantined').mockResolvedValue({ locationUpdate: { busId: bus._id } });
+
+            const res = await api().patch(`/api/locations/quarantine/${entry._id}`)
+                .set('Authorization', token)
+                .send({ decision: 'approve', note: 'Tunnel exit' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe('Location approved');
+            expect(locationAnomalyService.markReviewed)
+                .toHaveBeenCalledWith(entry._id.toString(), 'approved', expect.objectContaining({ _id: user._id }), 'Tunnel exit');
+            expect(locationIngestService.releaseQuarantined).toHaveBeenCalledWith(entry, bus);
+        });
+
+        it('keeps a rejected point quarantined', async () => {
+            jest.spyOn(locationAnomalyService, 'markReviewed').mockResolvedValue(entry);
+            jest.spyOn(locationIngestService, 'releaseQuarantined');
+
+            const res = await api().patch(`/api/locations/quarantine/${entry._id}`)
+                .set('Authorization', signIn('admin').token)
+                .send({ decision: 'reject' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.locationUpdate).toBeNull();
+            expect(locationIngestService.releaseQuarantined).not.toHaveBeenCalled();
+        });
+
+        it('answers 409 for a point already reviewed and 404 for an unknown one', async () => {
+            jest.spyOn(locationAnomalyService, 'markReviewed').mockResolvedValue(null);
+            jest.spyOn(QuarantinedLocation, 'exists').mockResolvedValueOnce({ _id: entry._id }).mockResolvedValueOnce(null);
+            const { token } = signIn('admin');
+
+            const reviewed = await api().patch(`/api/locations/quarantine/${entry._id}`)
+                .set('Authorization', token)
+                .send({ decision: 'reject' });
+            const unknown = await api().patch(`/api/locations/quarantine/${entry._id}`)
+                .set('Authorization', token)
+                .send({ decision: 'reject' });
+
+            expect(reviewed.status).toBe(409);
+            expect(unknown.status).toBe(404);
+        });
+    });
+
+    describe('geospatial queries', () => {
+        const now = new Date('2025-10-01T01:30:00Z').getTime();
+        const tenMinutesAgo = new Date(now - 10 * 60 * 1000);
+        const position = (registrationNumber, lat, lng) => ({
+            bus: { registrationNumber }, location: { coordinates: { lat, lng } },
+        });
+
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+        });
+
+        it('finds buses near a point, nearest first, reporting in the last ten minutes', async () => {
+            jest.spyOn(vehicleStateService, 'findNearby').mockResolvedValue([
+                { ...position('NB-1000', 6.9, 79.86), distanceKm: 1.234 },
+            ]);
+
+            const res = await api().get('/api/locations/nearby?lat=6.9&lng=79.86');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ radius: 5, buses: [{ bus: { registrationNumber: 'NB-1000' }, distance: '1.23' }] });
+            expect(vehicleStateService.findNearby).toHaveBeenCalledWith(6.9, 79.86, 5, {
+                routeId: undefined, operatorId: undefined, since: tenMinutesAgo,
+            });
+        });
+
+        it('rejects a search point outside the globe', async () => {
+            const res = await api().get('/api/locations/nearby?lat=91&lng=79.86');
+
+            expect(res.status).toBe(400);
+        });
+
+        it('finds buses inside a polygon, closing its ring', async () => {
+            jest.spyOn(vehicleStateService, 'findWithin').mockResolvedValue([]);
+
+            const res = await api().get('/api/locations/within?polygon=79.8,6.8;79.9,6.8;79.9,7.0&minutes=30');
+
+            expect(res.status).toBe(200);
+            expect(vehicleStateService.findWithin).toHaveBeenCalledWith({
+                type: 'Polygon',
+                coordinates: [[[79.8, 6.8], [79.9, 6.8], [79.9, 7.0], [79.8, 6.8]]],
+            }, expect.objectContaining({ since: new Date(now - 30 * 60 * 1000) }));
+        });
+
+        it('rejects a polygon with fewer than three vertices', async () => {
+            const res = await api().get('/api/locations/within?polygon=79.8,6.8;79.9,6.8');
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('polygon must be at least three "lng,lat" vertices separated by ";"');
+        });
+
+        describe('GET /corridor/:id', () => {
+            // Three stops on a meridian, about 11 km apart
+            const route = {
+                _id: new mongoose.Types.ObjectId(),
+                stops: [6.0, 6.1, 6.2].map((lat, index) => ({ order: index + 1, coordinates: { lat, lng: 80 } })),
+            };
+
+            beforeEach(() => {
+                jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+                jest.spyOn(routeShapeService, 'getShapePath').mockResolvedValue(null);
+            });
+
+            it('lists buses along the line through the stops by progress, leaving out buses off the corridor', async () => {
+                jest.spyOn(vehicleStateService, 'findWithin').mockResolvedValue([
+                    position('NB-2000', 6.15, 80),
+                    position('NB-3000', 6.1, 80.05),
+                    position('NB-1000', 6.05, 80.001),
+                ]);
+
+                const res = await api().get(`/api/locations/corridor/${route._id}`);
+
+                expect(res.status).toBe(200);
+                expect(res.body.data).toMatchObject({ width: 1, path: 'stops' });
+                expect(res.body.data.buses.map((b) => b.bus.registrationNumber)).toEqual(['NB-1000', 'NB-2000']);
+                expect(res.body.data.buses[0].progressKm).toBeCloseTo(5.6);
+                expect(res.body.data.buses[0].offRouteKm).toBeCloseTo(0.11);
+            });
+
+            it('needs at least two stops', async () => {
+                Route.findById.mockReturnValue(query({ ...route, stops: route.stops.slice(0, 1) }));
+
+                const res = await api().get(`/api/locations/corridor/${route._id}`);
+
+                expect(res.status).toBe(400);
+            });
+
+            it('answers 404 for an unknown route', async () => {
+                Route.findById.mockReturnValue(query(null));
+
+                const res = await api().get(`/api/locations/corridor/${route._id}`);
+
+                expect(res.status).toBe(404);
+            });
+        });
+    });
+
+    describe('fleet positions', () => {
+        const routeId = new mongoose.Types.ObjectId();
+        const current = {
+            bus: {
+                _id: bus._id, registrationNumber: 'NB-1000', routeId, operatorId: new mongoose.Types.ObjectId(),
+            },
+            tripId: null,
+            location: { coordinates: { lat: 6.9, lng: 79.86 }, speed: 30 },
+            occupancy: null,
+            ageSeconds: 400,
+            stale: true,
+        };
+
+        it('lists the latest position of every bus from the vehicle state', async () => {
+            jest.spyOn(vehicleStateService, 'listPositions').mockResolvedValue([current]);
+
+            const res = await api().get(`/api/locations/all-buses?routeId=${routeId}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.buses).toEqual([{
+                busId: bus._id.toString(),
+                registrationNumber: 'NB-1000',
+                routeId: routeId.toString(),
+                operatorId: current.bus.operatorId.toString(),
+                tripId: null,
+                lastLocation: current.location,
+                occupancy: null,
+                ageSeconds: 400,
+                stale: true,
+            }]);
+            // No age limit unless minutes is given
+            expect(vehicleStateService.listPositions).toHaveBeenCalledWith({
+                routeId: routeId.toString(), operatorId: undefined, since: undefined,
+            });
+        });
+
+        it('summarises the fleet', async () => {
+            const stats = { tracked: 1, reporting: 0, stale: 1 };
+            jest.spyOn(vehicleStateService, 'getFleetStats').mockResolvedValue(stats);
+
+            const res = await api().get('/api/locations/stats');
+
+            expect(res.body.data.stats).toEqual(stats);
+        });
+
+        it("reports a bus's speeds with its current position", async () => {
+            jest.spyOn(LocationUpdate, 'aggregate').mockResolvedValue([{ avgSpeed: 30, totalUpdates: 12 }]);
+            jest.spyOn(vehicleStateService, 'getPosition').mockResolvedValue(current);
+
+            const res = await api().get(`/api/locations/bus/${bus._id}/stats`);
+
+            expect(res.body.data).toMatchObject({
+                stats: { avgSpeed: 30, totalUpdates: 12 }, latestLocation: current.location, ageSeconds: 400, stale: true,
+            });
+        });
+
+        it('reports no position for a bus never seen', async () => {
+            jest.spyOn(LocationUpdate, 'aggregate').mockResolvedValue([]);
+            jest.spyOn(vehicleStateService, 'getPosition').mockResolvedValue(null);
+
+            const res = await api().get(`/api/locations/bus/${bus._id}/stats`);
+
+            expect(res.body.data).toMatchObject({ stats: null, ageSeconds: null, stale: null });
+        });
+
+        it('lets admins rebuild the vehicle state', async () => {
+            jest.spyOn(vehicleStateService, 'rebuild').mockResolvedValue({ rebuilt: 3 });
+
+            const res = await api().post('/api/locations/vehicle-state/rebuild').set('Authorization', signIn('admin').token);
+            const denied = await api().post('/api/locations/vehicle-state/rebuild').set('Authorization', signIn('operator').token);
+
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe('Vehicle state rebuilt for 3 buses');
+            expect(denied.status).toBe(403);
+            expect(vehicleStateService.rebuild).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('track history and replay', () => {
+        it('pages the history with the start time of the next page', async () => {
+            const locations = ['00', '01', '02'].map((minutes) => ({ timestamp: `2025-10-01T01:${minutes}:00.000Z` }));
+            jest.spyOn(LocationUpdate, 'getLocationHistory').mockResolvedValue(locations);
+
+            const res = await api().get(`/api/locations/bus/${bus._id}/history`
+                + '?startTime=2025-10-01T01:00:00Z&endTime=2025-10-01T02:00:00Z&limit=2');
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ results: 2, data: { nextStartTime: '2025-10-01T01:02:00.000Z' } });
+            // One extra point tells whether another page exists
+            expect(LocationUpdate.getLocationHistory).toHaveBeenCalledWith(
+                bus._id.toString(),
+                new Date('2025-10-01T01:00:00Z'),
+                new Date('2025-10-01T02:00:00Z'),
+                3,
+            );
+        });
+
+        it('rejects a window that ends before it starts', async () => {
+            const res = await api().get(`/api/locations/bus/${bus._id}/history`
+                + '?startTime=2025-10-01T02:00:00Z&endTime=2025-10-01T01:00:00Z');
+
+            expect(res.status).toBe(400);
+        });
+
+        it("replays a bus's track over the window with the requested simplification", async () => {
+            jest.spyOn(Bus, 'findById').mockReturnValue(query(bus));
+            jest.spyOn(trackReplayService, 'replayBus').mockResolvedValue({ busId: bus._id, points: [] });
+
+            const res = await api().get(`/api/locations/bus/${bus._id}/replay`
+                + '?startTime=2025-10-01T01:00:00Z&endTime=2025-10-01T02:00:00Z&tolerance=0&interval=30');
+
+            expect(res.status).toBe(200);
+            expect(trackReplayService.replayBus).toHaveBeenCalledWith(
+                bus._id,
+                new Date('2025-10-01T01:00:00Z'),
+                new Date('2025-10-01T02:00:00Z'),
+                { toleranceM: 0, intervalSeconds: 30 },
+            );
+        });
+
+        it('answers 404 when replaying an unknown bus', async () => {
+            jest.spyOn(Bus, 'findById').mockReturnValue(query(null));
+
+            const res = await api().get(`/api/locations/bus/${bus._id}/replay`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('GET /stream', () => {
+        it('requires a token for the fleet-wide stream', async () => {
+            const res = await api().get('/api/locations/stream');
+
+            expect(res.status).toBe(401);
+        });
+
+        it('reads the token from the query and keeps the fleet-wide stream for staff', async () => {
+            const { token } = signIn('user');
+
+            const res = await api().get(`/api/locations/stream?access_token=${token.split(' ')[1]}`);
+
+            expect(res.status).toBe(403);
+        });
+
+        it('rejects an empty bounding box', async () => {
+            const res = await api().get('/api/locations/stream?bbox=79.9,6.8,79.8,7.0');
+
+            expect(res.status).toBe(400);
+        });
+
+        it('resumes from the last event ID and reports a failed replay in the stream', async () => {
+            const event = { busId: bus._id.toString(), timestamp: '2025-10-01T01:00:05.000Z' };
+            jest.spyOn(locationStream, 'openChannel').mockImplementation(async (subscription, since, send) => {
+                send(event);
+                throw new Error('replay query failed');
+            });
+
+            const res = await api().get(`/api/locations/stream?busId=${bus._id}&since=2025-10-01T00:00:00Z`)
+                .set('Last-Event-ID', '2025-10-01T01:00:00.000Z');
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toBe('text/event-stream');
+            expect(res.text).toBe([
+                'retry: 5000\n\n',
+                `id: ${event.timestamp}\nevent: location\ndata: ${JSON.stringify(event)}\n\n`,
+                'event: error\ndata: {"message":"Could not resume stream"}\n\n',
+            ].join(''));
+            expect(locationStream.openChannel).toHaveBeenCalledWith(
+                expect.objectContaining({ busId: bus._id.toString() }),
+                new Date('2025-10-01T01:00:00Z'),
+                expect.any(Function),
+            );
+        });
+    });
+});
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Route = require('../../src/models/Route');
+const Trip = require('../../src/models/Trip');
+const FareTable = require('../../src/models/FareTable');
+const routeShapeService = require('../../src/services/routeShapeService');
+const { api, signIn } = require('../apiClient');
+const { query } = require('../queryMock');
+
+describe('/api/routes', () => {
+    const stop = (order, name, lat, fareStage) => ({
+        _id: new mongoose.Types.ObjectId(), name, order, fareStage, coordinates: { lat, lng: 80 },
+    });
+    const route = {
+        _id: new mongoose.Types.ObjectId(),
+        routeNumber: '138',
+        name: 'Pettah - Homagama',
+        distance: 30,
+        fare: 280,
+        stops: [
+            stop(1, 'Pettah', 6.0, 1),
+            stop(2, 'Borella', 6.1, 1),
+            stop(3, 'Nugegoda', 6.2, 2),
+            stop(4, 'Homagama', 6.3, 3),
+        ],
+    };
+    const fareTable = (effectiveFrom) => new FareTable({
+        routeId: route._id,
+        effectiveFrom: new Date(effectiveFrom),
+        minimumFare: 30,
+        fares: [
+            { fromStage: 1, toStage: 2, amount: 40 },
+            { fromStage: 1, toStage: 3, amount: 90 },
+            { fromStage: 2, toStage: 3, amount: 50 },
+        ],
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /:id/fare', () => {
+        it('prices a stop-to-stop segment from the fare table in effect', async () => {
+            const table = fareTable('2025-06-01T00:00:00Z');
+            jest.spyOn(FareTable, 'find').mockReturnValue(query([table]));
+
+            const res = await api().get(`/api/routes/${route._id}/fare?from=Borella&to=Nugegoda&date=2025-07-01`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.fare).toMatchObject({
+                from: { name: 'Borella', fareStage: 1 },
+                to: { name: 'Nugegoda', fareStage: 2 },
+                fare: 40,
+                source: 'fare-table',
+                fareTable: { _id: table._id.toString() },
+            });
+        });
+
+        it('answers 404 for a stop that is not on the route', async () => {
+            jest.spyOn(FareTable, 'find').mockReturnValue(query([]));
+
+            const res = await api().get(`/api/routes/${route._id}/fare?from=Borella&to=Kandy`);
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('Stop "Kandy" is not on this route');
+        });
+
+        it('needs both stops', async () => {
+            const res = await api().get(`/api/routes/${route._id}/fare?from=Borella`);
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('GET /:id/fares', () => {
+        it('lists the fare tables, newest first, with the one in effect', async () => {
+            const upcoming = fareTable('2999-01-01T00:00:00Z');
+            const current = fareTable('2025-06-01T00:00:00Z');
+            jest.spyOn(FareTable, 'find').mockReturnValue(query([upcoming, current]));
+
+            const res = await api().get(`/api/routes/${route._id}/fares`);
+
+            expect(res.body).toMatchObject({
+                results: 2,
+                data: { stages: [1, 1, 2, 3], currentFareTableId: current._id.toString() },
+            });
+        });
+    });
+
+    describe('POST /:id/fares', () => {
+        const body = {
+            effectiveFrom: '2026-01-01T00:00:00.000Z',
+            minimumFare: 30,
+            fares: [
+                { fromStage: 1, toStage: 2, amount: 45 },
+                { fromStage: 1, toStage: 3, amount: 95 },
+                { fromStage: 2, toStage: 3, amount: 55 },
+            ],
+        };
+        let token;
+
+        beforeEach(() => {
+            ({ token } = signIn('admin'));
+            jest.spyOn(FareTable, 'exists').mockResolvedValue(null);
+            jest.spyOn(FareTable, 'create').mockImplementation(async (fields) => new FareTable(fields));
+        });
+
+        it('adds a fare table that prices every stage pair', async () => {
+            const res = await api().post(`/api/routes/${route._id}/fares`).set('Authorization', token).send(body);
+
+            expect(res.status).toBe(201);
+            expect(FareTable.create).toHaveBeenCalledWith(expect.objectContaining({ routeId: route._id }));
+        });
+
+        it('lists the stage pairs a fare table leaves unpriced', async () => {
+            const res = await api().post(`/api/routes/${route._id}/fares`)
+                .set('Authorization', token)
+                .send({ ...body, fares: body.fares.slice(0, 2) });
+
+            expect(res.status).toBe(400);
+            expect(res.body).toMatchObject({
+                message: 'Fare table is missing 1 stage pair(s)',
+                details: { missing: [{ fromStage: 2, toStage: 3 }] },
+            });
+        });
+
+        it('rejects stages the route does not have', async () => {
+            const res = await api().post(`/api/routes/${route._id}/fares`)
+                .set('Authorization', token)
+                .send({ ...body, fares: [...body.fares, { fromStage: 3, toStage: 4, amount: 20 }] });
+
+            expect(res.status).toBe(400);
+            expect(res.body).toMatchObject({ message: 'Route 138 has no fare stage 4', details: { unknown: [4] } });
+        });
+
+        it('answers 409 when a fare table already starts on the date', async () => {
+            FareTable.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+            const res = await api().post(`/api/routes/${route._id}/fares`).set('Authorization', token).send(body);
+
+            expect(res.status).toBe(409);
+            expect(FareTable.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('DELETE /:id/fares/:fareTableId', () => {
+        beforeEach(() => {
+            jest.spyOn(FareTable.prototype, 'deleteOne').mockResolvedValue({});
+        });
+
+        it('deletes a fare table not yet in effect', async () => {
+            const table = fareTable('2999-01-01T00:00:00Z');
+            jest.spyOn(FareTable, 'findOne').mockResolvedValue(table);
+
+            const res = await api().delete(`/api/routes/${route._id}/fares/${table._id}`).set('Authorization', signIn('admin').token);
+
+            expect(res.status).toBe(200);
+            expect(FareTable.findOne).toHaveBeenCalledWith({ _id: table._id.toString(), routeId: route._id.toString() });
+            expect(FareTable.prototype.deleteOne).toHaveBeenCalled();
+        });
+
+        it('keeps a fare table already in effect', async () => {
+            const table = fareTable('2025-06-01T00:00:00Z');
+            jest.spyOn(FareTable, 'findOne').mockResolvedValue(table);
+
+            const res = await api().delete(`/api/routes/${route._id}/fares/${table._id}`).set('Authorization', signIn('admin').token);
+
+            expect(res.status).toBe(409);
+            expect(FareTable.prototype.deleteOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('shape', () => {
+        const shape = { polyline: '_p~iF~ps|U_ulLnnqC', pointCount: 2, lengthKm: 33.3 };
+
+        it('returns the shape of a route', async () => {
+            jest.spyOn(routeShapeService, 'getShape').mockResolvedValue(shape);
+
+            const res = await api().get(`/api/routes/${route._id}/shape`);
+
+            expect(res.body.data.shape).toEqual(shape);
+            expect(routeShapeService.getShape).toHaveBeenCalledWith(route._id);
+        });
+
+        it('answers 404 for a route without a shape', async () => {
+            jest.spyOn(routeShapeService, 'getShape').mockResolvedValue(null);
+
+            const res = await api().get(`/api/routes/${route._id}/shape`);
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('Route has no shape');
+        });
+
+        it('uploads a shape as points or as a polyline, not both', async () => {
+            const { token } = signIn('admin');
+            const points = [{ lat: 6.0, lng: 80 }, { lat: 6.3, lng: 80 }];
+            jest.spyOn(routeShapeService, 'uploadShape').mockResolvedValue(shape);
+
+            const res = await api().put(`/api/routes/${route._id}/shape`).set('Authorization', token).send({ points });
+            const both = await api().put(`/api/routes/${route._id}/shape`)
+                .set('Authorization', token)
+                .send({ points, polyline: shape.polyline });
+
+            expect(res.status).toBe(200);
+            expect(routeShapeService.uploadShape).toHaveBeenCalledWith(route, { points });
+            expect(both.status).toBe(400);
+        });
+
+        it("derives the shape from a trip's recorded track", async () => {
+            const trip = { _id: new mongoose.Types.ObjectId(), tripNumber: 'T-100' };
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(trip));
+            jest.spyOn(routeShapeService, 'deriveShapeFromTrip').mockResolvedValue(shape);
+
+            const res = await api().post(`/api/routes/${route._id}/shape/derive`)
+                .set('Authorization', signIn('admin').token)
+                .send({ tripId: trip._id.toString() });
+
+            expect(res.status).toBe(200);
+            expect(routeShapeService.deriveShapeFromTrip).toHaveBeenCalledWith(route, trip);
+        });
+
+        it('answers 404 when deriving from an unknown trip', async () => {
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(null));
+
+            const res = await api().post(`/api/routes/${route._id}/shape/derive`)
+                .set('Authorization', signIn('admin').token)
+                .send({ tripId: new mongoose.Types.ObjectId().toString() });
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('Trip not found');
+        });
+
+        it('removes the shape', async () => {
+            jest.spyOn(routeShapeService, 'removeShape').mockResolvedValue();
+
+            const res = await api().delete(`/api/routes/${route._id}/shape`).set('Authorization', signIn('admin').token);
+
+            expect(res.status).toBe(200);
+            expect(routeShapeService.removeShape).toHaveBeenCalledWith(route);
+        });
+    });
+});
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Timetable = require('../../src/models/Timetable');
+const Route = require('../../src/models/Route');
+const Bus = require('../../src/models/Bus');
+const timetableService = require('../../src/services/timetableService');
+const { api, signIn } = require('../apiClient');
+const { query } = require('../queryMock');
+
+describe('/api/timetables', () => {
+    const routeId = new mongoose.Types.ObjectId();
+    const busId = new mongoose.Types.ObjectId();
+    const fields = {
+        code: 'r01-am',
+        name: 'Colombo - Kandy weekdays',
+        routeId: routeId.toString(),
+        departureTimes: ['06:30', '18:00'],
+        daysOfWeek: [1, 2, 3, 4, 5],
+        effectiveFrom: '2025-09-01T00:00:00.000Z',
+        defaultBusId: busId.toString(),
+    };
+    const timetable = (overrides = {}) => new Timetable({ ...fields, ...overrides });
+    let token;
+
+    beforeEach(() => {
+        ({ token } = signIn('admin'));
+        jest.spyOn(Route, 'findById').mockReturnValue(query({ _id: routeId }));
+        jest.spyOn(Bus, 'findById').mockReturnValue(query({ _id: busId }));
+        jest.spyOn(Timetable.prototype, 'save').mockImplementation(function save() {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /', () => {
+        it('creates the timetable and generates its trips for the horizon', async () => {
+            const generation = { created: 20, existing: 0, skipped: [] };
+            jest.spyOn(Timetable, 'create').mockImplementation(async (body) => timetable(body));
+            jest.spyOn(timetableService, 'generateTrips').mockResolvedValue(generation);
+
+            const res = await api().post('/api/timetables').set('Authorization', token).send(fields);
+
+            expect(res.status).toBe(201);
+            expect(res.body.data).toMatchObject({ timetable: { code: 'R01-AM' }, generation });
+            expect(Timetable.create).toHaveBeenCalledWith(expect.objectContaining({ code: 'R01-AM' }));
+        });
+
+        it('answers 404 when the default bus does not exist', async () => {
+            Bus.findById.mockReturnValue(query(null));
+            jest.spyOn(Timetable, 'create');
+
+            const res = await api().post('/api/timetables').set('Authorization', token).send(fields);
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('Bus not found');
+            expect(Timetable.create).not.toHaveBeenCalled();
+        });
+
+        it('rejects departure times that are not HH:mm', async () => {
+            const res = await api().post('/api/timetables')
+                .set('Authorization', token)
+                .send({ ...fields, departureTimes: ['6:30'] });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('is for admins only', async () => {
+            const res = await api().post('/api/timetables').set('Authorization', signIn('operator').token).send(fields);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('PUT /:id', () => {
+        let current;
+
+        beforeEach(() => {
+            // As loaded from the database, with nothing modified
+            current = Timetable.hydrate(timetable().toObject());
+            jest.spyOn(Timetable, 'findById').mockReturnValue(query(current));
+            jest.spyOn(timetableService, 'countRegenerable').mockResolvedValue(12);
+            jest.spyOn(timetableService, 'regenerateFutureTrips').mockResolvedValue({ removed: 2, created: 2, skipped: [] });
+        });
+
+        it('marks a schedule change pending and reports the trips a regeneration would affect', async () => {
+            const res = await api().put(`/api/timetables/${current._id}`)
+                .set('Authorization', token)
+                .send({ departureTimes: ['07:00'] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.timetable.regenerationPending).toBe(true);
+            expect(res.body.data.regeneration).toEqual({ applied: false, pending: true, futureTrips: 12 });
+            expect(timetableService.regenerateFutureTrips).not.toHaveBeenCalled();
+        });
+
+        it('leaves a renamed timetable without a pending regeneration', async () => {
+            const res = await api().put(`/api/timetables/${current._id}`)
+                .set('Authorization', token)
+                .send({ name: 'Colombo - Kandy morning' });
+
+            expect(res.body.data.regeneration).toMatchObject({ pending: false });
+        });
+
+        it('regenerates the future trips on request', async () => {
+            const res = await api().put(`/api/timetables/${current._id}?regenerate=true`)
+                .set('Authorization', token)
+                .send({ departureTimes: ['07:00'] });
+
+            expect(res.body.data.regeneration).toEqual({
+                applied: true, removed: 2, created: 2, skipped: [],
+            });
+            expect(timetableService.regenerateFutureTrips).toHaveBeenCalledWith(current);
+        });
+
+        it('answers 404 for an unknown timetable', async () => {
+            Timetable.findById.mockReturnValue(query(null));
+
+            const res = await api().put(`/api/timetables/${current._id}`)
+                .set('Authorization', token)
+                .send({ name: 'Colombo - Kandy morning' });
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('DELETE /:id', () => {
+        let current;
+
+        beforeEach(() => {
+            current = timetable();
+            jest.spyOn(Timetable, 'findById').mockReturnValue(query(current));
+            jest.spyOn(Timetable.prototype, 'deleteOne').mockResolvedValue({});
+        });
+
+        it('removes the unstarted trips of the deactivated timetable', async () => {
+            jest.spyOn(timetableService, 'regenerateFutureTrips').mockResolvedValue({ removed: 10, skipped: [] });
+
+            const res = await api().delete(`/api/timetables/${current._id}`).set('Authorization', token);
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ message: 'Timetable deleted successfully', data: null });
+            expect(timetableService.regenerateFutureTrips).toHaveBeenCalledWith(expect.objectContaining({ status: 'inactive' }));
+            expect(Timetable.prototype.deleteOne).toHaveBeenCalled();
+        });
+
+        it('reports the trips kept for their bookings', async () => {
+            const skipped = [{ tripNumber: 'R01-AM-20251003-0630', reason: 'Trip has 3 active booking(s)' }];
+            jest.spyOn(timetableService, 'regenerateFutureTrips').mockResolvedValue({ removed: 9, skipped });
+
+            const res = await api().delete(`/api/timetables/${current._id}`).set('Authorization', token);
+
+            expect(res.body).toEqual({
+                status: 'success',
+                message: 'Timetable deleted; 1 future trips with bookings were kept',
+                data: { keptTrips: skipped },
+            });
+        });
+    });
+
+    describe('POST /:id/generate', () => {
+        it('generates trips up to the requested horizon', async () => {
+            const current = timetable();
+            jest.spyOn(Timetable, 'findById').mockReturnValue(query(current));
+            jest.spyOn(timetableService, 'generateTrips').mockResolvedValue({ created: 5 });
+
+            const res = await api().post(`/api/timetables/${current._id}/generate?days=30`).set('Authorization', token);
+
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe('5 trips created');
+            expect(timetableService.generateTrips).toHaveBeenCalledWith(current, { horizonDays: 30 });
+        });
+
+        it.each([
+            [{ status: 'inactive' }, 400, 'Timetable is inactive'],
+            [{ regenerationPending: true }, 409, 'Timetable was edited; regenerate its trips first (PUT with ?regenerate=true)'],
+        ])('refuses a timetable with %o', async (overrides, status, message) => {
+            const current = timetable(overrides);
+            jest.spyOn(Timetable, 'findById').mockReturnValue(query(current));
+            jest.spyOn(timetableService, 'generateTrips');
+
+            const res = await api().post(`/api/timetables/${current._id}/generate`).set('Authorization', token);
+
+            expect(res.status).toBe(status);
+            expect(res.body.message).toBe(message);
+            expect(timetableService.generateTrips).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /generate', () => {
+        it('generates trips for every active timetable', async () => {
+            jest.spyOn(timetableService, 'generateAll').mockResolvedValue([{ created: 3 }, { created: 4 }, { error: 'Route not found' }]);
+
+            const res = await api().post('/api/timetables/generate').set('Authorization', token);
+
+            expect(res.body).toMatchObject({ message: '7 trips created', results: 3 });
+        });
+    });
+});
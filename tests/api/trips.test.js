@@ -0,0 +1,443 @@
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+const etaService = require('../../src/services/etaService');
+const stopEventService = require('../../src/services/stopEventService');
+const tripStatusService = require('../../src/services/tripStatusService');
+const tripConflictService = require('../../src/services/tripConflictService');
+const crewDutyService = require('../../src/services/crewDutyService');
+const delayPropagationService = require('../../src/services/delayPropagationService');
+const trackReplayService = require('../../src/services/trackReplayService');
+const fareService = require('../../src/services/fareService');
+const routeDeviationService = require('../../src/services/routeDeviationService');
+const passengerLoadService = require('../../src/services/passengerLoadService');
+const bookingService = require('../../src/services/bookingService');
+const { ApiError } = require('../../src/middleware/errorHandler');
+const { api, signIn } = require('../apiClient');
+const { query } = require('../queryMock');
+
+describe('/api/trips', () => {
+    const trip = (fields = {}) => new Trip({
+        tripNumber: 'T-100',
+        routeId: new mongoose.Types.ObjectId(),
+        busId: new mongoose.Types.ObjectId(),
+        scheduledDepartureTime: new Date('2025-10-01T01:00:00Z'),
+        scheduledArrivalTime: new Date('2025-10-01T02:00:00Z'),
+        status: 'scheduled',
+        ...fields,
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('PATCH /:id', () => {
+        let token;
+        let current;
+
+        beforeEach(() => {
+            ({ token } = signIn('operator'));
+            current = trip();
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(current));
+            jest.spyOn(Trip, 'findOneAndUpdate').mockImplementation(async (filter, update) => trip({
+                ...current.toObject(), ...update.$set,
+            }));
+            jest.spyOn(delayPropagationService, 'propagateFromTrip').mockResolvedValue([]);
+        });
+
+        it('records an allowed status change in the history, conditional on the current status', async () => {
+            const res = await api().patch(`/api/trips/${current._id}`)
+                .set('Authorization', token)
+                .send({ status: 'delayed', delayReason: 'Heavy traffic', ignored: true });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.trip).toMatchObject({ status: 'delayed', delayReason: 'Heavy traffic' });
+            const [filter, update] = Trip.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: current._id, status: 'scheduled' });
+            expect(update.$set).toMatchObject({ status: 'delayed', statusSource: 'manual' });
+            expect(update.$set).not.toHaveProperty('ignored');
+            expect(update.$push.statusHistory).toMatchObject({
+                from: 'scheduled', to: 'delayed', source: 'manual', reason: 'Heavy traffic',
+            });
+            expect(delayPropagationService.propagateFromTrip).toHaveBeenCalled();
+        });
+
+        it('rejects a change the transition table does not allow', async () => {
+            const res = await api().patch(`/api/trips/${current._id}`)
+                .set('Authorization', token)
+                .send({ status: 'completed' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe(
+                'Cannot change trip status from scheduled to completed. Allowed: boarding, in-transit, delayed, cancelled',
+            );
+            expect(Trip.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('answers 409 when the status changed concurrently', async () => {
+            Trip.findOneAndUpdate.mockResolvedValue(null);
+
+            const res = await api().patch(`/api/trips/${current._id}`)
+                .set('Authorization', token)
+                .send({ status: 'boarding' });
+
+            expect(res.status).toBe(409);
+        });
+
+        it('rejects a request without an updatable field', async () => {
+            const res = await api().patch(`/api/trips/${current._id}`)
+                .set('Authorization', token)
+                .send({ tripNumber: 'T-200' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('No valid fields to update');
+        });
+
+        it('answers 404 for an unknown trip', async () => {
+            Trip.findById.mockReturnValue(query(null));
+
+            const res = await api().patch(`/api/trips/${current._id}`)
+                .set('Authorization', token)
+                .send({ status: 'boarding' });
+
+            expect(res.status).toBe(404);
+        });
+
+        it('is closed to passengers and anonymous callers', async () => {
+            const anonymous = await api().patch(`/api/trips/${current._id}`).send({ status: 'boarding' });
+            const passenger = await api().patch(`/api/trips/${current._id}`)
+                .set('Authorization', signIn('user').token)
+                .send({ status: 'boarding' });
+
+            expect(anonymous.status).toBe(401);
+            expect(passenger.status).toBe(403);
+        });
+    });
+
+    describe('GET /:id/history', () => {
+        it('lists the status history', async () => {
+            const { token } = signIn('admin');
+            const history = [{ from: null, to: 'scheduled', reason: 'Trip created' }];
+            jest.spyOn(tripStatusService, 'getHistory').mockResolvedValue(history);
+            const id = new mongoose.Types.ObjectId();
+
+            const res = await api().get(`/api/trips/${id}/history`).set('Authorization', token);
+
+            expect(res.status).toBe(200);
+            expect(res.body).toMatchObject({ results: 1, data: { history } });
+            expect(tripStatusService.getHistory).toHaveBeenCalledWith(id.toString());
+        });
+
+        it('answers 404 for an unknown trip', async () => {
+            const { token } = signIn('admin');
+            jest.spyOn(tripStatusService, 'getHistory').mockResolvedValue(null);
+
+            const res = await api().get(`/api/trips/${new mongoose.Types.ObjectId()}/history`).set('Authorization', token);
+
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('POST /', () => {
+        const body = () => ({
+            tripNumber: 't-300',
+            busId: new mongoose.Types.ObjectId().toString(),
+            routeId: new mongoose.Types.ObjectId().toString(),
+            scheduledDepartureTime: '2025-10-01T01:00:00.000Z',
+            scheduledArrivalTime: '2025-10-01T02:00:00.000Z',
+        });
+
+        beforeEach(() => {
+            jest.spyOn(crewDutyService, 'assertCrewAssignable').mockResolvedValue();
+            jest.spyOn(Trip, 'create').mockImplementation(async (fields) => trip(fields));
+        });
+
+        it('creates a trip whose bus is free, with its first history entry', async () => {
+            const { token, user } = signIn('admin');
+            jest.spyOn(tripConflictService, 'assertNoBusConflicts').mockResolvedValue();
+
+            const res = await api().post('/api/trips').set('Authorization', token).send(body());
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.trip.tripNumber).toBe('T-300');
+            expect(tripConflictService.assertNoBusConflicts).toHaveBeenCalledWith(expect.objectContaining({
+                tripNumber: 'T-300', scheduledDepartureTime: new Date('2025-10-01T01:00:00Z'),
+            }));
+            expect(Trip.create.mock.calls[0][0].statusHistory).toEqual([expect.objectContaining({
+                from: null, to: 'scheduled', by: user._id,
+            })]);
+        });
+
+        it('answers 409 with the clashing trips when the bus is double-booked', async () => {
+            const { token } = signIn('admin');
+            const conflicts = [{ tripNumber: 'T-299', kind: 'overlap' }];
+            jest.spyOn(tripConflictService, 'assertNoBusConflicts')
+                .mockRejectedValue(new ApiError('Bus is already booked', 409, { conflicts }));
+
+            const res = await api().post('/api/trips').set('Authorization', token).send(body());
+
+            expect(res.status).toBe(409);
+            expect(res.body.details).toEqual({ conflicts });
+            expect(Trip.create).not.toHaveBeenCalled();
+        });
+
+        it('is for admins only', async () => {
+            const res = await api().post('/api/trips').set('Authorization', signIn('operator').token).send(body());
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('PUT /:id', () => {
+        let token;
+        let current;
+
+        beforeEach(() => {
+            ({ token } = signIn('operator'));
+            current = trip();
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(current));
+            jest.spyOn(Trip, 'findOneAndUpdate').mockImplementation(async (filter, update) => trip({
+                ...current.toObject(), ...update.$set,
+            }));
+            jest.spyOn(tripConflictService, 'assertNoBusConflicts').mockResolvedValue();
+            jest.spyOn(crewDutyService, 'assertCrewAssignable').mockResolvedValue();
+            jest.spyOn(delayPropagationService, 'propagateFromTrip').mockResolvedValue([]);
+        });
+
+        it('checks a rescheduled trip against the bus\'s other trips', async () => {
+            const res = await api().put(`/api/trips/${current._id}`)
+                .set('Authorization', token)
+                .send({ scheduledArrivalTime: '2025-10-01T02:30:00.000Z' });
+
+            expect(res.status).toBe(200);
+            expect(tripConflictService.assertNoBusConflicts).toHaveBeenCalledWith(expect.objectContaining({
+                _id: current._id,
+                busId: current.busId,
+                scheduledDepartureTime: current.scheduledDepartureTime,
+                scheduledArrivalTime: new Date('2025-10-01T02:30:00Z'),
+            }));
+            expect(delayPropagationService.propagateFromTrip).toHaveBeenCalled();
+        });
+
+        it('rejects an arrival before the departure', async () => {
+            const res = await api().put(`/api/trips/${current._id}`)
+                .set('Authorization', token)
+                .send({ scheduledArrivalTime: '2025-10-01T00:30:00.000Z' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Arrival time must be after departure time');
+            expect(Trip.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('does not check the schedule of a trip being cancelled', async () => {
+            const res = await api().put(`/api/trips/${current._id}`)
+                .set('Authorization', token)
+                .send({ status: 'cancelled', cancellationReason: 'Strike', scheduledArrivalTime: '2025-10-01T02:30:00.000Z' });
+
+            expect(res.status).toBe(200);
+            expect(tripConflictService.assertNoBusConflicts).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /conflicts', () => {
+        beforeEach(() => {
+            jest.spyOn(tripConflictService, 'findScheduleConflicts').mockResolvedValue([]);
+        });
+
+        it('scans a week from the given date by default', async () => {
+            const res = await api().get('/api/trips/conflicts?from=2025-10-01T00:00:00Z')
+                .set('Authorization', signIn('operator').token);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({
+                from: '2025-10-01T00:00:00.000Z',
+                to: '2025-10-08T00:00:00.000Z',
+                minTurnaroundMinutes: tripConflictService.MIN_TURNAROUND_MINUTES,
+                conflicts: [],
+            });
+            expect(tripConflictService.findScheduleConflicts).toHaveBeenCalledWith({
+                from: new Date('2025-10-01T00:00:00Z'), to: new Date('2025-10-08T00:00:00Z'), busId: undefined,
+            });
+        });
+
+        it('rejects a range that ends before it starts', async () => {
+            const res = await api().get('/api/trips/conflicts?from=2025-10-02&to=2025-10-01')
+                .set('Authorization', signIn('admin').token);
+
+            expect(res.status).toBe(400);
+            expect(tripConflictService.findScheduleConflicts).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /:id/replay', () => {
+        it('replays the recorded track of the trip', async () => {
+            const current = trip();
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(current));
+            jest.spyOn(trackReplayService, 'replayTrip').mockResolvedValue({ points: [] });
+
+            const res = await api().get(`/api/trips/${current._id}/replay?tolerance=25`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.replay).toEqual({ points: [] });
+            expect(trackReplayService.replayTrip).toHaveBeenCalledWith(current, { toleranceM: 25, intervalSeconds: undefined });
+        });
+
+        it('rejects a resampling interval over an hour', async () => {
+            const res = await api().get(`/api/trips/${new mongoose.Types.ObjectId()}/replay?interval=3601`);
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('fares', () => {
+        it('returns a trip with the full-trip fare it inherits', async () => {
+            const current = trip();
+            const fare = { amount: 280, source: 'route-fare', fareTable: null };
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(current));
+            jest.spyOn(fareService, 'getTripFare').mockResolvedValue(fare);
+
+            const res = await api().get(`/api/trips/${current._id}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toMatchObject({ trip: { tripNumber: 'T-100' }, fare });
+        });
+
+        it("averages fares with the route's fare standing in for trips without their own", async () => {
+            jest.spyOn(Trip, 'aggregate').mockResolvedValue([{ _id: 'completed', count: 2, avgFare: 250 }]);
+            jest.spyOn(Trip, 'countDocuments').mockResolvedValue(2);
+
+            const res = await api().get('/api/trips/stats');
+
+            expect(res.body.data).toMatchObject({ totalTrips: 2, stats: [{ avgFare: 250 }] });
+            const [pipeline] = Trip.aggregate.mock.calls[0];
+            expect(pipeline[0].$lookup).toMatchObject({ from: 'routes', localField: 'routeId', foreignField: '_id' });
+            expect(pipeline[2].$group.avgFare).toEqual({ $avg: { $ifNull: ['$fare', '$route.fare'] } });
+        });
+    });
+
+    describe('GET /:id/deviations', () => {
+        it('lists the off-route incidents of the trip for staff', async () => {
+            const current = trip();
+            const deviations = [{ tripId: current._id, maxDistanceM: 450, status: 'closed' }];
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(current));
+            jest.spyOn(routeDeviationService, 'getTripDeviations').mockResolvedValue(deviations);
+
+            const res = await api().get(`/api/trips/${current._id}/deviations`).set('Authorization', signIn('operator').token);
+            const denied = await api().get(`/api/trips/${current._id}/deviations`).set('Authorization', signIn('user').token);
+
+            expect(res.status).toBe(200);
+            expect(res.body.results).toBe(1);
+            expect(routeDeviationService.getTripDeviations).toHaveBeenCalledWith(current._id);
+            expect(denied.status).toBe(403);
+        });
+    });
+
+    describe('GET /:id/eta', () => {
+        it('predicts arrivals at the remaining stops', async () => {
+            const current = trip({ status: 'in-transit' });
+            const eta = { tripId: current._id, predictions: [{ stopName: 'Nugegoda', predictedArrival: '2025-10-01T01:40:00.000Z' }] };
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(current));
+            jest.spyOn(etaService, 'predictTripEta').mockResolvedValue(eta);
+
+            const res = await api().get(`/api/trips/${current._id}/eta`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.eta.predictions).toEqual(eta.predictions);
+            expect(etaService.predictTripEta).toHaveBeenCalledWith(current);
+        });
+
+        it('answers 404 for an unknown trip and 400 for a malformed ID', async () => {
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(null));
+
+            const unknown = await api().get(`/api/trips/${new mongoose.Types.ObjectId()}/eta`);
+            const malformed = await api().get('/api/trips/not-an-id/eta');
+
+            expect(unknown.status).toBe(404);
+            expect(malformed.status).toBe(400);
+        });
+    });
+
+    describe('GET /:id/stop-events', () => {
+        it('lists the arrivals and departures recorded for the trip', async () => {
+            const current = trip();
+            const stopEvents = [{ stopName: 'Pettah', stopOrder: 1, dwellSeconds: 90 }];
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(current));
+            jest.spyOn(stopEventService, 'getTripStopEvents').mockResolvedValue(stopEvents);
+
+            const res = await api().get(`/api/trips/${current._id}/stop-events`);
+
+            expect(res.body).toMatchObject({ results: 1, data: { stopEvents } });
+            expect(stopEventService.getTripStopEvents).toHaveBeenCalledWith(current._id);
+        });
+    });
+
+    describe('passenger counts', () => {
+        let current;
+
+        beforeEach(() => {
+            current = trip({ status: 'in-transit' });
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(current));
+        });
+
+        it('returns the running load per stop', async () => {
+            const load = {
+                occupancy: { passengers: 25, band: 'seats-available' },
+                stops: [{ stopName: 'Pettah', onBoard: 25 }],
+            };
+            jest.spyOn(passengerLoadService, 'getLoad').mockResolvedValue(load);
+
+            const res = await api().get(`/api/trips/${current._id}/passenger-counts`);
+
+            expect(res.body).toMatchObject({ results: 1, data: { load } });
+        });
+
+        it("records a conductor's count at a stop", async () => {
+            const { token, user } = signIn('operator');
+            const stopId = new mongoose.Types.ObjectId().toString();
+            const occupancy = { passengers: 25, capacity: 40, band: 'seats-available' };
+            jest.spyOn(passengerLoadService, 'recordCount').mockResolvedValue({ count: { stopId, boarded: 25 }, occupancy });
+
+            const res = await api().post(`/api/trips/${current._id}/passenger-counts`)
+                .set('Authorization', token)
+                .send({ stopId, boarded: 25 });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.occupancy).toEqual(occupancy);
+            expect(passengerLoadService.recordCount).toHaveBeenCalledWith(
+                current,
+                { stopId, boarded: 25 },
+                expect.objectContaining({ _id: user._id }),
+            );
+        });
+
+        it('needs boarding or alighting passengers', async () => {
+            const res = await api().post(`/api/trips/${current._id}/passenger-counts`)
+                .set('Authorization', signIn('operator').token)
+                .send({ stopId: new mongoose.Types.ObjectId().toString() });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('rebands the occupancy against the seats of a new bus', async () => {
+            current.occupancy = {
+                passengers: 45, capacity: 40, band: 'standing', computedAt: new Date(),
+            };
+            const busId = new mongoose.Types.ObjectId().toString();
+            jest.spyOn(Trip, 'findOneAndUpdate').mockImplementation(async (filter, update) => trip({
+                ...current.toObject(), ...update.$set,
+            }));
+            jest.spyOn(tripConflictService, 'assertNoBusConflicts').mockResolvedValue();
+            jest.spyOn(bookingService, 'assertSeatsFit').mockResolvedValue();
+            jest.spyOn(crewDutyService, 'assertCrewAssignable').mockResolvedValue();
+            jest.spyOn(delayPropagationService, 'propagateFromTrip').mockResolvedValue([]);
+            jest.spyOn(passengerLoadService, 'refreshOccupancy').mockResolvedValue({ passengers: 45, capacity: 54, band: 'seats-available' });
+
+            const res = await api().put(`/api/trips/${current._id}`)
+                .set('Authorization', signIn('admin').token)
+                .send({ busId });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.trip.occupancy).toMatchObject({ capacity: 54, band: 'seats-available' });
+            expect(bookingService.assertSeatsFit).toHaveBeenCalledWith(current._id, busId);
+        });
+    });
+});
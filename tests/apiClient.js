@@ -0,0 +1,41 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const { query } = require('./queryMock');
+
+// The error handler only answers in development and production; production hides stack traces
+process.env.NODE_ENV = 'production';
+
+const app = require('../src/app');
+
+/**
+ * Supertest agent for the Express app
+ * 
+ * @returns {Object} Supertest agent
+ */
+const api = () => request(app);
+
+/**
+ * Sign in as an active user with the given role
+ * Stubs the user lookup `protect` makes for the token, so call it in each test.
+ * 
+ * @param {string} role - User role
+ * @param {Object} [fields] - Further user fields
+ * @returns {{user: Object, token: string}} User and the Authorization header value
+ */
+const signIn = (role, fields = {}) => {
+    const user = {
+        _id: new mongoose.Types.ObjectId(),
+        name: `Test ${role}`,
+        email: `${role}@example.com`,
+        role,
+        status: 'active',
+        ...fields,
+    };
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+
+    return { user, token: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}` };
+};
+
+module.exports = { api, signIn };
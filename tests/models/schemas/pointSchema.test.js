@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const LocationUpdate = require('../../../src/models/LocationUpdate');
+
+describe('pointSchema', () => {
+    const busId = new mongoose.Types.ObjectId();
+
+    it('stores { lat, lng } input as a GeoJSON Point', () => {
+        const location = new LocationUpdate({ busId, coordinates: { lat: 6.93, lng: 79.85 } });
+
+        expect(location.coordinates.type).toBe('Point');
+        expect([...location.coordinates.coordinates]).toEqual([79.85, 6.93]);
+        expect(location.coordinates.lat).toBe(6.93);
+        expect(location.coordinates.lng).toBe(79.85);
+    });
+
+    it('exposes both shapes in JSON', () => {
+        const location = new LocationUpdate({ busId, coordinates: { lat: 6.93, lng: 79.85 } });
+
+        expect(location.toJSON().coordinates).toEqual({
+            type: 'Point', coordinates: [79.85, 6.93], lat: 6.93, lng: 79.85,
+        });
+    });
+
+    it('rejects positions out of range', () => {
+        const location = new LocationUpdate({ busId, coordinates: { lat: 91, lng: 79.85 } });
+
+        expect(location.validateSync().errors['coordinates.coordinates']).toBeDefined();
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * Thenable stand-in for a Mongoose query
+ * Chained query methods return the query itself; awaiting it resolves to `value`.
+ * 
+ * @param {*} value - Query result
+ * @returns {Object} Query stand-in
+ */
+const query = (value) => {
+    const chain = {
+        select: () => chain,
+        sort: () => chain,
+        limit: () => chain,
+        populate: () => chain,
+        setOptions: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    };
+    return chain;
+};
+
+module.exports = { query };
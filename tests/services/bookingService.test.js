@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const Trip = require('../../src/models/Trip');
+const Bus = require('../../src/models/Bus');
+const Route = require('../../src/models/Route');
+const fareRuleService = require('../../src/services/fareRuleService');
+const { holdSeats } = require('../../src/services/bookingService');
+const { query } = require('../queryMock');
+
+describe('bookingService.holdSeats', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'passenger@example.com' };
+    const passenger = { name: 'Nimal Perera', phone: '0771234567' };
+    const trip = {
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber: 'T-100',
+        routeId: new mongoose.Types.ObjectId(),
+        busId: new mongoose.Types.ObjectId(),
+        status: 'scheduled',
+        fare: 500,
+        scheduledDepartureTime: new Date(Date.now() + 3600000),
+    };
+
+    const seatConflict = () => Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyPattern: { tripId: 1, seats: 1 },
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Trip, 'findById').mockReturnValue(query(trip));
+        jest.spyOn(Bus, 'findById').mockReturnValue(query({ capacity: 40, features: [], serviceClass: 'normal' }));
+        jest.spyOn(Route, 'findById').mockReturnValue(query(null));
+        jest.spyOn(Booking, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+        jest.spyOn(fareRuleService, 'applyActiveRules').mockImplementation(async (fare) => ({ fare, adjustments: [] }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('holds free seats at the trip fare', async () => {
+        jest.spyOn(Booking, 'create').mockImplementation(async (fields) => fields);
+
+        const booking = await holdSeats({ tripId: trip._id, seats: [3, 4], passenger }, user);
+
+        expect(booking).toMatchObject({
+            seats: [3, 4], status: 'held', farePerSeat: 500, totalFare: 1000, passengerType: 'adult',
+        });
+        expect(booking.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('answers 409 with the taken seats when another booking claimed them first', async () => {
+        jest.spyOn(Booking, 'create').mockRejectedValue(seatConflict());
+        jest.spyOn(Booking, 'find').mockReturnValue(query([{ seats: [4, 5], status: 'held' }]));
+
+        await expect(holdSeats({ tripId: trip._id, seats: [3, 4], passenger }, user)).rejects.toMatchObject({
+            statusCode: 409,
+            message: 'Seats are no longer available',
+            details: { unavailable: [4] },
+        });
+    });
+
+    it('retries with a new reference when the reference collides', async () => {
+        const collision = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { reference: 1 } });
+        jest.spyOn(Booking, 'create')
+            .mockRejectedValueOnce(collision)
+            .mockImplementation(async (fields) => fields);
+
+        const booking = await holdSeats({ tripId: trip._id, seats: [1], passenger }, user);
+
+        expect(Booking.create).toHaveBeenCalledTimes(2);
+        expect(booking.reference).toMatch(/^BK[A-Z2-9]{8}$/);
+    });
+
+    it('refuses trips that have departed', async () => {
+        Trip.findById.mockReturnValue(query({ ...trip, status: 'in-transit', actualDepartureTime: new Date() }));
+
+        await expect(holdSeats({ tripId: trip._id, seats: [1], passenger }, user)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('refuses seats the bus does not have', async () => {
+        await expect(holdSeats({ tripId: trip._id, seats: [41], passenger }, user)).rejects.toMatchObject({
+            statusCode: 400,
+            details: { invalid: [41] },
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Crew = require('../../src/models/Crew');
+const Trip = require('../../src/models/Trip');
+const Bus = require('../../src/models/Bus');
+const { assertCrewAssignable, checkDutyRules } = require('../../src/services/crewDutyService');
+const { query } = require('../queryMock');
+
+describe('crewDutyService', () => {
+    const hour = 60 * 60 * 1000;
+    const start = new Date('2025-10-01T06:00:00Z').getTime();
+    const at = (hours) => new Date(start + hours * hour);
+    const operatorId = new mongoose.Types.ObjectId();
+
+    const driver = (fields = {}) => new Crew({
+        employeeNumber: 'DRV-001',
+        name: 'Sunil Silva',
+        role: 'driver',
+        operatorId,
+        license: { number: 'B1234567', class: 'D', expiry: at(24 * 365) },
+        ...fields,
+    });
+
+    describe('assertCrewAssignable', () => {
+        const trip = {
+            tripNumber: 'T-200',
+            busId: new mongoose.Types.ObjectId(),
+            scheduledDepartureTime: at(0),
+            scheduledArrivalTime: at(4),
+        };
+        let busQuery;
+
+        const assign = (member, others = []) => {
+            jest.spyOn(Crew, 'findById').mockReturnValue(query(member));
+            jest.spyOn(Trip, 'find').mockReturnValue(query(others));
+            return assertCrewAssignable({ ...trip, crew: { driverId: member._id } });
+        };
+
+        beforeEach(() => {
+            busQuery = query({ _id: trip.busId, operatorId });
+            jest.spyOn(busQuery, 'setOptions');
+            jest.spyOn(Bus, 'findById').mockReturnValue(busQuery);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('accepts an eligible driver of the bus operator', async () => {
+            await expect(assign(driver())).resolves.toBeUndefined();
+            // A populated operatorId would never equal the crew member's
+            expect(busQuery.setOptions).toHaveBeenCalledWith({ skipPopulate: true });
+        });
+
+        it('skips the checks when no crew is assigned', async () => {
+            await assertCrewAssignable({ ...trip, crew: {} });
+
+            expect(Bus.findById).not.toHaveBeenCalled();
+        });
+
+        it('rejects crew of another operator', async () => {
+            const member = driver({ operatorId: new mongoose.Types.ObjectId() });
+
+            await expect(assign(member)).rejects.toMatchObject({
+                statusCode: 400,
+                message: "Sunil Silva does not work for the bus's operator",
+            });
+        });
+
+        it('rejects a conductor assigned as driver', async () => {
+            await expect(assign(driver({ role: 'conductor' }))).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it('rejects a driver whose license expires before the trip ends', async () => {
+            const member = driver({ license: { number: 'B1234567', class: 'D', expiry: at(2) } });
+
+            await expect(assign(member)).rejects.toMatchObject({
+                statusCode: 400,
+                message: "Sunil Silva's license expires before the trip ends",
+            });
+        });
+
+        it('rejects a license class that does not cover buses', async () => {
+            const member = driver({ license: { number: 'B1234567', class: 'D1', expiry: at(24 * 365) } });
+
+            await expect(assign(member)).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it('answers 409 with the violations when the driver is already on another trip', async () => {
+            const other = { tripNumber: 'T-199', scheduledDepartureTime: at(3), scheduledArrivalTime: at(6) };
+
+            await expect(assign(driver(), [other])).rejects.toMatchObject({
+                statusCode: 409,
+                details: { violations: [expect.objectContaining({ rule: 'overlap', role: 'driver' })] },
+            });
+        });
+
+        it('answers 404 when the bus does not exist', async () => {
+            Bus.findById.mockReturnValue(query(null));
+
+            await expect(assign(driver())).rejects.toMatchObject({ statusCode: 404, message: 'Bus not found' });
+        });
+    });
+
+    describe('checkDutyRules', () => {
+        const trip = (number, from, to) => ({
+            tripNumber: number,
+            scheduledDepartureTime: at(from),
+            scheduledArrivalTime: at(to),
+        });
+
+        it('allows trips separated by the minimum break', () => {
+            const proposed = trip('T-2', 4.5, 8);
+
+            expect(checkDutyRules([trip('T-1', 0, 4), proposed], proposed, 'driver')).toEqual([]);
+        });
+
+        it('flags a break shorter than the minimum', () => {
+            const proposed = trip('T-2', 4.1, 8);
+
+            expect(checkDutyRules([trip('T-1', 0, 4), proposed], proposed, 'conductor'))
+                .toEqual([expect.objectContaining({ rule: 'break' })]);
+        });
+
+        it('flags a duty longer than the maximum', () => {
+            const proposed = trip('T-3', 10, 13);
+            const rules = checkDutyRules([trip('T-1', 0, 4), trip('T-2', 5, 9), proposed], proposed, 'conductor');
+
+            expect(rules.map((v) => v.rule)).toEqual(['duty-length']);
+        });
+
+        it('limits daily driving for drivers only', () => {
+            const proposed = trip('T-3', 22, 27);
+            const trips = [trip('T-1', 0, 5), trip('T-2', 16, 21), proposed];
+
+            expect(checkDutyRules(trips, proposed, 'driver').map((v) => v.rule)).toContain('daily-driving');
+            expect(checkDutyRules(trips, proposed, 'conductor').map((v) => v.rule)).not.toContain('daily-driving');
+        });
+    });
+});
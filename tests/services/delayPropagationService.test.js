@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+const etaService = require('../../src/services/etaService');
+const delayPropagationService = require('../../src/services/delayPropagationService');
+const { query } = require('../queryMock');
+
+describe('delayPropagationService', () => {
+    const start = new Date('2025-10-01T06:00:00Z').getTime();
+    const at = (minutes) => new Date(start + minutes * 60 * 1000);
+    const busId = new mongoose.Types.ObjectId();
+    const trip = (tripNumber, from, to, fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber,
+        busId,
+        status: 'scheduled',
+        scheduledDepartureTime: at(from),
+        scheduledArrivalTime: at(to),
+        ...fields,
+    });
+    const staleProjection = (causedByTripId) => ({ minutes: 12, causedByTripId });
+
+    beforeEach(() => {
+        jest.spyOn(Trip, 'bulkWrite').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getExpectedArrival', () => {
+        it('uses the predicted arrival at the last stop', async () => {
+            jest.spyOn(etaService, 'predictTripEta').mockResolvedValue({
+                predictions: [{ predictedArrival: at(50) }, { predictedArrival: at(95) }],
+            });
+
+            await expect(delayPropagationService.getExpectedArrival(trip('T-1', 0, 90, { status: 'in-transit' })))
+                .resolves.toEqual(at(95));
+        });
+
+        it('projects the scheduled duration from the actual departure when no ETA is available', async () => {
+            jest.spyOn(etaService, 'predictTripEta').mockRejectedValue(new Error('No location reported'));
+            const running = trip('T-1', 0, 90, { status: 'in-transit', actualDepartureTime: at(20) });
+
+            await expect(delayPropagationService.getExpectedArrival(running)).resolves.toEqual(at(110));
+        });
+
+        it('expects nothing from a cancelled trip', async () => {
+            await expect(delayPropagationService.getExpectedArrival(trip('T-1', 0, 90, { status: 'cancelled' })))
+                .resolves.toBeNull();
+        });
+    });
+
+    describe('propagateFromTrip', () => {
+        it('pushes late departures down the chain and clears projections once the bus catches up', async () => {
+            // Arrived 10 minutes late; the minimum turnaround is 30 minutes
+            const late = trip('T-1', 0, 90, { status: 'completed', actualArrivalTime: at(100) });
+            const next = trip('T-2', 120, 180);
+            const tight = trip('T-3', 215, 260);
+            const caughtUp = trip('T-4', 300, 360, { projectedDelay: staleProjection(late._id) });
+            const untouched = trip('T-5', 400, 460);
+            jest.spyOn(Trip, 'find').mockReturnValue(query([next, tight, caughtUp, untouched]));
+
+            const result = await delayPropagationService.propagateFromTrip(late);
+
+            expect(Trip.find.mock.calls[0][0]).toMatchObject({
+                busId,
+                status: { $in: ['scheduled', 'boarding'] },
+                scheduledDepartureTime: { $gt: at(0) },
+            });
+            expect(result.expectedArrival).toEqual(at(100));
+            expect(result.projected).toEqual([
+                expect.objectContaining({
+                    tripNumber: 'T-2',
+                    minutes: 10,
+                    estimatedDepartureTime: at(130),
+                    estimatedArrivalTime: at(190),
+                    causedByTripId: late._id,
+                }),
+                expect.objectContaining({ tripNumber: 'T-3', minutes: 5, estimatedDepartureTime: at(220) }),
+            ]);
+            expect(result.cleared).toBe(1);
+
+            const [operations] = Trip.bulkWrite.mock.calls[0];
+            expect(operations.map(({ updateOne }) => updateOne.filter._id)).toEqual([next._id, tight._id, caughtUp._id]);
+            expect(operations[2].updateOne.update).toEqual({ $unset: { projectedDelay: 1 } });
+        });
+
+        it('clears a projection that falls below the minimum delay', async () => {
+            const late = trip('T-1', 0, 90, { status: 'completed', actualArrivalTime: at(93) });
+            const next = trip('T-2', 120, 180, { projectedDelay: staleProjection(late._id) });
+            jest.spyOn(Trip, 'find').mockReturnValue(query([next]));
+
+            const result = await delayPropagationService.propagateFromTrip(late);
+
+            expect(result).toMatchObject({ projected: [], cleared: 1 });
+        });
+
+        it('clears the projections a cancelled trip caused', async () => {
+            const cancelled = trip('T-1', 0, 90, { status: 'cancelled' });
+            jest.spyOn(Trip, 'find').mockReturnValue(query([
+                trip('T-2', 120, 180, { projectedDelay: staleProjection(cancelled._id) }),
+                trip('T-3', 240, 300),
+            ]));
+
+            const result = await delayPropagationService.propagateFromTrip(cancelled);
+
+            expect(result).toMatchObject({ expectedArrival: null, projected: [], cleared: 1 });
+        });
+
+        it('writes nothing when every later trip can leave on time', async () => {
+            jest.spyOn(Trip, 'find').mockReturnValue(query([trip('T-2', 150, 210)]));
+
+            await delayPropagationService.propagateFromTrip(trip('T-1', 0, 90, {
+                status: 'completed', actualArrivalTime: at(90),
+            }));
+
+            expect(Trip.bulkWrite).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('processLocation', () => {
+        beforeEach(() => {
+            jest.spyOn(Trip, 'find').mockReturnValue(query([]));
+            jest.spyOn(etaService, 'predictTripEta').mockResolvedValue({ predictions: [] });
+        });
+
+        it('recomputes for a delayed trip at most once per interval', async () => {
+            const delayed = trip('T-1', 0, 90, { status: 'delayed' });
+
+            await expect(delayPropagationService.processLocation(delayed, false)).resolves.not.toBeNull();
+            await expect(delayPropagationService.processLocation(delayed, false)).resolves.toBeNull();
+            await expect(delayPropagationService.processLocation(delayed, true)).resolves.not.toBeNull();
+        });
+
+        it('skips an on-time trip that caused no projections', async () => {
+            jest.spyOn(Trip, 'exists').mockResolvedValue(null);
+            const running = trip('T-1', 0, 90, { status: 'in-transit' });
+
+            await expect(delayPropagationService.processLocation(running, false)).resolves.toBeNull();
+            expect(Trip.exists).toHaveBeenCalledWith({ 'projectedDelay.causedByTripId': running._id });
+        });
+
+        it('propagates when a trip finishes', async () => {
+            const completed = trip('T-1', 0, 90, { status: 'completed', actualArrivalTime: at(100) });
+
+            await expect(delayPropagationService.processLocation(completed, false)).resolves.toBeNull();
+            await expect(delayPropagationService.processLocation(completed, true))
+                .resolves.toMatchObject({ expectedArrival: at(100) });
+        });
+    });
+});
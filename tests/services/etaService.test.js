@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Route = require('../../src/models/Route');
+const Trip = require('../../src/models/Trip');
+const LocationUpdate = require('../../src/models/LocationUpdate');
+const StopEvent = require('../../src/models/StopEvent');
+const { buildStopPath, getScheduledStopTimes, predictTripEta } = require('../../src/services/etaService');
+const { query } = require('../queryMock');
+
+describe('etaService', () => {
+    const now = new Date('2025-10-01T08:00:00Z').getTime();
+    const minutes = (n) => n * 60 * 1000;
+    // Three stops on a meridian, about 11.1 km apart
+    const stop = (order, lat) => ({
+        _id: new mongoose.Types.ObjectId(), name: `Stop ${order}`, order, coordinates: { lat, lng: 80 },
+    });
+    const route = {
+        _id: new mongoose.Types.ObjectId(),
+        distance: 33.3,
+        estimatedDuration: 60,
+        stops: [stop(3, 6.2), stop(1, 6.0), stop(2, 6.1)],
+    };
+    const trip = (fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber: 'T-400',
+        routeId: route._id,
+        busId: new mongoose.Types.ObjectId(),
+        status: 'in-transit',
+        scheduledDepartureTime: new Date(now - minutes(30)),
+        scheduledArrivalTime: new Date(now + minutes(30)),
+        ...fields,
+    });
+
+    describe('buildStopPath', () => {
+        it('orders the stops and scales straight-line distances to the road distance', () => {
+            const path = buildStopPath(route);
+
+            expect(path.stops.map((s) => s.order)).toEqual([1, 2, 3]);
+            expect(path.scale).toBeCloseTo(1.5, 1);
+            expect(path.cumulativeKm[2]).toBeCloseTo(33.3, 5);
+        });
+
+        it('keeps straight-line distances when the road distance is shorter', () => {
+            expect(buildStopPath({ ...route, distance: 5 }).scale).toBe(1);
+        });
+    });
+
+    describe('getScheduledStopTimes', () => {
+        it('interpolates stop times by distance', () => {
+            const times = getScheduledStopTimes(trip(), buildStopPath(route));
+
+            expect(times[0].getTime()).toBe(now - minutes(30));
+            expect(times[1].getTime()).toBeCloseTo(now, -3);
+            expect(times[2].getTime()).toBe(now + minutes(30));
+        });
+    });
+
+    describe('predictTripEta', () => {
+        let locations;
+
+        beforeEach(() => {
+            locations = [];
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+            jest.spyOn(Trip, 'find').mockReturnValue(query([]));
+            jest.spyOn(StopEvent, 'find').mockReturnValue(query([]));
+            jest.spyOn(LocationUpdate, 'find').mockImplementation(() => query(locations));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('refuses finished trips', async () => {
+            await expect(predictTripEta(trip({ status: 'completed' }))).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it('shifts the schedule by the late departure of a trip that has not left', async () => {
+            const eta = await predictTripEta(trip({
+                status: 'scheduled',
+                scheduledDepartureTime: new Date(now - minutes(10)),
+                scheduledArrivalTime: new Date(now + minutes(50)),
+            }));
+
+            expect(eta.basedOn).toBeNull();
+            expect(eta.predictions.map((p) => p.name)).toEqual(['Stop 2', 'Stop 3']);
+            expect(eta.predictions.every((p) => p.delayMinutes === 10)).toBe(true);
+        });
+
+        it('predicts the stops ahead of the latest position', async () => {
+            locations = [{
+                _id: new mongoose.Types.ObjectId(),
+                coordinates: { lat: 6.15, lng: 80 },
+                speed: 33.3,
+                timestamp: new Date(now),
+            }];
+
+            const eta = await predictTripEta(trip());
+
+            expect(eta.basedOn).toMatchObject({ ageSeconds: 0, offRouteKm: 0 });
+            expect(eta.progressKm).toBeCloseTo(25, 0);
+            expect(eta.predictions).toHaveLength(1);
+            expect(eta.predictions[0]).toMatchObject({ name: 'Stop 3', distanceKm: 8.3 });
+            // About 8.3 km at the 33.3 km/h the bus and the schedule both run at
+            expect(eta.predictions[0].predictedArrival.getTime()).toBeCloseTo(now + minutes(15), -5);
+        });
+    });
+});
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const FareRule = require('../../src/models/FareRule');
+const Trip = require('../../src/models/Trip');
+const Route = require('../../src/models/Route');
+const Bus = require('../../src/models/Bus');
+const fareService = require('../../src/services/fareService');
+const { applyRules, getQuote } = require('../../src/services/fareRuleService');
+const { query } = require('../queryMock');
+
+describe('fareRuleService.applyRules', () => {
+    const routeId = new mongoose.Types.ObjectId();
+    const context = {
+        passengerType: 'student',
+        routeId,
+        busFeatures: ['AC', 'WiFi'],
+        serviceClass: 'semi-luxury',
+        date: new Date('2025-10-01T08:00:00Z'),
+    };
+    const rule = (fields) => ({ _id: new mongoose.Types.ObjectId(), stopProcessing: false, ...fields });
+
+    it('returns the base fare when no rule matches', () => {
+        const rules = [rule({
+            name: 'Senior', passengerTypes: ['senior'], action: 'percent', value: -50,
+        })];
+        expect(applyRules(240, context, rules)).toEqual({ fare: 240, adjustments: [] });
+    });
+
+    it('applies matching rules in order and itemizes each step', () => {
+        const rules = [
+            rule({
+                name: 'Semi-luxury', priority: 1, serviceClasses: ['semi-luxury'], action: 'multiply', value: 1.5,
+            }),
+            rule({
+                name: 'AC', priority: 2, busFeatures: ['AC'], action: 'percent', value: 20,
+            }),
+            rule({
+                name: 'Student', priority: 3, passengerTypes: ['student'], action: 'amount', value: -30,
+            }),
+        ];
+
+        const { fare, adjustments } = applyRules(100, context, rules);
+
+        expect(fare).toBe(150);
+        expect(adjustments.map(({
+            name, fareBefore, fareAfter, change,
+        }) => ({
+            name, fareBefore, fareAfter, change,
+        }))).toEqual([
+            {
+                name: 'Semi-luxury', fareBefore: 100, fareAfter: 150, change: 50,
+            },
+            {
+                name: 'AC', fareBefore: 150, fareAfter: 180, change: 30,
+            },
+            {
+                name: 'Student', fareBefore: 180, fareAfter: 150, change: -30,
+            },
+        ]);
+    });
+
+    it('rounds every step up to a whole rupee, without floating point drift', () => {
+        expect(applyRules(100, context, [rule({ action: 'multiply', value: 1.1 })]).fare).toBe(110);
+        expect(applyRules(95, context, [rule({ action: 'percent', value: -50 })]).fare).toBe(48);
+    });
+
+    it('never goes below zero', () => {
+        expect(applyRules(20, context, [rule({ action: 'amount', value: -50 })]).fare).toBe(0);
+    });
+
+    it('stops after a rule that stops processing', () => {
+        const rules = [
+            rule({
+                name: 'Child', action: 'fixed', value: 50, stopProcessing: true,
+            }),
+            rule({ name: 'AC', action: 'percent', value: 20 }),
+        ];
+        const { fare, adjustments } = applyRules(240, context, rules);
+        expect(fare).toBe(50);
+        expect(adjustments).toHaveLength(1);
+    });
+
+    it('requires every bus feature a rule lists', () => {
+        const rules = [rule({ busFeatures: ['AC', 'Rest Room'], action: 'amount', value: 40 })];
+        expect(applyRules(100, context, rules).fare).toBe(100);
+    });
+
+    it('matches routes by ID', () => {
+        const rules = [
+            rule({ routeIds: [new mongoose.Types.ObjectId()], action: 'amount', value: 10 }),
+            rule({ routeIds: [routeId.toString()], action: 'amount', value: 5 }),
+        ];
+        expect(applyRules(100, context, rules).fare).toBe(105);
+    });
+
+    it('only applies rules in effect on the travel date', () => {
+        const rules = [
+            rule({ effectiveFrom: new Date('2025-11-01'), action: 'amount', value: 10 }),
+            rule({ effectiveUntil: new Date('2025-10-01T08:00:00Z'), action: 'amount', value: 20 }),
+            rule({
+                effectiveFrom: new Date('2025-09-01'), effectiveUntil: new Date('2025-12-01'), action: 'amount', value: 5,
+            }),
+        ];
+        expect(applyRules(100, context, rules).fare).toBe(105);
+    });
+});
+
+describe('fareRuleService.getQuote', () => {
+    const stop = (name, order) => ({ _id: new mongoose.Types.ObjectId(), name, order });
+    const route = {
+        _id: new mongoose.Types.ObjectId(),
+        routeNumber: '138',
+        name: 'Pettah - Homagama',
+        stops: [stop('Pettah', 1), stop('Nugegoda', 2), stop('Homagama', 3)],
+    };
+    const bus = {
+        _id: new mongoose.Types.ObjectId(), registrationNumber: 'NB-1000', features: ['AC'], serviceClass: 'luxury',
+    };
+    const trip = {
+        _id: new mongoose.Types.ObjectId(), tripNumber: 'T-100', routeId: route._id, busId: bus._id,
+    };
+    const date = new Date('2025-10-01T08:00:00Z');
+    const acRule = {
+        _id: new mongoose.Types.ObjectId(), name: 'AC', busFeatures: ['AC'], action: 'percent', value: 50,
+    };
+
+    beforeEach(() => {
+        jest.spyOn(Trip, 'findById').mockReturnValue(query(trip));
+        jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+        jest.spyOn(Bus, 'findById').mockReturnValue(query(bus));
+        jest.spyOn(FareRule, 'find').mockReturnValue(query([acRule]));
+        jest.spyOn(fareService, 'priceSegment').mockResolvedValue({
+            stops: route.stops,
+            fromIndex: 0,
+            toIndex: 2,
+            date,
+            fare: {
+                amount: 120, fromStage: 1, toStage: 3, source: 'route',
+            },
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('prices a trip on its route and bus, with the rules that match the bus', async () => {
+        const quote = await getQuote({ tripId: trip._id, from: 'Pettah', to: 'Homagama' });
+
+        expect(Route.findById).toHaveBeenCalledWith(route._id);
+        expect(Bus.findById).toHaveBeenCalledWith(bus._id);
+        expect(fareService.priceSegment).toHaveBeenCalledWith(route, expect.objectContaining({ trip, from: 'Pettah', to: 'Homagama' }));
+        expect(quote).toMatchObject({
+            trip: { tripNumber: 'T-100' },
+            bus: { registrationNumber: 'NB-1000', serviceClass: 'luxury', features: ['AC'] },
+            from: { name: 'Pettah', fareStage: 1 },
+            to: { name: 'Homagama', fareStage: 3 },
+            passengerType: 'adult',
+            baseFare: { amount: 120, source: 'route' },
+            adjustments: [{ name: 'AC', fareBefore: 120, fareAfter: 180 }],
+            fare: 180,
+        });
+    });
+
+    it('prices a route without a bus as a normal service', async () => {
+        const quote = await getQuote({
+            routeId: route._id, from: 'Pettah', to: 'Homagama', date, passengerType: 'student',
+        });
+
+        expect(Trip.findById).not.toHaveBeenCalled();
+        expect(Bus.findById).not.toHaveBeenCalled();
+        expect(quote).toMatchObject({
+            trip: null, bus: null, passengerType: 'student', adjustments: [], fare: 120,
+        });
+    });
+
+    it.each([
+        ['an unknown trip', () => Trip.findById.mockReturnValue(query(null)), { tripId: trip._id }, 404, 'Trip not found'],
+        ['an unknown route', () => Route.findById.mockReturnValue(query(null)), { routeId: route._id }, 404, 'Route not found'],
+        ['an unknown bus', () => Bus.findById.mockReturnValue(query(null)), { routeId: route._id, busId: bus._id }, 404, 'Bus not found'],
+        [
+            'a route with one stop',
+            () => Route.findById.mockReturnValue(query({ ...route, stops: route.stops.slice(0, 1) })),
+            { routeId: route._id },
+            400,
+            'Route 138 has no stops to price between',
+        ],
+    ])('refuses a quote for %s', async (name, arrange, options, statusCode, message) => {
+        arrange();
+
+        await expect(getQuote({ ...options, from: 'Pettah', to: 'Homagama' })).rejects.toMatchObject({ statusCode, message });
+    });
+});
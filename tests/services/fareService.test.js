@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const FareTable = require('../../src/models/FareTable');
+const Route = require('../../src/models/Route');
+const fareService = require('../../src/services/fareService');
+const { query } = require('../queryMock');
+
+describe('fareService', () => {
+    // Four stops on a meridian, equally spaced; listed out of order
+    const stop = (order, name, lat, fareStage) => ({
+        _id: new mongoose.Types.ObjectId(), name, order, fareStage, coordinates: { lat, lng: 80 },
+    });
+    const route = {
+        _id: new mongoose.Types.ObjectId(),
+        routeNumber: '138',
+        name: 'Pettah - Nugegoda Junction',
+        distance: 30,
+        fare: 280,
+        stops: [
+            stop(3, 'Nugegoda', 6.2, 2),
+            stop(1, 'Pettah', 6.0, 1),
+            stop(4, 'Nugegoda Junction', 6.3, 3),
+            stop(2, 'Borella', 6.1, 1),
+        ],
+    };
+    const stops = [...route.stops].sort((a, b) => a.order - b.order);
+    const table = (effectiveFrom, fares, minimumFare = 30) => ({
+        _id: new mongoose.Types.ObjectId(),
+        routeId: route._id,
+        effectiveFrom: new Date(effectiveFrom),
+        minimumFare,
+        fares: fares.map(([fromStage, toStage, amount]) => ({ fromStage, toStage, amount })),
+    });
+    const current = table('2025-06-01T00:00:00Z', [[1, 2, 40], [1, 3, 90]]);
+    const previous = table('2025-01-01T00:00:00Z', [[1, 2, 35], [1, 3, 80], [2, 3, 45]], 25);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getStages', () => {
+        it('reads the fare stages in stop order', () => {
+            expect(fareService.getStages(route)).toEqual([1, 1, 2, 3]);
+        });
+
+        it('makes every stop its own stage unless all stops are staged', () => {
+            const partly = { ...route, stops: route.stops.map((s) => (s.order === 4 ? { ...s, fareStage: undefined } : s)) };
+
+            expect(fareService.getStages(partly)).toEqual([1, 2, 3, 4]);
+        });
+    });
+
+    describe('checkCoverage', () => {
+        it('lists unpriced stage pairs and stages not on the route', () => {
+            expect(fareService.checkCoverage(route, [{ fromStage: 1, toStage: 2 }, { fromStage: 1, toStage: 9 }])).toEqual({
+                missing: [{ fromStage: 1, toStage: 3 }, { fromStage: 2, toStage: 3 }],
+                unknown: [9],
+            });
+        });
+    });
+
+    describe('findStopIndex', () => {
+        it('finds a stop by ID', () => {
+            expect(fareService.findStopIndex(stops, stops[2]._id.toString())).toBe(2);
+        });
+
+        it('prefers an exact name over partial matches', () => {
+            expect(fareService.findStopIndex(stops, ' nugegoda ')).toBe(2);
+            expect(fareService.findStopIndex(stops, 'junction')).toBe(3);
+        });
+
+        it('rejects a name that matches more than one stop', () => {
+            expect(() => fareService.findStopIndex(stops, 'Nuge')).toThrow(expect.objectContaining({
+                statusCode: 400,
+                details: { matches: ['Nugegoda', 'Nugegoda Junction'] },
+            }));
+        });
+
+        it('answers 404 for a stop that is not on the route', () => {
+            expect(() => fareService.findStopIndex(stops, 'Kandy')).toThrow(expect.objectContaining({
+                statusCode: 404,
+                message: 'Stop "Kandy" is not on this route',
+            }));
+            expect(() => fareService.findStopIndex(stops, new mongoose.Types.ObjectId().toString()))
+                .toThrow(expect.objectContaining({ statusCode: 404 }));
+        });
+    });
+
+    describe('createPricer', () => {
+        it('pro-rates the route fare by distance without a fare table', () => {
+            const { price } = fareService.createPricer(route);
+
+            expect(price(0, 3)).toEqual({
+                amount: 280, fromStage: 1, toStage: 3, source: 'route-fare', fareTable: null,
+            });
+            // A third and two thirds of the route, rounded up
+            expect(price(0, 1).amount).toBe(94);
+            expect(price(1, 3).amount).toBe(187);
+        });
+
+        it('prices stage pairs from the fare table in effect on the travel date', () => {
+            const { price } = fareService.createPricer(route, [current, previous]);
+
+            expect(price(0, 2, new Date('2025-07-01T00:00:00Z'))).toEqual({
+                amount: 40,
+                fromStage: 1,
+                toStage: 2,
+                source: 'fare-table',
+                fareTable: { _id: current._id, effectiveFrom: current.effectiveFrom },
+            });
+            expect(price(0, 2, new Date('2025-03-01T00:00:00Z'))).toMatchObject({ amount: 35, fareTable: { _id: previous._id } });
+        });
+
+        it('charges the minimum fare within one stage', () => {
+            const { price } = fareService.createPricer(route, [current]);
+
+            expect(price(0, 1, new Date('2025-07-01T00:00:00Z'))).toMatchObject({ amount: 30, source: 'fare-table' });
+        });
+
+        it('falls back to the pro-rated route fare for a pair the table does not list', () => {
+            const { price } = fareService.createPricer(route, [current]);
+
+            expect(price(2, 3, new Date('2025-07-01T00:00:00Z'))).toMatchObject({ amount: 94, source: 'route-fare' });
+        });
+
+        it('falls back to the route fare before the first fare table', () => {
+            const { price } = fareService.createPricer(route, [current]);
+
+            expect(price(0, 3, new Date('2025-03-01T00:00:00Z'))).toMatchObject({ amount: 280, source: 'route-fare' });
+        });
+
+        it("pro-rates a trip's own fare and otherwise prices at its departure", () => {
+            const { tripFare } = fareService.createPricer(route, [current, previous]);
+            const trip = { scheduledDepartureTime: new Date('2025-03-01T06:00:00Z') };
+
+            expect(tripFare({ ...trip, fare: 200 })).toMatchObject({ amount: 200, source: 'trip' });
+            expect(tripFare({ ...trip, fare: 200 }, 1, 3)).toMatchObject({ amount: 134, source: 'trip' });
+            expect(tripFare(trip, 1, 3)).toMatchObject({ amount: 80, source: 'fare-table' });
+        });
+    });
+
+    describe('priceSegment', () => {
+        beforeEach(() => {
+            jest.spyOn(FareTable, 'find').mockReturnValue(query([current, previous]));
+        });
+
+        it('prices between two stops given by name, from the first and to the last stop by default', async () => {
+            const segment = await fareService.priceSegment(route, { from: 'Borella', date: new Date('2025-07-01T00:00:00Z') });
+
+            expect(FareTable.find).toHaveBeenCalledWith({
+                routeId: { $in: [route._id] },
+                effectiveFrom: { $lte: new Date('2025-07-01T00:00:00Z') },
+            });
+            expect(segment).toMatchObject({ fromIndex: 1, toIndex: 3, fare: { amount: 90, source: 'fare-table' } });
+        });
+
+        it('rejects stops given against the direction of travel', async () => {
+            await expect(fareService.priceSegment(route, { from: 'Nugegoda', to: 'Pettah' })).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'Pettah does not come after Nugegoda on this route',
+            });
+        });
+    });
+
+    describe('getTripFare', () => {
+        it("prices the whole trip from the route's fare table", async () => {
+            jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+            jest.spyOn(FareTable, 'find').mockReturnValue(query([current]));
+
+            await expect(fareService.getTripFare({
+                routeId: { _id: route._id }, scheduledDepartureTime: new Date('2025-07-01T06:00:00Z'),
+            })).resolves.toEqual({
+                amount: 90, source: 'fare-table', fareTable: { _id: current._id, effectiveFrom: current.effectiveFrom },
+            });
+        });
+
+        it("falls back to the trip's own fare when the route is gone", async () => {
+            jest.spyOn(Route, 'findById').mockReturnValue(query(null));
+
+            await expect(fareService.getTripFare({ routeId: route._id, fare: 210 }))
+                .resolves.toEqual({ amount: 210, source: 'trip', fareTable: null });
+            await expect(fareService.getTripFare({ routeId: route._id })).resolves.toBeNull();
+        });
+    });
+});
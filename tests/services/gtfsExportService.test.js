@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Operator = require('../../src/models/Operator');
+const Route = require('../../src/models/Route');
+const Bus = require('../../src/models/Bus');
+const Trip = require('../../src/models/Trip');
+const { buildFeed, stopIdOf } = require('../../src/services/gtfsExportService');
+const { encodePolyline } = require('../../src/utils/geo');
+const { readZip } = require('../../src/utils/zip');
+const { parseCsv } = require('../../src/utils/csv');
+const { query } = require('../queryMock');
+
+describe('gtfsExportService', () => {
+    const stop = (order, name, lat) => ({
+        _id: new mongoose.Types.ObjectId(), name, order, coordinates: { lat, lng: 80 },
+    });
+    const route = {
+        _id: new mongoose.Types.ObjectId(),
+        routeNumber: '138',
+        name: 'Pettah - Homagama',
+        origin: 'Pettah',
+        destination: 'Homagama',
+        distance: 33.3,
+        stops: [stop(1, 'Pettah', 6.0), stop(2, 'Nugegoda', 6.1), stop(3, 'Homagama', 6.2)],
+        shape: { polyline: encodePolyline([{ lat: 6.0, lng: 80 }, { lat: 6.1, lng: 80.01 }, { lat: 6.2, lng: 80 }]) },
+    };
+    const operator = (registrationNumber, name) => ({
+        _id: new mongoose.Types.ObjectId(), registrationNumber, name, contactPerson: { phone: '0112345678' },
+    });
+    const operators = [operator('OP-1', 'Sudu Bus'), operator('OP-2', 'Nil Bus')];
+    const buses = operators.map((op, index) => ({
+        _id: new mongoose.Types.ObjectId(), registrationNumber: `NB-${index + 1}000`, operatorId: op._id,
+    }));
+    // Departures at 06:30 local time (Asia/Colombo, UTC+05:30), arriving an hour later
+    const trip = (tripNumber, bus, departure, routeId = route._id) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber,
+        routeId,
+        busId: bus._id,
+        scheduledDepartureTime: new Date(departure),
+        scheduledArrivalTime: new Date(new Date(departure).getTime() + 60 * 60 * 1000),
+    });
+
+    const readFeed = (buffer) => {
+        const archive = readZip(buffer);
+        return Object.fromEntries([...archive.keys()].map((name) => [name, parseCsv(archive.get(name).toString()).rows]));
+    };
+
+    beforeEach(() => {
+        jest.spyOn(Trip, 'find').mockReturnValue(query([
+            trip('T-1', buses[0], '2025-10-01T01:00:00Z'),
+            trip('T-2', buses[1], '2025-10-02T01:00:00Z'),
+            trip('T-3', buses[0], '2025-10-02T04:00:00Z', new mongoose.Types.ObjectId()),
+        ]));
+        jest.spyOn(Route, 'find').mockReturnValue(query([route]));
+        jest.spyOn(Bus, 'find').mockReturnValue(query(buses));
+        jest.spyOn(Operator, 'find').mockReturnValue(query(operators));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('exports the trips of the service days from local midnight', async () => {
+        const feed = await buildFeed({ from: new Date('2025-10-01T00:00:00Z'), days: 7 });
+
+        expect(Trip.find.mock.calls[0][0]).toEqual({
+            status: { $ne: 'cancelled' },
+            scheduledDepartureTime: { $gte: new Date('2025-09-30T18:30:00Z'), $lt: new Date('2025-10-07T18:30:00Z') },
+        });
+        expect(feed).toMatchObject({ startDate: '20251001', endDate: '20251002' });
+        // The trip whose route no longer exists is left out
+        expect(feed.counts).toMatchObject({
+            'agency.txt': 2,
+            'routes.txt': 2,
+            'stops.txt': 3,
+            'trips.txt': 2,
+            'stop_times.txt': 6,
+            'calendar_dates.txt': 2,
+            'shapes.txt': 3,
+            'feed_info.txt': 1,
+        });
+    });
+
+    it('lists a route once per operator, sharing its stops and shape', async () => {
+        const feed = readFeed((await buildFeed({ from: new Date('2025-10-01T00:00:00Z'), days: 7 })).buffer);
+
+        expect(feed['routes.txt'].map((r) => [r.route_id, r.agency_id])).toEqual([['138-OP-1', 'OP-1'], ['138-OP-2', 'OP-2']]);
+        expect(feed['trips.txt']).toEqual([
+            expect.objectContaining({
+                route_id: '138-OP-1', service_id: '20251001', trip_id: 'T-1', block_id: 'NB-1000', shape_id: '138',
+            }),
+            expect.objectContaining({ route_id: '138-OP-2', service_id: '20251002', trip_id: 'T-2' }),
+        ]);
+        expect(feed['agency.txt'][0]).toMatchObject({ agency_timezone: 'Asia/Colombo', agency_phone: '0112345678' });
+    });
+
+    it('interpolates local stop times, with no drop-off at the first stop and no pickup at the last', async () => {
+        const feed = readFeed((await buildFeed({ from: new Date('2025-10-01T00:00:00Z'), days: 7 })).buffer);
+        const times = feed['stop_times.txt'].filter((row) => row.trip_id === 'T-1');
+
+        expect(times.map((row) => row.departure_time)).toEqual(['06:30:00', '07:00:00', '07:30:00']);
+        expect(times.map((row) => row.stop_id)).toEqual(route.stops.map(stopIdOf));
+        expect(times.map((row) => [row.pickup_type, row.drop_off_type])).toEqual([['0', '1'], ['0', '0'], ['1', '0']]);
+    });
+
+    it('derives stop IDs from the name and position', () => {
+        const [pettah] = route.stops;
+
+        expect(stopIdOf({ ...pettah, name: ' PETTAH ', coordinates: { lat: 6.00001, lng: 80 } })).toBe(stopIdOf(pettah));
+        expect(stopIdOf({ ...pettah, coordinates: { lat: 6.001, lng: 80 } })).not.toBe(stopIdOf(pettah));
+    });
+
+    it('exports an empty feed when no trips run', async () => {
+        Trip.find.mockReturnValue(query([]));
+
+        const feed = await buildFeed({ from: new Date('2025-10-01T00:00:00Z'), days: 7 });
+
+        expect(feed).toMatchObject({ startDate: null, endDate: null });
+        expect(feed.counts['feed_info.txt']).toBeUndefined();
+        expect(feed.counts['trips.txt']).toBe(0);
+    });
+});
@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const Operator = require('../../src/models/Operator');
+const Route = require('../../src/models/Route');
+const Bus = require('../../src/models/Bus');
+const Trip = require('../../src/models/Trip');
+const { importFeed } = require('../../src/services/gtfsImportService');
+const { createZip } = require('../../src/utils/zip');
+const { query } = require('../queryMock');
+
+describe('gtfsImportService.importFeed', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com' };
+    // Wednesday 1 October, 05:30 local time (Asia/Colombo, UTC+05:30); two service days
+    const window = { from: new Date('2025-10-01T00:00:00Z'), days: 2, user };
+    let operator;
+    let bus;
+    // Stand-in for the routes and trips collections
+    let db;
+
+    const files = (overrides = {}) => ({
+        'agency.txt': [
+            'agency_id,agency_name,agency_url,agency_timezone,agency_phone,agency_email',
+            'OP-1,Sudu Bus,https://sudubus.lk,Asia/Colombo,011 234 5678,info@sudubus.lk',
+        ],
+        'stops.txt': [
+            'stop_id,stop_name,stop_lat,stop_lon',
+            'S1,Pettah,6.0,80.0',
+            'S2,Nugegoda,6.1,80.0',
+            'S3,Homagama,6.2,80.0',
+        ],
+        'routes.txt': [
+            'route_id,agency_id,route_short_name,route_long_name,route_type',
+            'R138,OP-1,138,Pettah - Homagama,3',
+        ],
+        'trips.txt': [
+            'route_id,service_id,trip_id,block_id',
+            'R138,DAILY,T1,NB-1000',
+            'R138,DAILY,T2,NB-1000',
+        ],
+        'stop_times.txt': [
+            'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+            'T1,06:30:00,06:30:00,S1,1',
+            'T1,07:00:00,07:00:00,S2,2',
+            'T1,07:30:00,07:30:00,S3,3',
+            'T2,12:00:00,12:00:00,S1,1',
+            'T2,12:30:00,12:30:00,S2,2',
+            'T2,13:00:00,13:00:00,S3,3',
+        ],
+        'calendar.txt': [
+            'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date',
+            'DAILY,1,1,1,1,1,1,1,20250901,20251231',
+        ],
+        'fare_attributes.txt': ['fare_id,price,currency_type,payment_method,transfers', 'F1,300,LKR,0,0'],
+        'fare_rules.txt': ['fare_id,route_id', 'F1,R138'],
+        ...overrides,
+    });
+    // An override of undefined leaves the file out
+    const zip = (overrides) => createZip(Object.entries(files(overrides))
+        .filter(([, lines]) => lines)
+        .map(([name, lines]) => ({ name, content: `${lines.join('\r\n')}\r\n` })));
+
+    beforeEach(() => {
+        operator = new Operator({
+            name: 'Sudu Bus',
+            registrationNumber: 'OP-1',
+            contactPerson: { name: 'Nimal Perera', phone: '0112345678', email: 'info@sudubus.lk' },
+            licenseNumber: 'LIC-001',
+            licenseExpiry: new Date('2030-01-01T00:00:00Z'),
+        });
+        bus = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'NB-1000', operatorId: operator._id };
+        db = { routes: [], trips: [] };
+
+        jest.spyOn(Operator, 'find').mockImplementation(() => query([operator]));
+        jest.spyOn(Operator, 'findById').mockImplementation(() => query(operator));
+        jest.spyOn(Operator.prototype, 'save').mockImplementation(function save() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Bus, 'find').mockImplementation(() => query([bus]));
+        jest.spyOn(Route, 'find').mockImplementation(() => query(db.routes));
+        jest.spyOn(Route, 'create').mockImplementation(async (set) => {
+            const route = new Route(set);
+            db.routes.push(route);
+            return route;
+        });
+        jest.spyOn(Route.prototype, 'save').mockImplementation(function save() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Route, 'deleteOne').mockResolvedValue({});
+        // Looked up by trip number while planning; the bus's other trips are none
+        jest.spyOn(Trip, 'find').mockImplementation((filter) => query(filter.tripNumber.$in
+            ? db.trips.filter((trip) => filter.tripNumber.$in.includes(trip.tripNumber))
+            : []));
+        jest.spyOn(Trip, 'bulkWrite').mockImplementation(async (operations) => {
+            operations.forEach(({ updateOne: { filter, update, upsert } }) => {
+                if (upsert) {
+                    if (!db.trips.some((trip) => trip.tripNumber === filter.tripNumber)) {
+                        db.trips.push({ _id: new mongoose.Types.ObjectId(), ...update.$setOnInsert });
+                    }
+                } else {
+                    Object.assign(db.trips.find((trip) => trip._id.equals(filter._id)), update.$set);
+                }
+            });
+        });
+        jest.spyOn(Trip, 'deleteMany').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('creates the route and one trip per service day', async () => {
+        const report = await importFeed(zip(), window);
+
+        expect(report.errors).toEqual([]);
+        expect(report.operators).toMatchObject({ created: 0, unchanged: 1 });
+        expect(report.routes).toMatchObject({ created: 1 });
+        expect(report.trips).toMatchObject({ created: 4, updated: 0 });
+
+        const [route] = db.routes;
+        expect(route).toMatchObject({
+            routeNumber: '138', origin: 'Pettah', destination: 'Homagama', fare: 300, estimatedDuration: 60,
+        });
+        expect(route.stops.map((s) => s.name)).toEqual(['Pettah', 'Nugegoda', 'Homagama']);
+        expect(db.trips.map((trip) => trip.tripNumber)).toEqual([
+            'T1-20251001', 'T1-20251002', 'T2-20251001', 'T2-20251002',
+        ]);
+        expect(db.trips[0]).toMatchObject({
+            routeId: route._id,
+            busId: bus._id,
+            status: 'scheduled',
+            scheduledDepartureTime: new Date('2025-10-01T01:00:00Z'),
+            scheduledArrivalTime: new Date('2025-10-01T02:00:00Z'),
+        });
+        expect(db.trips[0].statusHistory[0]).toMatchObject({ reason: 'Imported from GTFS feed', by: user._id });
+    });
+
+    it('changes nothing when the same feed is imported again', async () => {
+        await importFeed(zip(), window);
+        const report = await importFeed(zip(), window);
+
+        expect(report.routes).toMatchObject({ created: 0, updated: 0, unchanged: 1 });
+        expect(report.trips).toMatchObject({
+            created: 0, updated: 0, unchanged: 4, changes: [],
+        });
+        expect(Route.create).toHaveBeenCalledTimes(1);
+        expect(Route.prototype.save).not.toHaveBeenCalled();
+        expect(Trip.bulkWrite).toHaveBeenCalledTimes(1);
+        expect(db.trips).toHaveLength(4);
+    });
+
+    it('updates, rather than duplicates, trips whose times changed', async () => {
+        await importFeed(zip(), window);
+        const report = await importFeed(zip({
+            'stop_times.txt': [
+                'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+                'T1,06:45:00,06:45:00,S1,1',
+                'T1,07:15:00,07:15:00,S2,2',
+                'T1,07:45:00,07:45:00,S3,3',
+                'T2,12:00:00,12:00:00,S1,1',
+                'T2,12:30:00,12:30:00,S2,2',
+                'T2,13:00:00,13:00:00,S3,3',
+            ],
+        }), window);
+
+        expect(report.trips).toMatchObject({ created: 0, updated: 2, unchanged: 2 });
+        expect(report.trips.changes[0]).toMatchObject({
+            action: 'update',
+            tripNumber: 'T1-20251001',
+            fields: ['scheduledDepartureTime', 'scheduledArrivalTime'],
+        });
+        expect(db.trips).toHaveLength(4);
+        expect(db.trips[0].scheduledDepartureTime).toEqual(new Date('2025-10-01T01:15:00Z'));
+    });
+
+    it('reports what would change without writing on a dry run', async () => {
+        const report = await importFeed(zip(), { ...window, dryRun: true });
+
+        expect(report).toMatchObject({ dryRun: true, routes: { created: 1 }, trips: { created: 4 } });
+        expect(Route.create).not.toHaveBeenCalled();
+        expect(Trip.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('undoes the writes made so far when a later write fails', async () => {
+        Trip.bulkWrite.mockRejectedValueOnce(new Error('write concern error'));
+        const newPhone = files()['agency.txt'][1].replace('011 234 5678', '0119876543');
+
+        await expect(importFeed(zip({ 'agency.txt': [files()['agency.txt'][0], newPhone] }), window))
+            .rejects.toThrow('write concern error');
+
+        const [route] = db.routes;
+        expect(Trip.deleteMany).toHaveBeenCalledWith(expect.objectContaining({
+            tripNumber: { $in: ['T1-20251001', 'T1-20251002', 'T2-20251001', 'T2-20251002'] },
+            'statusHistory.0.reason': 'Imported from GTFS feed',
+        }));
+        expect(Route.deleteOne).toHaveBeenCalledWith({ _id: route._id });
+        expect(Operator.findById).toHaveBeenCalledWith(operator._id);
+        expect(operator.contactPerson.phone).toBe('0112345678');
+        // Undone in reverse order: trips, then the route, then the operator
+        expect(Trip.deleteMany.mock.invocationCallOrder[0]).toBeLessThan(Route.deleteOne.mock.invocationCallOrder[0]);
+        expect(Route.deleteOne.mock.invocationCallOrder[0]).toBeLessThan(Operator.findById.mock.invocationCallOrder[0]);
+    });
+
+    it('skips and reports trips whose block is not a bus', async () => {
+        const report = await importFeed(zip({
+            'trips.txt': ['route_id,service_id,trip_id,block_id', 'R138,DAILY,T1,NB-1000', 'R138,DAILY,T2,NB-9999'],
+        }), window);
+
+        expect(report.trips.created).toBe(2);
+        expect(report.errors).toEqual([{
+            file: 'trips.txt',
+            line: 3,
+            message: 'Trip T2: block_id "NB-9999" is not the registration number of a bus',
+        }]);
+    });
+
+    it('rejects data that is not a GTFS feed', async () => {
+        await expect(importFeed(Buffer.from('not a zip archive at all'), window)).rejects.toMatchObject({
+            statusCode: 400,
+            message: expect.stringMatching(/^Invalid GTFS zip/),
+        });
+        await expect(importFeed(zip({ 'calendar.txt': undefined }), window)).rejects.toMatchObject({
+            statusCode: 400,
+            message: 'GTFS feed is missing calendar.txt or calendar_dates.txt',
+        });
+    });
+    it('reports invalid rows with their file and line and imports the rest', async () => {
+        const feed = files();
+        const report = await importFeed(zip({
+            'agency.txt': [...feed['agency.txt'], 'OP-2,,https://example.lk,Asia/Colombo,,'],
+            'stops.txt': [...feed['stops.txt'], 'S4,Kottawa,,80.0', 'S5,,6.3,80.0'],
+            'routes.txt': [...feed['routes.txt'], 'R1,OP-1,1,Colombo - Kandy,2', 'R2,OP-9,2,Ghost route,3'],
+            'trips.txt': [
+                ...feed['trips.txt'],
+                'R138,DAILY,T3,NB-1000',
+                'R999,DAILY,T4,NB-1000',
+                'R138,DAILY,T5,NB-1000',
+                'R138,WEEKEND,T6,NB-1000',
+            ],
+            'stop_times.txt': [
+                ...feed['stop_times.txt'],
+                'T3,15:00:00,15:00:00,S1,1',
+                'T3,14:00:00,14:00:00,S3,2',
+                'T6,16:00:00,16:00:00,S1,1',
+                'T6,17:00:00,17:00:00,S3,2',
+                'T9,18:00:00,18:00:00,S1,1',
+            ],
+            'calendar.txt': [...feed['calendar.txt'], 'BAD,1,1,1,1,1,1,1,20251231,20250901'],
+            'calendar_dates.txt': ['service_id,date,exception_type', 'DAILY,20251002,2', 'DAILY,2025-10-03,1'],
+        }), window);
+
+        expect(report.errors).toEqual([
+            { file: 'agency.txt', line: 3, message: 'agency_name is required' },
+            { file: 'stops.txt', line: 5, message: 'Stop S4: invalid coordinates' },
+            { file: 'stops.txt', line: 6, message: 'stop_id and stop_name are required' },
+            { file: 'stop_times.txt', line: 12, message: 'Trip T9: unknown trip_id "T9"' },
+            { file: 'stop_times.txt', line: 9, message: 'Trip T3: time goes backwards from the previous stop' },
+            { file: 'calendar.txt', line: 3, message: 'service_id and a valid start_date / end_date range are required' },
+            { file: 'calendar_dates.txt', line: 3, message: 'service_id, a valid date and exception_type 1 or 2 are required' },
+            { file: 'routes.txt', line: 3, message: 'Route R1: route_type 2 is not a bus service' },
+            { file: 'routes.txt', line: 4, message: 'Route R2: agency OP-9 was not imported' },
+            { file: 'trips.txt', line: 5, message: 'Trip T4: unknown route_id "R999"' },
+            { file: 'trips.txt', line: 6, message: 'Trip T5: no stop_times' },
+            { file: 'trips.txt', line: 7, message: 'Trip T6: unknown service_id "WEEKEND"' },
+        ]);
+        expect(report.errorCount).toBe(12);
+        // 2 October is removed from the service by calendar_dates.txt
+        expect(db.trips.map((trip) => trip.tripNumber)).toEqual(['T1-20251001', 'T2-20251001']);
+    });
+
+    it('creates a new agency as an inactive operator', async () => {
+        Operator.find.mockImplementation(() => query([]));
+        jest.spyOn(Operator, 'create').mockImplementation(async (set) => new Operator(set));
+        const report = await importFeed(zip({
+            'agency.txt': [
+                'agency_id,agency_name,agency_url,agency_timezone,agency_phone,agency_email,agency_license_number,agency_license_expiry',
+                'OP-2,Ratha Bus,https://rathabus.lk,Asia/Colombo,+94 11 765 4321,Info@RathaBus.lk,LIC-002,20301231',
+            ],
+            'routes.txt': ['route_id,agency_id,route_short_name,route_long_name,route_type', 'R138,OP-2,138,Pettah - Homagama,3'],
+        }), window);
+
+        expect(report.operators).toMatchObject({ created: 1, changes: [{ action: 'create', registrationNumber: 'OP-2' }] });
+        expect(Operator.create).toHaveBeenCalledWith(expect.objectContaining({
+            registrationNumber: 'OP-2',
+            status: 'inactive',
+            contactPerson: { name: 'Ratha Bus', phone: '0117654321', email: 'info@rathabus.lk' },
+            licenseExpiry: new Date('2030-12-31T18:30:00Z'),
+        }));
+        // Its buses are not registered yet
+        expect(report.trips.created).toBe(0);
+        expect(report.errors[0].message).toBe('Trip T1: bus NB-1000 does not belong to Ratha Bus (a new operator; register its buses and import again)');
+    });
+
+    it('needs the contact and license details to create an operator', async () => {
+        Operator.find.mockImplementation(() => query([]));
+        const report = await importFeed(zip({
+            'agency.txt': ['agency_id,agency_name,agency_url,agency_timezone', 'OP-2,Ratha Bus,https://rathabus.lk,Asia/Colombo'],
+        }), window);
+
+        expect(report.operators.created).toBe(0);
+        expect(report.errors).toEqual([
+            {
+                file: 'agency.txt',
+                line: 2,
+                message: 'Agency OP-2 is not a registered operator; creating it needs a 10-digit agency_phone, an agency_email, agency_license_number and agency_license_expiry (YYYYMMDD)',
+            },
+            { file: 'routes.txt', line: 2, message: 'Route R138: agency OP-1 was not imported' },
+        ]);
+    });
+
+    it('updates the name and fare of a route whose stops are unchanged', async () => {
+        await importFeed(zip(), window);
+        const report = await importFeed(zip({
+            'routes.txt': ['route_id,agency_id,route_short_name,route_long_name,route_type', 'R138,OP-1,138,Pettah - Homagama via Nugegoda,3'],
+            'fare_attributes.txt': ['fare_id,price,currency_type,payment_method,transfers', 'F1,320,LKR,0,0'],
+        }), window);
+
+        expect(report.routes).toMatchObject({
+            updated: 1, changes: [{ action: 'update', routeNumber: '138', fields: ['name', 'fare'] }],
+        });
+        expect(db.routes[0]).toMatchObject({ name: 'Pettah - Homagama via Nugegoda', fare: 320 });
+        expect(Route.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves trips that have started alone', async () => {
+        await importFeed(zip(), window);
+        db.trips[0].status = 'in-transit';
+        const report = await importFeed(zip({
+            'stop_times.txt': [
+                'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+                'T1,06:45:00,06:45:00,S1,1',
+                'T1,07:45:00,07:45:00,S3,2',
+                'T2,12:00:00,12:00:00,S1,1',
+                'T2,13:00:00,13:00:00,S3,2',
+            ],
+        }), window);
+
+        expect(report.trips).toMatchObject({
+            updated: 1, skipped: 1, changes: [{ action: 'update', tripNumber: 'T1-20251002' }],
+        });
+        expect(report.errors).toContainEqual({
+            file: 'trips.txt', line: 2, message: 'Trip T1-20251001 is in-transit and cannot be changed',
+        });
+        expect(db.trips[0].scheduledDepartureTime).toEqual(new Date('2025-10-01T01:00:00Z'));
+    });
+
+    it("skips trips that would double-book the bus, against the feed and the bus's other trips", async () => {
+        const other = {
+            tripNumber: 'X-1',
+            busId: bus._id,
+            // 07:45 - 08:30 local, 15 minutes after T1 arrives on the 2nd
+            scheduledDepartureTime: new Date('2025-10-02T02:15:00Z'),
+            scheduledArrivalTime: new Date('2025-10-02T03:00:00Z'),
+        };
+        Trip.find.mockImplementation((filter) => query(filter.tripNumber.$nin ? [other] : []));
+        const report = await importFeed(zip({
+            'stop_times.txt': [
+                'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+                'T1,06:30:00,06:30:00,S1,1',
+                'T1,07:30:00,07:30:00,S3,2',
+                'T2,07:00:00,07:00:00,S1,1',
+                'T2,08:00:00,08:00:00,S3,2',
+            ],
+        }), window);
+
+        expect(report.trips).toMatchObject({ created: 1, skipped: 3 });
+        expect(report.errors.map((error) => error.message)).toEqual([
+            'Trip T2-20251001: bus NB-1000 is already booked for T1-20251001 (overlap, minimum turnaround 30 minutes)',
+            'Trip T2-20251002: bus NB-1000 is already booked for T1-20251002 (overlap, minimum turnaround 30 minutes)',
+            'Trip T1-20251002: bus NB-1000 is already booked for X-1 (turnaround, minimum turnaround 30 minutes)',
+        ]);
+    });
+});
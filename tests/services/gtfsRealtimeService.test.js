@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+const Route = require('../../src/models/Route');
+const Bus = require('../../src/models/Bus');
+const Operator = require('../../src/models/Operator');
+const VehicleState = require('../../src/models/VehicleState');
+const etaService = require('../../src/services/etaService');
+const { stopIdOf } = require('../../src/services/gtfsExportService');
+const { getFeed, encodeFeed } = require('../../src/services/gtfsRealtimeService');
+const { query } = require('../queryMock');
+
+describe('gtfsRealtimeService', () => {
+    // 07:00 local time (Asia/Colombo, UTC+05:30)
+    const now = new Date('2025-10-01T01:30:00Z').getTime();
+    const minutes = (n) => n * 60 * 1000;
+    const stop = (order, name, lat) => ({
+        _id: new mongoose.Types.ObjectId(), name, order, coordinates: { lat, lng: 80 },
+    });
+    const route = {
+        _id: new mongoose.Types.ObjectId(),
+        routeNumber: '138',
+        origin: 'Pettah',
+        destination: 'Homagama',
+        distance: 33.3,
+        stops: [stop(1, 'Pettah', 6.0), stop(2, 'Nugegoda', 6.1), stop(3, 'Homagama', 6.2)],
+    };
+    const operator = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'OP-1' };
+    const bus = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'NB-1000', operatorId: operator._id };
+    const trip = (tripNumber, departsIn, fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber,
+        routeId: route._id,
+        busId: bus._id,
+        status: 'scheduled',
+        scheduledDepartureTime: new Date(now + minutes(departsIn)),
+        scheduledArrivalTime: new Date(now + minutes(departsIn + 60)),
+        ...fields,
+    });
+
+    // The feed cache is keyed by feed name, so each build runs at a different time
+    let clock = now;
+    const buildAt = (time, name) => {
+        clock = time;
+        return getFeed(name);
+    };
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+        jest.spyOn(Route, 'find').mockReturnValue(query([route]));
+        jest.spyOn(Bus, 'find').mockReturnValue(query([bus]));
+        jest.spyOn(Operator, 'find').mockReturnValue(query([operator]));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('vehicle positions', () => {
+        const running = trip('T-1', -30, { status: 'in-transit' });
+
+        beforeEach(() => {
+            jest.spyOn(VehicleState, 'find').mockReturnValue(query([{
+                busId: bus._id,
+                tripId: running._id,
+                coordinates: { type: 'Point', coordinates: [80, 6.05] },
+                speed: 36,
+                heading: 180,
+                timestamp: new Date(now - 5000),
+            }]));
+            jest.spyOn(Trip, 'find').mockReturnValue(query([running]));
+        });
+
+        it('publishes recent positions with the trip and static GTFS IDs', async () => {
+            const feed = await buildAt(now, 'vehicle-positions');
+
+            expect(VehicleState.find).toHaveBeenCalledWith({ timestamp: { $gte: new Date(now - minutes(30)) } });
+            expect(feed.header).toEqual({
+                gtfs_realtime_version: '2.0', incrementality: 'FULL_DATASET', timestamp: now / 1000,
+            });
+            expect(feed.entity).toEqual([{
+                id: 'vehicle-NB-1000',
+                vehicle: {
+                    trip: {
+                        trip_id: 'T-1',
+                        route_id: '138-OP-1',
+                        start_date: '20251001',
+                        start_time: '06:30:00',
+                        schedule_relationship: 'SCHEDULED',
+                    },
+                    vehicle: { id: 'NB-1000', label: 'NB-1000', license_plate: 'NB-1000' },
+                    position: {
+                        latitude: 6.05, longitude: 80, bearing: 180, speed: 10,
+                    },
+                    timestamp: now / 1000 - 5,
+                },
+            }]);
+        });
+
+        it('serves the cached feed while it is fresh', async () => {
+            const first = await buildAt(now + minutes(60), 'vehicle-positions');
+            const second = await buildAt(now + minutes(60) + 10000, 'vehicle-positions');
+            const rebuilt = await buildAt(now + minutes(60) + 20000, 'vehicle-positions');
+
+            expect(second).toBe(first);
+            expect(rebuilt).not.toBe(first);
+            expect(VehicleState.find).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('trip updates', () => {
+        it('publishes predictions, knock-on delays and cancellations, and leaves out on-time trips', async () => {
+            const running = trip('T-1', -30, { status: 'in-transit', actualDepartureTime: new Date(now - minutes(30)) });
+            jest.spyOn(Trip, 'find').mockReturnValue(query([
+                running,
+                trip('T-2', 30, { projectedDelay: { minutes: 10 } }),
+                trip('T-3', 90),
+                trip('T-4', 60, { status: 'cancelled' }),
+            ]));
+            jest.spyOn(etaService, 'predictTripEta').mockResolvedValue({
+                predictions: [{ stopId: route.stops[2]._id, predictedArrival: new Date(now + minutes(35)) }],
+            });
+
+            const feed = await buildAt(now, 'trip-updates');
+
+            expect(feed.entity.map((e) => e.id)).toEqual(['trip-T-1', 'trip-T-2', 'trip-T-4']);
+            const [live, projected, cancelled] = feed.entity.map((e) => e.trip_update);
+            expect(live.stop_time_update).toEqual([{
+                stop_sequence: 3,
+                stop_id: stopIdOf(route.stops[2]),
+                arrival: { time: (now + minutes(35)) / 1000, delay: 300 },
+            }]);
+            expect(projected.delay).toBe(600);
+            expect(projected.stop_time_update).toEqual([{
+                stop_sequence: 1,
+                stop_id: stopIdOf(route.stops[0]),
+                departure: { time: (now + minutes(40)) / 1000, delay: 600 },
+            }]);
+            expect(cancelled.trip.schedule_relationship).toBe('CANCELED');
+            expect(cancelled.stop_time_update).toBeUndefined();
+        });
+    });
+
+    describe('alerts', () => {
+        it('raises a no-service alert for each cancelled trip', async () => {
+            jest.spyOn(Trip, 'find').mockReturnValue(query([
+                trip('T-4', 60, { status: 'cancelled', cancellationReason: 'Bus breakdown' }),
+            ]));
+
+            const feed = await buildAt(now, 'alerts');
+
+            expect(feed.entity).toEqual([{
+                id: 'cancelled-T-4',
+                alert: expect.objectContaining({
+                    active_period: [{ end: (now + minutes(120)) / 1000 }],
+                    informed_entity: [expect.objectContaining({ agency_id: 'OP-1', route_id: '138-OP-1' })],
+                    cause: 'OTHER_CAUSE',
+                    effect: 'NO_SERVICE',
+                    header_text: { translation: [{ text: '138 Pettah - Homagama at 08:00 is cancelled', language: 'en' }] },
+                    description_text: { translation: [{ text: 'Bus breakdown', language: 'en' }] },
+                }),
+            }]);
+        });
+    });
+
+    describe('encodeFeed', () => {
+        it('encodes a feed message as a protocol buffer', () => {
+            const buffer = encodeFeed({
+                header: { gtfs_realtime_version: '2.0', incrementality: 'FULL_DATASET', timestamp: 1 },
+                entity: [],
+            });
+
+            // Field 1 (header), length-delimited, starting with the version string
+            expect(buffer[0]).toBe(0x0a);
+            expect([...buffer.subarray(2, 7)]).toEqual([0x0a, 3, ...Buffer.from('2.0')]);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+const Route = require('../../src/models/Route');
+const FareTable = require('../../src/models/FareTable');
+const { planJourneys } = require('../../src/services/journeyPlannerService');
+const { query } = require('../queryMock');
+
+describe('journeyPlannerService.planJourneys', () => {
+    const day = new Date('2025-10-01T00:00:00Z').getTime();
+    const at = (hours, minutes = 0) => new Date(day + (hours * 60 + minutes) * 60000);
+
+    // Stops about 11 km apart along a line; "Kurunegala" is shared by both routes
+    const stop = (name, order, lat) => ({
+        _id: new mongoose.Types.ObjectId(), name, order, coordinates: { lat, lng: 80.0 },
+    });
+    const route = (routeNumber, stops, fare) => ({
+        _id: new mongoose.Types.ObjectId(),
+        routeNumber,
+        name: `${stops[0].name} - ${stops[stops.length - 1].name}`,
+        origin: stops[0].name,
+        destination: stops[stops.length - 1].name,
+        status: 'active',
+        fare,
+        distance: 0,
+        stops,
+    });
+    const colomboKurunegala = route('5', [stop('Colombo', 1, 7.0), stop('Kurunegala', 2, 7.1)], 200);
+    const kurunegalaAnuradhapura = route('15', [stop('Kurunegala', 1, 7.1), stop('Anuradhapura', 2, 7.2)], 300);
+    const colomboAnuradhapura = route('4', [stop('Colombo', 1, 7.0), stop('Anuradhapura', 2, 7.2)], 450);
+
+    const trip = (tripNumber, { _id: routeId }, departure, arrival) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber,
+        routeId,
+        busId: new mongoose.Types.ObjectId(),
+        status: 'scheduled',
+        scheduledDepartureTime: departure,
+        scheduledArrivalTime: arrival,
+    });
+    const first = trip('T1', colomboKurunegala, at(8), at(9));
+    const tightConnection = trip('T2', kurunegalaAnuradhapura, at(9, 5), at(10));
+    const connection = trip('T3', kurunegalaAnuradhapura, at(9, 30), at(10, 30));
+    const direct = trip('T4', colomboAnuradhapura, at(8, 30), at(11));
+
+    beforeEach(() => {
+        jest.spyOn(Trip, 'find').mockReturnValue(query([first, tightConnection, connection, direct]));
+        jest.spyOn(Route, 'find').mockReturnValue(query([colomboKurunegala, kurunegalaAnuradhapura, colomboAnuradhapura]));
+        jest.spyOn(FareTable, 'find').mockReturnValue(query([]));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const plan = (options) => planJourneys({
+        from: 'colombo', to: 'anuradhapura', departAfter: at(7), ...options,
+    });
+
+    it('finds the earliest arrival with a transfer that respects the connection time', async () => {
+        const { itineraries } = await plan();
+
+        expect(itineraries.map((itinerary) => itinerary.legs.map((leg) => leg.tripNumber))).toEqual([['T1', 'T3'], ['T4']]);
+        expect(itineraries[0]).toMatchObject({
+            departureTime: at(8),
+            arrivalTime: at(10, 30),
+            transfers: 1,
+            totalFare: 500,
+            connections: [{ at: 'Kurunegala', waitMinutes: 30 }],
+        });
+    });
+
+    it('makes tighter connections when the minimum connection time allows', async () => {
+        const { itineraries } = await plan({ minConnectionMinutes: 5 });
+        expect(itineraries[0].legs.map((leg) => leg.tripNumber)).toEqual(['T1', 'T2']);
+    });
+
+    it('limits the number of transfers', async () => {
+        const { itineraries } = await plan({ maxTransfers: 0 });
+        expect(itineraries.map((itinerary) => itinerary.legs.map((leg) => leg.tripNumber))).toEqual([['T4']]);
+    });
+
+    it('does not board trips that left before the requested time', async () => {
+        const { itineraries } = await plan({ departAfter: at(8, 15) });
+        expect(itineraries.map((itinerary) => itinerary.legs.map((leg) => leg.tripNumber))).toEqual([['T4']]);
+    });
+
+    it('returns no itineraries for unknown places', async () => {
+        const result = await plan({ to: 'Jaffna' });
+        expect(result.to).toEqual([]);
+        expect(result.itineraries).toEqual([]);
+    });
+});
@@ -0,0 +1,71 @@
+const { inspectPoint } = require('../../src/services/locationAnomalyService');
+
+describe('locationAnomalyService.inspectPoint', () => {
+    const at = (seconds) => new Date(Date.UTC(2025, 9, 1, 8, 0, seconds));
+    const previous = {
+        coordinates: { lat: 6.9271, lng: 79.8612 },
+        speed: 40,
+        heading: 0,
+        accuracy: 10,
+        timestamp: at(0),
+    };
+    // About 1.1 km north of the previous point
+    const north = { lat: 6.9371, lng: 79.8612 };
+    const codes = (reasons) => reasons.map((reason) => reason.code);
+
+    it('accepts a plausible point', () => {
+        const point = {
+            coordinates: north, speed: 45, heading: 5, accuracy: 10, timestamp: at(90),
+        };
+        expect(inspectPoint(point, previous)).toEqual([]);
+    });
+
+    it('accepts a first point with nothing to compare against', () => {
+        expect(inspectPoint({ coordinates: north, timestamp: at(0) }, null)).toEqual([]);
+    });
+
+    it('flags a fix at 0,0 and nothing else', () => {
+        expect(codes(inspectPoint({ coordinates: { lat: 0.001, lng: 0.001 }, accuracy: 500, timestamp: at(0) }, previous)))
+            .toEqual(['null-island']);
+    });
+
+    it('flags points outside the service area without comparing them', () => {
+        const point = { coordinates: { lat: 13.08, lng: 80.27 }, timestamp: at(1) };
+        expect(codes(inspectPoint(point, previous))).toEqual(['out-of-bounds']);
+    });
+
+    it('flags fixes with poor reported accuracy', () => {
+        const point = { coordinates: north, accuracy: 250, timestamp: at(90) };
+        expect(codes(inspectPoint(point, null))).toEqual(['low-accuracy']);
+    });
+
+    it('flags jumps faster than a bus can travel', () => {
+        const point = { coordinates: north, timestamp: at(10) };
+        const [reason] = inspectPoint(point, previous);
+        expect(reason.code).toBe('implied-speed');
+        expect(reason.message).toMatch(/limit 120 km\/h/);
+    });
+
+    it('flags movement with no time elapsed', () => {
+        expect(codes(inspectPoint({ coordinates: north, timestamp: at(0) }, previous))).toEqual(['implied-speed']);
+    });
+
+    it('ignores movement within the combined GPS error', () => {
+        const point = { coordinates: { lat: 6.9272, lng: 79.8612 }, accuracy: 10, timestamp: at(0) };
+        expect(inspectPoint(point, previous)).toEqual([]);
+    });
+
+    it('flags a heading that contradicts the direction of travel', () => {
+        const point = {
+            coordinates: north, speed: 45, heading: 180, timestamp: at(90),
+        };
+        expect(codes(inspectPoint(point, previous))).toEqual(['heading-mismatch']);
+    });
+
+    it('does not check the heading of a slow bus', () => {
+        const point = {
+            coordinates: north, speed: 5, heading: 180, timestamp: at(90),
+        };
+        expect(inspectPoint(point, previous)).toEqual([]);
+    });
+});
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const LocationUpdate = require('../../src/models/LocationUpdate');
+const QuarantinedLocation = require('../../src/models/QuarantinedLocation');
+const locationPipeline = require('../../src/services/locationPipeline');
+const locationAnomalyService = require('../../src/services/locationAnomalyService');
+const {
+    computeClockSkew,
+    correctTimestamp,
+    ingestBatch,
+} = require('../../src/services/locationIngestService');
+const { query } = require('../queryMock');
+
+describe('locationIngestService', () => {
+    const receivedAt = new Date('2025-10-01T08:00:00Z');
+
+    describe('computeClockSkew', () => {
+        it('is zero without a device send time', () => {
+            expect(computeClockSkew(undefined, receivedAt)).toBe(0);
+        });
+
+        it('ignores differences small enough to be network latency', () => {
+            expect(computeClockSkew(new Date(receivedAt.getTime() - 1500), receivedAt)).toBe(0);
+        });
+
+        it('returns the milliseconds to add to device timestamps', () => {
+            expect(computeClockSkew(new Date(receivedAt.getTime() - 5 * 60000), receivedAt)).toBe(5 * 60000);
+            expect(computeClockSkew(new Date(receivedAt.getTime() + 3000), receivedAt)).toBe(-3000);
+        });
+    });
+
+    describe('correctTimestamp', () => {
+        it('shifts the device timestamp by the skew', () => {
+            const { timestamp } = correctTimestamp('2025-10-01T07:50:00Z', 5 * 60000, receivedAt);
+            expect(timestamp).toEqual(new Date('2025-10-01T07:55:00Z'));
+        });
+
+        it('rejects timestamps in the future beyond the tolerance', () => {
+            expect(correctTimestamp('2025-10-01T08:00:30Z', 0, receivedAt)).toEqual({ timestamp: new Date('2025-10-01T08:00:30Z') });
+            expect(correctTimestamp('2025-10-01T08:05:00Z', 0, receivedAt)).toEqual({ error: 'Timestamp is in the future' });
+        });
+
+        it('rejects timestamps older than the retention period', () => {
+            expect(correctTimestamp('2025-08-01T08:00:00Z', 0, receivedAt).error).toMatch(/retention period/);
+        });
+    });
+
+    describe('ingestBatch', () => {
+        const bus = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'NA-1234' };
+        const point = (minutesAgo, lng = 79.85) => ({
+            coordinates: { lat: 6.93, lng },
+            speed: 30,
+            timestamp: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+        });
+
+        beforeEach(() => {
+            jest.spyOn(LocationUpdate, 'find').mockReturnValue(query([]));
+            jest.spyOn(LocationUpdate, 'findOne').mockReturnValue(query(null));
+            jest.spyOn(QuarantinedLocation, 'find').mockReturnValue(query([]));
+            jest.spyOn(locationAnomalyService, 'findPreviousLocation').mockResolvedValue(null);
+            jest.spyOn(locationAnomalyService, 'inspectPoint').mockReturnValue([]);
+            jest.spyOn(locationPipeline, 'processAcceptedLocation').mockResolvedValue();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('reports repeated timestamps and invalid points', async () => {
+            jest.spyOn(LocationUpdate, 'insertMany').mockResolvedValue([]);
+            const repeated = point(3);
+
+            const { summary, results } = await ingestBatch(bus, {
+                points: [repeated, { ...repeated }, { coordinates: { lat: 100, lng: 0 }, timestamp: repeated.timestamp }],
+            });
+
+            expect(results.map((r) => r.status)).toEqual(['accepted', 'duplicate', 'rejected']);
+            expect(summary).toMatchObject({
+                received: 3, accepted: 1, duplicates: 1, rejected: 1,
+            });
+        });
+
+        it('reports points already stored as duplicates', async () => {
+            const stored = point(3);
+            LocationUpdate.find.mockReturnValue(query([{ timestamp: new Date(stored.timestamp) }]));
+            jest.spyOn(LocationUpdate, 'insertMany').mockResolvedValue([]);
+
+            const { results } = await ingestBatch(bus, { points: [stored, point(2)] });
+
+            expect(results.map((r) => r.status)).toEqual(['duplicate', 'accepted']);
+        });
+
+        it('treats unique index conflicts from a concurrent upload as duplicates', async () => {
+            const conflict = new Error('E11000 duplicate key error');
+            conflict.writeErrors = [{ err: { code: 11000 }, index: 0 }];
+            jest.spyOn(LocationUpdate, 'insertMany').mockRejectedValue(conflict);
+
+            const { summary, results } = await ingestBatch(bus, { points: [point(3), point(2, 79.86)] });
+
+            expect(results.map((r) => r.status)).toEqual(['duplicate', 'accepted']);
+            expect(summary).toMatchObject({ accepted: 1, duplicates: 1 });
+            expect(locationPipeline.processAcceptedLocation).toHaveBeenCalledTimes(1);
+        });
+
+        it('rethrows other insert errors', async () => {
+            const failure = new Error('write failed');
+            failure.writeErrors = [{ err: { code: 121 }, index: 0 }];
+            jest.spyOn(LocationUpdate, 'insertMany').mockRejectedValue(failure);
+
+            await expect(ingestBatch(bus, { points: [point(3)] })).rejects.toThrow('write failed');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+const Route = require('../../src/models/Route');
+const locationStream = require('../../src/services/locationStream');
+const stopEventService = require('../../src/services/stopEventService');
+const tripLifecycleService = require('../../src/services/tripLifecycleService');
+const routeDeviationService = require('../../src/services/routeDeviationService');
+const vehicleStateService = require('../../src/services/vehicleStateService');
+const delayPropagationService = require('../../src/services/delayPropagationService');
+const { processAcceptedLocation } = require('../../src/services/locationPipeline');
+const { query } = require('../queryMock');
+
+describe('locationPipeline.processAcceptedLocation', () => {
+    const bus = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'NB-1234' };
+    const route = { _id: new mongoose.Types.ObjectId() };
+    const currentTrip = {
+        _id: new mongoose.Types.ObjectId(), tripNumber: 'T-300', busId: bus._id, routeId: route._id, status: 'in-transit',
+    };
+    const location = (tripId) => ({
+        busId: bus._id,
+        tripId,
+        timestamp: new Date('2025-10-01T08:00:00Z'),
+        coordinates: { lat: 6.9, lng: 79.9 },
+    });
+
+    beforeEach(() => {
+        jest.spyOn(locationStream, 'publish').mockImplementation(() => {});
+        jest.spyOn(vehicleStateService, 'applyLocation').mockResolvedValue();
+        jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+        jest.spyOn(stopEventService, 'processLocation').mockResolvedValue([]);
+        jest.spyOn(tripLifecycleService, 'applyLocation').mockResolvedValue(null);
+        jest.spyOn(delayPropagationService, 'processLocation').mockResolvedValue();
+        jest.spyOn(routeDeviationService, 'processLocation').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('uses the trip tagged by the device when it belongs to the bus', async () => {
+        jest.spyOn(Trip, 'findOne').mockReturnValue(query(currentTrip));
+
+        const result = await processAcceptedLocation(location(currentTrip._id), bus);
+
+        expect(Trip.findOne).toHaveBeenCalledTimes(1);
+        expect(Trip.findOne).toHaveBeenCalledWith({ _id: currentTrip._id, busId: bus._id });
+        expect(result.trip).toBe(currentTrip);
+    });
+
+    it("falls back to the bus's current trip when the tagged trip is another bus's", async () => {
+        const foreignTripId = new mongoose.Types.ObjectId();
+        jest.spyOn(Trip, 'findOne')
+            .mockReturnValueOnce(query(null))
+            .mockReturnValueOnce(query(currentTrip));
+
+        const update = location(foreignTripId);
+        const result = await processAcceptedLocation(update, bus);
+
+        expect(Trip.findOne).toHaveBeenNthCalledWith(1, { _id: foreignTripId, busId: bus._id });
+        expect(Trip.findOne.mock.calls[1][0]).toMatchObject({ busId: bus._id });
+        expect(result.trip).toBe(currentTrip);
+        expect(stopEventService.processLocation).toHaveBeenCalledWith(update, currentTrip, route);
+        expect(tripLifecycleService.applyLocation).toHaveBeenCalledWith(update, currentTrip, route, []);
+    });
+
+    it('runs no trip steps when the bus has no current trip', async () => {
+        jest.spyOn(Trip, 'findOne').mockReturnValue(query(null));
+
+        const result = await processAcceptedLocation(location(new mongoose.Types.ObjectId()), bus);
+
+        expect(result.trip).toBeNull();
+        expect(vehicleStateService.applyLocation).toHaveBeenCalledWith(expect.anything(), bus, null);
+        expect(stopEventService.processLocation).not.toHaveBeenCalled();
+        expect(tripLifecycleService.applyLocation).not.toHaveBeenCalled();
+        expect(routeDeviationService.processLocation).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const LocationUpdate = require('../../src/models/LocationUpdate');
+const Bus = require('../../src/models/Bus');
+const locationStream = require('../../src/services/locationStream');
+const { query } = require('../queryMock');
+
+describe('locationStream', () => {
+    const routeId = new mongoose.Types.ObjectId();
+    const bus = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'NB-1234', routeId };
+    const update = (fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        coordinates: { lat: 6.93, lng: 79.85 },
+        speed: 40,
+        timestamp: new Date('2025-10-01T08:00:00Z'),
+        ...fields,
+    });
+
+    describe('parseSubscription', () => {
+        it('parses a bounding box', () => {
+            expect(locationStream.parseSubscription({ busId: 'b1', bbox: '79.8,6.9,79.9,7.0' })).toEqual({
+                busId: 'b1',
+                routeId: null,
+                tripId: null,
+                bbox: {
+                    minLng: 79.8, minLat: 6.9, maxLng: 79.9, maxLat: 7,
+                },
+            });
+        });
+
+        it('rejects a bounding box whose corners are swapped', () => {
+            expect(() => locationStream.parseSubscription({ bbox: '79.9,6.9,79.8,7.0' })).toThrow(
+                expect.objectContaining({ statusCode: 400 }),
+            );
+        });
+    });
+
+    describe('authorizeSubscription', () => {
+        const fleetWide = locationStream.parseSubscription({});
+
+        it('lets anyone open a scoped channel', () => {
+            expect(() => locationStream.authorizeSubscription({ ...fleetWide, busId: 'b1' })).not.toThrow();
+        });
+
+        it('requires a token for the fleet-wide channel', () => {
+            expect(() => locationStream.authorizeSubscription(fleetWide)).toThrow(
+                expect.objectContaining({ statusCode: 401 }),
+            );
+        });
+
+        it('limits the fleet-wide channel to admins and operators', () => {
+            expect(() => locationStream.authorizeSubscription(fleetWide, { role: 'commuter' })).toThrow(
+                expect.objectContaining({ statusCode: 403 }),
+            );
+            expect(() => locationStream.authorizeSubscription(fleetWide, { role: 'operator' })).not.toThrow();
+        });
+    });
+
+    describe('matchesSubscription', () => {
+        const event = locationStream.publish(update(), bus);
+
+        it('filters by route', () => {
+            const subscription = locationStream.parseSubscription({ routeId: routeId.toString() });
+            expect(locationStream.matchesSubscription(subscription, event)).toBe(true);
+            expect(locationStream.matchesSubscription({ ...subscription, routeId: 'other' }, event)).toBe(false);
+        });
+
+        it('filters by bounding box', () => {
+            const inside = locationStream.parseSubscription({ bbox: '79.8,6.9,79.9,7.0' });
+            const outside = locationStream.parseSubscription({ bbox: '80.0,6.9,80.1,7.0' });
+            expect(locationStream.matchesSubscription(inside, event)).toBe(true);
+            expect(locationStream.matchesSubscription(outside, event)).toBe(false);
+        });
+    });
+
+    describe('openChannel', () => {
+        const subscription = locationStream.parseSubscription({ busId: bus._id.toString() });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('delivers matching live updates until closed', async () => {
+            const send = jest.fn();
+            const close = await locationStream.openChannel(subscription, null, send);
+
+            locationStream.publish(update(), bus);
+            locationStream.publish(update(), { ...bus, _id: new mongoose.Types.ObjectId() });
+            close();
+            locationStream.publish(update(), bus);
+
+            expect(send).toHaveBeenCalledTimes(1);
+            expect(send.mock.calls[0][0]).toMatchObject({ busId: bus._id.toString(), registrationNumber: 'NB-1234' });
+        });
+
+        it('replays missed updates, then live ones that arrived meanwhile, without duplicates', async () => {
+            const missed = update({ busId: bus });
+            const arrivedDuringReplay = update({ timestamp: new Date('2025-10-01T08:00:10Z') });
+            jest.spyOn(Bus, 'find').mockReturnValue(query([]));
+            jest.spyOn(LocationUpdate, 'find').mockImplementation(() => {
+                // Both the replayed update and a new one are published while the history loads
+                locationStream.publish(missed, bus);
+                locationStream.publish(arrivedDuringReplay, bus);
+                return query([missed]);
+            });
+            const send = jest.fn();
+
+            const close = await locationStream.openChannel(subscription, new Date('2025-10-01T07:59:00Z'), send);
+            close();
+
+            expect(send.mock.calls.map(([event]) => event.id)).toEqual([
+                missed._id.toString(),
+                arrivedDuringReplay._id.toString(),
+            ]);
+        });
+    });
+});
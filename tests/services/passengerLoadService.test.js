@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const PassengerCount = require('../../src/models/PassengerCount');
+const Trip = require('../../src/models/Trip');
+const Route = require('../../src/models/Route');
+const Bus = require('../../src/models/Bus');
+const passengerLoadService = require('../../src/services/passengerLoadService');
+const { query } = require('../queryMock');
+
+describe('passengerLoadService', () => {
+    const route = new Route({
+        routeNumber: '138',
+        name: 'Pettah - Homagama',
+        origin: 'Pettah',
+        destination: 'Homagama',
+        distance: 24,
+        estimatedDuration: 60,
+        fare: 120,
+        stops: [
+            { name: 'Pettah', order: 1, coordinates: { lat: 6.93, lng: 79.85 } },
+            { name: 'Nugegoda', order: 2, coordinates: { lat: 6.87, lng: 79.89 } },
+            { name: 'Homagama', order: 3, coordinates: { lat: 6.84, lng: 80.0 } },
+        ],
+    });
+    const [pettah, nugegoda] = route.stops;
+    const trip = (fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber: 'T-500',
+        routeId: route._id,
+        busId: new mongoose.Types.ObjectId(),
+        status: 'in-transit',
+        ...fields,
+    });
+    const count = (stop, boarded, alighted) => ({
+        stopId: stop._id, stopName: stop.name, stopOrder: stop.order, boarded, alighted,
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('crowdingBand', () => {
+        it('has seats available while there are fewer passengers than seats', () => {
+            expect(passengerLoadService.crowdingBand(0, 40)).toBe('seats-available');
+            expect(passengerLoadService.crowdingBand(39, 40)).toBe('seats-available');
+        });
+
+        it('is standing from a full seat load up to the full threshold', () => {
+            expect(passengerLoadService.crowdingBand(40, 40)).toBe('standing');
+            expect(passengerLoadService.crowdingBand(59, 40)).toBe('standing');
+        });
+
+        it('is full at the full threshold', () => {
+            expect(passengerLoadService.CROWDING_FULL_PERCENT).toBe(150);
+            expect(passengerLoadService.crowdingBand(60, 40)).toBe('full');
+            expect(passengerLoadService.crowdingBand(75, 40)).toBe('full');
+        });
+
+        it('has no band when the capacity is unknown', () => {
+            expect(passengerLoadService.crowdingBand(10, undefined)).toBeNull();
+            expect(passengerLoadService.crowdingBand(10, 0)).toBeNull();
+        });
+    });
+
+    describe('refreshOccupancy', () => {
+        beforeEach(() => {
+            jest.spyOn(PassengerCount, 'find').mockReturnValue(query([
+                count(nugegoda, 30, 12),
+                count(pettah, 25, 0),
+            ]));
+            jest.spyOn(Bus, 'findById').mockReturnValue(query({ capacity: 40 }));
+            jest.spyOn(Trip, 'findOneAndUpdate')
+                .mockImplementation((filter, update) => query({ occupancy: update.$set.occupancy }));
+        });
+
+        it('stores the running load in stop order with its band', async () => {
+            const current = trip();
+
+            const occupancy = await passengerLoadService.refreshOccupancy(current);
+
+            expect(occupancy).toMatchObject({
+                passengers: 43, capacity: 40, band: 'standing', lastStopName: 'Nugegoda',
+            });
+            const [filter] = Trip.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({
+                _id: current._id,
+                $or: [
+                    { 'occupancy.computedAt': { $exists: false } },
+                    { 'occupancy.computedAt': { $lt: occupancy.computedAt } },
+                ],
+            });
+        });
+
+        it('never counts fewer than zero passengers on board', async () => {
+            PassengerCount.find.mockReturnValue(query([count(pettah, 5, 0), count(nugegoda, 2, 9)]));
+
+            await expect(passengerLoadService.refreshOccupancy(trip())).resolves.toMatchObject({ passengers: 0 });
+        });
+
+        it('keeps a newer occupancy stored by another recomputation', async () => {
+            const newer = { passengers: 50, band: 'standing', computedAt: new Date(Date.now() + 1000) };
+            Trip.findOneAndUpdate.mockReturnValue(query(null));
+            jest.spyOn(Trip, 'findById').mockReturnValue(query({ occupancy: newer }));
+
+            await expect(passengerLoadService.refreshOccupancy(trip())).resolves.toBe(newer);
+        });
+    });
+
+    describe('recordCount', () => {
+        const user = { _id: new mongoose.Types.ObjectId() };
+
+        beforeEach(() => {
+            jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+            jest.spyOn(PassengerCount, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$set);
+            jest.spyOn(PassengerCount, 'find').mockReturnValue(query([count(pettah, 25, 0)]));
+            jest.spyOn(Bus, 'findById').mockReturnValue(query({ capacity: 40 }));
+            jest.spyOn(Trip, 'findOneAndUpdate')
+                .mockImplementation((filter, update) => query({ occupancy: update.$set.occupancy }));
+        });
+
+        it("replaces the stop's count and returns the new occupancy", async () => {
+            const current = trip();
+
+            const result = await passengerLoadService.recordCount(current, {
+                stopId: pettah._id.toString(), boarded: 25,
+            }, user);
+
+            const [filter, update, options] = PassengerCount.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ tripId: current._id, stopId: pettah._id });
+            expect(update.$set).toMatchObject({
+                busId: current.busId, stopName: 'Pettah', stopOrder: 1, boarded: 25, alighted: 0, reportedBy: user._id,
+            });
+            expect(options).toMatchObject({ upsert: true, runValidators: true });
+            expect(result.occupancy).toMatchObject({ passengers: 25, band: 'seats-available' });
+        });
+
+        it('refuses counts for a closed trip', async () => {
+            await expect(passengerLoadService.recordCount(trip({ status: 'completed' }), { stopId: pettah._id }, user))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Trip T-500 is completed; passenger counts are closed' });
+            expect(PassengerCount.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('answers 404 for a stop that is not on the route', async () => {
+            await expect(passengerLoadService.recordCount(trip(), { stopId: new mongoose.Types.ObjectId() }, user))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('getLoad', () => {
+        it('lists the running load and leaves out an occupancy never computed', async () => {
+            jest.spyOn(PassengerCount, 'find').mockReturnValue(query([count(nugegoda, 10, 5), count(pettah, 20, 0)]));
+
+            const load = await passengerLoadService.getLoad(trip({ occupancy: {} }));
+
+            expect(load.occupancy).toBeNull();
+            expect(load.stops.map((s) => [s.stopName, s.onBoard])).toEqual([['Pettah', 20], ['Nugegoda', 25]]);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const RouteDeviation = require('../../src/models/RouteDeviation');
+const routeShapeService = require('../../src/services/routeShapeService');
+const { processLocation } = require('../../src/services/routeDeviationService');
+const { cumulativeDistances } = require('../../src/utils/geo');
+const { query } = require('../queryMock');
+
+describe('routeDeviationService.processLocation', () => {
+    const path = [{ lat: 6.0, lng: 80.0 }, { lat: 6.1, lng: 80.0 }];
+    const route = { _id: new mongoose.Types.ObjectId() };
+    const trip = { _id: new mongoose.Types.ObjectId(), tripNumber: 'T-500', status: 'in-transit' };
+    const start = new Date('2025-10-01T08:00:00Z').getTime();
+    // About 1.1 km east of the road per 0.01 degree
+    const fix = (minute, lngOffset) => ({
+        _id: new mongoose.Types.ObjectId(),
+        busId: new mongoose.Types.ObjectId(),
+        coordinates: { lat: 6.05, lng: 80.0 + lngOffset },
+        timestamp: new Date(start + minute * 60000),
+    });
+    let current;
+
+    beforeEach(() => {
+        current = null;
+        jest.spyOn(routeShapeService, 'getShapePath').mockResolvedValue({ path, cumulative: cumulativeDistances(path) });
+        jest.spyOn(RouteDeviation, 'findOne').mockImplementation(() => query(current));
+        jest.spyOn(RouteDeviation.prototype, 'save').mockImplementation(async function save() {
+            current = this;
+            return this;
+        });
+        jest.spyOn(RouteDeviation.prototype, 'deleteOne').mockImplementation(async () => {
+            current = null;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('ignores a bus on the route', async () => {
+        await expect(processLocation(fix(0, 0.001), trip, route)).resolves.toBeNull();
+        expect(RouteDeviation.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('raises an incident once the bus has stayed off route long enough', async () => {
+        await expect(processLocation(fix(0, 0.01), trip, route)).resolves.toBeNull();
+        expect(current.status).toBe('pending');
+
+        const raised = await processLocation(fix(3, 0.02), trip, route);
+
+        expect(raised.type).toBe('raised');
+        expect(raised.deviation).toMatchObject({ status: 'open', pointCount: 2 });
+        expect(raised.deviation.maxDistanceM).toBeGreaterThan(2000);
+    });
+
+    it('closes a raised incident when the bus is back on the route', async () => {
+        await processLocation(fix(0, 0.01), trip, route);
+        await processLocation(fix(4, 0.01), trip, route);
+
+        const closed = await processLocation(fix(6, 0), trip, route);
+
+        expect(closed.type).toBe('closed');
+        expect(closed.deviation.durationSeconds).toBe(360);
+    });
+
+    it('discards a short excursion', async () => {
+        await processLocation(fix(0, 0.01), trip, route);
+
+        await expect(processLocation(fix(1, 0), trip, route)).resolves.toBeNull();
+        expect(RouteDeviation.prototype.deleteOne).toHaveBeenCalled();
+        expect(current).toBeNull();
+    });
+
+    it('gives the bus the benefit of its GPS accuracy', async () => {
+        await processLocation({ ...fix(0, 0.004), accuracy: 200 }, trip, route);
+
+        expect(current).toBeNull();
+    });
+
+    it('skips trips that are not under way', async () => {
+        await expect(processLocation(fix(0, 0.05), { ...trip, status: 'scheduled' }, route)).resolves.toBeNull();
+        expect(routeShapeService.getShapePath).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Route = require('../../src/models/Route');
+const LocationUpdate = require('../../src/models/LocationUpdate');
+const routeShapeService = require('../../src/services/routeShapeService');
+const { encodePolyline } = require('../../src/utils/geo');
+const { query } = require('../queryMock');
+
+describe('routeShapeService', () => {
+    const route = {
+        _id: new mongoose.Types.ObjectId(),
+        stops: [
+            { name: 'Colombo', coordinates: { lat: 6.0, lng: 80.0 } },
+            { name: 'Kalutara', coordinates: { lat: 6.1, lng: 80.0 } },
+        ],
+    };
+    const road = [{ lat: 6.0, lng: 80.0 }, { lat: 6.05, lng: 80.0005 }, { lat: 6.1, lng: 80.0 }];
+
+    beforeEach(() => {
+        jest.spyOn(Route, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('uploadShape', () => {
+        it('stores a polyline that passes the stops', async () => {
+            const shape = await routeShapeService.uploadShape(route, { polyline: encodePolyline(road) });
+
+            expect(shape).toMatchObject({ source: 'uploaded', pointCount: 3, polyline: encodePolyline(road) });
+            expect(shape.lengthKm).toBeCloseTo(11.1, 1);
+            expect(Route.updateOne).toHaveBeenCalledWith({ _id: route._id }, { $set: { shape } });
+        });
+
+        it('rejects a malformed polyline', async () => {
+            await expect(routeShapeService.uploadShape(route, { polyline: 'not a polyline' }))
+                .rejects.toMatchObject({ statusCode: 400, message: 'Invalid encoded polyline' });
+        });
+
+        it('rejects a shape that misses a stop', async () => {
+            const detour = [{ lat: 6.0, lng: 80.0 }, { lat: 6.1, lng: 80.05 }];
+
+            await expect(routeShapeService.uploadShape(route, { points: detour })).rejects.toMatchObject({
+                statusCode: 400,
+                message: expect.stringContaining('Kalutara'),
+            });
+            expect(Route.updateOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deriveShapeFromTrip', () => {
+        const trip = { _id: new mongoose.Types.ObjectId(), routeId: route._id, status: 'completed' };
+
+        it('simplifies the recorded track into the shape', async () => {
+            // Points along a straight road collapse to its two ends
+            const track = [0, 0.02, 0.04, 0.06, 0.08, 0.1].map((offset) => ({
+                coordinates: { type: 'Point', coordinates: [80.0, 6.0 + offset] },
+            }));
+            jest.spyOn(LocationUpdate, 'find').mockReturnValue(query(track));
+
+            const shape = await routeShapeService.deriveShapeFromTrip(route, trip);
+
+            expect(shape).toMatchObject({ source: 'recorded', sourceTripId: trip._id, pointCount: 2 });
+        });
+
+        it('only uses completed trips of the route', async () => {
+            await expect(routeShapeService.deriveShapeFromTrip(route, { ...trip, status: 'in-transit' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(routeShapeService.deriveShapeFromTrip(route, { ...trip, routeId: new mongoose.Types.ObjectId() }))
+                .rejects.toMatchObject({ statusCode: 400, message: 'Trip does not belong to this route' });
+        });
+    });
+
+    describe('getShapePath', () => {
+        it('decodes the shape once per version', async () => {
+            const updatedAt = new Date('2025-10-01T00:00:00Z');
+            const cachedRoute = { _id: new mongoose.Types.ObjectId(), shape: { updatedAt } };
+            jest.spyOn(Route, 'findById').mockReturnValue(query({ shape: { polyline: encodePolyline(road), updatedAt } }));
+
+            const first = await routeShapeService.getShapePath(cachedRoute);
+            const second = await routeShapeService.getShapePath(cachedRoute);
+
+            expect(second).toBe(first);
+            expect(first.path).toEqual(road);
+            expect(Route.findById).toHaveBeenCalledTimes(1);
+        });
+
+        it('returns null for routes without a shape', async () => {
+            await expect(routeShapeService.getShapePath({ _id: route._id })).resolves.toBeNull();
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Route = require('../../src/models/Route');
+const Trip = require('../../src/models/Trip');
+const StopEvent = require('../../src/models/StopEvent');
+const FareTable = require('../../src/models/FareTable');
+const etaService = require('../../src/services/etaService');
+const { getDepartures } = require('../../src/services/stopDepartureService');
+const { query } = require('../queryMock');
+
+describe('stopDepartureService.getDepartures', () => {
+    const minutes = (n) => n * 60 * 1000;
+    // Three stops on a meridian, about 11.1 km apart
+    const stop = (order, name, lat) => ({
+        _id: new mongoose.Types.ObjectId(), name, order, coordinates: { lat, lng: 80 },
+    });
+    const route = {
+        _id: new mongoose.Types.ObjectId(),
+        routeNumber: '138',
+        name: 'Pettah - Homagama',
+        destination: 'Homagama',
+        distance: 33.3,
+        fare: 300,
+        stops: [stop(1, 'Pettah', 6.0), stop(2, 'Nugegoda Junction', 6.1), stop(3, 'Homagama', 6.2)],
+    };
+    const [, nugegoda] = route.stops;
+    let from;
+    let trips;
+    let departed;
+
+    // A 60-minute trip reaches Nugegoda 30 minutes after leaving
+    const trip = (tripNumber, departsIn, fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber,
+        routeId: route._id,
+        busId: { registrationNumber: `NB-${tripNumber}` },
+        status: 'scheduled',
+        scheduledDepartureTime: new Date(from.getTime() + minutes(departsIn)),
+        scheduledArrivalTime: new Date(from.getTime() + minutes(departsIn + 60)),
+        ...fields,
+    });
+
+    beforeEach(() => {
+        // A window in the future, so unstarted trips are shown by their schedule
+        from = new Date(Date.now() + minutes(60));
+        trips = [];
+        departed = [];
+        jest.spyOn(Route, 'find').mockReturnValue(query([route]));
+        jest.spyOn(Trip, 'find').mockImplementation(() => query(trips));
+        jest.spyOn(StopEvent, 'find').mockImplementation(() => query(departed));
+        jest.spyOn(FareTable, 'find').mockReturnValue(query([{
+            routeId: route._id,
+            effectiveFrom: new Date('2025-01-01T00:00:00Z'),
+            minimumFare: 50,
+            fares: [{ fromStage: 1, toStage: 3, amount: 300 }, { fromStage: 2, toStage: 3, amount: 180 }],
+        }]));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('lists trips passing the stop in the window, soonest first, with the fare to the end of the route', async () => {
+        trips = [trip('T-2', 20), trip('T-1', 0), trip('T-3', 45)];
+
+        const board = await getDepartures({ stop: 'nugegoda', from, minutes: 60 });
+
+        expect(Route.find).toHaveBeenCalledWith({ status: 'active', 'stops.name': /nugegoda/i });
+        expect(board.stops).toEqual([expect.objectContaining({ _id: nugegoda._id, routeNumber: '138' })]);
+        expect(board.departures.map((d) => d.tripNumber)).toEqual(['T-1', 'T-2']);
+        expect(board.departures[0]).toMatchObject({
+            stop: { name: 'Nugegoda Junction', order: 2 },
+            route: { routeNumber: '138', destination: 'Homagama' },
+            bus: { registrationNumber: 'NB-T-1' },
+            source: 'schedule',
+            delayMinutes: 0,
+            fare: 180,
+        });
+        expect(board.departures[0].scheduledTime.getTime()).toBeCloseTo(from.getTime() + minutes(30), -3);
+    });
+
+    it('shifts unstarted trips by their projected knock-on delay', async () => {
+        trips = [trip('T-1', 0, { projectedDelay: { minutes: 15 } })];
+
+        const { departures: [departure] } = await getDepartures({ stop: 'Nugegoda', from, minutes: 60 });
+
+        expect(departure).toMatchObject({ source: 'projected', delayMinutes: 15 });
+    });
+
+    it('uses the ETA of running trips and drops those that already left the stop', async () => {
+        const running = trip('T-1', 0, { status: 'in-transit' });
+        const left = trip('T-2', 5, { status: 'in-transit' });
+        trips = [running, left, trip('T-3', 10)];
+        departed = [{ tripId: trip('T-4', 0)._id, stopId: nugegoda._id }, { tripId: left._id, stopId: nugegoda._id }];
+        jest.spyOn(etaService, 'predictTripEta').mockResolvedValue({
+            predictions: [{ stopId: nugegoda._id, predictedArrival: new Date(from.getTime() + minutes(45)) }],
+        });
+
+        const { departures } = await getDepartures({ stop: nugegoda._id.toString(), from, minutes: 60 });
+
+        expect(Route.find).toHaveBeenCalledWith({ status: 'active', 'stops._id': nugegoda._id.toString() });
+        expect(departures.map((d) => [d.tripNumber, d.source])).toEqual([['T-3', 'schedule'], ['T-1', 'live']]);
+        expect(departures[1].delayMinutes).toBe(15);
+        expect(etaService.predictTripEta).toHaveBeenCalledTimes(1);
+    });
+
+    it('lists nothing for the final stop of a route', async () => {
+        trips = [trip('T-1', 0)];
+
+        const board = await getDepartures({ stop: 'Homagama', from, minutes: 60 });
+
+        expect(board).toMatchObject({ stops: [], departures: [] });
+        expect(Trip.find).not.toHaveBeenCalled();
+    });
+});
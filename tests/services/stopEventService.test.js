@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const StopEvent = require('../../src/models/StopEvent');
+const Route = require('../../src/models/Route');
+const stopEventService = require('../../src/services/stopEventService');
+
+describe('stopEventService.processLocation', () => {
+    const route = new Route({
+        routeNumber: '138',
+        name: 'Pettah - Homagama',
+        origin: 'Pettah',
+        destination: 'Homagama',
+        distance: 24,
+        estimatedDuration: 60,
+        fare: 120,
+        stops: [
+            { name: 'Pettah', order: 1, coordinates: { lat: 6.9, lng: 79.85 } },
+            { name: 'Borella', order: 2, coordinates: { lat: 6.93, lng: 79.85 } },
+        ],
+    });
+    const [pettah] = route.stops;
+    const trip = { _id: new mongoose.Types.ObjectId(), tripNumber: 'T-500' };
+    const arrivedAt = new Date('2025-10-01T01:00:00Z');
+    const seconds = (n) => new Date(arrivedAt.getTime() + n * 1000);
+    // Points due north of Pettah; 0.001 degrees of latitude is about 111 m
+    const update = (metersNorth, timestamp) => ({
+        _id: new mongoose.Types.ObjectId(),
+        busId: new mongoose.Types.ObjectId(),
+        coordinates: { lat: 6.9 + metersNorth / 111195, lng: 79.85 },
+        timestamp,
+    });
+    const event = (fields = {}) => new StopEvent({
+        tripId: trip._id,
+        busId: new mongoose.Types.ObjectId(),
+        routeId: route._id,
+        stopId: pettah._id,
+        stopName: 'Pettah',
+        stopOrder: 1,
+        arrivedAt,
+        ...fields,
+    });
+
+    beforeEach(() => {
+        jest.spyOn(StopEvent.prototype, 'save').mockImplementation(function save() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(StopEvent, 'create').mockImplementation(async (fields) => new StopEvent(fields));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('records an arrival inside the arrival radius', async () => {
+        jest.spyOn(StopEvent, 'findOne').mockResolvedValue(null);
+        const location = update(100, arrivedAt);
+
+        const transitions = await stopEventService.processLocation(location, trip, route);
+
+        expect(transitions).toEqual([{ type: 'arrived', stopEvent: expect.any(StopEvent) }]);
+        expect(StopEvent.create).toHaveBeenCalledWith({
+            tripId: trip._id,
+            busId: location.busId,
+            routeId: route._id,
+            stopId: pettah._id,
+            stopName: 'Pettah',
+            stopOrder: 1,
+            arrivedAt,
+            arrivalLocationId: location._id,
+        });
+    });
+
+    it('records nothing outside every stop', async () => {
+        jest.spyOn(StopEvent, 'findOne').mockResolvedValue(null);
+
+        await expect(stopEventService.processLocation(update(1000, arrivedAt), trip, route)).resolves.toEqual([]);
+        expect(StopEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps the stop open between the arrival and departure radii', async () => {
+        const open = event();
+        jest.spyOn(StopEvent, 'findOne').mockResolvedValue(open);
+
+        await expect(stopEventService.processLocation(update(200, seconds(30)), trip, route)).resolves.toEqual([]);
+        expect(open.departedAt).toBeUndefined();
+        expect(StopEvent.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('departs once the bus is clearly outside the stop, with the dwell time', async () => {
+        const open = event();
+        jest.spyOn(StopEvent, 'findOne').mockResolvedValueOnce(open);
+        const location = update(300, seconds(90));
+
+        const transitions = await stopEventService.processLocation(location, trip, route);
+
+        expect(transitions).toEqual([{ type: 'departed', stopEvent: open }]);
+        expect(open).toMatchObject({ departedAt: seconds(90), departureLocationId: location._id, dwellSeconds: 90 });
+        expect(StopEvent.prototype.save).toHaveBeenCalled();
+    });
+
+    it('ignores a late point from before the arrival', async () => {
+        jest.spyOn(StopEvent, 'findOne').mockResolvedValue(event());
+
+        await expect(stopEventService.processLocation(update(1000, seconds(-30)), trip, route)).resolves.toEqual([]);
+        expect(StopEvent.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('reopens the stop when the bus comes back within the grace period', async () => {
+        const departed = event({ departedAt: seconds(60), dwellSeconds: 60 });
+        jest.spyOn(StopEvent, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(departed);
+
+        await expect(stopEventService.processLocation(update(50, seconds(120)), trip, route)).resolves.toEqual([]);
+        expect(departed.departedAt).toBeUndefined();
+        expect(departed.dwellSeconds).toBeUndefined();
+        expect(StopEvent.create).not.toHaveBeenCalled();
+    });
+
+    it('does not reopen the stop after the grace period', async () => {
+        const departed = event({ departedAt: seconds(60), dwellSeconds: 60 });
+        jest.spyOn(StopEvent, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(departed);
+
+        await stopEventService.processLocation(update(50, seconds(600)), trip, route);
+
+        expect(departed.departedAt).toEqual(seconds(60));
+        expect(StopEvent.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('leaves an arrival recorded concurrently alone and rethrows other errors', async () => {
+        jest.spyOn(StopEvent, 'findOne').mockResolvedValue(null);
+        StopEvent.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        await expect(stopEventService.processLocation(update(50, arrivedAt), trip, route)).resolves.toEqual([]);
+
+        StopEvent.create.mockRejectedValueOnce(new Error('connection lost'));
+        await expect(stopEventService.processLocation(update(50, arrivedAt), trip, route)).rejects.toThrow('connection lost');
+    });
+
+    it('does nothing for a route without stops', async () => {
+        jest.spyOn(StopEvent, 'findOne');
+
+        await expect(stopEventService.processLocation(update(0, arrivedAt), trip, { stops: [] })).resolves.toEqual([]);
+        expect(StopEvent.findOne).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+const Route = require('../../src/models/Route');
+const Bus = require('../../src/models/Bus');
+const Booking = require('../../src/models/Booking');
+const TicketScan = require('../../src/models/TicketScan');
+const { query } = require('../queryMock');
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.TICKET_SIGNING_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+const {
+    getPublicKey,
+    signTicket,
+    verifyTicket,
+    issueTickets,
+    syncScans,
+    findMultiBusTickets,
+} = require('../../src/services/ticketService');
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('ticketService', () => {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    const claims = {
+        tid: 'BK7QF4M2XA-12', trp: 'trip', trn: 'T-100', seat: 12, stg: [1, 4], exp,
+    };
+
+    describe('verifyTicket', () => {
+        it('accepts a ticket it signed', () => {
+            expect(verifyTicket(signTicket(claims))).toEqual({ claims, issues: [] });
+        });
+
+        it('publishes the key the ticket names', () => {
+            const [header] = signTicket(claims).split('.');
+            expect(JSON.parse(Buffer.from(header, 'base64url'))).toMatchObject({ alg: 'EdDSA', kid: getPublicKey().kid });
+        });
+
+        it('reports expired tickets', () => {
+            const { issues } = verifyTicket(signTicket(claims), new Date((exp + 1) * 1000));
+            expect(issues).toEqual(['expired']);
+        });
+
+        it('reports tampered claims', () => {
+            const [header, , signature] = signTicket(claims).split('.');
+            const forged = [header, segment({ ...claims, seat: 13 }), signature].join('.');
+            expect(verifyTicket(forged)).toEqual({ claims: { ...claims, seat: 13 }, issues: ['bad-signature'] });
+        });
+
+        it('reports tickets signed with another key', () => {
+            const [header, body] = signTicket(claims).split('.');
+            const { privateKey: other } = crypto.generateKeyPairSync('ed25519');
+            const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), other).toString('base64url');
+            expect(verifyTicket(`${header}.${body}.${signature}`).issues).toEqual(['bad-signature']);
+        });
+
+        it.each([
+            ['not a ticket', 'garbage'],
+            ['a segment that is not JSON', 'abc.def.ghi'],
+            ['a null header', `${segment(null)}.${segment(claims)}.sig`],
+            ['null claims', `${segment({ alg: 'EdDSA' })}.${segment(null)}.sig`],
+            ['claims that are not an object', `${segment({ alg: 'EdDSA' })}.${segment(42)}.sig`],
+            ['claims without a ticket ID', `${segment({ alg: 'EdDSA' })}.${segment({ exp })}.sig`],
+        ])('reports %s as unreadable', (_, token) => {
+            expect(verifyTicket(token)).toEqual({ claims: null, issues: ['bad-signature'] });
+        });
+    });
+
+    describe('issueTickets', () => {
+        const stops = [1, 2, 3, 4].map((stage) => ({
+            _id: new mongoose.Types.ObjectId(), name: `Stop ${stage}`, order: stage, fareStage: stage,
+        }));
+        const trip = {
+            _id: new mongoose.Types.ObjectId(),
+            tripNumber: 'T-100',
+            routeId: new mongoose.Types.ObjectId(),
+            scheduledArrivalTime: new Date(Date.now() + 3600000),
+        };
+        const booking = (fields) => ({
+            reference: 'BK7QF4M2XA',
+            tripId: trip._id,
+            status: 'confirmed',
+            seats: [12, 13],
+            passengerType: 'student',
+            ...fields,
+        });
+
+        beforeEach(() => {
+            jest.spyOn(Trip, 'findById').mockReturnValue(query(trip));
+            jest.spyOn(Route, 'findById').mockResolvedValue({ stops });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('signs one ticket per seat for the booked stages', async () => {
+            const tickets = await issueTickets(booking({
+                from: { stopId: stops[1]._id, name: 'Stop 2', fareStage: 2 },
+                to: { stopId: stops[2]._id, name: 'Stop 3', fareStage: 3 },
+            }));
+
+            expect(tickets.map((ticket) => ticket.ticketId)).toEqual(['BK7QF4M2XA-12', 'BK7QF4M2XA-13']);
+            const { claims: signed, issues } = verifyTicket(tickets[0].payload);
+            expect(issues).toEqual([]);
+            expect(signed).toMatchObject({
+                tid: 'BK7QF4M2XA-12', trn: 'T-100', seat: 12, pty: 'student', stg: [2, 3],
+            });
+        });
+
+        it('covers the whole route for bookings without stops', async () => {
+            const [ticket] = await issueTickets(booking());
+            expect(ticket.fareStages).toEqual([1, 4]);
+        });
+
+        it('refuses bookings that are not confirmed', async () => {
+            await expect(issueTickets(booking({ status: 'held' }))).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('syncScans', () => {
+        const bus = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'NB-1234' };
+        const otherBusId = new mongoose.Types.ObjectId();
+        const user = { _id: new mongoose.Types.ObjectId() };
+        let stored;
+
+        const forge = () => {
+            const [header, , signature] = signTicket(claims).split('.');
+            return [header, segment({ ...claims, trn: 'T-999' }), signature].join('.');
+        };
+
+        const upload = (payload) => syncScans({
+            deviceId: 'HH-01',
+            busId: bus._id,
+            scans: [{ payload, scannedAt: new Date(), result: 'accepted' }],
+        }, user);
+
+        beforeEach(() => {
+            stored = [];
+            jest.spyOn(Bus, 'findById').mockReturnValue(query(bus));
+            jest.spyOn(Booking, 'find').mockReturnValue(query([{ reference: 'BK7QF4M2XA', status: 'confirmed' }]));
+            jest.spyOn(TicketScan, 'bulkWrite').mockImplementation(async (ops) => {
+                ops.forEach(({ updateOne }) => stored.push({
+                    ticketId: updateOne.filter.ticketId,
+                    ...updateOne.update.$setOnInsert,
+                }));
+                return { upsertedIds: Object.fromEntries(ops.map((op, i) => [i, new mongoose.Types.ObjectId()])) };
+            });
+            // Applies the filter fields syncScans queries with
+            jest.spyOn(TicketScan, 'find').mockImplementation((filter) => query(stored.filter((scan) => (
+                filter.ticketId.$in.includes(scan.ticketId)
+                && !(filter.issues && scan.issues.includes(filter.issues.$ne))
+            ))));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('flags a ticket already scanned on another bus', async () => {
+            stored.push({ ticketId: claims.tid, busId: otherBusId, issues: [] });
+
+            const { results, summary } = await upload(signTicket(claims));
+
+            expect(results[0]).toMatchObject({ issues: ['used-on-other-bus'], otherBuses: [otherBusId.toString()] });
+            expect(summary.usedOnOtherBus).toBe(1);
+        });
+
+        it('does not flag the real ticket because of a forged copy scanned on another bus', async () => {
+            stored.push({ ticketId: claims.tid, busId: otherBusId, issues: ['bad-signature'] });
+
+            const { results, summary } = await upload(signTicket(claims));
+
+            expect(results[0]).toMatchObject({ issues: [], otherBuses: [] });
+            expect(summary.usedOnOtherBus).toBe(0);
+        });
+
+        it('stores a forged scan without reporting it as used on another bus', async () => {
+            stored.push({ ticketId: claims.tid, busId: otherBusId, issues: [] });
+
+            const { results } = await upload(forge());
+
+            expect(results[0]).toMatchObject({ stored: true, issues: ['bad-signature'], otherBuses: [] });
+            expect(stored[stored.length - 1].issues).toEqual(['bad-signature']);
+        });
+    });
+
+    describe('findMultiBusTickets', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('leaves unsigned scans out of the cross-bus report', async () => {
+            jest.spyOn(TicketScan, 'aggregate').mockResolvedValue([]);
+            jest.spyOn(Bus, 'find').mockReturnValue(query([]));
+
+            await findMultiBusTickets({ from: new Date(0), to: new Date() });
+
+            expect(TicketScan.aggregate.mock.calls[0][0][0].$match).toMatchObject({ issues: { $ne: 'bad-signature' } });
+        });
+    });
+});
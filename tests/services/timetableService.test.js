@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Timetable = require('../../src/models/Timetable');
+const Trip = require('../../src/models/Trip');
+const Route = require('../../src/models/Route');
+const tripConflictService = require('../../src/services/tripConflictService');
+const crewDutyService = require('../../src/services/crewDutyService');
+const bookingService = require('../../src/services/bookingService');
+const { ApiError } = require('../../src/middleware/errorHandler');
+const timetableService = require('../../src/services/timetableService');
+const { query } = require('../queryMock');
+
+describe('timetableService', () => {
+    const route = { _id: new mongoose.Types.ObjectId(), estimatedDuration: 90 };
+    // Weekdays at 06:30 and 18:00 local time (Asia/Colombo, UTC+05:30)
+    const timetable = (fields = {}) => new Timetable({
+        code: 'R01-AM',
+        name: 'Colombo - Kandy weekdays',
+        routeId: route._id,
+        departureTimes: ['06:30', '18:00'],
+        daysOfWeek: [1, 2, 3, 4, 5],
+        effectiveFrom: new Date('2025-09-01T00:00:00Z'),
+        defaultBusId: new mongoose.Types.ObjectId(),
+        ...fields,
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('planTrips', () => {
+        it('plans local departures on the timetable days, numbered by local date and time', () => {
+            // Friday 3 October to Monday 6 October
+            const planned = timetableService.planTrips(
+                timetable(),
+                route,
+                new Date('2025-10-03T00:00:00Z'),
+                new Date('2025-10-06T06:00:00Z'),
+            );
+
+            expect(planned.map((trip) => trip.tripNumber)).toEqual([
+                'R01-AM-20251003-0630',
+                'R01-AM-20251003-1800',
+                'R01-AM-20251006-0630',
+            ]);
+            expect(planned[0].scheduledDepartureTime).toEqual(new Date('2025-10-03T01:00:00Z'));
+            expect(planned[0].scheduledArrivalTime).toEqual(new Date('2025-10-03T02:30:00Z'));
+        });
+
+        it('stays within the effective dates and uses the timetable duration', () => {
+            const planned = timetableService.planTrips(
+                timetable({
+                    effectiveFrom: new Date('2025-10-02T00:00:00Z'),
+                    effectiveTo: new Date('2025-10-02T12:00:00Z'),
+                    durationMinutes: 60,
+                }),
+                route,
+                new Date('2025-10-01T00:00:00Z'),
+                new Date('2025-10-10T00:00:00Z'),
+            );
+
+            expect(planned.map((trip) => trip.tripNumber)).toEqual(['R01-AM-20251002-0630', 'R01-AM-20251002-1800']);
+            expect(planned[1].scheduledArrivalTime - planned[1].scheduledDepartureTime).toBe(60 * 60 * 1000);
+        });
+    });
+
+    describe('generateTrips', () => {
+        // Wednesday 1 October, 05:30 local; two days cover four departures
+        const now = new Date('2025-10-01T00:00:00Z');
+        const generate = (tt) => timetableService.generateTrips(tt, { now, horizonDays: 2 });
+
+        beforeEach(() => {
+            jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+            jest.spyOn(Trip, 'find').mockReturnValue(query([]));
+            jest.spyOn(Trip.prototype, 'save').mockImplementation(function save() {
+                return Promise.resolve(this);
+            });
+            jest.spyOn(tripConflictService, 'assertNoBusConflicts').mockResolvedValue();
+            jest.spyOn(crewDutyService, 'assertCrewAssignable').mockResolvedValue();
+            jest.spyOn(Timetable, 'updateOne').mockResolvedValue({});
+        });
+
+        it('creates the planned trips and records how far it generated', async () => {
+            const tt = timetable();
+
+            const summary = await generate(tt);
+
+            expect(summary).toMatchObject({ planned: 4, created: 4, existing: 0 });
+            expect(summary.skipped).toEqual([]);
+            const [saved] = Trip.prototype.save.mock.contexts;
+            expect(saved).toMatchObject({
+                tripNumber: 'R01-AM-20251001-0630',
+                status: 'scheduled',
+                statusSource: 'schedule',
+            });
+            expect(saved.busId).toEqual(tt.defaultBusId);
+            expect(saved.fare).toBeUndefined();
+            expect(Timetable.updateOne).toHaveBeenCalledWith(
+                { _id: tt._id },
+                { $set: { generatedThrough: new Date('2025-10-03T00:00:00Z') } },
+            );
+        });
+
+        it('leaves trips that already exist alone when run again', async () => {
+            Trip.find.mockReturnValue(query([
+                { tripNumber: 'R01-AM-20251001-0630' },
+                { tripNumber: 'R01-AM-20251001-1800' },
+            ]));
+
+            const summary = await generate(timetable());
+
+            expect(summary).toMatchObject({ planned: 4, created: 2, existing: 2 });
+            expect(Trip.prototype.save.mock.contexts.map((trip) => trip.tripNumber)).toEqual([
+                'R01-AM-20251002-0630',
+                'R01-AM-20251002-1800',
+            ]);
+        });
+
+        it('counts a trip created meanwhile by another run as existing', async () => {
+            Trip.prototype.save.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+            await expect(generate(timetable())).resolves.toMatchObject({ created: 3, existing: 1 });
+        });
+
+        it('skips and reports departures the bus cannot run', async () => {
+            const conflicts = [{ tripNumber: 'T-100', type: 'overlap' }];
+            tripConflictService.assertNoBusConflicts
+                .mockRejectedValueOnce(new ApiError('Bus is already booked: T-100', 409, { conflicts }));
+
+            const summary = await generate(timetable({ fare: 250 }));
+
+            expect(summary.created).toBe(3);
+            expect(summary.skipped).toEqual([{
+                tripNumber: 'R01-AM-20251001-0630',
+                scheduledDepartureTime: new Date('2025-10-01T01:00:00Z'),
+                reason: 'Bus is already booked: T-100',
+                details: { conflicts },
+            }]);
+            expect(Trip.prototype.save.mock.contexts[0].fare).toBe(250);
+        });
+
+        it('generates nothing for a timetable awaiting regeneration', async () => {
+            const summary = await generate(timetable({ regenerationPending: true }));
+
+            expect(summary).toMatchObject({ regenerationPending: true, planned: 0, created: 0 });
+            expect(Route.findById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('regenerateFutureTrips', () => {
+        it('removes dropped trips without bookings, moves kept trips to the new bus and generates the rest', async () => {
+            // Regeneration always plans from the current time
+            const tt = timetable({ daysOfWeek: [0, 1, 2, 3, 4, 5, 6], regenerationPending: true });
+            const [first] = timetableService.planTrips(
+                tt,
+                route,
+                new Date(),
+                new Date(Date.now() + timetableService.HORIZON_DAYS * 24 * 60 * 60 * 1000),
+            );
+            const future = (tripNumber) => ({
+                _id: new mongoose.Types.ObjectId(),
+                tripNumber,
+                busId: new mongoose.Types.ObjectId(),
+                scheduledDepartureTime: first.scheduledDepartureTime,
+            });
+            const kept = future(first.tripNumber);
+            const booked = future('R01-AM-20000101-0700');
+            const dropped = future('R01-AM-20000101-0800');
+
+            jest.spyOn(Route, 'findById').mockReturnValue(query(route));
+            jest.spyOn(Trip, 'find')
+                .mockReturnValueOnce(query([kept, booked, dropped]))
+                .mockReturnValue(query([{ tripNumber: kept.tripNumber }]));
+            jest.spyOn(bookingService, 'countActiveBookings')
+                .mockImplementation(async (tripId) => (tripId === booked._id ? 2 : 0));
+            jest.spyOn(bookingService, 'assertSeatsFit').mockResolvedValue();
+            jest.spyOn(tripConflictService, 'assertNoBusConflicts').mockResolvedValue();
+            jest.spyOn(crewDutyService, 'assertCrewAssignable').mockResolvedValue();
+            jest.spyOn(Trip, 'deleteMany').mockResolvedValue({});
+            jest.spyOn(Trip, 'bulkWrite').mockResolvedValue({});
+            jest.spyOn(Trip.prototype, 'save').mockImplementation(function save() {
+                return Promise.resolve(this);
+            });
+            jest.spyOn(Timetable, 'updateOne').mockResolvedValue({});
+
+            const result = await timetableService.regenerateFutureTrips(tt);
+
+            expect(Trip.deleteMany).toHaveBeenCalledWith({ _id: { $in: [dropped._id] } });
+            expect(bookingService.assertSeatsFit).toHaveBeenCalledWith(kept._id, tt.defaultBusId);
+            const [[[{ updateOne }]]] = Trip.bulkWrite.mock.calls;
+            expect(updateOne.filter).toEqual({ _id: kept._id, status: 'scheduled' });
+            expect(updateOne.update.$set.busId).toEqual(tt.defaultBusId);
+            expect(updateOne.update.$unset).toEqual({ fare: '' });
+            expect(tt.regenerationPending).toBe(false);
+            expect(result).toMatchObject({ removed: 1, updated: 1 });
+            expect(result.created).toBeGreaterThan(0);
+            expect(result.skipped).toEqual([expect.objectContaining({
+                tripNumber: booked.tripNumber,
+                reason: 'Trip has 2 active booking(s)',
+            })]);
+        });
+    });
+});
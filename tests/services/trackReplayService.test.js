@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const LocationUpdate = require('../../src/models/LocationUpdate');
+const { replayTrip, replayBus } = require('../../src/services/trackReplayService');
+const { query } = require('../queryMock');
+
+describe('trackReplayService', () => {
+    const start = new Date('2025-10-01T08:00:00Z').getTime();
+    // Northbound at about 66.7 km/h: 0.01 degree of latitude (1.11 km) a minute
+    const fix = (minute, lat = 6.0 + minute * 0.01) => ({
+        coordinates: { type: 'Point', coordinates: [80.0, lat] },
+        timestamp: new Date(start + minute * 60000),
+        speed: 60,
+        status: 'moving',
+    });
+    const trip = { _id: new mongoose.Types.ObjectId() };
+    let track;
+
+    beforeEach(() => {
+        track = [fix(0), fix(1), fix(2), fix(3)];
+        jest.spyOn(LocationUpdate, 'find').mockImplementation(() => query(track));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('simplifies a straight track to its ends and keeps the timing', async () => {
+        const replay = await replayTrip(trip);
+
+        expect(LocationUpdate.find).toHaveBeenCalledWith({ tripId: trip._id });
+        expect(replay.stats).toMatchObject({
+            rawPoints: 4, points: 2, durationSeconds: 180, averageSpeed: 66.7, maxSegmentSpeed: 66.7,
+        });
+        expect(replay.stats.distanceKm).toBeCloseTo(3.34, 2);
+        expect(replay.points.map((p) => p.coordinates.lat)).toEqual([6.0, 6.03]);
+        expect(replay.truncated).toBe(false);
+    });
+
+    it('returns the raw track with a zero tolerance', async () => {
+        const replay = await replayTrip(trip, { toleranceM: 0 });
+
+        expect(replay.points).toHaveLength(4);
+        expect(replay.segments).toHaveLength(3);
+    });
+
+    it('resamples at a fixed interval, interpolating between fixes', async () => {
+        const { samples } = await replayTrip(trip, { intervalSeconds: 30 });
+
+        expect(samples).toHaveLength(7);
+        expect(samples[1]).toMatchObject({ coordinates: { lat: 6.005, lng: 80 }, interpolated: true, gap: false });
+        expect(samples[2]).toMatchObject({ coordinates: { lat: 6.01, lng: 80 }, interpolated: false });
+        expect(samples[6].timestamp).toEqual(track[3].timestamp);
+    });
+
+    it('flags samples between fixes far apart in time', async () => {
+        track = [fix(0), fix(10, 6.02)];
+
+        const { samples } = await replayTrip(trip, { toleranceM: 0, intervalSeconds: 300 });
+
+        expect(samples.map((s) => s.gap)).toEqual([true, true, true]);
+    });
+
+    it('refuses an interval that would produce too many samples', async () => {
+        track = [fix(0), fix(24 * 60, 6.0)];
+
+        await expect(replayTrip(trip, { intervalSeconds: 1 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('answers 404 when nothing was recorded', async () => {
+        track = [];
+
+        await expect(replayBus(new mongoose.Types.ObjectId(), new Date(start), new Date()))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('replays a bus over a time window', async () => {
+        const busId = new mongoose.Types.ObjectId();
+        const from = new Date(start);
+        const to = new Date(start + 3600000);
+
+        const replay = await replayBus(busId, from, to);
+
+        expect(LocationUpdate.find).toHaveBeenCalledWith({ busId, timestamp: { $gte: from, $lte: to } });
+        expect(replay.busId).toBe(busId);
+    });
+});
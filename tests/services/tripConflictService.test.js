@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+const tripConflictService = require('../../src/services/tripConflictService');
+const { query } = require('../queryMock');
+
+describe('tripConflictService', () => {
+    const start = new Date('2025-10-01T06:00:00Z').getTime();
+    const at = (minutes) => new Date(start + minutes * 60 * 1000);
+    const busId = new mongoose.Types.ObjectId();
+    const trip = (tripNumber, from, to, fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber,
+        busId,
+        status: 'scheduled',
+        scheduledDepartureTime: at(from),
+        scheduledArrivalTime: at(to),
+        ...fields,
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('compareTrips', () => {
+        it('accepts a gap of at least the minimum turnaround', () => {
+            expect(tripConflictService.compareTrips(trip('T-1', 0, 60), trip('T-2', 90, 150))).toBeNull();
+        });
+
+        it('flags a short turnaround', () => {
+            expect(tripConflictService.compareTrips(trip('T-1', 0, 60), trip('T-2', 75, 150)))
+                .toEqual({ type: 'turnaround', gapMinutes: 15 });
+        });
+
+        it('flags overlapping trips', () => {
+            expect(tripConflictService.compareTrips(trip('T-1', 0, 60), trip('T-2', 40, 150)))
+                .toEqual({ type: 'overlap', gapMinutes: -20 });
+        });
+    });
+
+    describe('assertNoBusConflicts', () => {
+        it("looks for the bus's other uncancelled trips near the schedule", async () => {
+            jest.spyOn(Trip, 'find').mockReturnValue(query([]));
+            const proposed = trip('T-2', 120, 180);
+
+            await expect(tripConflictService.assertNoBusConflicts(proposed)).resolves.toBeUndefined();
+            expect(Trip.find).toHaveBeenCalledWith({
+                busId,
+                status: { $ne: 'cancelled' },
+                scheduledDepartureTime: { $lt: at(210) },
+                scheduledArrivalTime: { $gt: at(90) },
+                _id: { $ne: proposed._id },
+            });
+        });
+
+        it('answers 409 with the clashing trips on either side', async () => {
+            jest.spyOn(Trip, 'find').mockReturnValue(query([trip('T-1', 0, 100), trip('T-3', 190, 240)]));
+
+            await expect(tripConflictService.assertNoBusConflicts(trip('T-2', 120, 180))).rejects.toMatchObject({
+                statusCode: 409,
+                message: 'Bus is already booked: T-1, T-3 (minimum turnaround 30 minutes)',
+                details: {
+                    minTurnaroundMinutes: 30,
+                    conflicts: [
+                        expect.objectContaining({ tripNumber: 'T-1', type: 'turnaround', gapMinutes: 20 }),
+                        expect.objectContaining({ tripNumber: 'T-3', type: 'turnaround', gapMinutes: 10 }),
+                    ],
+                },
+            });
+        });
+    });
+
+    describe('findScheduleConflicts', () => {
+        it('pairs each trip with the earlier trips of the same bus it clashes with', async () => {
+            const otherBus = new mongoose.Types.ObjectId();
+            jest.spyOn(Trip, 'find').mockReturnValue(query([
+                trip('T-1', 0, 120),
+                trip('T-2', 60, 100),
+                trip('T-3', 200, 260),
+                trip('T-4', 0, 60, { busId: otherBus }),
+                trip('T-5', 70, 130, { busId: otherBus }),
+            ]));
+
+            const conflicts = await tripConflictService.findScheduleConflicts({ from: at(0), to: at(300) });
+
+            expect(conflicts).toEqual([
+                expect.objectContaining({ busId, type: 'overlap', gapMinutes: -60 }),
+                expect.objectContaining({ busId: otherBus, type: 'turnaround', gapMinutes: 10 }),
+            ]);
+            expect(conflicts[0].trips.map((t) => t.tripNumber)).toEqual(['T-1', 'T-2']);
+        });
+
+        it('limits the scan to one bus when asked', async () => {
+            jest.spyOn(Trip, 'find').mockReturnValue(query([]));
+
+            await tripConflictService.findScheduleConflicts({ from: at(0), to: at(300), busId: busId.toString() });
+
+            expect(Trip.find.mock.calls[0][0].busId).toEqual(busId);
+        });
+    });
+});
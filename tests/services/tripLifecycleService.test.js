@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Trip = require('../../src/models/Trip');
+const { applyLocation } = require('../../src/services/tripLifecycleService');
+
+describe('tripLifecycleService.applyLocation', () => {
+    const stop = (name, order, coordinates) => ({
+        _id: new mongoose.Types.ObjectId(), name, order, coordinates,
+    });
+    const origin = stop('Colombo', 1, { lat: 6.9271, lng: 79.8612 });
+    const destination = stop('Kandy', 2, { lat: 7.2906, lng: 80.6337 });
+    const route = { stops: [origin, destination], distance: 115 };
+    const locationUpdate = {
+        _id: new mongoose.Types.ObjectId(), timestamp: new Date(), coordinates: destination.coordinates,
+    };
+    const trip = (fields) => ({
+        _id: new mongoose.Types.ObjectId(),
+        tripNumber: 'T-100',
+        scheduledDepartureTime: new Date(Date.now() - 3 * 3600000),
+        scheduledArrivalTime: new Date(),
+        ...fields,
+    });
+    const event = (type, { _id }) => ({ type, stopEvent: { stopId: _id, departedAt: new Date() } });
+
+    let update;
+
+    beforeEach(() => {
+        update = jest.spyOn(Trip, 'findOneAndUpdate').mockImplementation((filter, changes) => ({
+            setOptions: () => Promise.resolve({ filter, changes }),
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('completes a trip on arrival at the destination', async () => {
+        const result = await applyLocation(locationUpdate, trip({ status: 'in-transit', actualDepartureTime: new Date() }), route, [event('arrived', destination)]);
+
+        expect(result.filter.statusSource).toEqual({ $ne: 'manual' });
+        expect(result.changes.$set).toMatchObject({ status: 'completed', statusSource: 'gps' });
+        expect(result.changes.$push.statusHistory).toMatchObject({ from: 'in-transit', to: 'completed', source: 'gps' });
+    });
+
+    it('still completes a trip whose status was set by hand', async () => {
+        const manual = trip({ status: 'delayed', statusSource: 'manual', actualDepartureTime: new Date() });
+        const result = await applyLocation(locationUpdate, manual, route, [event('arrived', destination)]);
+
+        expect(result.filter).toMatchObject({ status: 'delayed', statusSource: 'manual' });
+        expect(result.changes.$set).toMatchObject({ status: 'completed', statusSource: 'gps' });
+    });
+
+    it('records the departure of a trip delayed by hand and keeps its reason', async () => {
+        const manual = trip({
+            status: 'delayed',
+            statusSource: 'manual',
+            delayReason: 'Flat tyre',
+            scheduledDepartureTime: new Date(Date.now() - 2 * 3600000),
+            scheduledArrivalTime: new Date(Date.now() + 3600000),
+        });
+        const result = await applyLocation({ ...locationUpdate, coordinates: origin.coordinates }, manual, route, [event('departed', origin)]);
+
+        expect(result.changes.$set).toMatchObject({ delayReason: 'Flat tyre', statusSource: 'gps' });
+        expect(result.changes.$set.actualDepartureTime).toBeInstanceOf(Date);
+    });
+
+    it('leaves other transitions of a manually set trip alone', async () => {
+        const atOrigin = { ...locationUpdate, coordinates: origin.coordinates };
+        const waiting = {
+            status: 'scheduled',
+            scheduledDepartureTime: new Date(Date.now() + 5 * 60000),
+            scheduledArrivalTime: new Date(Date.now() + 3 * 3600000),
+        };
+
+        const boarding = await applyLocation(atOrigin, trip(waiting), route, []);
+        expect(boarding.changes.$set.status).toBe('boarding');
+
+        update.mockClear();
+        const result = await applyLocation(atOrigin, trip({ ...waiting, statusSource: 'manual' }), route, []);
+        expect(result).toBeNull();
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('ignores routes without stops', async () => {
+        expect(await applyLocation(locationUpdate, trip({ status: 'in-transit' }), { stops: [] })).toBeNull();
+    });
+});
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const {
+    TRANSITIONS,
+    canTransition,
+    buildManualTransition,
+} = require('../../src/services/tripStatusService');
+
+describe('tripStatusService', () => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+
+    describe('TRANSITIONS', () => {
+        it('covers every trip status', () => {
+            expect(Object.keys(TRANSITIONS).sort()).toEqual(
+                ['boarding', 'cancelled', 'completed', 'delayed', 'in-transit', 'scheduled'],
+            );
+        });
+
+        it('only leads to known statuses', () => {
+            Object.values(TRANSITIONS).flat().forEach((to) => {
+                expect(TRANSITIONS).toHaveProperty([to]);
+            });
+        });
+
+        it('treats completed and cancelled as final', () => {
+            expect(TRANSITIONS.completed).toEqual([]);
+            expect(TRANSITIONS.cancelled).toEqual([]);
+        });
+    });
+
+    describe('canTransition', () => {
+        it.each([
+            ['scheduled', 'boarding', true],
+            ['scheduled', 'completed', false],
+            ['boarding', 'scheduled', false],
+            ['in-transit', 'completed', true],
+            ['delayed', 'in-transit', true],
+            ['completed', 'in-transit', false],
+            ['unknown', 'scheduled', false],
+        ])('%s → %s is %s', (from, to, allowed) => {
+            expect(canTransition(from, to)).toBe(allowed);
+        });
+    });
+
+    describe('buildManualTransition', () => {
+        it('rejects transitions the table does not allow', () => {
+            expect(() => buildManualTransition({ status: 'scheduled' }, { status: 'completed' }, user))
+                .toThrow('Cannot change trip status from scheduled to completed. Allowed: boarding, in-transit, delayed, cancelled');
+            expect(() => buildManualTransition({ status: 'cancelled' }, { status: 'scheduled' }, user))
+                .toThrow('cancelled is final');
+        });
+
+        it('requires a reason to delay or cancel', () => {
+            expect(() => buildManualTransition({ status: 'scheduled' }, { status: 'delayed' }, user))
+                .toThrow(expect.objectContaining({ statusCode: 400, message: 'Changing status to delayed requires delayReason' }));
+
+            const { entry } = buildManualTransition(
+                { status: 'scheduled' },
+                { status: 'cancelled', cancellationReason: 'Breakdown' },
+                user,
+            );
+            expect(entry).toMatchObject({
+                from: 'scheduled', to: 'cancelled', source: 'manual', reason: 'Breakdown', by: user._id,
+            });
+        });
+
+        it('defaults departure and arrival times to now', () => {
+            const { set } = buildManualTransition({ status: 'in-transit', actualDepartureTime: new Date(0) }, { status: 'completed' }, user);
+            expect(set).not.toHaveProperty('actualDepartureTime');
+            expect(set.actualArrivalTime).toBeInstanceOf(Date);
+
+            const started = buildManualTransition({ status: 'boarding' }, { status: 'in-transit' }, user);
+            expect(started.set.actualDepartureTime).toBeInstanceOf(Date);
+        });
+
+        it('keeps times given with the update', () => {
+            const { set } = buildManualTransition(
+                { status: 'boarding' },
+                { status: 'in-transit', actualDepartureTime: new Date() },
+                user,
+            );
+            expect(set).toEqual({});
+        });
+    });
+});
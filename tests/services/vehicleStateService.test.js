@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const VehicleState = require('../../src/models/VehicleState');
+const Bus = require('../../src/models/Bus');
+const Trip = require('../../src/models/Trip');
+const vehicleStateService = require('../../src/services/vehicleStateService');
+const { query } = require('../queryMock');
+
+describe('vehicleStateService', () => {
+    // Staleness is measured against the real clock
+    const now = Date.now();
+    const minutes = (n) => n * 60 * 1000;
+    const routeId = new mongoose.Types.ObjectId();
+    const operatorId = new mongoose.Types.ObjectId();
+    const bus = {
+        _id: new mongoose.Types.ObjectId(),
+        registrationNumber: 'NB-1234',
+        routeId: { _id: routeId, name: 'Colombo - Kandy' },
+        operatorId,
+    };
+    const location = {
+        _id: new mongoose.Types.ObjectId(),
+        coordinates: { type: 'Point', coordinates: [79.85, 6.93] },
+        speed: 40,
+        heading: 90,
+        status: 'moving',
+        timestamp: new Date(now),
+    };
+    const state = (fields = {}) => ({
+        busId: bus._id,
+        registrationNumber: bus.registrationNumber,
+        routeId,
+        operatorId,
+        coordinates: location.coordinates,
+        speed: 40,
+        status: 'moving',
+        timestamp: new Date(now),
+        ...fields,
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('applyLocation', () => {
+        beforeEach(() => {
+            jest.spyOn(VehicleState, 'findOneAndUpdate').mockResolvedValue({});
+        });
+
+        it('only replaces an older state and records the trip', async () => {
+            const trip = { _id: new mongoose.Types.ObjectId() };
+
+            await vehicleStateService.applyLocation(location, bus, trip);
+
+            const [filter, update, options] = VehicleState.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ busId: bus._id, timestamp: { $lt: location.timestamp } });
+            expect(update.$set).toMatchObject({ routeId, operatorId, tripId: trip._id });
+            expect(update.$unset).toBeUndefined();
+            expect(options).toEqual({ new: true, upsert: true });
+        });
+
+        it('clears the trip when the update matched none', async () => {
+            await vehicleStateService.applyLocation(location, bus, null);
+
+            const [, update] = VehicleState.findOneAndUpdate.mock.calls[0];
+            expect(update.$set.tripId).toBeUndefined();
+            expect(update.$unset).toEqual({ tripId: 1 });
+        });
+
+        it('returns null when a newer state is already stored', async () => {
+            VehicleState.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+            await expect(vehicleStateService.applyLocation(location, bus, null)).resolves.toBeNull();
+        });
+
+        it('passes on other write errors', async () => {
+            VehicleState.findOneAndUpdate.mockRejectedValue(new Error('connection lost'));
+
+            await expect(vehicleStateService.applyLocation(location, bus, null)).rejects.toThrow('connection lost');
+        });
+    });
+
+    describe('listPositions', () => {
+        it('lists active buses, flags stale positions and adds reported occupancy', async () => {
+            const tripId = new mongoose.Types.ObjectId();
+            const staleBus = new mongoose.Types.ObjectId();
+            jest.spyOn(Bus, 'find').mockReturnValue({ distinct: () => Promise.resolve([bus._id, staleBus]) });
+            jest.spyOn(VehicleState, 'find').mockReturnValue(query([
+                state({ tripId }),
+                state({ busId: staleBus, timestamp: new Date(now - minutes(11)) }),
+            ]));
+            jest.spyOn(Trip, 'find').mockReturnValue(query([{
+                _id: tripId,
+                occupancy: {
+                    passengers: 30, capacity: 50, band: 'many-seats', computedAt: new Date(now),
+                },
+            }]));
+
+            const positions = await vehicleStateService.listPositions({ routeId: routeId.toString() });
+
+            expect(VehicleState.find).toHaveBeenCalledWith({ routeId, busId: { $in: [bus._id, staleBus] } });
+            expect(positions[0]).toMatchObject({
+                tripId,
+                stale: false,
+                location: { coordinates: { lat: 6.93, lng: 79.85 } },
+                occupancy: { passengers: 30, band: 'many-seats' },
+            });
+            expect(positions[1]).toMatchObject({ tripId: null, stale: true, occupancy: null });
+            expect(positions[1].ageSeconds).toBeGreaterThanOrEqual(11 * 60);
+        });
+    });
+
+    describe('getPosition', () => {
+        it('answers null for a bus that never reported', async () => {
+            jest.spyOn(VehicleState, 'findOne').mockReturnValue(query(null));
+
+            await expect(vehicleStateService.getPosition(bus._id)).resolves.toBeNull();
+        });
+    });
+
+    describe('findNearby', () => {
+        it('searches around the point within the radius and reports distances in kilometers', async () => {
+            jest.spyOn(VehicleState, 'aggregate').mockResolvedValue([state({ distance: 1500 })]);
+
+            const [position] = await vehicleStateService.findNearby(6.93, 79.85, 2, { operatorId });
+
+            const [{ $geoNear: geoNear }] = VehicleState.aggregate.mock.calls[0][0];
+            expect(geoNear).toMatchObject({
+                near: { type: 'Point', coordinates: [79.85, 6.93] },
+                maxDistance: 2000,
+                query: { operatorId },
+            });
+            expect(position.distanceKm).toBe(1.5);
+        });
+    });
+
+    describe('getFleetStats', () => {
+        it('summarises reporting buses and the average moving speed', async () => {
+            jest.spyOn(VehicleState, 'aggregate').mockResolvedValue([{
+                totals: [{ _id: null, tracked: 5, stale: 2 }],
+                byStatus: [
+                    { _id: 'moving', count: 2, avgSpeed: 33.333 },
+                    { _id: 'stopped', count: 1, avgSpeed: 0 },
+                ],
+            }]);
+
+            await expect(vehicleStateService.getFleetStats()).resolves.toEqual({
+                tracked: 5,
+                reporting: 3,
+                stale: 2,
+                staleAfterMinutes: 10,
+                byStatus: [{ status: 'moving', count: 2 }, { status: 'stopped', count: 1 }],
+                averageSpeed: 33.3,
+            });
+        });
+
+        it('reports an empty fleet', async () => {
+            jest.spyOn(VehicleState, 'aggregate').mockResolvedValue([{ totals: [], byStatus: [] }]);
+
+            await expect(vehicleStateService.getFleetStats()).resolves.toMatchObject({
+                tracked: 0, reporting: 0, stale: 0, averageSpeed: 0,
+            });
+        });
+    });
+});
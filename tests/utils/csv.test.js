@@ -0,0 +1,50 @@
+const { toCsv, parseCsv } = require('../../src/utils/csv');
+
+describe('csv', () => {
+    describe('toCsv', () => {
+        it('writes a header line and CRLF line endings', () => {
+            const text = toCsv(['id', 'name'], [{ id: 1, name: 'Colombo' }]);
+            expect(text).toBe('id,name\r\n1,Colombo\r\n');
+        });
+
+        it('quotes fields with commas, quotes or line breaks', () => {
+            const text = toCsv(['a', 'b', 'c'], [{ a: 'x,y', b: 'say "hi"', c: 'two\nlines' }]);
+            expect(text).toBe('a,b,c\r\n"x,y","say ""hi""","two\nlines"\r\n');
+        });
+
+        it('leaves null and undefined fields empty', () => {
+            expect(toCsv(['a', 'b'], [{ a: null }])).toBe('a,b\r\n,\r\n');
+        });
+    });
+
+    describe('parseCsv', () => {
+        it('reads rows keyed by trimmed column names with their line numbers', () => {
+            const { columns, rows } = parseCsv('\ufeff stop_id ,stop_name\r\nS1, Fort \r\n\r\nS2,Kandy\n');
+            expect(columns).toEqual(['stop_id', 'stop_name']);
+            expect(rows).toEqual([
+                { line: 2, stop_id: 'S1', stop_name: 'Fort' },
+                { line: 4, stop_id: 'S2', stop_name: 'Kandy' },
+            ]);
+        });
+
+        it('reads quoted fields with escaped quotes and line breaks', () => {
+            const { rows } = parseCsv('a,b\n"x,""y""","1\n2"\nlast,row');
+            expect(rows[0]).toMatchObject({ a: 'x,"y"', b: '1\n2' });
+            expect(rows[1]).toMatchObject({ line: 4, a: 'last', b: 'row' });
+        });
+
+        it('fills missing trailing fields with empty strings', () => {
+            expect(parseCsv('a,b\n1').rows).toEqual([{ line: 2, a: '1', b: '' }]);
+        });
+
+        it('round-trips toCsv output', () => {
+            const rows = [{ a: 'x,y', b: 'say "hi"' }, { a: '', b: 'plain' }];
+            const parsed = parseCsv(toCsv(['a', 'b'], rows)).rows;
+            expect(parsed).toEqual([{ line: 2, ...rows[0] }, { line: 3, ...rows[1] }]);
+        });
+
+        it('returns no columns for empty input', () => {
+            expect(parseCsv('')).toEqual({ columns: [], rows: [] });
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const {
+    distanceBetween,
+    toLatLng,
+    toGeoJsonPoint,
+    toGeoJsonPolygon,
+    boundingBox,
+    boxToPolygon,
+    locateOnPath,
+    simplifyPath,
+    encodePolyline,
+    decodePolyline,
+} = require('../../src/utils/geo');
+
+describe('geo', () => {
+    describe('GeoJSON conversion', () => {
+        it('writes points as [lng, lat]', () => {
+            expect(toGeoJsonPoint({ lat: 6.93, lng: 79.85 })).toEqual({ type: 'Point', coordinates: [79.85, 6.93] });
+        });
+
+        it('reads { lat, lng } from GeoJSON and from plain points', () => {
+            expect(toLatLng({ type: 'Point', coordinates: [79.85, 6.93] })).toEqual({ lat: 6.93, lng: 79.85 });
+            expect(toLatLng({ lat: 6.93, lng: 79.85 })).toEqual({ lat: 6.93, lng: 79.85 });
+            expect(toLatLng(null)).toBeNull();
+        });
+
+        it('closes polygon rings', () => {
+            const polygon = toGeoJsonPolygon([{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }]);
+
+            expect(polygon).toEqual({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] });
+        });
+
+        it('does not repeat the first vertex of a closed ring', () => {
+            const ring = [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }, { lat: 0, lng: 0 }];
+
+            expect(toGeoJsonPolygon(ring).coordinates[0]).toHaveLength(4);
+        });
+    });
+
+    describe('boundingBox', () => {
+        const points = [{ lat: 6.9, lng: 79.8 }, { lat: 7.1, lng: 80.0 }];
+
+        it('spans the points', () => {
+            expect(boundingBox(points)).toEqual({
+                minLat: 6.9, minLng: 79.8, maxLat: 7.1, maxLng: 80.0,
+            });
+        });
+
+        it('pads every side by the distance', () => {
+            const box = boundingBox(points, 5);
+
+            expect(distanceBetween({ lat: box.minLat, lng: 79.8 }, { lat: 6.9, lng: 79.8 })).toBeCloseTo(5, 1);
+            expect(distanceBetween({ lat: 7, lng: box.maxLng }, { lat: 7, lng: 80.0 })).toBeCloseTo(5, 1);
+        });
+
+        it('converts to a polygon for $geoWithin', () => {
+            expect(boxToPolygon(boundingBox(points)).coordinates[0]).toEqual([
+                [79.8, 6.9], [80.0, 6.9], [80.0, 7.1], [79.8, 7.1], [79.8, 6.9],
+            ]);
+        });
+    });
+
+    describe('locateOnPath', () => {
+        const path = [{ lat: 6.0, lng: 80.0 }, { lat: 6.1, lng: 80.0 }, { lat: 6.1, lng: 80.1 }];
+
+        it('measures progress along the path and the distance off it', () => {
+            const { offsetKm, crossTrackKm } = locateOnPath({ lat: 6.05, lng: 80.01 }, path);
+
+            expect(offsetKm).toBeCloseTo(5.56, 1);
+            expect(crossTrackKm).toBeCloseTo(1.1, 1);
+        });
+
+        it('snaps onto the later segment', () => {
+            const { offsetKm, crossTrackKm } = locateOnPath({ lat: 6.1, lng: 80.05 }, path);
+
+            expect(offsetKm).toBeCloseTo(11.12 + 5.53, 1);
+            expect(crossTrackKm).toBeCloseTo(0, 3);
+        });
+    });
+
+    describe('encoded polylines', () => {
+        // Example from the encoded polyline algorithm format documentation
+        const points = [{ lat: 38.5, lng: -120.2 }, { lat: 40.7, lng: -120.95 }, { lat: 43.252, lng: -126.453 }];
+        const encoded = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+        it('encodes points', () => {
+            expect(encodePolyline(points)).toBe(encoded);
+        });
+
+        it('decodes what it encodes', () => {
+            expect(decodePolyline(encoded)).toEqual(points);
+            expect(decodePolyline(encodePolyline([{ lat: -33.86882, lng: 151.20929 }]))).toEqual([
+                { lat: -33.86882, lng: 151.20929 },
+            ]);
+        });
+
+        it('rejects malformed input', () => {
+            expect(() => decodePolyline('_p~iF~ps|U ')).toThrow('Malformed polyline');
+            expect(() => decodePolyline('_p~iF~ps|')).toThrow('Malformed polyline');
+        });
+    });
+
+    describe('simplifyPath', () => {
+        const zigzag = [
+            { lat: 6.0, lng: 80.0 },
+            { lat: 6.01, lng: 80.00005 },
+            { lat: 6.02, lng: 80.0 },
+            { lat: 6.03, lng: 80.01 },
+            { lat: 6.04, lng: 80.0 },
+        ];
+
+        it('drops points closer to the simplified path than the tolerance', () => {
+            // 80.00005 is about 5 m off the line; 80.01 about 1.1 km
+            expect(simplifyPath(zigzag, 0.01)).toEqual([zigzag[0], zigzag[2], zigzag[3], zigzag[4]]);
+        });
+
+        it('keeps every point with a tolerance below the smallest offset', () => {
+            expect(simplifyPath(zigzag, 0.001)).toEqual(zigzag);
+        });
+
+        it('always keeps the endpoints', () => {
+            expect(simplifyPath(zigzag, 100)).toEqual([zigzag[0], zigzag[4]]);
+            expect(simplifyPath(zigzag.slice(0, 2), 100)).toEqual(zigzag.slice(0, 2));
+        });
+    });
+});
@@ -0,0 +1,75 @@
+const { encodeVarint, encodeMessage } = require('../../src/utils/protobuf');
+
+describe('protobuf', () => {
+    describe('encodeVarint', () => {
+        it.each([
+            [0, '00'],
+            [1, '01'],
+            [127, '7f'],
+            [128, '8001'],
+            [300, 'ac02'],
+            [1700000000, '80e2cfaa06'],
+        ])('encodes %d as %s', (value, hex) => {
+            expect(encodeVarint(value).toString('hex')).toBe(hex);
+        });
+
+        it('encodes negative numbers as 10-byte two\'s complement', () => {
+            expect(encodeVarint(-1).toString('hex')).toBe('ffffffffffffffffff01');
+        });
+    });
+
+    describe('encodeMessage', () => {
+        const schema = {
+            enums: {
+                Level: { LOW: 0, HIGH: 1 },
+            },
+            messages: {
+                Feed: {
+                    name: [1, 'string'],
+                    header: [2, 'Header'],
+                    ids: [3, 'uint32', 'repeated'],
+                    level: [4, 'Level'],
+                    ratio: [5, 'float'],
+                    live: [6, 'bool'],
+                    position: [7, 'double'],
+                },
+                Header: {
+                    version: [1, 'string'],
+                },
+            },
+        };
+
+        it('encodes scalars, enums, repeated and nested fields', () => {
+            const buffer = encodeMessage(schema, 'Feed', {
+                name: 'hi',
+                header: { version: '2.0' },
+                ids: [1, 150],
+                level: 'HIGH',
+                ratio: 1.5,
+                live: true,
+            });
+            expect(buffer.toString('hex')).toBe([
+                '0a026869', // 1: "hi"
+                '12050a03322e30', // 2: { 1: "2.0" }
+                '1801', '189601', // 3: 1, 150
+                '2001', // 4: HIGH
+                '2d0000c03f', // 5: 1.5f
+                '3001', // 6: true
+            ].join(''));
+        });
+
+        it('writes doubles as fixed 64-bit fields', () => {
+            const buffer = encodeMessage(schema, 'Feed', { position: 1 });
+            expect(buffer.toString('hex')).toBe('39000000000000f03f');
+        });
+
+        it('leaves out null and undefined fields', () => {
+            expect(encodeMessage(schema, 'Feed', { name: null, level: undefined }).length).toBe(0);
+        });
+
+        it('rejects unknown fields and enum values', () => {
+            expect(() => encodeMessage(schema, 'Feed', { other: 1 })).toThrow('Unknown field Feed.other');
+            expect(() => encodeMessage(schema, 'Feed', { level: 'MEDIUM' })).toThrow('Unknown Level value MEDIUM');
+        });
+    });
+});
@@ -0,0 +1,58 @@
+const zlib = require('zlib');
+const { crc32, createZip, readZip } = require('../../src/utils/zip');
+
+describe('zip', () => {
+    const files = [
+        { name: 'agency.txt', content: 'agency_id,agency_name\r\nA1,Express\r\n' },
+        { name: 'data/shapes.txt', content: Buffer.alloc(10000, 'x') },
+    ];
+
+    it('computes the IEEE CRC-32', () => {
+        expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+        expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+
+    it('reads back the files it writes', () => {
+        const archive = readZip(createZip(files));
+        expect([...archive.keys()]).toEqual(['agency.txt', 'data/shapes.txt']);
+        expect(archive.get('agency.txt').toString()).toBe(files[0].content);
+        expect(archive.get('data/shapes.txt').equals(files[1].content)).toBe(true);
+    });
+
+    it('records the modification time as DOS date and time', () => {
+        const buffer = createZip(files.slice(0, 1), new Date(2024, 4, 17, 13, 45, 30));
+        // hours 13, minutes 45, seconds 30 / 2; years since 1980, month, day
+        expect(buffer.readUInt16LE(10)).toBe(13 * 2048 + 45 * 32 + 15);
+        expect(buffer.readUInt16LE(12)).toBe(44 * 512 + 5 * 32 + 17);
+    });
+
+    it('rejects data that is not a zip archive', () => {
+        expect(() => readZip(Buffer.from('not a zip archive at all, just some text'))).toThrow('Not a zip archive');
+    });
+
+    it('rejects archives that unzip past the size limit before inflating', () => {
+        expect(() => readZip(createZip(files), { maxSize: 5000 })).toThrow(/unzips to \d+ bytes \(limit 5000\)/);
+    });
+
+    it('does not inflate an entry past its declared size', () => {
+        const buffer = createZip(files.slice(1));
+        // Understate the size in the central directory
+        const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        buffer.writeUInt32LE(10, central + 24);
+        expect(() => readZip(buffer)).toThrow('Cannot inflate data/shapes.txt');
+    });
+
+    it('detects corrupted content', () => {
+        const buffer = createZip([{ name: 'a.txt', content: 'hello' }]);
+        const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        buffer.writeUInt32LE(crc32(Buffer.from('other')), central + 16);
+        expect(() => readZip(buffer)).toThrow('Checksum mismatch for a.txt');
+    });
+
+    it('produces deflate streams zlib can read', () => {
+        const buffer = createZip([{ name: 'a.txt', content: 'hello' }]);
+        const compressedSize = buffer.readUInt32LE(18);
+        const data = buffer.subarray(30 + 'a.txt'.length, 30 + 'a.txt'.length + compressedSize);
+        expect(zlib.inflateRawSync(data).toString()).toBe('hello');
+    });
+});